@@ -0,0 +1,82 @@
+/**
+ * Batch Executor
+ *
+ * Runs the items of a multi-call request (style variations, "more like this" variants,
+ * generation candidates) with bounded concurrency. A failing item never fails the batch:
+ * every item settles to one entry
+ *
+ *   { index, item, status: 'ok', result }
+ *   { index, item, status: 'failed', error: { message } }
+ *   { index, item, status: 'cancelled' }
+ *
+ * Entries are reported as they settle (inside a job they are streamed to the client, see
+ * reportJobItem) and returned in input order. When the signal aborts - by default the
+ * current job's, so DELETE /api/jobs/:id stops a batch - items that haven't started are
+ * cancelled, and so are running items that stop on the signal (provider calls, status
+ * polls and saves do); an item that finishes anyway keeps its result.
+ */
+
+import { currentJobSignal, reportJobItem } from './job-manager.js';
+
+// Items in flight per batch; read on use so backend/.env values apply
+export const getBatchConcurrency = () => Math.max(1, parseInt(process.env.BATCH_CONCURRENCY, 10) || 3);
+
+/**
+ * Run `worker(item, index, signal)` for every item; resolves with one entry per item
+ */
+export async function runBatch(items, worker, {
+  concurrency = getBatchConcurrency(),
+  signal = currentJobSignal(),
+  onSettled = reportJobItem
+} = {}) {
+  const entries = new Array(items.length);
+  let next = 0;
+
+  const settle = (entry) => {
+    entries[entry.index] = entry;
+    onSettled?.(entry);
+  };
+
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+
+      if (signal?.aborted) {
+        settle({ index, item, status: 'cancelled' });
+        continue;
+      }
+
+      try {
+        settle({ index, item, status: 'ok', result: await worker(item, index, signal) });
+      } catch (error) {
+        if (signal?.aborted) {
+          settle({ index, item, status: 'cancelled' });
+          continue;
+        }
+        const message = error.body?.error?.message || error.message;
+        console.warn(`⚠️  Batch item ${index + 1}/${items.length} failed: ${message}`);
+        settle({ index, item, status: 'failed', error: { message } });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return entries;
+}
+
+/**
+ * Counts of ok / failed / cancelled entries
+ */
+export function summarizeBatch(entries) {
+  const summary = { ok: 0, failed: 0, cancelled: 0 };
+  entries.forEach(entry => { summary[entry.status]++; });
+  return summary;
+}
+
+/**
+ * ", 1 failed, 2 cancelled" for result messages; empty when every item succeeded
+ */
+export function formatBatchSummary({ failed, cancelled }) {
+  return `${failed > 0 ? `, ${failed} failed` : ''}${cancelled > 0 ? `, ${cancelled} cancelled` : ''}`;
+}
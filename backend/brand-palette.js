@@ -0,0 +1,203 @@
+/**
+ * Brand Palette
+ *
+ * Extracts the dominant colors of an uploaded brand image with median cut, describes them
+ * as explicit color constraints for the generation prompt, and snaps colors of the
+ * generated design that are close to a palette color onto it, so brand colors come out
+ * exact instead of "roughly navy".
+ *
+ * Swatches are { hex, rgb: { r, g, b }, name, share }, where share is the fraction of the
+ * brand image's opaque pixels the color stands for (1 for colors the user typed in).
+ */
+
+import sharp from 'sharp';
+import { loadImageBuffer } from './image-providers.js';
+
+export const MAX_PALETTE_COLORS = 8;
+const SAMPLE_SIZE = 96;
+const MERGE_DISTANCE = 24;
+export const DEFAULT_SNAP_DISTANCE = 60;
+
+// Reference colors used to name swatches in the prompt ("navy (#1e3a8a)")
+const COLOR_NAMES = [
+  ['black', 0, 0, 0], ['white', 255, 255, 255], ['gray', 128, 128, 128], ['light gray', 200, 200, 200],
+  ['dark gray', 64, 64, 64], ['red', 220, 38, 38], ['dark red', 127, 29, 29], ['orange', 249, 115, 22],
+  ['yellow', 250, 204, 21], ['gold', 202, 138, 4], ['olive', 101, 113, 32], ['green', 22, 163, 74],
+  ['dark green', 20, 83, 45], ['teal', 13, 148, 136], ['cyan', 6, 182, 212], ['sky blue', 56, 189, 248],
+  ['blue', 37, 99, 235], ['navy', 30, 58, 138], ['purple', 147, 51, 234], ['lavender', 196, 181, 253],
+  ['pink', 236, 72, 153], ['light pink', 251, 207, 232], ['brown', 120, 72, 40], ['beige', 222, 196, 160],
+  ['cream', 253, 246, 227]
+];
+
+const distance = (a, b) => Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+const toHex = ({ r, g, b }) => `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+
+function nearestColorName(rgb) {
+  let best = COLOR_NAMES[0];
+  for (const entry of COLOR_NAMES) {
+    if (distance(rgb, { r: entry[1], g: entry[2], b: entry[3] }) < distance(rgb, { r: best[1], g: best[2], b: best[3] })) {
+      best = entry;
+    }
+  }
+  return best[0];
+}
+
+const toSwatch = (rgb, share = 1) => ({ hex: toHex(rgb), rgb, name: nearestColorName(rgb), share });
+
+/**
+ * "#1E3A8A", "1e3a8a" or "#13a" as "#1e3a8a"; null when not a hex color
+ */
+export function normalizeHexColor(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().toLowerCase().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (!match) return null;
+  const digits = match[1].length === 3 ? [...match[1]].map(digit => digit + digit).join('') : match[1];
+  return `#${digits}`;
+}
+
+/**
+ * Swatches for user-supplied hex colors; null when any entry is not a hex color
+ */
+export function paletteFromHexColors(colors) {
+  const hexes = colors.map(normalizeHexColor);
+  if (hexes.some(hex => !hex)) return null;
+  return [...new Set(hexes)].map(hex => toSwatch({
+    r: parseInt(hex.slice(1, 3), 16),
+    g: parseInt(hex.slice(3, 5), 16),
+    b: parseInt(hex.slice(5, 7), 16)
+  }));
+}
+
+/**
+ * Split the pixel set into `count` boxes along their widest channel (median cut)
+ */
+function medianCut(pixels, count) {
+  const boxes = [pixels];
+
+  while (boxes.length < count) {
+    let target = null;
+    for (const box of boxes) {
+      if (box.length < 2) continue;
+      for (const channel of ['r', 'g', 'b']) {
+        let min = 255;
+        let max = 0;
+        for (const pixel of box) {
+          min = Math.min(min, pixel[channel]);
+          max = Math.max(max, pixel[channel]);
+        }
+        if (max - min > 0 && (!target || max - min > target.range)) {
+          target = { box, channel, range: max - min };
+        }
+      }
+    }
+    if (!target) break;
+
+    // Cut at the value boundary closest to the median so equal colors stay in one box
+    const { channel } = target;
+    const sorted = [...target.box].sort((a, b) => a[channel] - b[channel]);
+    const middle = Math.floor(sorted.length / 2);
+    let cut = -1;
+    for (let offset = 0; cut === -1; offset++) {
+      if (middle - offset > 0 && sorted[middle - offset - 1][channel] !== sorted[middle - offset][channel]) {
+        cut = middle - offset;
+      } else if (middle + offset < sorted.length && sorted[middle + offset - 1][channel] !== sorted[middle + offset][channel]) {
+        cut = middle + offset;
+      }
+    }
+    boxes.splice(boxes.indexOf(target.box), 1, sorted.slice(0, cut), sorted.slice(cut));
+  }
+
+  return boxes;
+}
+
+/**
+ * Dominant colors of an image (URL, data URL or buffer), most common first. Transparent
+ * pixels are ignored and near-identical colors are merged.
+ */
+export async function extractPalette(image, { count = 5 } = {}) {
+  const { data } = await sharp(await loadImageBuffer(image))
+    .ensureAlpha()
+    // Nearest-neighbour sampling so resizing doesn't invent blended in-between colors
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside', kernel: 'nearest', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] >= 128) {
+      pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2] });
+    }
+  }
+  if (pixels.length === 0) {
+    return [];
+  }
+
+  const colors = medianCut(pixels, Math.min(count, MAX_PALETTE_COLORS)).map(box => ({
+    rgb: {
+      r: Math.round(box.reduce((sum, pixel) => sum + pixel.r, 0) / box.length),
+      g: Math.round(box.reduce((sum, pixel) => sum + pixel.g, 0) / box.length),
+      b: Math.round(box.reduce((sum, pixel) => sum + pixel.b, 0) / box.length)
+    },
+    count: box.length
+  })).sort((a, b) => b.count - a.count);
+
+  const merged = [];
+  for (const color of colors) {
+    const match = merged.find(existing => distance(existing.rgb, color.rgb) < MERGE_DISTANCE);
+    if (match) {
+      match.count += color.count;
+    } else {
+      merged.push({ ...color });
+    }
+  }
+
+  return merged.map(color => toSwatch(color.rgb, Math.round((color.count / pixels.length) * 1000) / 1000));
+}
+
+/**
+ * Prompt constraint naming the palette, e.g. "color palette strictly limited to navy (#1e3a8a) and gold (#ca8a04)"
+ */
+export function describePalette(palette) {
+  const names = palette.map(swatch => `${swatch.name} (${swatch.hex})`);
+  const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+  return `color palette strictly limited to ${list}, no other colors`;
+}
+
+/**
+ * Replace the color of every visible pixel within `maxDistance` (RGB) of a palette color with
+ * that color; alpha is kept. Returns { buffer, snappedShare } (share of visible pixels snapped).
+ */
+export async function snapToPalette(image, palette, { maxDistance = DEFAULT_SNAP_DISTANCE } = {}) {
+  const { data, info } = await sharp(await loadImageBuffer(image))
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let visible = 0;
+  let snapped = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] === 0) continue;
+    visible++;
+
+    const pixel = { r: data[i], g: data[i + 1], b: data[i + 2] };
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const swatch of palette) {
+      const d = distance(pixel, swatch.rgb);
+      if (d < nearestDistance) {
+        nearest = swatch;
+        nearestDistance = d;
+      }
+    }
+
+    if (nearest && nearestDistance <= maxDistance) {
+      data[i] = nearest.rgb.r;
+      data[i + 1] = nearest.rgb.g;
+      data[i + 2] = nearest.rgb.b;
+      snapped++;
+    }
+  }
+
+  const buffer = await sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+  return { buffer, snappedShare: visible > 0 ? Math.round((snapped / visible) * 1000) / 1000 : 0 };
+}
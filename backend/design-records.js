@@ -0,0 +1,104 @@
+/**
+ * Design Records
+ *
+ * Every generated, uploaded or refined image gets a stable design_id. Records are keyed
+ * by that id; a URL index maps every URL the image was served from (provider URL,
+ * localhost, production host) to it so URL-only callers still resolve, and the heads
+ * collection tracks the latest design of each lineage.
+ *
+ * The collections are Map-like (see generation-store.js), so plain Maps work in tests.
+ */
+
+export function createDesignId() {
+  return `dsn_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 8)}`;
+}
+
+/**
+ * Host-independent lookup key for an image URL.
+ * Files served from /designs/ are keyed by filename so localhost and production URLs match.
+ */
+export function normalizeDesignUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  if (url.startsWith('data:')) return null;
+
+  try {
+    const { origin, pathname } = new URL(url);
+    return pathname.startsWith('/designs/') ? pathname.slice(1) : `${origin}${pathname}`;
+  } catch {
+    return url.split('?')[0];
+  }
+}
+
+export class DesignRecords {
+  constructor({ records, urlIndex, heads }) {
+    this.records = records; // designId -> record
+    this.urlIndex = urlIndex; // normalized URL -> designId
+    this.heads = heads; // root designId -> latest designId in the lineage
+  }
+
+  indexUrl(url, designId) {
+    const key = normalizeDesignUrl(url);
+    if (key) {
+      this.urlIndex.set(key, designId);
+    }
+  }
+
+  /**
+   * Store a design record under its design id (assigning one if needed) and index its URLs
+   */
+  save(record, extraUrls = []) {
+    record.design_id = record.design_id || createDesignId();
+    record.root_design_id = record.root_design_id || record.design_id;
+    record.parent_design_id = record.parent_design_id || null;
+
+    this.records.set(record.design_id, record);
+    this.heads.set(record.root_design_id, record.design_id);
+    for (const url of [record.local_url, record.image_url, ...extraUrls]) {
+      this.indexUrl(url, record.design_id);
+    }
+
+    console.log(`🆔 Stored design ${record.design_id} (root: ${record.root_design_id})`);
+    return record;
+  }
+
+  /**
+   * Resolve a design record from a design id, or from any URL the image was served from
+   */
+  find({ designId, imageUrl } = {}) {
+    if (designId) {
+      return this.records.get(designId) || null;
+    }
+
+    const key = normalizeDesignUrl(imageUrl);
+    const indexedId = key ? this.urlIndex.get(key) : null;
+    return indexedId ? this.records.get(indexedId) || null : null;
+  }
+
+  /**
+   * Records persisted before design ids existed were stored once per URL; re-key them.
+   * Returns the number of records re-keyed.
+   */
+  reindexLegacy() {
+    let reindexed = 0;
+    for (const [key, record] of Array.from(this.records.entries())) {
+      if (!record?.design_id || key === record.design_id) continue;
+
+      this.records.delete(key);
+      if (!this.records.has(record.design_id)) {
+        this.records.set(record.design_id, record);
+        this.heads.set(record.root_design_id, record.design_id);
+      }
+      this.indexUrl(key, record.design_id);
+      this.indexUrl(record.local_url, record.design_id);
+      this.indexUrl(record.image_url, record.design_id);
+      reindexed++;
+    }
+
+    if (reindexed > 0) {
+      console.log(`🆔 Re-keyed ${reindexed} URL-keyed generation records by design id`);
+    }
+    return reindexed;
+  }
+}
+
+export default DesignRecords;
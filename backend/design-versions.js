@@ -0,0 +1,162 @@
+/**
+ * Design Version Tree
+ *
+ * Every generation, upload, refinement, revert and branch is stored as its own design
+ * record linked to the record it came from by `parent_design_id`; all records of one
+ * lineage share a `root_design_id`. These helpers turn the flat records of a lineage into
+ * the nested tree returned by GET /api/designs/:id/versions and build the records created
+ * by the revert and branch endpoints.
+ */
+
+import sharp from 'sharp';
+import { loadImageBuffer } from './image-providers.js';
+
+export const THUMBNAIL_SIZE = 128;
+
+/**
+ * Thumbnails are stored per design id, so a record never shows another version's image
+ */
+export const thumbnailFilename = (designId) => `thumb_${designId}.png`;
+
+export const hasOwnThumbnail = (record) => !!record.thumbnail_url && record.thumbnail_url.endsWith(`/${thumbnailFilename(record.design_id)}`);
+
+// Bookkeeping that belongs to the record it was set on: its thumbnail, how it was restored
+// (revert, branch, undo/redo) and which request or candidate produced it
+const OWN_FIELDS = [
+  'thumbnail_url',
+  'reverted_to',
+  'branched_from',
+  'branch_name',
+  'history_command',
+  'redo_stack',
+  'candidate_index',
+  'candidate_ids',
+  'request_id'
+];
+
+/**
+ * Fields a new version built from `record` (refinement, erase, prompt edit) starts from:
+ * everything except OWN_FIELDS
+ */
+export function inheritableFields(record) {
+  if (!record) return {};
+
+  const fields = { ...record };
+  for (const field of OWN_FIELDS) {
+    delete fields[field];
+  }
+  return fields;
+}
+
+/**
+ * Public view of a design record as a version node
+ */
+export function toVersionNode(record) {
+  return {
+    designId: record.design_id,
+    parentDesignId: record.parent_design_id || null,
+    source: record.source || 'generation',
+    instruction: record.refinement_instruction || null,
+    strategy: record.refinement_strategy || null,
+    prompt: record.original_prompt || null,
+    structuredPrompt: record.structured_prompt || null,
+    imageUrl: record.local_url || record.image_url || null,
+    thumbnailUrl: record.thumbnail_url || record.local_url || record.image_url || null,
+    revertedTo: record.reverted_to || null,
+    branchName: record.branch_name || null,
+    historyCommand: record.history_command || null,
+    // Position among the candidates of a multi-candidate generation (refinements inherit the field)
+    candidateIndex: ['generation', 'candidate'].includes(record.source || 'generation') ? record.candidate_index ?? null : null,
+    createdAt: record.refined_at || record.created_at || null
+  };
+}
+
+/**
+ * Build the nested version tree for one lineage.
+ * Records whose parent is missing (expired or never stored) are attached to the root so
+ * nothing in the lineage is dropped from the tree.
+ */
+export function buildVersionTree(records, { rootDesignId, headDesignId = null }) {
+  const nodes = new Map();
+  for (const record of records) {
+    if ((record.root_design_id || record.design_id) === rootDesignId) {
+      nodes.set(record.design_id, { ...toVersionNode(record), children: [] });
+    }
+  }
+
+  const root = nodes.get(rootDesignId) || null;
+  if (!root) {
+    return null;
+  }
+
+  const byCreatedAt = (a, b) => String(a.createdAt).localeCompare(String(b.createdAt));
+  for (const node of Array.from(nodes.values()).sort(byCreatedAt)) {
+    if (node === root) continue;
+    const parent = nodes.get(node.parentDesignId) || root;
+    parent.children.push(node);
+  }
+
+  return {
+    rootDesignId,
+    headDesignId: nodes.has(headDesignId) ? headDesignId : rootDesignId,
+    count: nodes.size,
+    tree: root
+  };
+}
+
+/**
+ * Ids on the path from the lineage root to a version (inclusive), root first
+ */
+export function getVersionPath(versionTree, designId) {
+  const search = (node, trail) => {
+    const path = [...trail, node.designId];
+    if (node.designId === designId) return path;
+    for (const child of node.children) {
+      const found = search(child, path);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  return versionTree ? search(versionTree.tree, []) || [] : [];
+}
+
+/**
+ * New record restoring `target`'s image and prompts as a child of `parent`.
+ * Used by revert (parent = current head) and branch (parent = target itself), and by
+ * undo/redo history commands, which also record the command and the ids left to redo.
+ */
+export function createVersionFromRecord(target, { designId, parent, source, branchName = null, historyCommand = null, redoStack = null }) {
+  // The restored version is not itself a refinement
+  const restored = inheritableFields(target);
+  delete restored.refinement_instruction;
+  delete restored.refinement_strategy;
+  delete restored.refined_at;
+  delete restored.refined_from;
+
+  return {
+    ...restored,
+    design_id: designId,
+    parent_design_id: parent.design_id,
+    root_design_id: target.root_design_id || target.design_id,
+    source,
+    reverted_to: source === 'revert' ? target.design_id : null,
+    branched_from: source === 'branch' ? target.design_id : null,
+    branch_name: branchName,
+    history_command: historyCommand,
+    redo_stack: redoStack,
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Write a THUMBNAIL_SIZE PNG thumbnail of an image (URL, data URL or buffer) to filePath
+ */
+export async function createThumbnail(source, filePath) {
+  const buffer = await loadImageBuffer(source);
+  await sharp(buffer)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+    .png()
+    .toFile(filePath);
+  return filePath;
+}
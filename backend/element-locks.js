@@ -0,0 +1,152 @@
+/**
+ * Element Locks
+ *
+ * Users can lock elements of a design ("keep the skull unchanged", or the lock toggle next
+ * to each structured-prompt object) so refinements leave them alone. Locks are stored on the
+ * lineage's refinement chain as [{ target, lockedAt }] and apply to every later refinement:
+ * operations aimed at a locked element are rejected, gen_fill masks exclude locked regions
+ * and structured prompt edits skip locked objects.
+ *
+ * Elements are matched by head noun, so a lock on "skull" covers "the grinning skull".
+ */
+
+import { shortObjectName } from './refinement-clarification.js';
+
+const TARGET = String.raw`(?:the |my |that |this )?([a-z][a-z' -]*?)`;
+const CLAUSE_END = String.raw`(?=\s*(?:[,;.!]|$|\b(?:and|but|then|while)\b))`;
+const CONNECTOR = String.raw`(?:^|[,;]\s*|\s+(?:and|but|while|then)\s+|\s+)`;
+
+const LOCK_PATTERNS = [
+  { action: 'lock', pattern: String.raw`(?:keep|leave) ${TARGET} (?:unchanged|untouched|as it is|as is|the same|alone|intact|locked|exactly as it is)` },
+  { action: 'lock', pattern: String.raw`(?:lock|freeze|protect) ${TARGET}(?: in place)?` },
+  { action: 'lock', pattern: String.raw`(?:don'?t|do not|never) (?:change|touch|modify|alter|edit) ${TARGET}` },
+  { action: 'unlock', pattern: String.raw`(?:unlock|unfreeze|release) ${TARGET}` }
+];
+
+const LOCK_CLAUSE = new RegExp(
+  `${CONNECTOR}(?:please )?(?:${LOCK_PATTERNS.map(({ pattern }) => pattern).join('|')})${CLAUSE_END}`,
+  'gi'
+);
+
+const singular = (word) => (word.length <= 3 ? word : word
+  .replace(/ies$/, 'y')
+  .replace(/(ss|sh|ch|x)es$/, '$1')
+  .replace(/([^s])s$/, '$1'));
+
+const toWords = (text) => String(text || '').toLowerCase().split(/[^a-z]+/).filter(Boolean).map(singular);
+
+const headNoun = (target) => toWords(target).pop() || '';
+
+/**
+ * Whether a target/description names the locked element
+ */
+export function matchesLock(text, lockTarget) {
+  const head = headNoun(lockTarget);
+  return !!head && toWords(text).includes(head);
+}
+
+export const sameElement = (a, b) => !!a && !!b && headNoun(a) === headNoun(b);
+
+/**
+ * Split lock clauses out of an instruction. Returns null when there are none, otherwise
+ * { lock: [targets], unlock: [targets], remainder } where remainder is the edit still to run
+ * ("make the flowers blue but keep the skull unchanged" -> remainder "make the flowers blue").
+ */
+export function parseLockInstruction(instruction) {
+  const text = String(instruction || '').trim();
+  const lock = [];
+  const unlock = [];
+
+  const remainder = text.replace(LOCK_CLAUSE, (match, ...groups) => {
+    const captures = groups.slice(0, LOCK_PATTERNS.length);
+    const index = captures.findIndex(capture => capture !== undefined);
+    const target = captures[index].trim();
+    (LOCK_PATTERNS[index].action === 'lock' ? lock : unlock).push(target);
+    return ' ';
+  });
+
+  if (lock.length === 0 && unlock.length === 0) return null;
+
+  return {
+    lock,
+    unlock,
+    remainder: remainder
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s,;]*(?:(?:and|but|then|while)\s+)?/i, '')
+      .replace(/[\s,;]*(?:\b(?:and|but|then|while))?[\s,;.]*$/i, '')
+      .trim()
+  };
+}
+
+/**
+ * Apply lock/unlock targets to a list of locks; returns the new list
+ */
+export function updateLocks(locks, { lock = [], unlock = [] }) {
+  const next = (locks || []).filter(entry => !unlock.some(target => sameElement(target, entry.target)));
+  for (const target of lock) {
+    if (!next.some(entry => sameElement(entry.target, target))) {
+      next.push({ target, lockedAt: new Date().toISOString() });
+    }
+  }
+  return next;
+}
+
+/**
+ * Short description of a lock change for messages ("Locked the skull")
+ */
+export function describeLockChange({ lock = [], unlock = [] }) {
+  const list = (targets) => targets.map(target => `the ${target.replace(/^the\s+/i, '')}`).join(' and ');
+  return [
+    lock.length > 0 && `Locked ${list(lock)}`,
+    unlock.length > 0 && `Unlocked ${list(unlock)}`
+  ].filter(Boolean).join('; ');
+}
+
+/**
+ * Whether a structured-prompt object is locked (matched on its short name, so a skull
+ * "with red roses" isn't locked by a lock on the roses)
+ */
+export function isObjectLocked(object, locks) {
+  const name = shortObjectName(object?.description);
+  return (locks || []).some(lock => matchesLock(name, lock.target));
+}
+
+// Operation types that change an existing element (additions only add new ones)
+const EDITING_OPERATIONS = ['object_modification', 'object_removal', 'object_move', 'localized_edit', 'background_edit', 'background_removal'];
+
+/**
+ * Operations that would edit a locked element: [{ operation, lock }]
+ */
+export function findLockConflicts(operations, locks) {
+  const conflicts = [];
+  for (const operation of operations || []) {
+    if (!EDITING_OPERATIONS.includes(operation.type)) continue;
+
+    const target = /^background_/.test(operation.type) ? 'background' : operation.target;
+    const lock = (locks || []).find(candidate => matchesLock(target, candidate.target));
+    if (lock) conflicts.push({ operation, lock });
+  }
+  return conflicts;
+}
+
+/**
+ * Structured-prompt objects with their lock state, for the lock toggles. Locks that match
+ * no object ("the background") are listed after them.
+ */
+export function describeLockableElements(structuredPrompt, locks) {
+  const seen = new Set();
+  const elements = [];
+  for (const object of structuredPrompt?.objects || []) {
+    const name = shortObjectName(object.description);
+    if (!name || seen.has(name)) continue;
+    seen.add(name);
+    elements.push({ name, description: object.description, locked: isObjectLocked(object, locks) });
+  }
+
+  for (const lock of locks || []) {
+    if (!elements.some(element => matchesLock(element.name, lock.target))) {
+      elements.push({ name: lock.target, description: lock.target, locked: true });
+    }
+  }
+  return elements;
+}
@@ -0,0 +1,51 @@
+/**
+ * Generation Options
+ *
+ * Reproducibility options shared by the generation routes: `seed` (send a design's seed back
+ * to reproduce it), `num_results` (parallel candidates or variants) and the variation
+ * strength of "more like this". The validators return an error message, or null when the
+ * value is acceptable; the routes turn messages into 400 responses.
+ */
+
+export const MAX_SEED = 2147483647;
+export const MAX_NUM_RESULTS = 4;
+export const DEFAULT_VARIATION_STRENGTH = 0.3;
+
+export function describeSeedOptionsError({ seed, num_results }) {
+  if (seed !== undefined && seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED)) {
+    return `seed must be an integer between 0 and ${MAX_SEED}`;
+  }
+
+  if (num_results !== undefined && !(Number.isInteger(num_results) && num_results >= 1 && num_results <= MAX_NUM_RESULTS)) {
+    return `num_results must be an integer between 1 and ${MAX_NUM_RESULTS}`;
+  }
+
+  return null;
+}
+
+export function describeVariationStrengthError(variationStrength) {
+  if (variationStrength !== undefined && !(typeof variationStrength === 'number' && variationStrength >= 0 && variationStrength <= 1)) {
+    return "variationStrength must be a number between 0 and 1";
+  }
+  return null;
+}
+
+/**
+ * Seeds for `count` results: consecutive from `seed` when given. Without one a single result
+ * leaves the choice to the provider, several get a random starting seed so they differ.
+ */
+export function resolveSeeds(seed, count, random = Math.random) {
+  if (seed === undefined || seed === null) {
+    if (count === 1) return [null];
+    seed = Math.floor(random() * (MAX_SEED - MAX_NUM_RESULTS));
+  }
+  return Array.from({ length: count }, (_, index) => (seed + index) % (MAX_SEED + 1));
+}
+
+/**
+ * Weight of the source design as an image prompt: 1 at strength 0 (nearly identical),
+ * 0 at strength 1 (loosely related)
+ */
+export function imagePromptScale(variationStrength) {
+  return Math.round((1 - variationStrength) * 100) / 100;
+}
@@ -0,0 +1,421 @@
+/**
+ * Durable Generation Store
+ *
+ * JSON-file backed persistence for generation records, refinement chains and
+ * background states. Each collection exposes the Map API the rest of the backend
+ * already uses (get/set/has/delete/entries/keys/size), keeps entries in memory for
+ * fast lookups, and writes the whole store to disk with a debounced atomic flush.
+ *
+ * - Entries expire `ttlMs` after their last write and are evicted lazily and by a sweep.
+ * - Records are upgraded by the collection's `migrate` function both when loaded from
+ *   disk and when written, so older shapes never reach the refinement code.
+ * - Every write, delete and eviction marks the store dirty; flushes skip a clean store.
+ *   Values mutated in place after `get` must be written back with `set` to be persisted.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const STORE_SCHEMA_VERSION = 1;
+export const GENERATION_RECORD_VERSION = 2;
+
+/**
+ * Map-like collection with per-entry TTL
+ */
+export class StoreCollection {
+  constructor(store, name, { revive = null, migrate = null } = {}) {
+    this.store = store;
+    this.name = name;
+    this.revive = revive;
+    this.migrate = migrate;
+    this.items = new Map(); // key -> { value, updatedAt }
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return this.store.ttlMs > 0 && now - entry.updatedAt > this.store.ttlMs;
+  }
+
+  get(key) {
+    const entry = this.items.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (this.isExpired(entry)) {
+      this.items.delete(key);
+      this.store.markDirty();
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  set(key, value) {
+    const migrated = this.migrate ? this.migrate(value) : value;
+    this.items.set(key, { value: migrated, updatedAt: Date.now() });
+    this.store.markDirty();
+    return this;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  delete(key) {
+    const deleted = this.items.delete(key);
+    if (deleted) {
+      this.store.markDirty();
+    }
+    return deleted;
+  }
+
+  clear() {
+    this.items.clear();
+    this.store.markDirty();
+  }
+
+  *entries() {
+    const now = Date.now();
+    for (const [key, entry] of this.items) {
+      if (!this.isExpired(entry, now)) {
+        yield [key, entry.value];
+      }
+    }
+  }
+
+  *keys() {
+    for (const [key] of this.entries()) {
+      yield key;
+    }
+  }
+
+  *values() {
+    for (const [, value] of this.entries()) {
+      yield value;
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  get size() {
+    const now = Date.now();
+    let size = 0;
+    for (const entry of this.items.values()) {
+      if (!this.isExpired(entry, now)) {
+        size++;
+      }
+    }
+    return size;
+  }
+
+  /**
+   * Remove expired entries; returns the number evicted
+   */
+  sweep(now = Date.now()) {
+    let evicted = 0;
+    for (const [key, entry] of this.items) {
+      if (this.isExpired(entry, now)) {
+        this.items.delete(key);
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+
+  serialize() {
+    return Array.from(this.items.entries()).map(([key, entry]) => [key, entry.value, entry.updatedAt]);
+  }
+
+  hydrate(rows) {
+    const now = Date.now();
+    let restored = 0;
+
+    for (const [key, value, updatedAt] of rows) {
+      const entry = { value, updatedAt };
+      if (this.isExpired(entry, now)) {
+        continue;
+      }
+
+      let restoredValue = this.revive ? this.revive(value) : value;
+      restoredValue = this.migrate ? this.migrate(restoredValue) : restoredValue;
+      this.items.set(key, { value: restoredValue, updatedAt });
+      restored++;
+    }
+
+    return restored;
+  }
+}
+
+/**
+ * File-backed store holding named collections
+ */
+export class GenerationStore {
+  constructor({
+    filePath,
+    ttlMs = 7 * 24 * 60 * 60 * 1000,
+    flushDelayMs = 1000,
+    sweepIntervalMs = 10 * 60 * 1000
+  }) {
+    this.filePath = filePath;
+    this.ttlMs = ttlMs;
+    this.flushDelayMs = flushDelayMs;
+    this.collections = new Map();
+    this.flushTimer = null;
+    this.dirty = false;
+    this.writing = null;
+
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Register (or fetch) a collection; register all collections before load()
+   */
+  collection(name, options = {}) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new StoreCollection(this, name, options));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Load persisted collections from disk, migrating older file layouts
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      console.log(`💾 Generation store: starting fresh (${this.filePath})`);
+      return { loaded: false };
+    }
+
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      const snapshot = migrateStoreSnapshot(JSON.parse(raw));
+      const counts = {};
+
+      for (const [name, collection] of this.collections) {
+        counts[name] = collection.hydrate(snapshot.collections[name] || []);
+      }
+
+      this.dirty = false;
+      console.log(`💾 Generation store loaded from ${this.filePath}:`, counts);
+      return { loaded: true, counts };
+    } catch (error) {
+      // Keep the unreadable file for inspection instead of overwriting it on next flush
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, backupPath);
+      console.error(`❌ Generation store could not be loaded (${error.message}); moved to ${backupPath}`);
+      return { loaded: false, error: error.message };
+    }
+  }
+
+  /**
+   * Record that the store changed and schedule a flush
+   */
+  markDirty() {
+    this.dirty = true;
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelayMs);
+    this.flushTimer.unref();
+  }
+
+  serialize() {
+    const collections = {};
+    for (const [name, collection] of this.collections) {
+      collections[name] = collection.serialize();
+    }
+
+    return JSON.stringify({ schema_version: STORE_SCHEMA_VERSION, collections });
+  }
+
+  /**
+   * Write the store to disk if anything changed since the last write
+   */
+  async flush() {
+    if (this.writing) {
+      return this.writing;
+    }
+
+    if (!this.dirty) {
+      return;
+    }
+
+    const data = this.serialize();
+    this.dirty = false;
+
+    this.writing = (async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, this.filePath);
+        // Changes made while writing go out with the next flush
+        if (this.dirty) {
+          this.scheduleFlush();
+        }
+      } catch (error) {
+        // Retried on the next change or shutdown
+        this.dirty = true;
+        console.error(`❌ Generation store flush failed: ${error.message}`);
+      } finally {
+        this.writing = null;
+      }
+    })();
+
+    return this.writing;
+  }
+
+  /**
+   * Synchronous flush for shutdown handlers
+   */
+  flushSync() {
+    if (!this.dirty) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(`${this.filePath}.tmp`, this.serialize());
+    fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+    this.dirty = false;
+  }
+
+  sweep() {
+    const now = Date.now();
+    let evicted = 0;
+    for (const collection of this.collections.values()) {
+      evicted += collection.sweep(now);
+    }
+
+    if (evicted > 0) {
+      console.log(`🧹 Generation store evicted ${evicted} expired entries`);
+      this.markDirty();
+    }
+    return evicted;
+  }
+
+  stats() {
+    const collections = {};
+    for (const [name, collection] of this.collections) {
+      collections[name] = collection.size;
+    }
+
+    return {
+      file: this.filePath,
+      schema_version: STORE_SCHEMA_VERSION,
+      ttl_hours: this.ttlMs / (60 * 60 * 1000),
+      collections
+    };
+  }
+}
+
+// ====== MIGRATIONS ======
+
+/**
+ * Check a persisted snapshot against STORE_SCHEMA_VERSION.
+ * File-layout upgrades go here when the version is bumped; record-level changes belong
+ * in the collection `migrate` functions instead.
+ */
+export function migrateStoreSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || typeof snapshot.collections !== 'object') {
+    throw new Error('Store file is not a generation store snapshot');
+  }
+
+  if (snapshot.schema_version > STORE_SCHEMA_VERSION) {
+    throw new Error(`Store schema ${snapshot.schema_version} is newer than supported version ${STORE_SCHEMA_VERSION}`);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Upgrade a generation record to GENERATION_RECORD_VERSION in place.
+ *
+ * - v1: records built by /api/generate, /api/process-upload and /api/refine before
+ *   records were versioned gain `source`, a JSON-string structured_prompt and
+ *   guaranteed request_id/seed/created_at keys.
+ * - v2: records gain canonical design ids. Legacy records get a deterministic id so the
+ *   copies previously stored under several URLs collapse into one design.
+ */
+export function migrateGenerationRecord(record) {
+  if (!record || typeof record !== 'object' || record.record_version >= GENERATION_RECORD_VERSION) {
+    return record;
+  }
+
+  const version = record.record_version || 0;
+
+  if (version < 1) {
+    const source = record.refined_from ? 'refinement'
+      : record.is_upload_processed ? 'upload'
+      : 'generation';
+
+    Object.assign(record, {
+      source: record.source || source,
+      request_id: record.request_id || record.upload_request_id || null,
+      structured_prompt: record.structured_prompt && typeof record.structured_prompt === 'object'
+        ? JSON.stringify(record.structured_prompt)
+        : record.structured_prompt ?? null,
+      seed: record.seed ?? null,
+      created_at: record.created_at || record.refined_at || new Date().toISOString()
+    });
+  }
+
+  if (version < 2 && !record.design_id) {
+    const fingerprint = [record.request_id, record.created_at, record.refined_at, record.refinement_instruction].join('|');
+    const designId = `dsn_legacy_${crypto.createHash('sha1').update(fingerprint).digest('hex').slice(0, 16)}`;
+
+    Object.assign(record, {
+      design_id: designId,
+      parent_design_id: null,
+      root_design_id: designId
+    });
+  }
+
+  record.record_version = GENERATION_RECORD_VERSION;
+  return record;
+}
+
+// ====== REVIVERS ======
+
+const toDate = (value) => (value ? new Date(value) : new Date());
+
+/**
+ * Restore Date fields on a persisted background context
+ */
+export function reviveBackgroundState(state) {
+  return state ? { ...state, lastModified: toDate(state.lastModified) } : state;
+}
+
+/**
+ * Restore Date fields on a persisted refinement chain
+ */
+export function reviveRefinementChain(chain) {
+  if (!chain) {
+    return chain;
+  }
+
+  return {
+    ...chain,
+    lastModified: toDate(chain.lastModified),
+    backgroundState: chain.backgroundState
+      ? { ...chain.backgroundState, setAt: toDate(chain.backgroundState.setAt) }
+      : chain.backgroundState,
+    refinementHistory: (chain.refinementHistory || []).map(entry => ({
+      ...entry,
+      timestamp: toDate(entry.timestamp)
+    }))
+  };
+}
+
+export default GenerationStore;
@@ -0,0 +1,163 @@
+/**
+ * History Commands
+ *
+ * Recognizes refine instructions that are really history commands ("undo that",
+ * "go back two steps", "redo", "revert the background change", "start over") and
+ * resolves them against the stored version lineage instead of sending them to the
+ * image provider.
+ *
+ * Undo and redo restore an earlier record as a new 'revert' version (history is never
+ * rewritten). Those records carry `history_command` and a `redo_stack` of the design ids
+ * that were undone, so "redo" after "undo" returns to where the user was.
+ */
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  once: 1, twice: 2, couple: 2, few: 3
+};
+
+const COUNT = String.raw`(\d+|a couple of|a few|${Object.keys(NUMBER_WORDS).join('|')})`;
+const STEP_NOUN = String.raw`(?:changes?|edits?|steps?|refinements?|versions?|times)`;
+const UNDO_VERB = String.raw`(?:undo|revert|go back|step back|take back|roll back|back up)`;
+
+const HISTORY_PATTERNS = [
+  // Back to the lineage root
+  { action: 'undo', steps: Infinity, pattern: /^(?:start over|undo (?:all|everything)(?: changes)?|(?:go back|revert|return|reset|roll back) to (?:the )?(?:original|first|start|beginning)(?: design| version| image)?|restore (?:the )?original(?: design| version| image)?)$/ },
+  { action: 'redo', pattern: new RegExp(String.raw`^(?:redo|re-do|go forward|step forward)(?: (?:that|it|this))?(?: (?:the )?(?:last )?${COUNT}? ?${STEP_NOUN}?)?(?: again)?$`) },
+  { action: 'undo', pattern: new RegExp(String.raw`^${UNDO_VERB}(?: (?:that|this|it))?(?: (?:the |that )?(?:last |previous )?${COUNT}? ?${STEP_NOUN}?)?(?: (?:that|it))?$`) },
+  // "revert the background change", "undo the hat edit"
+  { action: 'undo', filtered: true, pattern: new RegExp(String.raw`^${UNDO_VERB} (?:the |that |my )?(?:last )?(.+?) (?:change|edit|refinement|update)$`) }
+];
+
+function parseCount(text) {
+  if (!text) return 1;
+  const word = text.replace(/^a (?:couple of|few)$/, match => match.split(' ')[1]);
+  return /^\d+$/.test(word) ? parseInt(word, 10) : NUMBER_WORDS[word] || 1;
+}
+
+/**
+ * Parse a history command, or null when the instruction is an edit.
+ * Returns { action: 'undo' | 'redo', steps, filter, text }.
+ */
+export function parseHistoryCommand(instruction) {
+  const text = String(instruction || '')
+    .toLowerCase()
+    .replace(/[.!?]+$/, '')
+    .replace(/^(?:please|can you|could you)\s+|\s+please$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!text) return null;
+
+  for (const { action, steps, filtered, pattern } of HISTORY_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    if (filtered) {
+      const filter = match[1].replace(/^(?:the|my)\s+/, '').trim();
+      return { action, steps: 1, filter, text: instruction };
+    }
+    return { action, steps: steps ?? parseCount(match[1]), filter: null, text: instruction };
+  }
+
+  return null;
+}
+
+export const isHistoryRecord = (record) => record?.source === 'revert' && !!record.history_command;
+
+/**
+ * The version a record shows in the user's timeline. Undo/redo records stand in for the
+ * version they restored, so repeated undos keep walking back instead of toggling.
+ */
+function timelinePosition(record, findRecord) {
+  let current = record;
+  const seen = new Set();
+  while (isHistoryRecord(current) && !seen.has(current.design_id)) {
+    seen.add(current.design_id);
+    const restored = findRecord(current.reverted_to);
+    if (!restored) break;
+    current = restored;
+  }
+  return current;
+}
+
+function previousVersion(record, findRecord) {
+  const parent = record.parent_design_id ? findRecord(record.parent_design_id) : null;
+  return parent ? timelinePosition(parent, findRecord) : null;
+}
+
+function matchesFilter(record, filter) {
+  const instruction = String(record.refinement_instruction || '').toLowerCase();
+  if (filter === 'background' &&
+      (record.refinement_chain?.isBackgroundOperation || /^background_/.test(record.refinement_strategy || ''))) {
+    return true;
+  }
+  return !!instruction && filter.split(/\s+/).every(word => instruction.includes(word));
+}
+
+/**
+ * Resolve a parsed command against the record the user is looking at.
+ * Returns { success, target, redoStack, undone } or { success: false, error }.
+ * `findRecord(designId)` looks up stored design records.
+ */
+export function resolveHistoryCommand(command, record, findRecord) {
+  const redoStack = isHistoryRecord(record) ? [...(record.redo_stack || [])] : [];
+  const position = timelinePosition(record, findRecord);
+
+  if (command.action === 'redo') {
+    const undone = [];
+    let target = null;
+    for (let step = 0; step < command.steps && redoStack.length > 0; step++) {
+      target = findRecord(redoStack.pop());
+      if (target) undone.push(target.design_id);
+    }
+    if (!target) {
+      return { success: false, error: { message: "Nothing to redo" } };
+    }
+    return { success: true, target, redoStack, undone };
+  }
+
+  const undone = [];
+  let current = position;
+
+  if (command.filter) {
+    // Walk back to the most recent change matching the filter and restore the version before it
+    while (current && !matchesFilter(current, command.filter)) {
+      undone.push(current.design_id);
+      current = previousVersion(current, findRecord);
+    }
+    if (!current) {
+      return { success: false, error: { message: `No earlier "${command.filter}" change to undo` } };
+    }
+  }
+
+  for (let step = 0; step < command.steps; step++) {
+    const previous = previousVersion(current, findRecord);
+    if (!previous) break;
+    undone.push(current.design_id);
+    current = previous;
+  }
+
+  if (current === position) {
+    return { success: false, error: { message: "Nothing to undo - this is the original design" } };
+  }
+
+  // `undone` runs newest first, so the version just after the target ends up on top and
+  // each redo moves forward one version
+  return { success: true, target: current, redoStack: [...redoStack, ...undone], undone };
+}
+
+/**
+ * Short description of a resolved command for messages
+ */
+export function describeHistoryResult(command, resolution) {
+  const count = resolution.undone.length;
+  if (command.action === 'redo') {
+    return count > 1 ? `Redid ${count} changes` : 'Redid the last change';
+  }
+  if (command.filter) {
+    return count > 1
+      ? `Reverted the ${command.filter} change and ${count - 1} later change${count > 2 ? 's' : ''}`
+      : `Reverted the ${command.filter} change`;
+  }
+  return count > 1 ? `Went back ${count} steps` : 'Undid the last change';
+}
@@ -0,0 +1,239 @@
+/**
+ * Image Adjustments
+ *
+ * Detects refinement instructions that only adjust the whole image ("make it 20% brighter",
+ * "slightly more saturated", "rotate the design 15 degrees", "shrink it a bit") and applies
+ * them locally with sharp instead of regenerating through the image provider.
+ *
+ * An instruction is only treated as an adjustment when every clause is one; anything that
+ * names an object or asks for new content goes through the normal refinement planner.
+ */
+
+import sharp from 'sharp';
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// Relative amounts for instructions without a number
+const DEFAULT_AMOUNT = 0.2;
+const QUALIFIER_AMOUNTS = [
+  { pattern: /\b(?:slightly|a (?:little )?bit|a little|a touch|a tad|somewhat|subtly)\b/, amount: 0.1 },
+  { pattern: /\b(?:much|a lot|way|significantly|considerably|very|far|dramatically)\b/, amount: 0.4 }
+];
+const DEFAULT_ROTATION = 15;
+
+const ADJUSTMENT_PATTERNS = [
+  // Hue first so "rotate the hue" isn't read as a rotation
+  { kind: 'hue', pattern: /\b(?:rotate|shift|change|adjust)\s+(?:the\s+)?hues?\b|\bhue\s+(?:shift|rotat)/, sign: 1 },
+  { kind: 'brightness', pattern: /\b(?:brighter|lighter|brighten|lighten|(?:increase|raise|boost|more)\s+(?:the\s+)?brightness)\b/, sign: 1 },
+  { kind: 'brightness', pattern: /\b(?:darker|dimmer|darken|dim|(?:decrease|lower|reduce|less)\s+(?:the\s+)?brightness)\b/, sign: -1 },
+  { kind: 'saturation', pattern: /\b(?:grayscale|greyscale|monochrome)\b/, sign: -1, amount: 1 },
+  { kind: 'saturation', pattern: /\b(?:less|under)[\s-]saturated\b|\b(?:desaturate|more muted|less (?:vibrant|colou?rful)|washed out|(?:decrease|lower|reduce|less)\s+(?:the\s+)?saturation)\b/, sign: -1 },
+  { kind: 'saturation', pattern: /\b(?:more\s+saturated|saturate|more (?:vibrant|colou?rful)|(?:increase|raise|boost|more)\s+(?:the\s+)?saturation)\b/, sign: 1 },
+  { kind: 'contrast', pattern: /\b(?:less|lower|reduce|decrease)\s+(?:the\s+)?contrast\b|\bflatter\b/, sign: -1 },
+  { kind: 'contrast', pattern: /\b(?:more|higher|increase|raise|boost|punchier)\s+(?:the\s+)?contrast\b|\bcontrastier\b/, sign: 1 },
+  { kind: 'scale', pattern: /\b(?:shrink|smaller|scale\s+(?:it\s+|the \w+\s+)?down|reduce\s+(?:the\s+)?size)\b/, sign: -1 },
+  { kind: 'scale', pattern: /\b(?:enlarge|bigger|larger|grow|scale\s+(?:it\s+|the \w+\s+)?up|increase\s+(?:the\s+)?size)\b/, sign: 1 },
+  { kind: 'scale', pattern: /\b(?:scale|resize)\b.*\bto\s+\d+(?:\.\d+)?\s*(?:%|percent)/, sign: 0 },
+  { kind: 'rotate', pattern: /\b(?:rotate|turn|tilt|spin)\b/, sign: 1 },
+  { kind: 'flip', pattern: /\b(?:flip|mirror)\b|\bupside down\b/, sign: 0 }
+];
+
+// Words allowed around an adjustment: verbs, whole-design subjects, amounts and directions.
+// Any other word ("make the skull brighter") means the clause is an object edit.
+const FILLER_WORDS = new Set([
+  'make', 'it', 'this', 'everything', 'the', 'whole', 'entire', 'design', 'image', 'picture', 'graphic',
+  'artwork', 'print', 'thing', 'a', 'an', 'bit', 'little', 'touch', 'tad', 'slightly', 'somewhat', 'subtly',
+  'much', 'lot', 'way', 'significantly', 'considerably', 'very', 'far', 'dramatically', 'more', 'less',
+  'by', 'to', 'about', 'around', 'percent', 'degrees', 'degree', 'deg', 'clockwise', 'counterclockwise',
+  'anticlockwise', 'counter', 'left', 'right', 'horizontally', 'vertically', 'horizontal', 'vertical',
+  'please', 'can', 'you', 'just', 'overall', 'colors', 'colours', 'color', 'colour', 'and', 'then', 'also',
+  'of', 'up', 'down', 'size', 'turn', 'be', 'look', 'over', 'so', 'its', 'is', 'sideways', 'upside'
+]);
+
+const roundFactor = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Percentage in a clause ("20%", "20 percent") as a fraction, or null
+ */
+function parsePercent(text) {
+  const match = text.match(/(\d+(?:\.\d+)?)\s*(?:%|percent\b)/);
+  return match ? parseFloat(match[1]) / 100 : null;
+}
+
+/**
+ * Angle in a clause ("15 degrees", "15°", "by 90"), or null
+ */
+function parseDegrees(text) {
+  const match = text.match(/(-?\d+(?:\.\d+)?)\s*(?:°|degrees?\b|deg\b)/) || text.match(/\bby\s+(-?\d+(?:\.\d+)?)\b(?!\s*(?:%|percent))/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+function qualifierAmount(text) {
+  const qualifier = QUALIFIER_AMOUNTS.find(({ pattern }) => pattern.test(text));
+  return qualifier ? qualifier.amount : DEFAULT_AMOUNT;
+}
+
+/**
+ * Whether everything in a clause besides the matched adjustment phrase is filler
+ */
+function isOnlyAdjustment(text, match) {
+  const rest = `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+  return rest
+    .replace(/-?\d+(?:\.\d+)?\s*(?:%|°)?/g, ' ')
+    .split(/[^a-z]+/)
+    .filter(Boolean)
+    .every(word => FILLER_WORDS.has(word));
+}
+
+/**
+ * Parse a single clause into an adjustment, or null if it isn't one
+ */
+function parseAdjustmentClause(clause) {
+  const text = clause.toLowerCase().trim();
+  for (const { kind, pattern, sign, amount } of ADJUSTMENT_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match || !isOnlyAdjustment(text, match)) continue;
+
+    const adjustment = { kind, text: clause.trim() };
+
+    if (kind === 'hue') {
+      adjustment.degrees = parseDegrees(text) ?? 30;
+    } else if (kind === 'rotate') {
+      const degrees = parseDegrees(text) ?? (qualifierAmount(text) === 0.1 ? 5 : DEFAULT_ROTATION);
+      const counterClockwise = /\b(?:counter[\s-]?clockwise|anti[\s-]?clockwise|to the left|left)\b/.test(text);
+      adjustment.degrees = counterClockwise ? -Math.abs(degrees) : degrees;
+    } else if (kind === 'flip') {
+      adjustment.axis = /\b(?:vertical(?:ly)?|upside down)\b/.test(text) ? 'vertical' : 'horizontal';
+    } else if (sign === 0) {
+      // "scale it to 80%"
+      adjustment.factor = roundFactor(parsePercent(text));
+    } else {
+      const fraction = amount ?? parsePercent(text) ?? qualifierAmount(text);
+      adjustment.factor = roundFactor(Math.max(sign > 0 ? 1 + fraction : 1 - fraction, 0));
+    }
+
+    return adjustment;
+  }
+
+  return null;
+}
+
+/**
+ * Parse an instruction made only of whole-image adjustments.
+ * Returns [{ kind, text, factor | degrees | axis }], or null when any clause isn't one.
+ */
+export function parseAdjustmentInstruction(instruction) {
+  const clauses = String(instruction || '')
+    // Keep "black and white" from being split as two clauses
+    .replace(/\bblack\s+and\s+white\b/gi, 'monochrome')
+    .split(/\s*(?:,|;|\band then\b|\bthen\b|\band\b|\balso\b)\s*/i)
+    .filter(clause => clause.trim().length > 0);
+  if (clauses.length === 0) return null;
+
+  const adjustments = [];
+  for (const clause of clauses) {
+    const adjustment = parseAdjustmentClause(clause);
+    if (!adjustment) return null;
+    adjustments.push(adjustment);
+  }
+  return adjustments;
+}
+
+/**
+ * Readable summary of an adjustment for logs and previews
+ */
+export function describeAdjustment(adjustment) {
+  const percent = (factor) => `${factor >= 1 ? '+' : '-'}${Math.round(Math.abs(factor - 1) * 100)}%`;
+
+  switch (adjustment.kind) {
+    case 'rotate':
+      return `rotate ${Math.abs(adjustment.degrees)}° ${adjustment.degrees < 0 ? 'counterclockwise' : 'clockwise'}`;
+    case 'hue':
+      return `hue ${adjustment.degrees}°`;
+    case 'flip':
+      return `flip ${adjustment.axis}ly`;
+    case 'scale':
+      return `scale to ${Math.round(adjustment.factor * 100)}%`;
+    default:
+      return `${adjustment.kind} ${percent(adjustment.factor)}`;
+  }
+}
+
+/**
+ * Apply one adjustment to a PNG buffer, keeping the canvas size (right-angle rotations swap it)
+ */
+async function applyAdjustment(buffer, adjustment) {
+  const image = sharp(buffer).ensureAlpha();
+  const { width, height } = await sharp(buffer).metadata();
+
+  switch (adjustment.kind) {
+    case 'brightness':
+      return image.modulate({ brightness: adjustment.factor }).png().toBuffer();
+    case 'saturation':
+      return image.modulate({ saturation: adjustment.factor }).png().toBuffer();
+    case 'hue':
+      return image.modulate({ hue: Math.round(adjustment.degrees) }).png().toBuffer();
+    case 'contrast':
+      // Stretch around mid-grey; alpha is left alone
+      return image.linear(adjustment.factor, 128 * (1 - adjustment.factor)).png().toBuffer();
+    case 'flip':
+      return (adjustment.axis === 'vertical' ? image.flip() : image.flop()).png().toBuffer();
+
+    case 'rotate': {
+      const rotated = await image.rotate(adjustment.degrees, { background: TRANSPARENT }).png().toBuffer();
+      if (adjustment.degrees % 90 === 0) return rotated;
+
+      // Rotation grows the canvas; crop back around the centre so the design keeps its size
+      const info = await sharp(rotated).metadata();
+      return sharp(rotated)
+        .extract({
+          left: Math.floor((info.width - width) / 2),
+          top: Math.floor((info.height - height) / 2),
+          width,
+          height
+        })
+        .png()
+        .toBuffer();
+    }
+
+    case 'scale': {
+      const scaledWidth = Math.max(1, Math.round(width * adjustment.factor));
+      const scaledHeight = Math.max(1, Math.round(height * adjustment.factor));
+      const scaled = await image.resize(scaledWidth, scaledHeight, { fit: 'fill' }).png().toBuffer();
+
+      if (adjustment.factor <= 1) {
+        // Centre the smaller design on a transparent canvas of the original size
+        const left = Math.floor((width - scaledWidth) / 2);
+        const top = Math.floor((height - scaledHeight) / 2);
+        return sharp(scaled)
+          .extend({ left, top, right: width - scaledWidth - left, bottom: height - scaledHeight - top, background: TRANSPARENT })
+          .png()
+          .toBuffer();
+      }
+
+      return sharp(scaled)
+        .extract({
+          left: Math.floor((scaledWidth - width) / 2),
+          top: Math.floor((scaledHeight - height) / 2),
+          width,
+          height
+        })
+        .png()
+        .toBuffer();
+    }
+
+    default:
+      throw new Error(`Unknown image adjustment: ${adjustment.kind}`);
+  }
+}
+
+/**
+ * Apply adjustments in order to an image buffer; returns a PNG buffer
+ */
+export async function applyImageAdjustments(buffer, adjustments) {
+  let result = buffer;
+  for (const adjustment of adjustments) {
+    result = await applyAdjustment(result, adjustment);
+  }
+  return result;
+}
@@ -0,0 +1,202 @@
+/**
+ * Image Drift
+ *
+ * Compares a design before and after a refinement outside the area the edit was meant to
+ * touch, so a "small" edit that regenerated the whole composition can be caught. Both images
+ * are reduced to a square grid of alpha-premultiplied luma plus alpha (transparent pixels
+ * compare equal whatever their colour), then compared with:
+ *
+ * - SSIM over 8x8 blocks, averaged over the luma and alpha planes
+ * - a 64-bit difference hash (dHash) distance, 0 (same) to 1
+ *
+ * Pixels inside the edit area are left out of both measures.
+ */
+
+import sharp from 'sharp';
+import { loadImageBuffer } from './image-providers.js';
+
+const GRID = 128;
+const BLOCK = 8;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// When a refinement counts as over-changed; read on use so backend/.env values apply
+export const getDriftThresholds = () => ({
+  minSimilarity: parseFloat(process.env.DRIFT_MIN_SIMILARITY) || 0.5,
+  maxHashDistance: parseFloat(process.env.DRIFT_MAX_HASH_DISTANCE) || 0.35
+});
+
+async function toPlanes(image) {
+  const { data } = await sharp(await loadImageBuffer(image))
+    .ensureAlpha()
+    .resize(GRID, GRID, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const luma = new Float64Array(GRID * GRID);
+  const alpha = new Float64Array(GRID * GRID);
+  for (let p = 0; p < luma.length; p++) {
+    const a = data[p * 4 + 3];
+    luma[p] = (0.299 * data[p * 4] + 0.587 * data[p * 4 + 1] + 0.114 * data[p * 4 + 2]) * a / 255;
+    alpha[p] = a;
+  }
+  return { luma, alpha };
+}
+
+/**
+ * 1 for pixels to compare, 0 inside the edit area. `mask` is a white-on-black edit mask
+ * (widened a little so the feathered edge of a re-composited edit isn't compared),
+ * `boxes` are fractional { x, y, width, height } edit regions.
+ */
+async function comparisonWeights({ mask = null, boxes = [] } = {}) {
+  const weights = new Uint8Array(GRID * GRID).fill(1);
+
+  if (mask) {
+    const maskData = await sharp(await loadImageBuffer(mask))
+      .greyscale()
+      .resize(GRID, GRID, { fit: 'fill' })
+      .blur(1)
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+    for (let p = 0; p < weights.length; p++) {
+      if (maskData[p] > 0) weights[p] = 0;
+    }
+  }
+
+  for (const box of boxes) {
+    const left = Math.floor(box.x * GRID);
+    const top = Math.floor(box.y * GRID);
+    const right = Math.min(GRID, Math.ceil((box.x + box.width) * GRID));
+    const bottom = Math.min(GRID, Math.ceil((box.y + box.height) * GRID));
+    for (let y = Math.max(0, top); y < bottom; y++) {
+      for (let x = Math.max(0, left); x < right; x++) {
+        weights[y * GRID + x] = 0;
+      }
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Mean SSIM of two planes over blocks that are at least half outside the edit area and
+ * not transparent in both images (empty canvas would otherwise dominate the mean)
+ */
+function blockSsim(a, b, weights, opaque) {
+  let total = 0;
+  let blocks = 0;
+
+  for (let by = 0; by < GRID; by += BLOCK) {
+    for (let bx = 0; bx < GRID; bx += BLOCK) {
+      let n = 0, sumA = 0, sumB = 0, hasContent = false;
+      for (let y = by; y < by + BLOCK; y++) {
+        for (let x = bx; x < bx + BLOCK; x++) {
+          const p = y * GRID + x;
+          if (!weights[p]) continue;
+          n++;
+          sumA += a[p];
+          sumB += b[p];
+          hasContent = hasContent || opaque[p];
+        }
+      }
+      if (n < (BLOCK * BLOCK) / 2 || !hasContent) continue;
+
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      let varA = 0, varB = 0, cov = 0;
+      for (let y = by; y < by + BLOCK; y++) {
+        for (let x = bx; x < bx + BLOCK; x++) {
+          const p = y * GRID + x;
+          if (!weights[p]) continue;
+          varA += (a[p] - meanA) ** 2;
+          varB += (b[p] - meanB) ** 2;
+          cov += (a[p] - meanA) * (b[p] - meanB);
+        }
+      }
+      varA /= n;
+      varB /= n;
+      cov /= n;
+
+      total += ((2 * meanA * meanB + C1) * (2 * cov + C2)) / ((meanA ** 2 + meanB ** 2 + C1) * (varA + varB + C2));
+      blocks++;
+    }
+  }
+
+  return blocks > 0 ? total / blocks : null;
+}
+
+/**
+ * dHash bits of a plane: 9x8 cell means (edit area excluded), each compared to its right neighbour
+ */
+function differenceHash(plane, weights) {
+  const cols = 9;
+  const rows = 8;
+  const means = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      let sum = 0, n = 0;
+      for (let y = Math.floor(row * GRID / rows); y < Math.floor((row + 1) * GRID / rows); y++) {
+        for (let x = Math.floor(col * GRID / cols); x < Math.floor((col + 1) * GRID / cols); x++) {
+          const p = y * GRID + x;
+          if (!weights[p]) continue;
+          sum += plane[p];
+          n++;
+        }
+      }
+      means.push(n > 0 ? sum / n : null);
+    }
+  }
+
+  const bits = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols - 1; col++) {
+      const left = means[row * cols + col];
+      const right = means[row * cols + col + 1];
+      // Cells fully inside the edit area don't vote
+      bits.push(left === null || right === null ? null : left > right);
+    }
+  }
+  return bits;
+}
+
+function hashDistance(a, b) {
+  let compared = 0, differing = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === null || b[i] === null) continue;
+    compared++;
+    if (a[i] !== b[i]) differing++;
+  }
+  return compared > 0 ? differing / compared : 0;
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Similarity of two images outside the edit area:
+ * { similarity, hashDistance, comparedFraction, overChanged, thresholds }.
+ * `editArea` is { mask, boxes } (see comparisonWeights); similarity is null when nothing
+ * outside the edit area has content.
+ */
+export async function measureDrift(before, after, editArea = {}, thresholds = getDriftThresholds()) {
+  const [planesBefore, planesAfter, weights] = await Promise.all([
+    toPlanes(before),
+    toPlanes(after),
+    comparisonWeights(editArea)
+  ]);
+
+  const opaque = planesBefore.alpha.map((alpha, p) => (alpha > 0 || planesAfter.alpha[p] > 0 ? 1 : 0));
+  const lumaSsim = blockSsim(planesBefore.luma, planesAfter.luma, weights, opaque);
+  const alphaSsim = blockSsim(planesBefore.alpha, planesAfter.alpha, weights, opaque);
+  const similarity = lumaSsim === null ? null : (lumaSsim + alphaSsim) / 2;
+  const distance = hashDistance(differenceHash(planesBefore.luma, weights), differenceHash(planesAfter.luma, weights));
+  const comparedFraction = weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+
+  return {
+    similarity: similarity === null ? null : round(similarity),
+    hashDistance: round(distance),
+    comparedFraction: round(comparedFraction),
+    overChanged: similarity !== null && (similarity < thresholds.minSimilarity || distance > thresholds.maxHashDistance),
+    thresholds
+  };
+}
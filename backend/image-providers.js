@@ -0,0 +1,693 @@
+/**
+ * Image Provider Layer
+ *
+ * Every image operation the backend performs goes through a provider with the same
+ * async request/status contract as the Bria API: submitting an operation returns a
+ * `request_id`, and `status(requestId)` resolves to `{ status, result, error }`.
+ * Operations take an optional `{ signal }` second argument; BriaImageProvider aborts its
+ * HTTP request with it (local operations are in-process and ignore it).
+ *
+ * - BriaImageProvider talks to the hosted Bria v1/v2 endpoints.
+ * - LocalImageProvider renders deterministic placeholder images with sharp so the
+ *   generation, refinement and upload pipelines can be developed and demoed offline.
+ */
+
+import axios from 'axios';
+import sharp from 'sharp';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MAX_SEED } from './generation-options.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Operation names used by briaRequest, mapped to provider method names
+ */
+export const PROVIDER_OPERATIONS = {
+  generate: 'generate',
+  status: 'status',
+  register: 'register',
+  remove_background: 'removeBackground',
+  replace_background: 'replaceBackground',
+  gen_fill: 'genFill',
+  erase: 'erase',
+  enhance: 'enhance',
+  increase_resolution: 'increaseResolution',
+  mask_generator: 'maskGenerator',
+  text_to_vector: 'textToVector'
+};
+
+/**
+ * Operations that can be resent safely when a request got no response; every other
+ * operation starts (billed) work on the provider
+ */
+export const IDEMPOTENT_OPERATIONS = new Set(['status']);
+
+// ====== IMAGE INPUT HELPERS ======
+
+/**
+ * Load an image reference into a Buffer.
+ * Accepts Buffers, data URLs, raw base64 strings, http(s) URLs and /designs/ URLs
+ * served by this backend (read straight from disk when the file exists).
+ */
+export async function loadImageBuffer(source) {
+  if (Buffer.isBuffer(source)) {
+    return source;
+  }
+
+  if (typeof source !== 'string' || source.length === 0) {
+    throw new Error('Image source must be a URL, data URL or base64 string');
+  }
+
+  if (source.startsWith('data:')) {
+    const commaIndex = source.indexOf(',');
+    if (commaIndex === -1) {
+      throw new Error('Malformed data URL');
+    }
+    const header = source.slice(0, commaIndex);
+    const payload = source.slice(commaIndex + 1);
+    return header.endsWith(';base64')
+      ? Buffer.from(payload, 'base64')
+      : Buffer.from(decodeURIComponent(payload), 'utf8');
+  }
+
+  if (/^https?:\/\//i.test(source)) {
+    const { pathname } = new URL(source);
+    if (pathname.startsWith('/designs/')) {
+      const localPath = path.join(__dirname, 'designs', path.basename(pathname));
+      if (fs.existsSync(localPath)) {
+        return fs.readFileSync(localPath);
+      }
+    }
+
+    const response = await axios.get(source, {
+      responseType: 'arraybuffer',
+      timeout: 60000
+    });
+    return Buffer.from(response.data);
+  }
+
+  return Buffer.from(source, 'base64');
+}
+
+/**
+ * Encode a Buffer as a data URL
+ */
+export function toDataUrl(buffer, mimeType = 'image/png') {
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+// ====== BRIA PROVIDER ======
+
+/**
+ * Hosted Bria API provider
+ */
+export class BriaImageProvider {
+  constructor({
+    apiToken,
+    baseUrl = 'https://engine.prod.bria-api.com/v2',
+    editBaseUrl = 'https://engine.prod.bria-api.com/v2/image/edit',
+    legacyBaseUrl = 'https://engine.prod.bria-api.com/v1'
+  } = {}) {
+    if (!apiToken) {
+      throw new Error('BriaImageProvider requires an API token');
+    }
+
+    this.apiToken = apiToken;
+    this.baseUrl = baseUrl;
+    this.editBaseUrl = editBaseUrl;
+    this.legacyBaseUrl = legacyBaseUrl;
+  }
+
+  get name() {
+    return 'bria';
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      generation_api: this.baseUrl,
+      edit_api: this.editBaseUrl,
+      legacy_api: this.legacyBaseUrl
+    };
+  }
+
+  /**
+   * Send an authenticated request; axios errors (including the cancellation of an aborted
+   * `signal`) propagate to the caller
+   */
+  async send(url, data, method = 'POST', { signal } = {}) {
+    const config = {
+      method,
+      url,
+      signal,
+      headers: {
+        'api_token': this.apiToken,
+        'Content-Type': 'application/json'
+      }
+    };
+
+    if (method === 'POST' && data) {
+      config.data = data;
+    }
+
+    const response = await axios(config);
+    return response.data;
+  }
+
+  generate(data, options) {
+    return this.send(`${this.baseUrl}/image/generate`, data, 'POST', options);
+  }
+
+  status(requestId, options) {
+    return this.send(`${this.baseUrl}/status/${requestId}`, null, 'GET', options);
+  }
+
+  register(data, options) {
+    return this.send(`${this.legacyBaseUrl}/register`, data, 'POST', options);
+  }
+
+  removeBackground(data, options) {
+    return this.send(`${this.editBaseUrl}/remove_background`, data, 'POST', options);
+  }
+
+  replaceBackground(data, options) {
+    return this.send(`${this.editBaseUrl}/replace_background`, data, 'POST', options);
+  }
+
+  genFill(data, options) {
+    return this.send(`${this.editBaseUrl}/gen_fill`, data, 'POST', options);
+  }
+
+  erase(data, options) {
+    return this.send(`${this.editBaseUrl}/erase`, data, 'POST', options);
+  }
+
+  enhance(data, options) {
+    return this.send(`${this.editBaseUrl}/enhance`, data, 'POST', options);
+  }
+
+  increaseResolution(data, options) {
+    return this.send(`${this.editBaseUrl}/increase_resolution`, data, 'POST', options);
+  }
+
+  maskGenerator(data, options) {
+    return this.send(`${this.legacyBaseUrl}/objects/mask_generator`, data, 'POST', options);
+  }
+
+  textToVector(data, options) {
+    return this.send(`${this.legacyBaseUrl}/text-to-vector/base`, data, 'POST', options);
+  }
+}
+
+// ====== LOCAL PROVIDER ======
+
+const NAMED_COLORS = {
+  red: '#d62828', blue: '#1d4ed8', green: '#2a9d4b', yellow: '#f4c20d',
+  orange: '#f77f00', purple: '#7b2cbf', pink: '#ff5fa2', black: '#111111',
+  white: '#f5f5f5', gray: '#8d99ae', grey: '#8d99ae', brown: '#7f4f24',
+  gold: '#d4a017', silver: '#c0c0c0', teal: '#14b8a6', navy: '#1e3a8a',
+  cyan: '#22d3ee', magenta: '#d946ef', beige: '#e9dcc0', maroon: '#800000'
+};
+
+const LOCATION_ANCHORS = {
+  center: [0.5, 0.5],
+  top: [0.5, 0.22],
+  bottom: [0.5, 0.78],
+  left: [0.22, 0.5],
+  right: [0.78, 0.5],
+  'top-left': [0.25, 0.25],
+  'top-right': [0.75, 0.25],
+  'bottom-left': [0.25, 0.75],
+  'bottom-right': [0.75, 0.75]
+};
+
+/**
+ * Deterministic 32-bit seed from any string
+ */
+function hashSeed(value) {
+  return crypto.createHash('sha1').update(String(value)).digest().readUInt32BE(0);
+}
+
+/**
+ * mulberry32 PRNG so identical seeds always render identical images
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hslToHex(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Pick a color from text: a named color if one is mentioned, otherwise a hashed hue
+ */
+function colorFromText(text, fallbackSeed = 0) {
+  const lower = String(text || '').toLowerCase();
+  for (const [name, hex] of Object.entries(NAMED_COLORS)) {
+    if (new RegExp(`\\b${name}\\b`).test(lower)) {
+      return hex;
+    }
+  }
+  const random = createRandom(hashSeed(lower) ^ fallbackSeed);
+  return hslToHex(Math.floor(random() * 360), 0.65, 0.5);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function locationAnchor(location) {
+  const lower = String(location || 'center').toLowerCase();
+  const vertical = lower.includes('top') || lower.includes('upper') ? 'top'
+    : lower.includes('bottom') || lower.includes('lower') ? 'bottom' : null;
+  const horizontal = lower.includes('left') ? 'left' : lower.includes('right') ? 'right' : null;
+  const key = vertical && horizontal ? `${vertical}-${horizontal}` : vertical || horizontal || 'center';
+  return LOCATION_ANCHORS[key];
+}
+
+function parseStructuredPrompt(structuredPrompt) {
+  if (!structuredPrompt) return null;
+  if (typeof structuredPrompt === 'object') return structuredPrompt;
+  try {
+    return JSON.parse(structuredPrompt);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Offline provider that renders deterministic placeholder images.
+ * Jobs complete in-process. Results are written to `outputDir` and returned as
+ * `publicUrl(filename)` when both are configured, otherwise as data URLs.
+ */
+export class LocalImageProvider {
+  constructor({ width = 1024, height = 1024, maxJobs = 200, outputDir = null, publicUrl = null } = {}) {
+    this.width = width;
+    this.height = height;
+    this.maxJobs = maxJobs;
+    this.outputDir = outputDir;
+    this.publicUrl = publicUrl;
+    this.jobs = new Map();
+    this.visuals = new Map();
+    this.counter = 0;
+  }
+
+  get name() {
+    return 'local';
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      generation_api: 'local placeholder renderer',
+      edit_api: 'local placeholder renderer',
+      legacy_api: 'local placeholder renderer'
+    };
+  }
+
+  /**
+   * Queue a job and return a Bria-style submission response
+   */
+  submit(kind, work) {
+    this.counter++;
+    const requestId = `local_${kind}_${Date.now()}_${this.counter}`;
+    const job = { status: 'IN_PROGRESS', result: null, error: null };
+
+    job.promise = Promise.resolve()
+      .then(work)
+      .then(
+        (result) => {
+          job.status = 'COMPLETED';
+          job.result = result;
+        },
+        (error) => {
+          job.status = 'ERROR';
+          job.error = { message: error.message };
+        }
+      );
+
+    this.jobs.set(requestId, job);
+    if (this.jobs.size > this.maxJobs) {
+      this.jobs.delete(this.jobs.keys().next().value);
+    }
+
+    return { request_id: requestId, status_url: `local://status/${requestId}` };
+  }
+
+  /**
+   * Resolve a job status; waits for the in-process job so polling never spins
+   */
+  async status(requestId) {
+    const job = this.jobs.get(requestId);
+    if (!job) {
+      throw new Error(`Unknown local request: ${requestId}`);
+    }
+
+    await job.promise;
+    return { status: job.status, result: job.result, error: job.error };
+  }
+
+  generate(data = {}) {
+    return this.submit('generate', async () => {
+      const inputPrompt = parseStructuredPrompt(data.structured_prompt);
+      // Seeds it picks stay in the range generation routes accept, so they can be sent back
+      const seed = Number.isFinite(Number(data.seed))
+        ? Number(data.seed)
+        : hashSeed(data.prompt || data.structured_prompt || 'local') % (MAX_SEED + 1);
+      const structuredPrompt = inputPrompt || this.buildStructuredPrompt(data.prompt || '', seed);
+
+      const png = await this.renderScene(structuredPrompt, seed);
+      return {
+        image_url: await this.output(png),
+        seed,
+        structured_prompt: JSON.stringify(structuredPrompt)
+      };
+    });
+  }
+
+  register(data = {}) {
+    const visualId = `local_visual_${hashSeed(String(data.image_url || data.image || '').slice(0, 4096))}`;
+    this.visuals.set(visualId, data.image_url || data.image);
+    return Promise.resolve({ visual_id: visualId });
+  }
+
+  removeBackground(data = {}) {
+    return this.submit('remove_background', async () => {
+      const { pixels, info } = await this.readPixels(data.image || data.image_url);
+      const [keyR, keyG, keyB] = [pixels[0], pixels[1], pixels[2]];
+
+      for (let i = 0; i < pixels.length; i += 4) {
+        const distance = Math.abs(pixels[i] - keyR) + Math.abs(pixels[i + 1] - keyG) + Math.abs(pixels[i + 2] - keyB);
+        if (distance < 36) {
+          pixels[i + 3] = 0;
+        }
+      }
+
+      return { image_url: await this.output(await this.writePixels(pixels, info)) };
+    });
+  }
+
+  replaceBackground(data = {}) {
+    return this.submit('replace_background', async () => {
+      const foreground = await loadImageBuffer(data.image || data.image_url);
+      const { width, height } = await sharp(foreground).metadata();
+      const backdrop = await this.renderBackdrop(data.prompt || data.bg_prompt || 'background', width, height);
+
+      const png = await sharp(backdrop)
+        .composite([{ input: await sharp(foreground).ensureAlpha().png().toBuffer() }])
+        .png()
+        .toBuffer();
+      return { image_url: await this.output(png) };
+    });
+  }
+
+  genFill(data = {}) {
+    return this.submit('gen_fill', async () => {
+      const { pixels, info } = await this.readPixels(data.image || data.image_url);
+      const mask = await this.readMask(data.mask, info.width, info.height);
+      const [fillR, fillG, fillB] = hexToRgb(colorFromText(data.prompt, hashSeed('gen_fill')));
+
+      for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+        if (mask[p] > 127) {
+          // Stripe the filled region so edits are visible even on same-colored designs
+          const stripe = ((p % info.width) + Math.floor(p / info.width)) % 24 < 12 ? 1 : 0.85;
+          pixels[i] = Math.round(fillR * stripe);
+          pixels[i + 1] = Math.round(fillG * stripe);
+          pixels[i + 2] = Math.round(fillB * stripe);
+          pixels[i + 3] = 255;
+        }
+      }
+
+      return { image_url: await this.output(await this.writePixels(pixels, info)) };
+    });
+  }
+
+  erase(data = {}) {
+    return this.submit('erase', async () => {
+      const { pixels, info } = await this.readPixels(data.image || data.image_url);
+      const mask = await this.readMask(data.mask, info.width, info.height);
+
+      for (let p = 0; p < mask.length; p++) {
+        if (mask[p] > 127) {
+          pixels[p * 4 + 3] = 0;
+        }
+      }
+
+      return { image_url: await this.output(await this.writePixels(pixels, info)) };
+    });
+  }
+
+  enhance(data = {}) {
+    return this.submit('enhance', async () => {
+      const png = await sharp(await loadImageBuffer(data.image || data.image_url))
+        .modulate({ saturation: 1.08 })
+        .sharpen()
+        .png()
+        .toBuffer();
+      return { image_url: await this.output(png) };
+    });
+  }
+
+  increaseResolution(data = {}) {
+    return this.submit('increase_resolution', async () => {
+      const input = await loadImageBuffer(data.image || data.image_url);
+      const { width, height } = await sharp(input).metadata();
+      const scale = Math.min(Number(data.desired_increase) || 2, 4096 / Math.max(width, height));
+
+      const png = await sharp(input)
+        .resize(Math.round(width * Math.max(scale, 1)), Math.round(height * Math.max(scale, 1)), { kernel: 'lanczos3' })
+        .png()
+        .toBuffer();
+      return { image_url: await this.output(png) };
+    });
+  }
+
+  /**
+   * With an object name the mask covers the design's subject pixels; without one it
+   * covers residual semi-transparent fringe left behind by background removal.
+   */
+  maskGenerator(data = {}) {
+    return this.submit('mask_generator', async () => {
+      const source = data.visual_id ? this.visuals.get(data.visual_id) : (data.image_file || data.image_url || data.image);
+      if (!source) {
+        throw new Error(`No image registered for ${data.visual_id || 'mask request'}`);
+      }
+
+      const { pixels, info } = await this.readPixels(source);
+      const mask = Buffer.alloc(info.width * info.height);
+      const hasTransparency = pixels.some((value, index) => index % 4 === 3 && value < 255);
+      const [keyR, keyG, keyB] = [pixels[0], pixels[1], pixels[2]];
+
+      for (let p = 0, i = 0; p < mask.length; p++, i += 4) {
+        const alpha = pixels[i + 3];
+        if (data.object_name) {
+          const isSubject = hasTransparency
+            ? alpha > 16
+            : Math.abs(pixels[i] - keyR) + Math.abs(pixels[i + 1] - keyG) + Math.abs(pixels[i + 2] - keyB) >= 36;
+          mask[p] = isSubject ? 255 : 0;
+        } else {
+          mask[p] = alpha > 0 && alpha < 64 ? 255 : 0;
+        }
+      }
+
+      const png = await sharp(mask, { raw: { width: info.width, height: info.height, channels: 1 } }).png().toBuffer();
+      const maskUrl = await this.output(png);
+      return {
+        image_url: maskUrl,
+        mask_url: maskUrl,
+        objects: data.object_name ? [{ name: data.object_name }] : []
+      };
+    });
+  }
+
+  textToVector(data = {}) {
+    return this.submit('text_to_vector', async () => {
+      const source = data.image_prompt_file || data.image_url;
+      const input = source
+        ? await loadImageBuffer(source)
+        : await this.renderScene(this.buildStructuredPrompt(data.prompt || '', hashSeed(data.prompt || '')), hashSeed(data.prompt || ''));
+
+      const grid = 64;
+      const { data: pixels } = await sharp(input)
+        .resize(grid, grid, { fit: 'fill' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const cell = this.width / grid;
+      const rects = [];
+      for (let y = 0; y < grid; y++) {
+        let runStart = 0;
+        for (let x = 1; x <= grid; x++) {
+          const prev = (y * grid + x - 1) * 4;
+          const curr = (y * grid + x) * 4;
+          const colorOf = (i) => pixels[i + 3] < 128 ? null : `#${[0, 1, 2].map(c => (pixels[i + c] & 0xf0).toString(16).padStart(2, '0')).join('')}`;
+          if (x === grid || colorOf(curr) !== colorOf(prev)) {
+            const fill = colorOf(prev);
+            if (fill) {
+              rects.push(`<rect x="${runStart * cell}" y="${y * cell}" width="${(x - runStart) * cell}" height="${cell}" fill="${fill}"/>`);
+            }
+            runStart = x;
+          }
+        }
+      }
+
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">${rects.join('')}</svg>`;
+      return { image_url: await this.output(Buffer.from(svg), 'svg') };
+    });
+  }
+
+  /**
+   * Persist a rendered result and return the URL handed back to callers
+   */
+  async output(buffer, extension = 'png') {
+    if (!this.outputDir || !this.publicUrl) {
+      return toDataUrl(buffer, extension === 'svg' ? 'image/svg+xml' : 'image/png');
+    }
+
+    const filename = `provider_${Date.now()}_${++this.counter}.${extension}`;
+    await fs.promises.writeFile(path.join(this.outputDir, filename), buffer);
+    return this.publicUrl(filename);
+  }
+
+  // ====== RENDERING HELPERS ======
+
+  buildStructuredPrompt(prompt, seed) {
+    const subject = String(prompt).split(',')[0].trim() || 'abstract emblem';
+    const color = colorFromText(prompt, seed);
+    return {
+      short_description: prompt || subject,
+      objects: [{
+        description: subject,
+        location: 'center',
+        relationship: 'main subject of the design',
+        relative_size: 'large within frame',
+        shape_and_color: `bold shape in ${color}`,
+        texture: 'flat vector shading',
+        appearance_details: 'Local placeholder render',
+        number_of_objects: 1,
+        orientation: 'upright'
+      }],
+      background_setting: 'plain studio backdrop',
+      lighting: { conditions: 'soft studio lighting', direction: 'front', shadows: 'minimal' },
+      aesthetics: { composition: 'centered', color_scheme: 'high contrast', mood_atmosphere: 'clean' },
+      style_medium: 'digital illustration',
+      context: 't-shirt print design'
+    };
+  }
+
+  async renderScene(structuredPrompt, seed) {
+    const random = createRandom(seed);
+    const { width, height } = this;
+    const backgroundText = structuredPrompt.background_setting || structuredPrompt.background || 'plain backdrop';
+    const background = /transparent|plain|studio|white/i.test(backgroundText) ? '#fafafa' : colorFromText(backgroundText, seed);
+    const objects = Array.isArray(structuredPrompt.objects) && structuredPrompt.objects.length > 0
+      ? structuredPrompt.objects
+      : [{ description: structuredPrompt.short_description || 'design', location: 'center' }];
+
+    const shapes = objects.map((object, index) => {
+      const [ax, ay] = locationAnchor(object.location);
+      const cx = ax * width;
+      const cy = ay * height;
+      const large = /large|dominant/i.test(object.relative_size || '') || index === 0;
+      const radius = (large ? 0.26 : 0.12) * width * (0.85 + random() * 0.3);
+      const fill = colorFromText(`${object.shape_and_color || ''} ${object.description || ''}`, seed + index);
+      const label = escapeXml(String(object.description || '').slice(0, 32));
+      const sides = 3 + Math.floor(random() * 5);
+
+      const points = Array.from({ length: sides }, (_, i) => {
+        const angle = (Math.PI * 2 * i) / sides - Math.PI / 2;
+        return `${(cx + Math.cos(angle) * radius).toFixed(1)},${(cy + Math.sin(angle) * radius).toFixed(1)}`;
+      }).join(' ');
+
+      return `<polygon points="${points}" fill="${fill}" stroke="#222222" stroke-width="6"/>` +
+        `<text x="${cx}" y="${cy + radius + 36}" font-family="sans-serif" font-size="28" text-anchor="middle" fill="#222222">${label}</text>`;
+    }).join('');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<rect width="100%" height="100%" fill="${background}"/>${shapes}</svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+  }
+
+  async renderBackdrop(prompt, width, height) {
+    const top = colorFromText(prompt, 1);
+    const bottom = colorFromText(`${prompt} horizon`, 2);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+      `<defs><linearGradient id="g" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="${top}"/><stop offset="1" stop-color="${bottom}"/></linearGradient></defs>` +
+      `<rect width="100%" height="100%" fill="url(#g)"/></svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+  }
+
+  async readPixels(source) {
+    const { data, info } = await sharp(await loadImageBuffer(source))
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    return { pixels: data, info };
+  }
+
+  async writePixels(pixels, info) {
+    return sharp(pixels, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+  }
+
+  /**
+   * Load a mask as a single-channel buffer sized to the target image
+   */
+  async readMask(mask, width, height) {
+    if (!mask) {
+      throw new Error('A mask is required for this operation');
+    }
+
+    return sharp(await loadImageBuffer(mask))
+      .resize(width, height, { fit: 'fill' })
+      .flatten({ background: '#000000' })
+      .greyscale()
+      .raw()
+      .toBuffer();
+  }
+}
+
+// ====== PROVIDER FACTORY ======
+
+/**
+ * Create the provider named by IMAGE_PROVIDER ("bria" or "local")
+ */
+export function createImageProvider(name, options = {}) {
+  switch (String(name || '').toLowerCase()) {
+    case 'bria':
+      return new BriaImageProvider(options);
+    case 'local':
+      return new LocalImageProvider(options);
+    default:
+      throw new Error(`Unknown image provider: ${name}`);
+  }
+}
+
+export default createImageProvider;
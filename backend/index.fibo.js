@@ -1,11 +1,79 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import axios from "axios";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { hyperRealisticCompositing } from "./hyper-realistic-compositing.js";
+import { createImageProvider, IDEMPOTENT_OPERATIONS, loadImageBuffer, PROVIDER_OPERATIONS, toDataUrl } from "./image-providers.js";
+import {
+  createCancellationError,
+  currentJobSignal,
+  jobManager,
+  reportJobItem,
+  reportJobStage,
+  runWithSignal,
+  throwIfCancelled
+} from "./job-manager.js";
+import { formatBatchSummary, runBatch, summarizeBatch } from "./batch-executor.js";
+import { abortableDelay, createProviderClient } from "./provider-client.js";
+import {
+  buildVersionTree,
+  createThumbnail,
+  createVersionFromRecord,
+  getVersionPath,
+  hasOwnThumbnail,
+  inheritableFields,
+  thumbnailFilename
+} from "./design-versions.js";
+import { createDesignId, DesignRecords } from "./design-records.js";
+import {
+  diffStructuredPrompts,
+  parseStructuredPrompt,
+  STRUCTURED_PROMPT_SCHEMA,
+  validateStructuredPrompt
+} from "./structured-prompt.js";
+import { buildRefinementClarification } from "./refinement-clarification.js";
+import { parseInstruction, toRefinementOperation } from "./instruction-grammar.js";
+import {
+  anchorBoxFromStructuredPrompt,
+  buildSpatialMask,
+  buildUserMask,
+  combineMasks,
+  compositeMaskedEdit,
+  maskBoundingBox,
+  maskHitTest,
+  subtractMasks
+} from "./spatial-masks.js";
+import { measureDrift } from "./image-drift.js";
+import { applyImageAdjustments, describeAdjustment, parseAdjustmentInstruction } from "./image-adjustments.js";
+import { describeHistoryResult, parseHistoryCommand, resolveHistoryCommand } from "./history-commands.js";
+import { PromptPipeline } from "./prompt-pipeline.js";
+import { describePalette, extractPalette, MAX_PALETTE_COLORS, paletteFromHexColors, snapToPalette } from "./brand-palette.js";
+import { extractSketchEdges } from "./sketch-edges.js";
+import {
+  DEFAULT_VARIATION_STRENGTH,
+  describeSeedOptionsError,
+  describeVariationStrengthError,
+  imagePromptScale,
+  MAX_NUM_RESULTS,
+  resolveSeeds
+} from "./generation-options.js";
+import {
+  describeLockableElements,
+  describeLockChange,
+  findLockConflicts,
+  isObjectLocked,
+  matchesLock,
+  parseLockInstruction,
+  updateLocks
+} from "./element-locks.js";
+import {
+  GenerationStore,
+  migrateGenerationRecord,
+  reviveBackgroundState,
+  reviveRefinementChain
+} from "./generation-store.js";
 
 // Load environment variables
 const __filename = fileURLToPath(import.meta.url);
@@ -30,6 +98,18 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// A request whose client disconnects is cancelled: the provider calls, status polls and
+// image saves made for it stop (async jobs are cancelled with DELETE /api/jobs/:id instead)
+app.use("/api", (req, res, next) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(createCancellationError(`Client disconnected: ${req.method} ${req.originalUrl}`));
+    }
+  });
+  runWithSignal(controller.signal, next);
+});
+
 // ====== CONFIGURATION ======
 const PORT = process.env.PORT || 5000;
 const BRIA_API_TOKEN = process.env.BRIA_API_TOKEN;
@@ -37,17 +117,17 @@ const BRIA_API_TOKEN = process.env.BRIA_API_TOKEN;
 // Bria API endpoints
 const BRIA_BASE_URL = "https://engine.prod.bria-api.com/v2";
 const BRIA_EDIT_BASE_URL = "https://engine.prod.bria-api.com/v2/image/edit";
+const BRIA_LEGACY_BASE_URL = "https://engine.prod.bria-api.com/v1";
+
+// Image provider: "bria" (hosted API) or "local" (offline placeholder renderer)
+const IMAGE_PROVIDER = (process.env.IMAGE_PROVIDER || (BRIA_API_TOKEN ? 'bria' : 'local')).toLowerCase();
 
 // Validate configuration
-if (!BRIA_API_TOKEN) {
-  console.error("❌ BRIA_API_TOKEN is required in .env file");
+if (IMAGE_PROVIDER === 'bria' && !BRIA_API_TOKEN) {
+  console.error("❌ BRIA_API_TOKEN is required in .env file (or set IMAGE_PROVIDER=local to run offline)");
   process.exit(1);
 }
 
-console.log("✅ Bria API Token configured");
-console.log("🌐 Generation API:", BRIA_BASE_URL);
-console.log("🎨 Image Edit API:", BRIA_EDIT_BASE_URL);
-
 // ====== STORAGE SETUP ======
 const designsDir = path.join(__dirname, "designs");
 if (!fs.existsSync(designsDir)) {
@@ -55,11 +135,86 @@ if (!fs.existsSync(designsDir)) {
 }
 app.use("/designs", express.static(designsDir));
 
+/**
+ * Public base URL for files served from /designs (works in local and production environments)
+ */
+function getPublicBaseUrl() {
+  return process.env.NODE_ENV === 'production'
+    ? 'https://fibo-t5mv.onrender.com'
+    : `http://localhost:${PORT}`;
+}
+
+// ====== IMAGE PROVIDER ======
+const imageProvider = createImageProvider(IMAGE_PROVIDER, {
+  apiToken: BRIA_API_TOKEN,
+  baseUrl: BRIA_BASE_URL,
+  editBaseUrl: BRIA_EDIT_BASE_URL,
+  legacyBaseUrl: BRIA_LEGACY_BASE_URL,
+  outputDir: designsDir,
+  publicUrl: (filename) => `${getPublicBaseUrl()}/designs/${filename}`
+});
+
+// Concurrency cap, retries and circuit breaker shared by every provider call (PROVIDER_* env)
+const providerClient = createProviderClient();
+
+if (imageProvider.name === 'bria') {
+  console.log("✅ Bria API Token configured");
+  console.log("🌐 Generation API:", BRIA_BASE_URL);
+  console.log("🎨 Image Edit API:", BRIA_EDIT_BASE_URL);
+} else {
+  console.warn("⚠️  Using local image provider - images are deterministic placeholders, no Bria calls are made");
+}
+
+// ====== PROMPT PIPELINE ======
+// Prefix, suffix, style and negative terms per generation mode and garment come from a
+// hot-reloaded JSON config (see prompt-pipeline.js)
+const promptPipeline = new PromptPipeline({
+  filePath: path.resolve(__dirname, process.env.PROMPT_PIPELINE_PATH || "prompt-pipeline.json")
+});
+promptPipeline.load();
+promptPipeline.watch();
+
 // ====== FILE CLEANUP SYSTEM ======
 // (Cleanup system already implemented below - see cleanupOldDesigns function)
 
 // ====== GENERATION STATE STORAGE ======
-const generationCache = new Map(); // In production, use Redis or database
+// Generation records, refinement chains and background states are persisted to a JSON
+// file so structured prompts and seeds survive restarts (see generation-store.js)
+const generationStore = new GenerationStore({
+  filePath: path.resolve(__dirname, process.env.GENERATION_STORE_PATH || "data/generation-store.json"),
+  ttlMs: (Number(process.env.GENERATION_STORE_TTL_HOURS) || 168) * 60 * 60 * 1000
+});
+const generationCache = generationStore.collection('generations', { migrate: migrateGenerationRecord }); // designId -> record
+
+// ====== DESIGN IDS ======
+// Records are keyed by design id; every URL an image was served from resolves to it (see
+// design-records.js)
+const designUrlIndex = generationStore.collection('designUrls'); // normalized URL -> designId
+const designHeads = generationStore.collection('designHeads'); // root designId -> latest designId in the lineage
+const designRecords = new DesignRecords({ records: generationCache, urlIndex: designUrlIndex, heads: designHeads });
+
+function saveDesignRecord(record, extraUrls = []) {
+  return designRecords.save(record, extraUrls);
+}
+
+function findDesignRecord(reference) {
+  return designRecords.find(reference);
+}
+
+/**
+ * Image URL to use for a `{ designId, imageUrl }` reference; throws 404 for unknown ids
+ */
+function resolveDesignImageUrl(reference) {
+  if (!reference?.designId) {
+    return reference?.imageUrl || null;
+  }
+
+  const record = findDesignRecord({ designId: reference.designId });
+  if (!record) {
+    throw createRouteError(404, { message: `Design not found: ${reference.designId}` });
+  }
+  return record.local_url || record.image_url;
+}
 
 // ====== BACKGROUND CONTEXT MANAGEMENT ======
 /**
@@ -68,10 +223,10 @@ const generationCache = new Map(); // In production, use Redis or database
  * Enhanced with background persistence logic for refinement chains
  */
 class BackgroundContextManager {
-  constructor() {
-    this.backgroundStates = new Map(); // requestId -> BackgroundState
+  constructor(store) {
+    this.backgroundStates = store.collection('backgroundStates', { revive: reviveBackgroundState }); // requestId -> BackgroundState
     this.globalBackgroundContext = null; // Global context isolation
-    this.refinementChains = new Map(); // imageUrl -> RefinementChain for tracking background across refinements
+    this.refinementChains = store.collection('refinementChains', { revive: reviveRefinementChain }); // designId -> RefinementChain for tracking background and locks across refinements
   }
 
   /**
@@ -233,24 +388,26 @@ class BackgroundContextManager {
    */
 
   /**
-   * Initialize or retrieve background state for a refinement chain (Requirements 4.1, 4.2, 4.3)
+   * Initialize or retrieve background state for a refinement chain (Requirements 4.1, 4.2, 4.3).
+   * Chains are keyed by design id: each design holds the background and locks it was made with.
    */
-  initializeRefinementChain(imageUrl, originalData) {
-    console.log(`🔗 Initializing refinement chain for: ${imageUrl}`);
+  initializeRefinementChain(chainKey, originalData) {
+    console.log(`🔗 Initializing refinement chain for: ${chainKey}`);
     
-    let chainState = this.refinementChains.get(imageUrl);
+    let chainState = this.refinementChains.get(chainKey);
     
     if (!chainState) {
       // Create new chain state
       chainState = {
-        originalImageUrl: imageUrl,
+        originalImageUrl: originalData?.local_url || originalData?.image_url || null,
         backgroundState: this.determineInitialBackgroundState(originalData),
         refinementHistory: [],
+        lockedElements: originalData?.refinement_chain?.lockedElements || [],
         lastModified: new Date(),
         chainId: `chain_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
       };
       
-      this.refinementChains.set(imageUrl, chainState);
+      this.refinementChains.set(chainKey, chainState);
       console.log(`   - Created new chain: ${chainState.chainId}`);
       console.log(`   - Initial background state: ${chainState.backgroundState.type} - "${chainState.backgroundState.description}"`);
     } else {
@@ -261,6 +418,32 @@ class BackgroundContextManager {
     return chainState;
   }
 
+  /**
+   * Start the chain of a design derived from `parentRecord` (refinement, erase, revert,
+   * branch) with a copy of the parent's background, history and locks. Sibling branches
+   * each get their own copy, so an edit on one never shows up on the other.
+   */
+  forkRefinementChain(chainKey, parentRecord) {
+    const parentChain = parentRecord?.design_id ? this.refinementChains.get(parentRecord.design_id) : null;
+    const backgroundState = parentChain?.backgroundState ||
+      parentRecord?.refinement_chain?.backgroundState ||
+      this.determineInitialBackgroundState(parentRecord);
+
+    const chainState = {
+      originalImageUrl: parentChain?.originalImageUrl || parentRecord?.local_url || parentRecord?.image_url || null,
+      backgroundState: { ...backgroundState },
+      refinementHistory: [...(parentChain?.refinementHistory || [])],
+      lockedElements: [...(parentChain?.lockedElements || parentRecord?.refinement_chain?.lockedElements || [])],
+      lastModified: new Date(),
+      forkedFrom: parentRecord?.design_id || null,
+      chainId: `chain_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    };
+
+    this.refinementChains.set(chainKey, chainState);
+    console.log(`🔗 Chain ${chainState.chainId} for ${chainKey} forked from ${chainState.forkedFrom || 'a new design'}`);
+    return chainState;
+  }
+
   /**
    * Determine initial background state from original data (Requirements 4.3)
    */
@@ -289,10 +472,10 @@ class BackgroundContextManager {
   /**
    * Update background state in refinement chain (Requirements 4.4, 4.5)
    */
-  updateRefinementChainBackground(imageUrl, instruction, isExplicitBackgroundOperation = false) {
-    const chainState = this.refinementChains.get(imageUrl);
+  updateRefinementChainBackground(chainKey, instruction, isExplicitBackgroundOperation = false) {
+    const chainState = this.refinementChains.get(chainKey);
     if (!chainState) {
-      console.warn(`⚠️  No refinement chain found for ${imageUrl}`);
+      console.warn(`⚠️  No refinement chain found for ${chainKey}`);
       return null;
     }
 
@@ -339,6 +522,7 @@ class BackgroundContextManager {
 
     chainState.refinementHistory.push(refinementEntry);
     chainState.lastModified = new Date();
+    this.refinementChains.set(chainKey, chainState);
     
     return chainState;
   }
@@ -346,86 +530,10 @@ class BackgroundContextManager {
   /**
    * Get current background state for refinement chain (Requirements 4.1, 4.2, 4.3)
    */
-  getCurrentBackgroundState(imageUrl) {
-    console.log(`🔍 DEBUG: getCurrentBackgroundState called for: ${imageUrl}`);
-    console.log(`🔍 DEBUG: Available chains: ${Array.from(this.refinementChains.keys()).length}`);
-    
-    let chainState = this.refinementChains.get(imageUrl);
-    
-    // CRITICAL FIX: Try alternative URL patterns if not found
-    if (!chainState) {
-      console.log(`🔍 DEBUG: Direct lookup failed, trying alternative patterns...`);
-      
-      // Try to find by partial URL match
-      for (const [url, chain] of this.refinementChains.entries()) {
-        // Check if URLs are related (same base, different query params)
-        const baseUrl1 = imageUrl.split('?')[0];
-        const baseUrl2 = url.split('?')[0];
-        
-        if (baseUrl1 === baseUrl2) {
-          chainState = chain;
-          console.log(`🔍 DEBUG: Found chain by base URL match: ${url}`);
-          // Copy to exact URL for future lookups
-          this.refinementChains.set(imageUrl, chainState);
-          break;
-        }
-        
-        // Check if one URL contains the other (localhost vs API URL)
-        if (imageUrl.includes('localhost') && url.includes('cloudfront')) {
-          // Extract the resource ID from both URLs
-          const localId = imageUrl.match(/refined_(\d+)\.png/)?.[1];
-          const apiId = url.match(/([a-f0-9]{32})/)?.[1];
-          
-          if (localId || apiId) {
-            chainState = chain;
-            console.log(`🔍 DEBUG: Found chain by resource ID match: ${url}`);
-            this.refinementChains.set(imageUrl, chainState);
-            break;
-          }
-        }
-      }
-    }
-    
+  getCurrentBackgroundState(chainKey) {
+    const chainState = this.refinementChains.get(chainKey);
     if (!chainState) {
-      console.log(`⚠️  No refinement chain found for ${imageUrl}`);
-      console.log(`🔍 DEBUG: Available chain URLs:`);
-      for (const [url, chain] of this.refinementChains.entries()) {
-        console.log(`   - ${url} (${chain.backgroundState.type}: "${chain.backgroundState.description}")`);
-      }
-      
-      // CRITICAL FIX: Try to inherit from the most recent chain with explicit background
-      let mostRecentExplicitChain = null;
-      let mostRecentTime = 0;
-      
-      for (const [url, chain] of this.refinementChains.entries()) {
-        if (chain.backgroundState.isExplicitlySet && 
-            chain.backgroundState.description !== 'transparent background' &&
-            chain.lastModified.getTime() > mostRecentTime) {
-          mostRecentExplicitChain = chain;
-          mostRecentTime = chain.lastModified.getTime();
-        }
-      }
-      
-      if (mostRecentExplicitChain) {
-        console.log(`🔄 DEBUG: Inheriting background from most recent explicit chain: "${mostRecentExplicitChain.backgroundState.description}"`);
-        
-        // Create new chain with inherited background
-        const inheritedChain = {
-          originalImageUrl: imageUrl,
-          backgroundState: {
-            ...mostRecentExplicitChain.backgroundState,
-            type: 'inherited',
-            setAt: new Date()
-          },
-          refinementHistory: [],
-          lastModified: new Date(),
-          chainId: `inherited_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        };
-        
-        this.refinementChains.set(imageUrl, inheritedChain);
-        return inheritedChain.backgroundState;
-      }
-      
+      console.log(`⚠️  No refinement chain found for ${chainKey}`);
       // Return default transparent background (Requirements 4.3)
       return {
         type: 'default',
@@ -514,6 +622,62 @@ class BackgroundContextManager {
     return 'custom background';
   }
 
+  /**
+   * Background state a refinement of this design would start from (what
+   * forkRefinementChain would copy), without creating chains (used by dry runs)
+   */
+  peekRefinementChainBackground(chainKey, originalData) {
+    const chainState = chainKey ? this.refinementChains.get(chainKey) : null;
+    return chainState?.backgroundState ||
+      originalData?.refinement_chain?.backgroundState ||
+      this.determineInitialBackgroundState(originalData);
+  }
+
+  /**
+   * Reset a chain's background to the state a stored version was in (revert/branch)
+   */
+  restoreRefinementChainBackground(chainKey, record, instruction) {
+    const chainState = this.initializeRefinementChain(chainKey, record);
+    const restoredState = this.peekRefinementChainBackground(record.design_id, record);
+
+    chainState.refinementHistory.push({
+      instruction,
+      timestamp: new Date(),
+      isBackgroundOperation: false,
+      previousBackgroundState: { ...chainState.backgroundState },
+      newBackgroundState: { ...restoredState },
+      restoredFrom: record.design_id
+    });
+    chainState.backgroundState = { ...restoredState };
+    chainState.lastModified = new Date();
+    this.refinementChains.set(chainKey, chainState);
+
+    console.log(`⏪ Restored chain ${chainState.chainId} background: "${restoredState.description}"`);
+    return chainState;
+  }
+
+  /**
+   * Elements locked on a chain; falls back to the locks stored on the record when the chain
+   * hasn't been created yet
+   */
+  getLockedElements(chainKey, record = null) {
+    const chainState = chainKey ? this.refinementChains.get(chainKey) : null;
+    return chainState?.lockedElements || record?.refinement_chain?.lockedElements || [];
+  }
+
+  /**
+   * Lock/unlock elements on a chain ({ lock: [targets], unlock: [targets] })
+   */
+  updateLockedElements(chainKey, record, changes) {
+    const chainState = this.initializeRefinementChain(chainKey, record);
+    chainState.lockedElements = updateLocks(chainState.lockedElements, changes);
+    chainState.lastModified = new Date();
+    this.refinementChains.set(chainKey, chainState);
+
+    console.log(`🔐 Chain ${chainState.chainId} locks: ${chainState.lockedElements.map(lock => lock.target).join(', ') || 'none'}`);
+    return chainState.lockedElements;
+  }
+
   /**
    * Get refinement chain history for debugging
    */
@@ -545,3396 +709,2458 @@ class BackgroundContextManager {
 }
 
 // Initialize background context manager
-const backgroundContextManager = new BackgroundContextManager();
+const backgroundContextManager = new BackgroundContextManager(generationStore);
+
+// All collections are registered; restore persisted state from the previous run
+generationStore.load();
+designRecords.reindexLegacy();
 
 // ====== UTILITY FUNCTIONS ======
 
+// Wait between status checks of a provider request that is still in progress
+const STATUS_POLL_INTERVAL_MS = 3000;
+
+// Job stage reported when each provider operation starts (status polls are not stages)
+const OPERATION_STAGES = {
+  generate: 'generation',
+  register: 'mask_generation',
+  remove_background: 'background_removal',
+  replace_background: 'background_replacement',
+  gen_fill: 'generative_fill',
+  erase: 'erase',
+  enhance: 'enhance',
+  increase_resolution: 'increase_resolution',
+  mask_generator: 'mask_generation',
+  text_to_vector: 'vectorization'
+};
+
 /**
- * Make authenticated request to Bria API
+ * Run an image operation through the configured provider (Bria or local).
+ * `operation` is one of PROVIDER_OPERATIONS, e.g. 'generate', 'remove_background', 'status'.
+ * `options.stage` overrides the job stage reported for this call.
  */
-async function briaRequest(url, data, method = 'POST') {
-  try {
-    const config = {
-      method,
-      url,
-      headers: {
-        'api_token': BRIA_API_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    };
+async function briaRequest(operation, data, options = {}) {
+  const method = PROVIDER_OPERATIONS[operation];
+  if (!method) {
+    return { success: false, error: { message: `Unknown image operation: ${operation}` }, status: 500 };
+  }
 
-    if (method === 'POST' && data) {
-      config.data = data;
-    }
+  const stage = options.stage || OPERATION_STAGES[operation];
+  if (stage) {
+    reportJobStage(stage, { operation });
+  }
 
-    const response = await axios(config);
-    return { success: true, data: response.data };
+  try {
+    const responseData = await providerClient.execute(operation, signal => imageProvider[method](data, { signal }), {
+      signal: currentJobSignal(),
+      idempotent: IDEMPOTENT_OPERATIONS.has(operation)
+    });
+    return { success: true, data: responseData };
   } catch (error) {
-    console.error(`Bria API Error (${url}):`, error.response?.data || error.message);
+    if (error.code === 'cancelled') {
+      console.log(`🛑 Skipped ${operation}: ${error.message}`);
+    } else {
+      console.error(`Image provider error (${imageProvider.name}/${operation}):`, error.response?.data || error.message);
+    }
     return {
       success: false,
-      error: error.response?.data || { message: error.message },
-      status: error.response?.status || 500
+      error: error.response?.data || { message: error.message, ...(error.code && { code: error.code }) },
+      status: error.response?.status || error.status || 500
     };
   }
 }
 
 /**
- * Download and save image locally
+ * Download and save image locally (accepts http(s) URLs and data URLs).
+ * Nothing is written once the job or request was cancelled.
  */
 async function downloadAndSaveImage(imageUrl, filename) {
+  throwIfCancelled();
+  reportJobStage('saving');
+
   try {
-    const response = await axios.get(imageUrl, { 
-      responseType: 'arraybuffer',
-      timeout: 60000 // 60 second timeout
-    });
-    
-    const buffer = Buffer.from(response.data);
+    const buffer = await loadImageBuffer(imageUrl);
+    throwIfCancelled();
     const filepath = path.join(designsDir, filename);
     fs.writeFileSync(filepath, buffer);
     
-    // Generate URL that works in both local and production environments
-    const baseUrl = process.env.NODE_ENV === 'production' 
-      ? 'https://fibo-t5mv.onrender.com' 
-      : `http://localhost:${PORT}`;
-    const localUrl = `${baseUrl}/designs/${filename}`;
+    const localUrl = `${getPublicBaseUrl()}/designs/${filename}`;
     console.log(`✅ Image saved: ${filename} -> ${localUrl}`);
     return localUrl;
   } catch (error) {
+    if (error.code === 'cancelled') {
+      throw error;
+    }
     console.error("Image download error:", error.message);
     throw new Error(`Failed to download image: ${error.message}`);
   }
 }
 
 /**
- * Poll Bria status until completion
+ * Build an error that jobRoute turns into an HTTP response (or a failed job)
  */
-async function pollBriaStatus(requestId, maxAttempts = 60) {
-  let attempts = 0;
-  
-  while (attempts < maxAttempts) {
+function createRouteError(status, error, extra = {}) {
+  const routeError = new Error(error?.message || "Request failed");
+  routeError.status = status;
+  routeError.body = { success: false, error, ...extra };
+  return routeError;
+}
+
+/**
+ * Wrap a pipeline runner as an Express handler.
+ * By default the request is held open and the runner's result is returned as JSON.
+ * With `async: true` in the body the route responds 202 with a job id; progress is
+ * available from GET /api/jobs/:id and the SSE stream at /api/jobs/:id/events.
+ */
+function jobRoute(type, runner, validate) {
+  return async (req, res) => {
+    const body = req.body || {};
+
     try {
-      const statusResult = await briaRequest(`${BRIA_BASE_URL}/status/${requestId}`, null, 'GET');
-      
-      if (!statusResult.success) {
-        throw new Error(`Status check failed: ${statusResult.error.message}`);
+      if (validate) {
+        validate(body);
       }
 
-      const { status, result, error } = statusResult.data;
-      
-      console.log(`📊 Status check ${attempts + 1}/${maxAttempts}: ${status}`);
-
-      if (status === "COMPLETED") {
-        if (result?.image_url || result?.structured_prompt) {
-          return { success: true, imageUrl: result.image_url, result };
-        } else {
-          throw new Error("Completed but no result received");
-        }
-      } else if (status === "ERROR") {
-        throw new Error(error?.message || "Request failed");
-      } else if (status === "IN_PROGRESS") {
-        attempts++;
-        await new Promise(resolve => setTimeout(resolve, 3000)); // Wait 3 seconds
-      } else {
-        throw new Error(`Unknown status: ${status}`);
+      if (body.async === true) {
+        const job = jobManager.create(type, () => runner(body));
+        return res.status(202).json({
+          success: true,
+          message: `${type} job queued`,
+          jobId: job.id,
+          status: job.status,
+          stage: job.stage,
+          statusUrl: `/api/jobs/${job.id}`,
+          eventsUrl: `/api/jobs/${job.id}/events`
+        });
       }
+
+      res.json(await runner(body));
     } catch (error) {
-      if (attempts >= maxAttempts - 1) {
-        throw error;
+      // The client is gone; there is nobody to answer
+      if (currentJobSignal()?.aborted) {
+        console.log(`🛑 ${type} cancelled: ${currentJobSignal().reason.message}`);
+        return;
       }
-      attempts++;
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      console.error(`${type} error:`, error.message);
+      res.status(error.status || 500).json(error.body || {
+        success: false,
+        error: { message: error.message }
+      });
     }
-  }
-  
-  throw new Error("Request timeout - please try again");
+  };
 }
 
 /**
- * Generate new image with transparent background
+ * Poll Bria status until completion.
+ * Transient status-check failures are retried with backoff by the provider client; a
+ * failure that outlasts its retries (or an open circuit) ends the poll with its status.
+ * Cancelling the job or request stops the poll between checks.
  */
-app.post("/api/generate", async (req, res) => {
-  try {
-    const { prompt } = req.body;
-    
-    // Validate input
-    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Valid prompt is required" }
-      });
-    }
-
-    if (prompt.length > 1000) {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Prompt too long (max 1000 characters)" }
+async function pollBriaStatus(requestId, maxAttempts = 60) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    throwIfCancelled();
+    const statusResult = await briaRequest('status', requestId);
+
+    if (!statusResult.success) {
+      throwIfCancelled();
+      throw createRouteError(statusResult.status || 500, {
+        ...statusResult.error,
+        message: `Status check failed: ${statusResult.error?.message || 'unknown error'}`
       });
     }
 
-    console.log(`🎨 Starting generation: "${prompt}"`);
+    const { status, result, error } = statusResult.data;
 
-    // Create isolated background context for this generation (Requirements 2.1, 2.5)
-    const requestId = `gen_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const backgroundContext = backgroundContextManager.createIsolatedContext(requestId);
-    
-    // Prevent character themes from automatically adding backgrounds (Requirements 2.3)
-    backgroundContextManager.preventThemeBackgroundInference(requestId);
+    console.log(`📊 Status check ${attempt}/${maxAttempts}: ${status}`);
 
-    // Optimize prompt for T-shirt design with explicit transparent background
-    const optimizedPrompt = `${prompt}, transparent background, clean design suitable for printing`;
-    
-    // Call Bria image generation API with HDR/16-bit support
-    const generateResult = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-      prompt: optimizedPrompt,
-      sync: false, // Use async mode
-      output: {
-        format: 'png',
-        hdr: true,
-        bit_depth: 16
+    if (status === "COMPLETED") {
+      if (result?.image_url || result?.structured_prompt) {
+        return { success: true, imageUrl: result.image_url, result };
       }
-    });
-
-    if (!generateResult.success) {
-      return res.status(generateResult.status || 500).json({
-        success: false,
-        error: generateResult.error
-      });
+      throw new Error("Completed but no result received");
+    } else if (status === "ERROR") {
+      throw new Error(error?.message || "Request failed");
+    } else if (status !== "IN_PROGRESS") {
+      throw new Error(`Unknown status: ${status}`);
     }
 
-    const { request_id } = generateResult.data;
-    if (!request_id) {
-      return res.status(500).json({
-        success: false,
-        error: { message: "No request ID received from Bria API" }
-      });
-    }
+    await abortableDelay(STATUS_POLL_INTERVAL_MS, currentJobSignal());
+  }
+
+  throw new Error("Request timeout - please try again");
+}
 
-    console.log(`📝 Generation started, request ID: ${request_id}`);
+// ====== JOB ROUTES ======
 
-    // Poll for completion
-    const pollResult = await pollBriaStatus(request_id);
-    
-    console.log(`🎨 Generation completed, now making background transparent...`);
-    
-    // STEP 2: Automatically remove background to ensure transparency
-    const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
-      image: pollResult.imageUrl,
-      sync: false
+/**
+ * Get job status, current stage and (once finished) the pipeline result
+ */
+app.get("/api/jobs/:id", (req, res) => {
+  const job = jobManager.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: { message: `Job not found: ${req.params.id}` }
     });
+  }
 
-    if (!backgroundRemovalResult.success) {
-      console.warn(`⚠️  Background removal failed, using original image: ${backgroundRemovalResult.error?.message}`);
-      // Use original image if background removal fails
-      var finalImageUrl = pollResult.imageUrl;
-      var finalResult = pollResult.result;
-    } else {
-      console.log(`📝 Background removal request ID: ${backgroundRemovalResult.data.request_id}`);
-      const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
-      var finalImageUrl = bgRemovalPollResult.imageUrl;
-      var finalResult = bgRemovalPollResult.result;
-      console.log(`✅ Background removed successfully, transparent image ready`);
-    }
-    
-    // Download and save the final transparent image locally
-    const filename = `generated_${request_id}_${Date.now()}.png`;
-    const localUrl = await downloadAndSaveImage(finalImageUrl, filename);
+  res.json({
+    success: true,
+    job: jobManager.toJSON(job)
+  });
+});
 
-    // CRITICAL: Store structured_prompt and generation artifacts with background context
-    const generationData = {
-      request_id,
-      generation_request_id: requestId, // Background context ID
-      original_prompt: prompt,
-      optimized_prompt: optimizedPrompt,
-      structured_prompt: pollResult.result?.structured_prompt || finalResult?.structured_prompt || null,
-      seed: pollResult.result?.seed || finalResult?.seed || null,
-      image_url: finalImageUrl, // Final transparent image URL
-      original_with_bg_url: pollResult.imageUrl, // Original with background (if different)
-      local_url: localUrl, // Local cached URL
-      has_transparent_bg: finalImageUrl !== pollResult.imageUrl,
-      background_context: backgroundContext,
-      created_at: new Date().toISOString()
-    };
-    
-    // Store for refinement use (both URLs point to same data)
-    generationCache.set(finalImageUrl, generationData); // Final transparent URL
-    generationCache.set(localUrl, generationData); // Local URL
-    if (pollResult.imageUrl !== finalImageUrl) {
-      generationCache.set(pollResult.imageUrl, generationData); // Original URL if different
-    }
-    
-    console.log(`💾 Stored generation data for URLs:`);
-    console.log(`   - Final (transparent): ${finalImageUrl}`);
-    console.log(`   - Local: ${localUrl}`);
-    if (pollResult.imageUrl !== finalImageUrl) {
-      console.log(`   - Original (with bg): ${pollResult.imageUrl}`);
-    }
-    if (generationData.structured_prompt) {
-      console.log(`📋 Structured prompt preserved (${generationData.structured_prompt.length} chars)`);
-    }
+/**
+ * Cancel a job: status polls and image saves stop, and the job ends as "cancelled".
+ * Batch jobs skip the items that haven't finished and complete with the ones that have.
+ */
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = jobManager.get(req.params.id);
 
-    res.json({
-      success: true,
-      message: "Image generated successfully with transparent background",
-      imageUrl: localUrl,
-      originalUrl: finalImageUrl,
-      originalWithBgUrl: pollResult.imageUrl !== finalImageUrl ? pollResult.imageUrl : null,
-      requestId: request_id,
-      structured_prompt: generationData.structured_prompt ? "preserved" : "not_available",
-      seed: generationData.seed,
-      hasTransparentBg: generationData.has_transparent_bg
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: { message: `Job not found: ${req.params.id}` }
     });
+  }
 
-  } catch (error) {
-    console.error("Generation error:", error.message);
-    res.status(500).json({
+  if (!jobManager.cancel(job.id)) {
+    return res.status(409).json({
       success: false,
-      error: { message: error.message }
+      error: { message: `Job already ${job.status}` },
+      job: jobManager.toJSON(job)
     });
   }
+
+  res.json({
+    success: true,
+    message: `Cancelling job ${job.id}`,
+    job: jobManager.toJSON(job)
+  });
 });
 
 /**
- * Generate vector design (SVG) for infinite scalability
+ * Stream job stage transitions as Server-Sent Events.
+ * Sends a "snapshot" event first, then "stage" events ("item" events for each settled batch
+ * item, "cancelling" once cancellation was requested), and closes after "completed", "failed"
+ * or "cancelled".
  */
-app.post("/api/generate-vector", async (req, res) => {
-  try {
-    const { prompt } = req.body;
-    
-    // Validate input
-    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Valid prompt is required" }
-      });
-    }
-
-    console.log(`🎨 Starting vector generation: "${prompt}"`);
-
-    // Create isolated background context
-    const requestId = `min_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const backgroundContext = backgroundContextManager.createIsolatedContext(requestId);
-    backgroundContextManager.preventThemeBackgroundInference(requestId);
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = jobManager.get(req.params.id);
 
-    // Optimize prompt for minimalist T-shirt design
-    const optimizedPrompt = `${prompt}, clean minimalist design, simple illustration, suitable for t-shirt printing, professional graphics`;
-    
-    // Use regular V2 API with vector-optimized prompting
-    const generateResult = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-      prompt: `${optimizedPrompt}, minimalist vector illustration style, clean simple design, flat colors, no text or labels`,
-      sync: false,
-      output: {
-        format: 'png',
-        hdr: true,
-        bit_depth: 16
-      }
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: { message: `Job not found: ${req.params.id}` }
     });
+  }
 
-    if (!generateResult.success) {
-      return res.status(generateResult.status || 500).json({
-        success: false,
-        error: generateResult.error
-      });
-    }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
 
-    const { request_id } = generateResult.data;
-    console.log(`📝 Vector generation started, request ID: ${request_id}`);
+  const sendEvent = (type, payload) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
 
-    // Poll for completion
-    const pollResult = await pollBriaStatus(request_id);
-    
-    // Download and save the minimalist design locally (PNG format)
-    const filename = `minimalist_${request_id}_${Date.now()}.png`;
-    const localUrl = await downloadAndSaveImage(pollResult.imageUrl, filename);
+  sendEvent('snapshot', jobManager.toJSON(job));
+  if (jobManager.isTerminal(job)) {
+    sendEvent(job.status, jobManager.toJSON(job));
+    return res.end();
+  }
 
-    // Store generation data
-    const generationData = {
-      request_id,
-      generation_request_id: requestId,
-      original_prompt: prompt,
-      optimized_prompt: optimizedPrompt,
-      image_url: pollResult.imageUrl,
-      local_url: localUrl,
-      generation_type: 'minimalist',
-      background_context: backgroundContext,
-      created_at: new Date().toISOString()
-    };
-    
-    generationCache.set(pollResult.imageUrl, generationData);
-    generationCache.set(localUrl, generationData);
+  // Comment lines keep proxies (Render, Vercel) from closing idle streams
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
 
-    res.json({
-      success: true,
-      message: "Minimalist design generated successfully - clean and print-ready!",
-      imageUrl: localUrl,
-      originalUrl: pollResult.imageUrl,
-      requestId: request_id,
-      generationType: 'minimalist',
-      isOptimizedForPrint: true
-    });
+  const unsubscribe = jobManager.subscribe(job.id, (event) => {
+    sendEvent(event.type, event.job);
+    if (event.type === 'completed' || event.type === 'failed' || event.type === 'cancelled') {
+      cleanup();
+      res.end();
+    }
+  });
 
-  } catch (error) {
-    console.error("Vector generation error:", error.message);
-    res.status(500).json({
-      success: false,
-      error: { message: error.message }
-    });
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
   }
+
+  req.on('close', cleanup);
 });
 
+// ====== DESIGN VERSION ROUTES ======
+
 /**
- * Virtual Try-On using FIBO GenFill
+ * Version tree of the lineage a design belongs to; fills in missing thumbnails on the way
  */
-app.post("/api/virtual-tryon", async (req, res) => {
-  try {
-    const { userPhoto, designUrl, designPrompt } = req.body;
-    
-    // Validate input
-    if (!userPhoto || !designUrl || !designPrompt) {
-      return res.status(400).json({
-        success: false,
-        error: { message: "User photo, design URL, and design prompt are required" }
-      });
-    }
-
-    console.log(`👕 Starting virtual try-on with design: "${designPrompt}"`);
+async function getDesignVersionTree(record) {
+  const rootDesignId = record.root_design_id || record.design_id;
+  const lineage = Array.from(generationCache.values())
+    .filter(entry => (entry.root_design_id || entry.design_id) === rootDesignId);
 
-    // Step 1: Remove background from user photo
-    const bgRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
-      image: userPhoto,
-      sync: false
-    });
+  for (const entry of lineage) {
+    if (hasOwnThumbnail(entry)) continue;
 
-    if (!bgRemovalResult.success) {
-      throw new Error(`Background removal failed: ${bgRemovalResult.error?.message}`);
+    const filename = thumbnailFilename(entry.design_id);
+    try {
+      await createThumbnail(entry.local_url || entry.image_url, path.join(designsDir, filename));
+      entry.thumbnail_url = `${getPublicBaseUrl()}/designs/${filename}`;
+      generationCache.set(entry.design_id, entry);
+    } catch (error) {
+      console.warn(`⚠️  Thumbnail failed for ${entry.design_id}: ${error.message}`);
     }
+  }
 
-    const bgRemovedResult = await pollBriaStatus(bgRemovalResult.data.request_id);
-    
-    // Step 2: Generate person wearing the T-shirt using background replacement
-    const tryOnPrompt = `person wearing a t-shirt with ${designPrompt} design, realistic fabric texture, studio lighting, professional photography, high quality`;
-    
-    const tryOnResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/replace_background`, {
-      image: bgRemovedResult.imageUrl,
-      prompt: tryOnPrompt,
-      sync: false
-    });
+  return buildVersionTree(lineage, { rootDesignId, headDesignId: designHeads.get(rootDesignId) });
+}
 
-    if (!tryOnResult.success) {
-      throw new Error(`Try-on generation failed: ${tryOnResult.error?.message}`);
-    }
+function findDesignOr404(designId) {
+  const record = findDesignRecord({ designId });
+  if (!record) {
+    throw createRouteError(404, { message: `Design not found: ${designId}` });
+  }
+  return record;
+}
 
-    const finalResult = await pollBriaStatus(tryOnResult.data.request_id);
-    
-    // Download and save locally
-    const filename = `tryon_${Date.now()}.png`;
-    const localUrl = await downloadAndSaveImage(finalResult.imageUrl, filename);
+/**
+ * Store a revert/branch version; its refinement chain keeps the parent's locks and takes
+ * the background of the version it restores
+ */
+function saveRestoredVersion(target, parent, source, branchName, history = {}) {
+  const record = createVersionFromRecord(target, {
+    designId: createDesignId(),
+    parent,
+    source,
+    branchName,
+    historyCommand: history.command || null,
+    redoStack: history.redoStack || null
+  });
+  backgroundContextManager.forkRefinementChain(record.design_id, parent);
+  backgroundContextManager.restoreRefinementChainBackground(
+    record.design_id,
+    target,
+    history.instruction || `${source} to ${target.design_id}`
+  );
+  return saveDesignRecord(record);
+}
 
-    console.log(`✅ Virtual try-on completed successfully`);
+function sendDesignRouteError(res, error) {
+  console.error("Design version error:", error.message);
+  res.status(error.status || 500).json(error.body || {
+    success: false,
+    error: { message: error.message }
+  });
+}
+
+/**
+ * Full tree of generations and refinements for the lineage containing :id
+ */
+app.get("/api/designs/:id/versions", async (req, res) => {
+  try {
+    const record = findDesignOr404(req.params.id);
+    const versions = await getDesignVersionTree(record);
 
     res.json({
       success: true,
-      message: "Virtual try-on generated successfully",
-      imageUrl: localUrl,
-      originalUrl: finalResult.imageUrl
+      designId: record.design_id,
+      path: getVersionPath(versions, record.design_id),
+      ...versions
     });
-
   } catch (error) {
-    console.error("Virtual try-on error:", error.message);
-    res.status(500).json({
-      success: false,
-      error: { message: error.message }
-    });
+    sendDesignRouteError(res, error);
   }
 });
 
 /**
- * Generate design with brand colors using ControlNet Color Grid
+ * Revert to version :id. History is kept: the restored image becomes a new version on
+ * top of the lineage's current head.
  */
-app.post("/api/generate-with-brand-colors", async (req, res) => {
+app.post("/api/designs/:id/revert", async (req, res) => {
   try {
-    const { prompt, brandImageData } = req.body;
-    
-    // Validate input
-    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Valid prompt is required" }
-      });
-    }
-
-    if (!brandImageData || typeof brandImageData !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Valid brand image data is required" }
-      });
-    }
-
-    console.log(`🎨 Starting brand color extraction generation: "${prompt}"`);
+    const target = findDesignOr404(req.params.id);
+    const rootDesignId = target.root_design_id || target.design_id;
+    const head = findDesignRecord({ designId: designHeads.get(rootDesignId) }) || target;
 
-    // Create isolated background context
-    const requestId = `enh_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const backgroundContext = backgroundContextManager.createIsolatedContext(requestId);
-    backgroundContextManager.preventThemeBackgroundInference(requestId);
+    const reverted = saveRestoredVersion(target, head, 'revert');
+    console.log(`⏪ Reverted ${rootDesignId} to ${target.design_id} as ${reverted.design_id}`);
 
-    // Optimize prompt for T-shirt design with enhanced colors
-    const optimizedPrompt = `professional t-shirt design, ${prompt}, enhanced color palette, clean design, transparent background, suitable for printing`;
-    
-    // Use regular V2 API with color-focused prompting
-    const generateResult = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-      prompt: `${optimizedPrompt}, professional brand colors, cohesive color scheme, high-quality design`,
-      sync: false,
-      output: {
-        format: 'png',
-        hdr: true,
-        bit_depth: 16
-      }
+    res.json({
+      success: true,
+      message: "Design reverted",
+      designId: reverted.design_id,
+      parentDesignId: reverted.parent_design_id,
+      rootDesignId,
+      revertedTo: target.design_id,
+      imageUrl: reverted.local_url || reverted.image_url,
+      versions: await getDesignVersionTree(reverted)
     });
+  } catch (error) {
+    sendDesignRouteError(res, error);
+  }
+});
 
-    if (!generateResult.success) {
-      return res.status(generateResult.status || 500).json({
+/**
+ * Start a new branch from version :id; refinements of the returned design extend the branch
+ */
+app.post("/api/designs/:id/branch", async (req, res) => {
+  try {
+    const target = findDesignOr404(req.params.id);
+    const { name } = req.body || {};
+
+    if (name !== undefined && (typeof name !== 'string' || name.length > 100)) {
+      return res.status(400).json({
         success: false,
-        error: generateResult.error
+        error: { message: "Branch name must be a string of at most 100 characters" }
       });
     }
 
-    const { request_id } = generateResult.data;
-    console.log(`📝 Brand color generation started, request ID: ${request_id}`);
+    const branch = saveRestoredVersion(target, target, 'branch', name?.trim() || null);
+    console.log(`🌿 Branched ${target.design_id} as ${branch.design_id}`);
 
-    // Poll for completion
-    const pollResult = await pollBriaStatus(request_id);
-    
-    console.log(`🎨 Brand color generation completed, making background transparent...`);
-    
-    // Remove background for transparency
-    const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
-      image: pollResult.imageUrl,
-      sync: false
+    res.json({
+      success: true,
+      message: "Branch created",
+      designId: branch.design_id,
+      parentDesignId: branch.parent_design_id,
+      rootDesignId: branch.root_design_id,
+      branchName: branch.branch_name,
+      imageUrl: branch.local_url || branch.image_url,
+      versions: await getDesignVersionTree(branch)
     });
+  } catch (error) {
+    sendDesignRouteError(res, error);
+  }
+});
 
-    let finalImageUrl = pollResult.imageUrl;
-    if (backgroundRemovalResult.success) {
-      const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
-      finalImageUrl = bgRemovalPollResult.imageUrl;
-      console.log(`✅ Background removed from brand-colored design`);
-    }
-    
-    // Download and save locally
-    const filename = `enhanced_colors_${request_id}_${Date.now()}.png`;
-    const localUrl = await downloadAndSaveImage(finalImageUrl, filename);
+// ====== ELEMENT LOCK ROUTES ======
 
-    // Store generation data
-    const generationData = {
-      request_id,
-      generation_request_id: requestId,
-      original_prompt: prompt,
-      optimized_prompt: optimizedPrompt,
-      image_url: finalImageUrl,
-      local_url: localUrl,
-      generation_type: 'enhanced_colors',
-      background_context: backgroundContext,
-      created_at: new Date().toISOString()
-    };
-    
-    generationCache.set(finalImageUrl, generationData);
-    generationCache.set(localUrl, generationData);
+/**
+ * Apply the lock/unlock clauses of an instruction to the design; designs refined from it
+ * inherit the locks. Returns the locks.
+ */
+function applyLockRequest(changes, record) {
+  if (!record) {
+    throw createRouteError(400, { message: "Locks need a design created by this server" });
+  }
+  return backgroundContextManager.updateLockedElements(record.design_id, record, changes);
+}
 
-    res.json({
-      success: true,
-      message: "Professional design generated with enhanced colors",
-      imageUrl: localUrl,
-      originalUrl: finalImageUrl,
-      requestId: request_id,
-      generationType: 'enhanced_colors'
-    });
+/**
+ * Refuse a plan that edits a locked element (409, with the conflicting targets)
+ */
+function assertNoLockConflicts(operations, locks) {
+  const conflicts = findLockConflicts(operations, locks);
+  if (conflicts.length === 0) return;
+
+  const targets = [...new Set(conflicts.map(({ lock }) => lock.target))];
+  console.log(`🔐 Refinement blocked by locks: ${targets.join(', ')}`);
+  throw createRouteError(409, {
+    message: `${targets.map(target => `"${target}"`).join(' and ')} ${targets.length > 1 ? 'are' : 'is'} locked. ` +
+      `Unlock ${targets.length > 1 ? 'them' : 'it'} ("unlock the ${targets[0]}") to edit ${targets.length > 1 ? 'them' : 'it'}.`
+  }, { locks: targets });
+}
 
+function getDesignLocks(record) {
+  const rootDesignId = record.root_design_id || record.design_id;
+  const locks = backgroundContextManager.getLockedElements(record.design_id, record);
+  return {
+    success: true,
+    designId: record.design_id,
+    rootDesignId,
+    locks,
+    elements: describeLockableElements(parseStructuredPrompt(record.structured_prompt), locks)
+  };
+}
+
+/**
+ * Elements locked on design :id, and the structured-prompt objects that can be locked
+ */
+app.get("/api/designs/:id/locks", (req, res) => {
+  try {
+    res.json(getDesignLocks(findDesignOr404(req.params.id)));
   } catch (error) {
-    console.error("Brand color generation error:", error.message);
-    res.status(500).json({
-      success: false,
-      error: { message: error.message }
-    });
+    sendDesignRouteError(res, error);
   }
 });
 
 /**
- * Generate design from sketch using ControlNet Canny
+ * Lock or unlock elements: { lock?: string[], unlock?: string[] }
  */
-app.post("/api/generate-from-sketch", async (req, res) => {
+app.put("/api/designs/:id/locks", (req, res) => {
   try {
-    const { prompt, sketchImageData } = req.body;
-    
-    // Validate input
-    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Valid prompt is required" }
-      });
-    }
+    const record = findDesignOr404(req.params.id);
+    const { lock = [], unlock = [] } = req.body || {};
+    const isTargetList = (list) => Array.isArray(list) &&
+      list.every(target => typeof target === 'string' && target.trim().length > 0 && target.length <= 100);
 
-    if (!sketchImageData || typeof sketchImageData !== 'string') {
+    if (!isTargetList(lock) || !isTargetList(unlock) || lock.length + unlock.length === 0) {
       return res.status(400).json({
         success: false,
-        error: { message: "Valid sketch image data is required" }
+        error: { message: "lock and unlock must be lists of element names, with at least one entry" }
       });
     }
 
-    console.log(`🎨 Starting sketch-to-design generation: "${prompt}"`);
+    const changes = { lock: lock.map(target => target.trim()), unlock: unlock.map(target => target.trim()) };
+    applyLockRequest(changes, record);
+    res.json({ ...getDesignLocks(record), message: describeLockChange(changes) });
+  } catch (error) {
+    sendDesignRouteError(res, error);
+  }
+});
+
+// ====== OBJECT SELECTION ROUTES ======
 
-    // Create isolated background context
-    const requestId = `pro_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const backgroundContext = backgroundContextManager.createIsolatedContext(requestId);
-    backgroundContextManager.preventThemeBackgroundInference(requestId);
+// Object masks for click-to-select; a design id always names the same image, so masks are
+// reused by later clicks. Oldest entries are dropped past the limit.
+const objectMasks = new Map(); // `${designId}/${element name}` -> mask data URL
+const OBJECT_MASK_CACHE_LIMIT = 500;
 
-    // Optimize prompt for enhanced professional T-shirt design
-    const optimizedPrompt = `professional t-shirt design, ${prompt}, enhanced details, clean style, transparent background, suitable for printing`;
-    
-    // Use regular V2 API with sketch-inspired prompting
-    const generateResult = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-      prompt: `${optimizedPrompt}, professional illustration, clean design, detailed artwork`,
-      num_results: 1,
-      sync: false,
-      output: {
-        format: 'png',
-        hdr: true,
-        bit_depth: 16
-      }
-    });
+function cacheObjectMask(key, mask) {
+  objectMasks.set(key, mask);
+  if (objectMasks.size > OBJECT_MASK_CACHE_LIMIT) {
+    objectMasks.delete(objectMasks.keys().next().value);
+  }
+}
 
-    if (!generateResult.success) {
-      return res.status(generateResult.status || 500).json({
-        success: false,
-        error: generateResult.error
-      });
+/**
+ * The structured-prompt object under a fractional { x, y } point of a design. Objects without
+ * a cached mask are masked in one batch against a single registration of the image; when
+ * several masks cover the point the smallest wins, then the one whose structured-prompt
+ * location is nearest. Returns null when nothing is there.
+ */
+async function findObjectAtPoint(record, point) {
+  const imageUrl = record.image_url || record.local_url;
+  const structuredPrompt = parseStructuredPrompt(record.structured_prompt);
+  const locks = backgroundContextManager.getLockedElements(record.design_id, record);
+  const elements = describeLockableElements(structuredPrompt, locks);
+  const maskKey = (name) => `${record.design_id}/${name}`;
+
+  const missing = elements.filter(element => !objectMasks.has(maskKey(element.name)));
+  if (missing.length > 0) {
+    const registerResult = await briaRequest('register', { image_url: imageUrl, sync: false });
+    if (!registerResult.success) {
+      throw createRouteError(registerResult.status || 500, registerResult.error);
     }
 
-    const { request_id } = generateResult.data;
-    console.log(`📝 Sketch generation started, request ID: ${request_id}`);
+    const { visual_id } = registerResult.data;
+    console.log(`🎭 Masking ${missing.length} object(s) of ${record.design_id} (visual_id ${visual_id})`);
+    reportJobStage('mask_generation', { total: missing.length });
+    // An object that can't be masked just can't be selected
+    await runBatch(missing, async (element) => {
+      const maskResult = await generateObjectMask(imageUrl, element.name, { visualId: visual_id });
+      if (!maskResult.success) {
+        throw createRouteError(500, maskResult.error);
+      }
+      cacheObjectMask(maskKey(element.name), maskResult.mask);
+      return element.name;
+    });
+    throwIfCancelled();
+  }
 
-    // Poll for completion
-    const pollResult = await pollBriaStatus(request_id);
-    
-    console.log(`🎨 Sketch generation completed, making background transparent...`);
-    
-    // Remove background for transparency
-    const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
-      image: pollResult.imageUrl,
-      sync: false
-    });
+  const distanceTo = (name) => {
+    const box = anchorBoxFromStructuredPrompt(structuredPrompt, name);
+    return box ? Math.hypot(box.x + box.width / 2 - point.x, box.y + box.height / 2 - point.y) : 1;
+  };
 
-    let finalImageUrl = pollResult.imageUrl;
-    if (backgroundRemovalResult.success) {
-      const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
-      finalImageUrl = bgRemovalPollResult.imageUrl;
-      console.log(`✅ Background removed from sketch design`);
+  const hits = [];
+  for (const element of elements) {
+    const mask = objectMasks.get(maskKey(element.name));
+    if (!mask) continue;
+
+    const { hit, area } = await maskHitTest(mask, point);
+    if (hit) {
+      hits.push({ element, mask, area, distance: distanceTo(element.name) });
     }
-    
-    // Download and save locally
-    const filename = `enhanced_design_${request_id}_${Date.now()}.png`;
-    const localUrl = await downloadAndSaveImage(finalImageUrl, filename);
+  }
 
-    // Store generation data
-    const generationData = {
-      request_id,
-      generation_request_id: requestId,
-      original_prompt: prompt,
-      optimized_prompt: optimizedPrompt,
-      image_url: finalImageUrl,
-      local_url: localUrl,
-      generation_type: 'enhanced_design',
-      background_context: backgroundContext,
-      created_at: new Date().toISOString()
-    };
-    
-    generationCache.set(finalImageUrl, generationData);
-    generationCache.set(localUrl, generationData);
+  hits.sort((a, b) => a.area - b.area || a.distance - b.distance);
+  return hits[0] ? { ...hits[0], elements } : null;
+}
 
-    res.json({
-      success: true,
-      message: "Professional design generated with enhanced details",
-      imageUrl: localUrl,
-      originalUrl: finalImageUrl,
-      requestId: request_id,
-      generationType: 'enhanced_design'
-    });
+/**
+ * Validate select-object input: { x, y } in 0-1 image fractions of a stored design
+ */
+function validateSelectObjectRequest(body) {
+  findDesignOr404(body.designId);
 
-  } catch (error) {
-    console.error("Sketch generation error:", error.message);
-    res.status(500).json({
-      success: false,
-      error: { message: error.message }
-    });
+  const isFraction = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+  if (!isFraction(body.x) || !isFraction(body.y)) {
+    throw createRouteError(400, { message: "x and y must be numbers between 0 and 1" });
+  }
+}
+
+/**
+ * Select the object under a clicked point. Returns the object (name, description, lock
+ * state), its mask and bounding box.
+ */
+async function runSelectObject(body) {
+  const record = findDesignRecord({ designId: body.designId });
+  const { x, y } = body;
+
+  console.log(`👆 Selecting object at (${x.toFixed(2)}, ${y.toFixed(2)}) on ${record.design_id}`);
+  const selection = await findObjectAtPoint(record, { x, y });
+  if (!selection) {
+    throw createRouteError(404, { message: "No object found at that point" });
   }
+
+  console.log(`👆 Selected "${selection.element.name}"`);
+  return {
+    success: true,
+    designId: record.design_id,
+    point: { x, y },
+    object: selection.element,
+    mask: selection.mask,
+    box: await maskBoundingBox(selection.mask),
+    elements: selection.elements
+  };
+}
+
+const selectObjectRoute = jobRoute('select-object', runSelectObject, validateSelectObjectRequest);
+app.post("/api/designs/:id/select-object", (req, res) => {
+  req.body = { ...req.body, designId: req.params.id };
+  return selectObjectRoute(req, res);
 });
 
 /**
- * Enhanced refinement using hybrid mask-based and structured prompt approach
+ * Validate /api/erase input: a design plus the object to erase or a drawn mask
  */
-app.post("/api/refine", async (req, res) => {
-  try {
-    const { instruction, imageUrl } = req.body;
-    
-    // Validate input
-    if (!instruction || typeof instruction !== 'string' || instruction.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Valid instruction is required" }
-      });
-    }
+function validateEraseRequest(body) {
+  const { designId, object } = body;
 
-    if (!imageUrl || typeof imageUrl !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Valid image URL is required" }
-      });
-    }
+  if (!designId || typeof designId !== 'string') {
+    throw createRouteError(400, { message: "Valid design ID is required" });
+  }
 
-    console.log(`🔧 Starting enhanced refinement: "${instruction}"`);
-    console.log(`🖼️  Original image: ${imageUrl}`);
+  if (!findDesignRecord({ designId })) {
+    throw createRouteError(404, { message: `Design not found: ${designId}` });
+  }
 
-    // Create isolated background context for this refinement (Requirements 2.1, 2.5)
-    const refinementRequestId = `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const refinementBackgroundContext = backgroundContextManager.createIsolatedContext(refinementRequestId);
+  if (object !== undefined && object !== null && (typeof object !== 'string' || object.trim().length === 0 || object.length > 100)) {
+    throw createRouteError(400, { message: "object must be an element name" });
+  }
 
-    // CRITICAL: Retrieve original generation data
-    let originalData = generationCache.get(imageUrl);
-    
-    if (!originalData) {
-      for (const [key, data] of generationCache.entries()) {
-        if (data.local_url === imageUrl || data.image_url === imageUrl) {
-          originalData = data;
-          break;
-        }
-      }
-    }
-    
-    // Initialize or retrieve refinement chain for background persistence (Requirements 4.1, 4.2, 4.3)
-    const refinementChain = backgroundContextManager.initializeRefinementChain(imageUrl, originalData);
-    
-    // CRITICAL FIX: Enhanced URL mapping and chain synchronization
-    let apiImageUrl = imageUrl;
-    if (originalData && originalData.image_url && imageUrl.includes('localhost')) {
-      apiImageUrl = originalData.image_url;
-      console.log(`🔄 Using original Bria URL for API call: ${apiImageUrl}`);
-      
-      // CRITICAL FIX: Initialize refinement chain for API URL with proper state transfer
-      const localChain = backgroundContextManager.refinementChains.get(imageUrl);
-      
-      if (localChain) {
-        // Copy the entire chain state to API URL
-        backgroundContextManager.refinementChains.set(apiImageUrl, {
-          ...localChain,
-          originalImageUrl: apiImageUrl, // Update to API URL
-          chainId: `api_${localChain.chainId}` // Distinguish API chain
-        });
-        console.log(`🔗 Copied chain state: ${imageUrl} → ${apiImageUrl}`);
-        console.log(`🔗 Chain state: ${localChain.backgroundState.type} - "${localChain.backgroundState.description}"`);
-      } else {
-        // Initialize new chain for API URL with original data
-        backgroundContextManager.initializeRefinementChain(apiImageUrl, originalData);
-        console.log(`🔗 Initialized new chain for API URL: ${apiImageUrl}`);
-      }
-      
-      // CRITICAL FIX: Also ensure reverse mapping (API URL → local URL)
-      const apiChain = backgroundContextManager.refinementChains.get(apiImageUrl);
-      if (apiChain && !backgroundContextManager.refinementChains.has(imageUrl)) {
-        backgroundContextManager.refinementChains.set(imageUrl, {
-          ...apiChain,
-          originalImageUrl: imageUrl,
-          chainId: `local_${apiChain.chainId}`
-        });
-        console.log(`🔗 Created reverse mapping: ${apiImageUrl} → ${imageUrl}`);
-      }
-    } else {
-      // For non-localhost URLs, ensure chain exists
-      if (!backgroundContextManager.refinementChains.has(imageUrl)) {
-        backgroundContextManager.initializeRefinementChain(imageUrl, originalData);
-        console.log(`🔗 Initialized chain for direct URL: ${imageUrl}`);
-      }
-    }
-    
-    if (!originalData) {
-      console.warn(`⚠️  No generation data found for ${imageUrl} - using fallback approach`);
-    } else {
-      console.log(`✅ Found original generation data:`);
-      console.log(`   - Request ID: ${originalData.request_id}`);
-      console.log(`   - Original prompt: ${originalData.original_prompt}`);
-      console.log(`   - Structured prompt: ${originalData.structured_prompt ? 'Available' : 'Not available'}`);
-    }
+  if (!object && !body.mask && !(body.polygons?.length > 0)) {
+    throw createRouteError(400, { message: "Name the object to erase or send a mask" });
+  }
 
+  validateUserMaskInput(body);
+}
 
-    // Enhanced background operation analysis with refinement chain management (Requirements 2.1, 2.2, 2.4, 4.1, 4.2, 4.4, 4.5)
-    const isBackgroundOperation = backgroundContextManager.isBackgroundOperation(instruction);
-    
-    // Update refinement chain with current operation
-    backgroundContextManager.updateRefinementChainBackground(imageUrl, instruction, isBackgroundOperation);
-    
-    // Get current background state from refinement chain
-    const currentBackgroundState = backgroundContextManager.getCurrentBackgroundState(imageUrl);
-    
-    if (isBackgroundOperation) {
-      // Extract and set new background with complete replacement (Requirements 2.4, 4.5)
-      const backgroundDescription = backgroundContextManager.extractBackgroundDescriptionEnhanced(instruction);
-      backgroundContextManager.setBackground(refinementRequestId, backgroundDescription, true);
-      console.log(`🎨 Background operation detected: "${backgroundDescription}"`);
-    } else {
-      // For non-background operations, preserve background from refinement chain (Requirements 4.1, 4.2)
-      if (currentBackgroundState && currentBackgroundState.description) {
-        backgroundContextManager.setBackground(
-          refinementRequestId, 
-          currentBackgroundState.description, 
-          currentBackgroundState.isExplicitlySet
-        );
-        console.log(`🔒 Preserving background from refinement chain: "${currentBackgroundState.description}"`);
-      } else {
-        // Ensure transparent background for non-background operations (Requirements 4.3)
-        backgroundContextManager.preventThemeBackgroundInference(refinementRequestId);
-        console.log(`🔒 Maintaining transparent background as default`);
-      }
+/**
+ * Structured prompt without the objects matching an erased element (same form as given)
+ */
+function removeObjectFromStructuredPrompt(value, name) {
+  const structuredPrompt = parseStructuredPrompt(value);
+  if (!structuredPrompt?.objects) return value;
+
+  const updated = {
+    ...structuredPrompt,
+    objects: structuredPrompt.objects.filter(object => !isObjectLocked(object, [{ target: name }]))
+  };
+  return typeof value === 'string' ? JSON.stringify(updated) : updated;
+}
+
+/**
+ * Erase an object (masked with generateObjectMask) or a drawn mask from a design without
+ * regenerating anything; the result is stored as a refinement in the same lineage
+ */
+async function runErase(body) {
+  const originalData = findDesignRecord({ designId: body.designId });
+  const imageUrl = originalData.image_url || originalData.local_url;
+  const object = body.object ? body.object.trim() : null;
+  const rootDesignId = originalData.root_design_id || originalData.design_id;
+  console.log(`🧽 Erasing ${object ? `"${object}"` : 'drawn area'} from ${originalData.design_id}`);
+
+  const locks = backgroundContextManager.getLockedElements(originalData.design_id, originalData);
+  if (object) {
+    assertNoLockConflicts([{ type: 'object_removal', target: object }], locks);
+  }
+
+  const userMask = await resolveUserMask(body, imageUrl);
+  let maskResult = userMask ? { success: true, mask: userMask } : await generateObjectMask(imageUrl, object);
+  if (!maskResult.success) {
+    throw createRouteError(500, { message: `Could not find "${object}" to erase` });
+  }
+  if (locks.length > 0) {
+    maskResult = await excludeLockedRegions(imageUrl, maskResult, locks);
+  }
+
+  const erasedUrl = await eraseMaskedArea(imageUrl, maskResult.mask);
+  if (erasedUrl === imageUrl) {
+    throw createRouteError(500, { message: "Erase failed" });
+  }
+  const { imageUrl: finalImageUrl, recomposited } = await recompositeOutsideMask(imageUrl, erasedUrl, maskResult.mask);
+
+  const refinedDesignId = createDesignId();
+  const localUrl = await downloadAndSaveImage(finalImageUrl, `refined_${Date.now()}.png`);
+  const resultUrl = finalImageUrl.startsWith('data:') ? localUrl : finalImageUrl;
+  const instruction = object ? `erase the ${object.replace(/^the\s+/i, '')}` : 'erase the painted area';
+
+  backgroundContextManager.forkRefinementChain(refinedDesignId, originalData);
+  saveDesignRecord({
+    ...inheritableFields(originalData),
+    source: 'refinement',
+    design_id: refinedDesignId,
+    parent_design_id: originalData.design_id,
+    root_design_id: rootDesignId,
+    refined_from: originalData.local_url || imageUrl,
+    refinement_instruction: instruction,
+    refinement_strategy: 'erase',
+    refinement_drift: null,
+    refinement_recomposited: recomposited,
+    structured_prompt: object ? removeObjectFromStructuredPrompt(originalData.structured_prompt, object) : originalData.structured_prompt,
+    image_url: resultUrl,
+    local_url: localUrl,
+    refined_at: new Date().toISOString()
+  });
+
+  const erased = object ? `Erased the ${object.replace(/^the\s+/i, '')}` : 'Erased the painted area';
+  return {
+    success: true,
+    message: recomposited ? erased : `${erased}, but the rest of the design could not be restored exactly`,
+    refinedImageUrl: localUrl,
+    originalUrl: resultUrl,
+    designId: refinedDesignId,
+    parentDesignId: originalData.design_id,
+    rootDesignId,
+    editType: 'erase',
+    recomposited,
+    locks
+  };
+}
+
+app.post("/api/erase", jobRoute('erase', runErase, validateEraseRequest));
+
+// ====== STRUCTURED PROMPT ROUTES ======
+
+/**
+ * Edits to locked elements in a structured prompt change: [{ path, lock }]. Object edits are
+ * matched by index against the previous prompt; any background_setting change hits a
+ * background lock.
+ */
+function findStructuredPromptLockConflicts(before, diff, locks) {
+  const conflicts = [];
+  for (const change of diff) {
+    const objectIndex = change.path.match(/^objects\[(\d+)\]/)?.[1];
+    const object = objectIndex !== undefined ? before?.objects?.[Number(objectIndex)] : null;
+    const lock = object
+      ? locks.find(entry => isObjectLocked(object, [entry]))
+      : change.path.startsWith('background_setting') ? locks.find(entry => matchesLock('background', entry.target)) : null;
+    if (lock) {
+      conflicts.push({ path: change.path, lock: lock.target });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * The structured prompt a design was generated from (null when it has none)
+ */
+app.get("/api/designs/:id/structured-prompt", (req, res) => {
+  try {
+    const record = findDesignOr404(req.params.id);
+    const structuredPrompt = parseStructuredPrompt(record.structured_prompt);
+    res.json({
+      success: true,
+      designId: record.design_id,
+      available: !!structuredPrompt,
+      structuredPrompt,
+      schema: STRUCTURED_PROMPT_SCHEMA
+    });
+  } catch (error) {
+    sendDesignRouteError(res, error);
+  }
+});
+
+/**
+ * Field-level diff from ?against=<designId> (default: the parent version) to :id
+ */
+app.get("/api/designs/:id/structured-prompt/diff", (req, res) => {
+  try {
+    const record = findDesignOr404(req.params.id);
+    const againstId = req.query.against || record.parent_design_id;
+    if (!againstId) {
+      throw createRouteError(400, { message: "This is the first version; pass ?against=<designId> to compare" });
     }
+    const against = findDesignOr404(againstId);
 
-    // Parse instruction and determine refinement strategy
-    const refinementPlan = await analyzeRefinementInstructionEnhanced(instruction, originalData, refinementBackgroundContext);
-    console.log(`📋 Refinement plan: ${refinementPlan.strategy} (${refinementPlan.operations.length} operations)`);
+    res.json({
+      success: true,
+      designId: record.design_id,
+      againstDesignId: against.design_id,
+      diff: diffStructuredPrompts(against.structured_prompt, record.structured_prompt)
+    });
+  } catch (error) {
+    sendDesignRouteError(res, error);
+  }
+});
 
-    let refinementResult;
-    
-    // Execute refinement based on strategy with background context management
-    if (refinementPlan.strategy === 'background_replacement') {
-      refinementResult = await performBackgroundReplacementEnhanced(apiImageUrl, instruction, originalData, refinementBackgroundContext);
-    } else if (refinementPlan.strategy === 'background_removal') {
-      refinementResult = await performBackgroundRemoval(apiImageUrl);
-    } else if (refinementPlan.strategy === 'mask_based') {
-      refinementResult = await performMaskBasedRefinementEnhanced(apiImageUrl, instruction, originalData, refinementPlan, refinementBackgroundContext);
-    } else if (refinementPlan.strategy === 'multi_step') {
-      refinementResult = await performMultiStepRefinementEnhanced(apiImageUrl, instruction, originalData, refinementPlan, refinementBackgroundContext);
-    } else {
-      // Default to enhanced structured prompt refinement with background context
-      refinementResult = await performEnhancedStructuredRefinementEnhanced(apiImageUrl, instruction, originalData, refinementPlan, refinementBackgroundContext);
+/**
+ * Regenerate a design from an edited structured prompt: { structuredPrompt }. The result is
+ * stored as a refinement in the same lineage. Invalid prompts get 400 with { errors }, edits
+ * to locked elements 409.
+ */
+app.put("/api/designs/:id/structured-prompt", async (req, res) => {
+  try {
+    const originalData = findDesignOr404(req.params.id);
+    const { structuredPrompt } = req.body || {};
+
+    const errors = validateStructuredPrompt(structuredPrompt);
+    if (errors.length > 0) {
+      throw createRouteError(400, {
+        message: `Invalid structured prompt: ${errors.slice(0, 3).map(({ path, message }) => `${path} ${message}`).join('; ')}`
+      }, { errors });
+    }
+
+    const before = parseStructuredPrompt(originalData.structured_prompt);
+    const diff = diffStructuredPrompts(before, structuredPrompt);
+    if (diff.length === 0) {
+      throw createRouteError(400, { message: "The structured prompt has no changes" });
+    }
+
+    const rootDesignId = originalData.root_design_id || originalData.design_id;
+    const locks = backgroundContextManager.getLockedElements(originalData.design_id, originalData);
+    const conflicts = findStructuredPromptLockConflicts(before, diff, locks);
+    if (conflicts.length > 0) {
+      const targets = [...new Set(conflicts.map(({ lock }) => lock))];
+      throw createRouteError(409, {
+        message: `${targets.map(target => `"${target}"`).join(' and ')} ${targets.length > 1 ? 'are' : 'is'} locked; unlock before editing`
+      }, { locks: targets, conflicts });
+    }
+
+    console.log(`📝 Regenerating ${originalData.design_id} from an edited structured prompt (${diff.length} change(s))`);
+    const backgroundChanged = diff.some(change => change.path.startsWith('background_setting'));
+    const instruction = backgroundChanged
+      ? `change the background to ${structuredPrompt.background_setting}`
+      : `edit structured prompt: ${diff.map(change => change.path).join(', ')}`;
+    // The design's own seed keeps the composition, so only the edited fields change
+    // (uploads only have a pseudo-seed)
+    const seed = Number.isInteger(originalData.seed) ? originalData.seed : null;
+    const result = await briaRequest('generate', {
+      structured_prompt: JSON.stringify(structuredPrompt),
+      ...(seed !== null && { seed }),
+      sync: false
+    });
+    if (!result.success) {
+      throw createRouteError(500, result.error);
     }
+    const pollResult = await pollBriaStatus(result.data.request_id);
 
-    if (!refinementResult.success) {
-      return res.status(500).json({
-        success: false,
-        error: refinementResult.error,
-        debug: {
-          original_data_found: !!originalData,
-          instruction: instruction,
-          strategy: refinementPlan.strategy
-        }
-      });
+    // Forked only once there is a design to attach the chain to
+    const refinedDesignId = createDesignId();
+    const refinementChain = backgroundContextManager.forkRefinementChain(refinedDesignId, originalData);
+    backgroundContextManager.updateRefinementChainBackground(refinedDesignId, instruction, backgroundChanged);
+
+    // Same background rule as prompt refinements: a default transparent background stays transparent
+    let finalImageUrl = pollResult.imageUrl;
+    const backgroundState = backgroundContextManager.getCurrentBackgroundState(refinedDesignId);
+    if (!backgroundChanged && (backgroundState.type === 'default' || backgroundState.description === 'transparent background')) {
+      finalImageUrl = (await performBackgroundRemoval(pollResult.imageUrl)).imageUrl || finalImageUrl;
     }
 
-    // Download and save refined image locally
-    const filename = `refined_${Date.now()}.png`;
-    const localUrl = await downloadAndSaveImage(refinementResult.imageUrl, filename);
+    const localUrl = await downloadAndSaveImage(finalImageUrl, `refined_${Date.now()}.png`);
+    const resultUrl = finalImageUrl.startsWith('data:') ? localUrl : finalImageUrl;
 
-    // Store refined image data for future refinements with enhanced background persistence (Requirements 4.1, 4.2, 4.3, 4.4, 4.5)
-    const refinedData = {
-      ...originalData,
-      refined_from: imageUrl,
+    saveDesignRecord({
+      ...inheritableFields(originalData),
+      source: 'refinement',
+      design_id: refinedDesignId,
+      parent_design_id: originalData.design_id,
+      root_design_id: rootDesignId,
+      refined_from: originalData.local_url || originalData.image_url,
       refinement_instruction: instruction,
-      refinement_strategy: refinementPlan.strategy,
-      structured_prompt: refinementResult.structured_prompt || originalData?.structured_prompt,
-      image_url: refinementResult.imageUrl,
+      refinement_strategy: 'structured_prompt_edit',
+      refinement_drift: null,
+      request_id: result.data.request_id,
+      seed: pollResult.result?.seed ?? seed,
+      structured_prompt: JSON.stringify(structuredPrompt),
+      image_url: resultUrl,
       local_url: localUrl,
-      background_context: refinementResult.background_context || refinementBackgroundContext,
-      context_isolated: refinementResult.context_isolated || false,
       refined_at: new Date().toISOString(),
-      // Enhanced background persistence tracking
       refinement_chain: {
+        ...originalData.refinement_chain,
         chainId: refinementChain.chainId,
-        backgroundState: currentBackgroundState,
-        isBackgroundOperation: isBackgroundOperation,
-        backgroundPreserved: !isBackgroundOperation,
-        refinementCount: refinementChain.refinementHistory.length
+        backgroundState: backgroundState,
+        isBackgroundOperation: backgroundChanged,
+        backgroundPreserved: !backgroundChanged,
+        refinementCount: refinementChain.refinementHistory.length,
+        lockedElements: refinementChain.lockedElements
       }
-    };
-    
-    generationCache.set(localUrl, refinedData);
-    generationCache.set(refinementResult.imageUrl, refinedData);
+    });
 
     res.json({
       success: true,
-      message: "Image refined successfully",
+      message: "Design regenerated from the edited structured prompt",
       refinedImageUrl: localUrl,
-      originalUrl: refinementResult.imageUrl,
-      editType: refinementResult.edit_type || refinementPlan.strategy,
-      request_id: refinementResult.request_id,
-      debug: {
-        original_data_preserved: !!originalData,
-        method_used: refinementPlan.strategy,
-        operations_count: refinementPlan.operations.length,
-        supports_localized_editing: refinementPlan.strategy === 'mask_based'
-      }
+      originalUrl: resultUrl,
+      designId: refinedDesignId,
+      parentDesignId: originalData.design_id,
+      rootDesignId,
+      editType: 'structured_prompt_edit',
+      structuredPrompt,
+      diff
     });
-
   } catch (error) {
-    console.error("Refinement error:", error.message);
-    res.status(500).json({
-      success: false,
-      error: { message: error.message }
-    });
+    sendDesignRouteError(res, error);
   }
 });
 
 /**
- * Enhanced refinement instruction analysis with background context management
- * Implements Requirements 2.1, 2.2, 2.3 for background generation logic fixes
+ * Validate /api/generate input
  */
-async function analyzeRefinementInstructionEnhanced(instruction, originalData, backgroundContext) {
-  const lowerInstruction = instruction.toLowerCase();
-  
-  console.log(`🔍 Enhanced refinement analysis: "${instruction}"`);
-  console.log(`   - Background context: ${backgroundContext ? 'Available' : 'None'}`);
-  
-  // CRITICAL FIX: Check for multi-edit operations FIRST before background detection
-  // This prevents mixed operations from being treated as pure background operations
-  const multiEditPatterns = [
-    /\s+and\s+/i,
-    /\s*&\s*/,
-    /\s+plus\s+/i,
-    /\s+also\s+/i,
-    /\s+then\s+/i,
-    /,\s*(?=add|change|make|turn|give|put|place|remove)/i,
-    /;\s*(?=add|change|make|turn|give|put|place|remove)/i,
-    /(?:add|change|make|turn|give|put|place|remove)\s+[^,]+.*(?:add|change|make|turn|give|put|place|remove)/i,
-    /(?:add|change|make|turn|give|put|place|remove)\s+[^,]+\s+(?:and\s+)?(?:also\s+)?(?:then\s+)?(?:add|change|make|turn|give|put|place|remove)/i,
-    // CRITICAL FIX: Specific patterns for mixed background + object operations
-    /(?:add|put|place)\s+.+\s+and\s+(?:change|set|make)\s+.+background/i,
-    /(?:change|set|make)\s+.+background.+\s+and\s+(?:add|put|place)/i,
-    // CRITICAL FIX: Pattern for "make X and add Y background" format
-    /(?:make|turn|change)\s+.+\s+and\s+(?:add|put|place)\s+.+background/i,
-    /(?:add|put|place)\s+.+background\s+and\s+(?:make|turn|change)/i
-  ];
-  
-  const hasMultipleEdits = multiEditPatterns.some(pattern => pattern.test(instruction));
-  console.log(`🔍 DEBUG: hasMultipleEdits = ${hasMultipleEdits} for "${instruction}"`);
-  
-  if (hasMultipleEdits) {
-    const operations = parseMultipleOperationsEnhanced(instruction);
-    console.log(`🔍 Multi-edit detected: ${operations.length} operations found`);
-    
-    // Validate that we actually extracted multiple operations
-    if (operations.length > 1) {
-      return {
-        strategy: 'multi_step',
-        operations: operations,
-        originalOperationCount: operations.length,
-        conflictsResolved: false
-      };
-    } else {
-      console.log(`   - Only ${operations.length} operation found, checking for single background operation`);
-    }
+function validateGenerateRequest(body) {
+  const { prompt } = body;
+
+  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    throw createRouteError(400, { message: "Valid prompt is required" });
   }
-  
-  // Check for background operations with enhanced detection (Requirements 2.2)
-  // Only treat as pure background operation if it's not part of a multi-edit
-  const isBackgroundOperation = backgroundContextManager.isBackgroundOperation(instruction);
-  console.log(`🔍 DEBUG: isBackgroundOperation = ${isBackgroundOperation}`);
-  if (isBackgroundOperation && !hasMultipleEdits) {
-    console.log(`   - Pure background operation detected`);
-    return {
-      strategy: 'background_replacement',
-      operations: [{
-        type: 'background_edit',
-        instruction,
-        target: 'background',
-        backgroundContext: backgroundContext,
-        contextIsolated: true
-      }],
-      backgroundOperation: true,
-      contextIsolated: true
-    };
+
+  if (prompt.length > 1000) {
+    throw createRouteError(400, { message: "Prompt too long (max 1000 characters)" });
   }
-  
-  // PRIORITY A FIX: Check for single object-specific operations before falling back
-  console.log(`🔍 DEBUG: Checking for single object-specific operations: "${instruction}"`);
-  const singleOperation = parseIndividualOperationWithValidation(instruction);
-  console.log(`🔍 DEBUG: parseIndividualOperationWithValidation returned:`, singleOperation);
-  
-  if (singleOperation && singleOperation.isValid && singleOperation.type !== 'general_edit') {
-    console.log(`🎯 CRITICAL BUG FIX: Single object-specific operation detected: ${singleOperation.type}`);
+
+  validateSeedOptions(body);
+  validateGarment(body.garment);
+}
+
+/**
+ * Validate the optional `garment` of generation routes against the prompt pipeline config
+ */
+function validateGarment(garment) {
+  if (garment !== undefined && garment !== null && !(typeof garment === 'string' && promptPipeline.hasGarment(garment))) {
+    throw createRouteError(400, {
+      message: `garment must be one of: ${promptPipeline.describe().garments.join(', ')}`
+    });
+  }
+}
+
+/**
+ * Validate the reproducibility options shared by generation routes: `seed` (reuse a
+ * design's seed to reproduce it) and `num_results`
+ */
+function validateSeedOptions(body) {
+  const message = describeSeedOptionsError(body);
+  if (message) {
+    throw createRouteError(400, { message });
+  }
+}
+
+/**
+ * Generate new image(s) with transparent background. With num_results > 1 the candidates are
+ * generated in parallel and stored under one design: the first that succeeds is the design,
+ * the others are alternates (source 'candidate') in its lineage, listed in `candidates`.
+ */
+async function runGenerate(body) {
+  const { prompt, garment } = body;
+  const seeds = resolveSeeds(body.seed, body.num_results || 1);
+
+  if (seeds.length === 1) {
     return {
-      strategy: 'multi_step', // Use multi_step for consistency with object-specific targeting
-      operations: [singleOperation],
-      originalOperationCount: 1,
-      conflictsResolved: false,
-      singleOperation: true,
-      backgroundPreservation: {
-        shouldPreserve: backgroundContext && backgroundContext.background && backgroundContext.isExplicitlySet,
-        currentBackground: backgroundContext ? backgroundContext.background : null,
-        preventThemeInference: true,
-        contextIsolated: true
-      }
+      success: true,
+      message: "Image generated successfully with transparent background",
+      ...saveGeneratedDesign(await generateTransparentDesign(prompt, seeds[0], garment))
     };
   }
-  
-  // For non-background operations, use original analysis but with background preservation
-  console.log(`🔍 DEBUG: Calling analyzeRefinementInstruction for: "${instruction}"`);
-  const originalAnalysis = await analyzeRefinementInstruction(instruction, originalData);
-  console.log(`🔍 DEBUG: analyzeRefinementInstruction returned strategy: ${originalAnalysis.strategy}`);
-  
-  // Add background preservation metadata (Requirements 2.1, 2.3)
-  originalAnalysis.backgroundPreservation = {
-    shouldPreserve: backgroundContext && backgroundContext.background && backgroundContext.isExplicitlySet,
-    currentBackground: backgroundContext ? backgroundContext.background : null,
-    preventThemeInference: true,
-    contextIsolated: true
+
+  console.log(`🎨 Generating ${seeds.length} candidates in parallel`);
+  reportJobStage('generation', { total: seeds.length });
+  // Candidates are stored once all settle, so stream only the image and seed of each
+  const items = await runBatch(seeds, seed => generateTransparentDesign(prompt, seed, garment), {
+    onSettled: item => reportJobItem(item.status === 'ok'
+      ? { ...item, result: { imageUrl: item.result.local_url, seed: item.result.seed } }
+      : item)
+  });
+  const generated = items.filter(item => item.status === 'ok').map(item => item.result);
+  const summary = summarizeBatch(items);
+  if (generated.length === 0) {
+    throw createRouteError(summary.failed > 0 ? 500 : 409, {
+      message: summary.failed > 0 ? `Generation failed: ${items.find(item => item.error).error.message}` : "Generation was cancelled"
+    });
+  }
+
+  const designId = createDesignId();
+  const candidateIds = generated.map((_, index) => (index === 0 ? designId : createDesignId()));
+  const candidates = generated.map((design, index) => saveGeneratedDesign(design, index === 0
+    ? { design_id: designId, candidate_index: 0, candidate_ids: candidateIds }
+    : { design_id: candidateIds[index], source: 'candidate', parent_design_id: designId, root_design_id: designId, candidate_index: index }
+  ));
+  // The lineage continues from the first candidate until another one is picked
+  designHeads.set(designId, designId);
+
+  return {
+    success: true,
+    message: `Generated ${candidates.length} candidates with transparent background${formatBatchSummary(summary)}`,
+    ...candidates[0],
+    candidates,
+    // Statuses only; the stored candidates are listed above
+    items: items.map(({ result, ...item }) => item),
+    summary
   };
-  
-  console.log(`   - Background preservation: ${originalAnalysis.backgroundPreservation.shouldPreserve}`);
-  
-  return originalAnalysis;
 }
 
 /**
- * Original refinement instruction analysis (preserved for compatibility)
+ * Generate one design from a prompt (optionally with a fixed seed and for a garment of the
+ * prompt pipeline) and remove its background; saveGeneratedDesign stores the result
  */
-async function analyzeRefinementInstruction(instruction, originalData) {
-  const lowerInstruction = instruction.toLowerCase();
-  
-  // Check for background removal
-  if (lowerInstruction.includes('remove') && lowerInstruction.includes('background')) {
-    return {
-      strategy: 'background_removal',
-      operations: [{ type: 'background_removal', instruction }]
-    };
+async function generateTransparentDesign(prompt, seed = null, garment = null) {
+  console.log(`🎨 Starting generation: "${prompt}"${seed !== null ? ` (seed ${seed})` : ''}`);
+
+  // Create isolated background context for this generation (Requirements 2.1, 2.5)
+  const requestId = `gen_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const backgroundContext = backgroundContextManager.createIsolatedContext(requestId);
+  
+  // Prevent character themes from automatically adding backgrounds (Requirements 2.3)
+  backgroundContextManager.preventThemeBackgroundInference(requestId);
+
+  // Optimize prompt for T-shirt design with explicit transparent background
+  const pipelinePrompt = promptPipeline.build({ prompt, mode: 'generate', garment });
+  const optimizedPrompt = pipelinePrompt.optimizedPrompt;
+  
+  // Call Bria image generation API with HDR/16-bit support
+  const generateResult = await briaRequest('generate', {
+    prompt: pipelinePrompt.prompt,
+    ...(pipelinePrompt.negativePrompt && { negative_prompt: pipelinePrompt.negativePrompt }),
+    sync: false, // Use async mode
+    ...(seed !== null && { seed }),
+    output: {
+      format: 'png',
+      hdr: true,
+      bit_depth: 16
+    }
+  });
+
+  if (!generateResult.success) {
+    throw createRouteError(generateResult.status || 500, generateResult.error);
   }
+
+  const { request_id } = generateResult.data;
+  if (!request_id) {
+    throw createRouteError(500, { message: "No request ID received from Bria API" });
+  }
+
+  console.log(`📝 Generation started, request ID: ${request_id}`);
+
+  // Poll for completion
+  const pollResult = await pollBriaStatus(request_id);
   
-  // Enhanced multi-edit detection with comprehensive patterns (Requirements 1.1, 1.4)
-  const multiEditPatterns = [
-    // Primary conjunctions
-    /\s+and\s+/i,
-    /\s*&\s*/,
-    /\s+plus\s+/i,
-    /\s+also\s+/i,
-    /\s+then\s+/i,
-    
-    // Advanced patterns
-    /,\s*(?=add|change|make|turn|give|put|place|remove)/i,
-    /;\s*(?=add|change|make|turn|give|put|place|remove)/i,
-    
-    // Multiple action patterns
-    /(?:add|change|make|turn|give|put|place|remove)\s+[^,]+.*(?:add|change|make|turn|give|put|place|remove)/i,
-    
-    // Sequential patterns with optional conjunctions
-    /(?:add|change|make|turn|give|put|place|remove)\s+[^,]+\s+(?:and\s+)?(?:also\s+)?(?:then\s+)?(?:add|change|make|turn|give|put|place|remove)/i
-  ];
-  
-  const hasMultipleEdits = multiEditPatterns.some(pattern => pattern.test(instruction));
-  console.log(`🔍 DEBUG: hasMultipleEdits = ${hasMultipleEdits} for "${instruction}"`);
-  
-  // CRITICAL FIX: Check for comma-separated lists first (higher priority)
-  const hasCommas = instruction.includes(',');
-  const isAddListPattern = /^add\s+.+,.*and\s+.+$/i.test(instruction);
-  console.log(`🔍 DEBUG: hasCommas = ${hasCommas}, isAddListPattern = ${isAddListPattern}`);
+  console.log(`🎨 Generation completed, now making background transparent...`);
   
-  if (hasCommas && isAddListPattern) {
-    console.log('🎯 CRITICAL FIX: "add X, Y, and Z" list pattern detected - forcing multi-step');
-    const match = instruction.match(/^add\s+(.+)$/i);
-    if (match) {
-      const itemsString = match[1];
-      // CRITICAL FIX: Enhanced splitting for "a hat, cigar and a snake"
-      let items = [];
-      
-      console.log(`🔍 COMMA LIST DEBUG: Original itemsString: "${itemsString}"`);
-      
-      // Strategy 1: Split on commas first, then handle "and" in the last part
-      const commaParts = itemsString.split(',').map(part => part.trim());
-      console.log(`🔍 COMMA LIST DEBUG: After comma split: [${commaParts.map(p => `"${p}"`).join(', ')}]`);
-      
-      for (let i = 0; i < commaParts.length; i++) {
-        const part = commaParts[i];
-        console.log(`🔍 COMMA LIST DEBUG: Processing part ${i + 1}: "${part}"`);
-        
-        if (i === commaParts.length - 1) {
-          // Last part - check for "and" to split further
-          if (part.includes(' and ')) {
-            console.log(`🔍 COMMA LIST DEBUG: Found "and" in last part, splitting further`);
-            const andParts = part.split(/\s+and\s+/i).map(p => p.trim());
-            console.log(`🔍 COMMA LIST DEBUG: And parts: [${andParts.map(p => `"${p}"`).join(', ')}]`);
-            
-            // Add each "and" part separately
-            for (const andPart of andParts) {
-              const cleanPart = andPart.replace(/^and\s+/i, '').trim();
-              if (cleanPart) {
-                items.push(cleanPart);
-                console.log(`🔍 COMMA LIST DEBUG: Added and part: "${cleanPart}"`);
-              }
-            }
-          } else {
-            // Remove leading "and" if present
-            const cleanPart = part.replace(/^and\s+/i, '').trim();
-            if (cleanPart) {
-              items.push(cleanPart);
-              console.log(`🔍 COMMA LIST DEBUG: Added last part: "${cleanPart}"`);
-            }
-          }
-        } else {
-          // Not the last part - add as is
-          items.push(part);
-          console.log(`🔍 COMMA LIST DEBUG: Added regular part: "${part}"`);
-        }
-      }
-      
-      // Filter out empty items
-      items = items.filter(item => item.length > 0);
-      console.log(`🔍 COMMA LIST DEBUG: Final items: [${items.map(p => `"${p}"`).join(', ')}] (${items.length} total)`);
-      
-      // CRITICAL FIX: If we still only have 2 items but the original had "and", try alternative splitting
-      if (items.length === 2 && itemsString.includes(' and ')) {
-        console.log(`🔍 COMMA LIST DEBUG: Only 2 items found, trying alternative splitting`);
-        
-        // Strategy 1: Try splitting on both commas and "and" simultaneously
-        const alternativeItems = itemsString
-          .split(/,\s*|\s+and\s+/i)
-          .map(item => item.trim())
-          .filter(item => item.length > 0 && item !== 'and');
-        
-        console.log(`🔍 COMMA LIST DEBUG: Alternative split: [${alternativeItems.map(p => `"${p}"`).join(', ')}] (${alternativeItems.length} total)`);
-        
-        if (alternativeItems.length > items.length) {
-          items = alternativeItems;
-          console.log(`🔍 COMMA LIST DEBUG: Using alternative split with ${items.length} items`);
-        }
-        
-        // Strategy 2: If still only 2 items, try more aggressive splitting
-        if (items.length === 2) {
-          console.log(`🔍 COMMA LIST DEBUG: Still only 2 items, trying aggressive splitting`);
-          
-          // Look for patterns like "X and Y around it" and split into "X" and "Y around it"
-          const lastItem = items[items.length - 1];
-          const aggressiveMatch = lastItem.match(/^(.+?)\s+and\s+(.+)$/i);
-          
-          if (aggressiveMatch) {
-            console.log(`🔍 COMMA LIST DEBUG: Found "and" pattern in last item: "${lastItem}"`);
-            
-            // Replace the last item with the two split parts
-            items[items.length - 1] = aggressiveMatch[1].trim();
-            items.push(aggressiveMatch[2].trim());
-            
-            console.log(`🔍 COMMA LIST DEBUG: Aggressive split result: [${items.map(p => `"${p}"`).join(', ')}] (${items.length} total)`);
-          }
-        }
-      }
-      
-      const forcedOperations = items.map(item => ({
-        type: 'object_addition',
-        instruction: `add ${item}`,
-        target: extractObjectFromPhrase(item),
-        object: item,
-        action: 'add',
-        priority: 2,
-        isValid: true,
-        confidence: 0.95
-      }));
-      
-      console.log(`✅ FORCED list multi-step: ${forcedOperations.length} operations created from items: [${items.join(', ')}]`);
-      forcedOperations.forEach((op, i) => {
-        console.log(`   ${i + 1}. ${op.type}: "${op.instruction}" (target: ${op.target})`);
-      });
-      
-      return {
-        strategy: 'multi_step',
-        operations: forcedOperations,
-        originalOperationCount: forcedOperations.length,
-        conflictsResolved: false,
-        forcedFix: true,
-        criticalFix: true,
-        listPattern: true
-      };
-    }
-  }
-  
-  // CRITICAL FIX: Handle simple "add X and Y" pattern (no commas) - BUT ONLY if it's not a mixed operation
-  const isAddAndPattern = !hasCommas && /^add\s+.+\s+and\s+.+$/i.test(instruction);
-  
-  // CRITICAL FIX: Check if this is actually a mixed operation first
-  const isMixedOperation = /^add\s+.+\s+and\s+(change|make|turn|set)\s+/i.test(instruction) ||
-                          /^add\s+.+\s+and\s+.+\s+background/i.test(instruction);
-  
-  if (isAddAndPattern && !isMixedOperation) {
-    console.log('🎯 CRITICAL FIX: "add X and Y" simple pattern detected - forcing multi-step');
-    const match = instruction.match(/^add\s+(.+?)\s+and\s+(.+)$/i);
-    if (match) {
-      const forcedOperations = [
-        {
-          type: 'object_addition',
-          instruction: `add ${match[1].trim()}`,
-          target: extractObjectFromPhrase(match[1].trim()),
-          object: match[1].trim(),
-          action: 'add',
-          priority: 2,
-          isValid: true,
-          confidence: 0.95
-        },
-        {
-          type: 'object_addition',
-          instruction: `add ${match[2].trim()}`,
-          target: extractObjectFromPhrase(match[2].trim()),
-          object: match[2].trim(),
-          action: 'add', 
-          priority: 2,
-          isValid: true,
-          confidence: 0.95
-        }
-      ];
-      
-      console.log(`✅ FORCED simple multi-step: ${forcedOperations.length} operations created`);
-      forcedOperations.forEach((op, i) => {
-        console.log(`   ${i + 1}. ${op.type}: "${op.instruction}" (target: ${op.target})`);
-      });
-      
-      return {
-        strategy: 'multi_step',
-        operations: forcedOperations,
-        originalOperationCount: 2,
-        conflictsResolved: false,
-        forcedFix: true,
-        criticalFix: true
-      };
-    }
-  }
-  
-  if (hasMultipleEdits) {
-    const operations = parseMultipleOperationsEnhanced(instruction);
-    console.log(`🔍 Multi-edit detected: ${operations.length} operations found`);
-    
-    // Validate that we actually extracted multiple operations (Requirements 1.5)
-    if (operations.length > 1) {
-      // Apply enhanced conflict resolution (Requirements 1.3)
-      const resolvedOperations = resolveOperationConflicts(operations);
-      
-      // Log operation validation results
-      const validationResults = validateOperationCompleteness(instruction, resolvedOperations);
-      if (!validationResults.isComplete) {
-        console.warn(`⚠️  Operation validation warning: ${validationResults.warning}`);
-      }
-      
-      return {
-        strategy: 'multi_step',
-        operations: resolvedOperations,
-        originalOperationCount: operations.length,
-        conflictsResolved: operations.length !== resolvedOperations.length,
-        validationResults: validationResults
-      };
-    } else {
-      console.log(`   - Only ${operations.length} operation found, using single-step approach`);
-    }
+  // STEP 2: Automatically remove background to ensure transparency
+  const backgroundRemovalResult = await briaRequest('remove_background', {
+    image: pollResult.imageUrl,
+    sync: false
+  });
+
+  if (!backgroundRemovalResult.success) {
+    console.warn(`⚠️  Background removal failed, using original image: ${backgroundRemovalResult.error?.message}`);
+    // Use original image if background removal fails
+    var finalImageUrl = pollResult.imageUrl;
+    var finalResult = pollResult.result;
+  } else {
+    console.log(`📝 Background removal request ID: ${backgroundRemovalResult.data.request_id}`);
+    const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
+    var finalImageUrl = bgRemovalPollResult.imageUrl;
+    var finalResult = bgRemovalPollResult.result;
+    console.log(`✅ Background removed successfully, transparent image ready`);
   }
   
-  // Check for localized edits that benefit from mask-based approach
-  const localizedKeywords = [
-    'add blood', 'add crack', 'add scar', 'add drip', 'add tear',
-    'change tooth', 'change eye', 'change nose', 'change ear',
-    'add to nose', 'add to eye', 'add to mouth', 'add to forehead',
-    'paint on', 'draw on', 'scratch on', 'mark on'
-  ];
+  // Download and save the final transparent image locally
+  const filename = `generated_${request_id}_${Date.now()}.png`;
+  const localUrl = await downloadAndSaveImage(finalImageUrl, filename);
+
+  // CRITICAL: Store structured_prompt and generation artifacts with background context
+  const generationData = {
+    request_id,
+    generation_request_id: requestId, // Background context ID
+    original_prompt: prompt,
+    optimized_prompt: optimizedPrompt,
+    garment: pipelinePrompt.garment,
+    structured_prompt: pollResult.result?.structured_prompt || finalResult?.structured_prompt || null,
+    seed: pollResult.result?.seed ?? finalResult?.seed ?? seed,
+    image_url: finalImageUrl, // Final transparent image URL
+    original_with_bg_url: pollResult.imageUrl, // Original with background (if different)
+    local_url: localUrl, // Local cached URL
+    has_transparent_bg: finalImageUrl !== pollResult.imageUrl,
+    background_context: backgroundContext,
+    created_at: new Date().toISOString()
+  };
   
-  const isLocalizedEdit = localizedKeywords.some(keyword => 
-    lowerInstruction.includes(keyword)
-  );
+  return generationData;
+}
+
+/**
+ * Store a generated design for refinement use (its original-with-bg URL also resolves to
+ * it); `lineage` overrides the record's id and lineage fields. Returns the response fields.
+ */
+function saveGeneratedDesign(generationData, lineage = {}) {
+  const { image_url: finalImageUrl, original_with_bg_url: originalWithBgUrl, local_url: localUrl } = generationData;
+  saveDesignRecord(Object.assign(generationData, lineage), [originalWithBgUrl]);
   
-  if (isLocalizedEdit) {
-    return {
-      strategy: 'mask_based',
-      operations: [{ type: 'localized_edit', instruction, target: extractEditTarget(instruction) }]
-    };
+  console.log(`💾 Stored generation data for URLs:`);
+  console.log(`   - Final (transparent): ${finalImageUrl}`);
+  console.log(`   - Local: ${localUrl}`);
+  if (originalWithBgUrl !== finalImageUrl) {
+    console.log(`   - Original (with bg): ${originalWithBgUrl}`);
   }
-  
-  // CRITICAL FIX: Handle single operations before falling back to structured prompt
-  console.log(`🔍 DEBUG: About to call parseIndividualOperationWithValidation for: "${instruction}"`);
-  const singleOperation = parseIndividualOperationWithValidation(instruction);
-  console.log(`🔍 DEBUG: parseIndividualOperationWithValidation returned:`, singleOperation);
-  if (singleOperation && singleOperation.isValid) {
-    console.log(`🎯 CRITICAL FIX: Single operation detected: ${singleOperation.type}`);
-    return {
-      strategy: 'multi_step', // Use multi_step even for single operations for consistency
-      operations: [singleOperation],
-      originalOperationCount: 1,
-      conflictsResolved: false,
-      singleOperation: true
-    };
-  } else {
-    console.log(`🔍 DEBUG: Single operation not valid or not found, falling back to structured_prompt`);
+  if (generationData.structured_prompt) {
+    console.log(`📋 Structured prompt preserved (${generationData.structured_prompt.length} chars)`);
   }
-  
-  // Default to enhanced structured prompt approach
+
   return {
-    strategy: 'structured_prompt',
-    operations: [{ type: 'structured_modification', instruction }]
+    imageUrl: localUrl,
+    originalUrl: finalImageUrl,
+    originalWithBgUrl: originalWithBgUrl !== finalImageUrl ? originalWithBgUrl : null,
+    requestId: generationData.request_id,
+    designId: generationData.design_id,
+    structured_prompt: generationData.structured_prompt ? "preserved" : "not_available",
+    seed: generationData.seed,
+    hasTransparentBg: generationData.has_transparent_bg
   };
 }
 
+app.post("/api/generate", jobRoute('generate', runGenerate, validateGenerateRequest));
+
+// ====== PROMPT PIPELINE ROUTES ======
+
+// Generation modes that build their prompt through the pipeline, by route
+const PROMPT_PIPELINE_MODES = {
+  generate: '/api/generate',
+  vector: '/api/generate-vector',
+  brand_colors: '/api/generate-with-brand-colors',
+  sketch: '/api/generate-from-sketch'
+};
+
 /**
- * Get action word from operation type for inheritance
+ * Active pipeline config, when it was loaded and the last reload error (if any)
  */
-function getActionWordFromType(operationType) {
-  const actionMap = {
-    'object_addition': 'add',
-    'object_modification': 'change',
-    'background_edit': 'change',
-    'object_removal': 'remove',
-    'general_edit': 'modify'
-  };
-  return actionMap[operationType] || 'add';
-}
+app.get("/api/prompt-pipeline", (req, res) => {
+  res.json({ success: true, ...promptPipeline.describe(), routes: PROMPT_PIPELINE_MODES });
+});
 
 /**
- * Enhanced multi-operation parser with comprehensive pattern recognition and validation
- * Implements Requirements 1.1, 1.2, 1.4, 1.5 for complete multi-refinement parsing
+ * Show the prompt a generation would send without generating: { prompt, mode, garment }
  */
-function parseMultipleOperationsEnhanced(instruction) {
-  const operations = [];
-  
-  console.log(`🔍 FIXED Enhanced parsing of multi-edit instruction: "${instruction}"`);
-  
-  // CRITICAL FIX: Process "add X and change Y color to Z" patterns FIRST
-  // NEW PATTERN: "add X and change the Y color to Z" (object addition + object modification)
-  const addPlusColorPattern = /^(add|put|place)\s+(?:a\s+|an\s+)?(.+?)\s+and\s+(change|make|turn)\s+(?:the\s+)?(.+?)\s+color\s+(?:to\s+)?(\w+)$/i;
-  const addPlusColorMatch = instruction.match(addPlusColorPattern);
-  
-  if (addPlusColorMatch) {
-    console.log(`   - 🎯 PRIORITY FIX: Add + color change pattern detected`);
-    
-    const additionOp = {
-      type: 'object_addition',
-      instruction: `${addPlusColorMatch[1]} ${addPlusColorMatch[2]}`,
-      target: extractObjectFromPhrase(addPlusColorMatch[2]),
-      object: addPlusColorMatch[2].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    // Clean up target (remove possessive 's if present)
-    const colorTarget = addPlusColorMatch[4].trim().replace(/'s$/, '');
-    
-    const colorOp = {
-      type: 'object_modification',
-      instruction: `${addPlusColorMatch[3]} ${colorTarget} color ${addPlusColorMatch[5]}`,
-      target: colorTarget,
-      value: addPlusColorMatch[5].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(additionOp);
-    operations.push(colorOp);
-    
-    console.log(`   - ✅ PRIORITY FIX: Created addition operation: "${additionOp.instruction}" (target: ${additionOp.target})`);
-    console.log(`   - ✅ PRIORITY FIX: Created color operation: "${colorOp.instruction}" (target: ${colorOp.target}, value: ${colorOp.value})`);
-    console.log(`✅ PRIORITY FIX: Add + color change pattern extracted ${operations.length} operations`);
-    return operations;
+app.post("/api/prompt-pipeline/preview", (req, res) => {
+  try {
+    const { prompt, mode = 'generate', garment } = req.body;
+
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      throw createRouteError(400, { message: "Valid prompt is required" });
+    }
+    if (!PROMPT_PIPELINE_MODES[mode]) {
+      throw createRouteError(400, { message: `mode must be one of: ${Object.keys(PROMPT_PIPELINE_MODES).join(', ')}` });
+    }
+    validateGarment(garment);
+
+    res.json({ success: true, route: PROMPT_PIPELINE_MODES[mode], ...promptPipeline.build({ prompt, mode, garment }) });
+  } catch (error) {
+    console.error("Prompt pipeline preview error:", error.message);
+    res.status(error.status || 500).json(error.body || {
+      success: false,
+      error: { message: error.message }
+    });
   }
-  
-  // ADDITIONAL PATTERN: "add X and make Y Z" (object addition + object modification)
-  const addPlusMakePattern = /^(add|put|place)\s+(?:a\s+|an\s+)?(.+?)\s+and\s+(make|turn)\s+(?:the\s+)?(.+?)\s+(\w+)$/i;
-  const addPlusMakeMatch = instruction.match(addPlusMakePattern);
-  
-  if (addPlusMakeMatch) {
-    console.log(`   - 🎯 PRIORITY FIX: Add + make pattern detected`);
-    
-    const additionOp = {
-      type: 'object_addition',
-      instruction: `${addPlusMakeMatch[1]} ${addPlusMakeMatch[2]}`,
-      target: extractObjectFromPhrase(addPlusMakeMatch[2]),
-      object: addPlusMakeMatch[2].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const colorOp = {
-      type: 'object_modification',
-      instruction: `${addPlusMakeMatch[3]} ${addPlusMakeMatch[4]} ${addPlusMakeMatch[5]}`,
-      target: addPlusMakeMatch[4].trim(),
-      value: addPlusMakeMatch[5].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(additionOp);
-    operations.push(colorOp);
+});
+
+/**
+ * Generate vector design (SVG) for infinite scalability
+ */
+app.post("/api/generate-vector", async (req, res) => {
+  try {
+    const { prompt, garment } = req.body;
     
-    console.log(`   - ✅ PRIORITY FIX: Created addition operation: "${additionOp.instruction}" (target: ${additionOp.target})`);
-    console.log(`   - ✅ PRIORITY FIX: Created color operation: "${colorOp.instruction}" (target: ${colorOp.target}, value: ${colorOp.value})`);
-    console.log(`✅ PRIORITY FIX: Add + make pattern extracted ${operations.length} operations`);
-    return operations;
-  }
-  
-  // CRITICAL FIX: Detect "background" and "and" together for mixed operations
-  const hasBackground = /background|backrgound|backround|bakground|backgrond/i.test(instruction);
-  const hasAnd = /\s+and\s+/i.test(instruction);
-  
-  if (hasBackground && hasAnd) {
-    console.log(`   - 🎯 BACKGROUND + AND detected: Mixed background operation`);
+    // Validate input
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Valid prompt is required" }
+      });
+    }
+    validateGarment(garment);
+
+    console.log(`🎨 Starting vector generation: "${prompt}"`);
+
+    // Create isolated background context
+    const requestId = `min_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const backgroundContext = backgroundContextManager.createIsolatedContext(requestId);
+    backgroundContextManager.preventThemeBackgroundInference(requestId);
+
+    // Optimize prompt for minimalist T-shirt design
+    const pipelinePrompt = promptPipeline.build({ prompt, mode: 'vector', garment });
+    const optimizedPrompt = pipelinePrompt.optimizedPrompt;
     
-    // Split on "and" and process each part
-    const parts = instruction.split(/\s+and\s+/i);
-    if (parts.length === 2) {
-      console.log(`   - Split into: "${parts[0].trim()}" AND "${parts[1].trim()}"`);
-      
-      // Check which part is the background operation
-      const part1IsBackground = backgroundContextManager.isBackgroundOperation(parts[0].trim()) || 
-                               /backrgound|backround|bakground|backgrond/i.test(parts[0]);
-      const part2IsBackground = backgroundContextManager.isBackgroundOperation(parts[1].trim()) || 
-                               /backrgound|backround|bakground|backgrond/i.test(parts[1]);
-      
-      if (part1IsBackground || part2IsBackground) {
-        const backgroundPart = part1IsBackground ? parts[0].trim() : parts[1].trim();
-        const objectPart = part1IsBackground ? parts[1].trim() : parts[0].trim();
-        
-        console.log(`   - Background part: "${backgroundPart}"`);
-        console.log(`   - Object part: "${objectPart}"`);
-        
-        // Create background operation
-        const backgroundOp = {
-          type: 'background_edit',
-          instruction: backgroundPart,
-          target: 'background',
-          value: backgroundContextManager.extractBackgroundDescriptionEnhanced(backgroundPart),
-          action: 'modify',
-          priority: 1,
-          isValid: true,
-          confidence: 0.9
-        };
-        
-        // Create object operation
-        const objectOp = {
-          type: 'object_addition',
-          instruction: objectPart,
-          target: extractObjectFromPhrase(objectPart.replace(/^(add|put|place)\s+/i, '')),
-          object: objectPart.replace(/^(add|put|place)\s+/i, '').trim(),
-          action: 'add',
-          priority: 2,
-          isValid: true,
-          confidence: 0.9
-        };
-        
-        operations.push(backgroundOp);
-        operations.push(objectOp);
-        
-        console.log(`   - ✅ BACKGROUND + AND: Created background operation (value: ${backgroundOp.value})`);
-        console.log(`   - ✅ BACKGROUND + AND: Created object operation (target: ${objectOp.target})`);
-        console.log(`✅ BACKGROUND + AND: Mixed operation extracted ${operations.length} operations`);
-        return operations;
+    // Use regular V2 API with vector-optimized prompting
+    const generateResult = await briaRequest('generate', {
+      prompt: pipelinePrompt.prompt,
+      ...(pipelinePrompt.negativePrompt && { negative_prompt: pipelinePrompt.negativePrompt }),
+      sync: false,
+      output: {
+        format: 'png',
+        hdr: true,
+        bit_depth: 16
       }
+    });
+
+    if (!generateResult.success) {
+      return res.status(generateResult.status || 500).json({
+        success: false,
+        error: generateResult.error
+      });
     }
-  }
-  
-  // REMAINING ISSUES FIX: Add patterns for color + background combinations
-  
-  // ISSUE 1 FIX: Pattern for "change the hat's color to green and add a background"
-  const colorPlusBackgroundPattern1 = /^(change|make|turn)\s+(?:the\s+)?(.+?)'s\s+color\s+to\s+(\w+)\s+and\s+add\s+(?:a\s+)?background$/i;
-  const colorPlusBackgroundMatch1 = instruction.match(colorPlusBackgroundPattern1);
-  
-  if (colorPlusBackgroundMatch1) {
-    console.log(`   - 🎯 ISSUE 1 FIX: Color + background pattern 1 detected`);
-    
-    // CRITICAL FIX: Remove possessive 's from target
-    const cleanTarget = colorPlusBackgroundMatch1[2].trim().replace(/'s$/, '');
-    
-    const colorOp = {
-      type: 'object_modification',
-      instruction: `${colorPlusBackgroundMatch1[1]} ${cleanTarget} color ${colorPlusBackgroundMatch1[3]}`,
-      target: cleanTarget,
-      value: colorPlusBackgroundMatch1[3].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
+
+    const { request_id } = generateResult.data;
+    console.log(`📝 Vector generation started, request ID: ${request_id}`);
+
+    // Poll for completion
+    const pollResult = await pollBriaStatus(request_id);
     
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `add background`,
-      target: 'background',
-      value: 'custom background',
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.9
+    // Download and save the minimalist design locally (PNG format)
+    const filename = `minimalist_${request_id}_${Date.now()}.png`;
+    const localUrl = await downloadAndSaveImage(pollResult.imageUrl, filename);
+
+    // Store generation data
+    const generationData = {
+      request_id,
+      generation_request_id: requestId,
+      original_prompt: prompt,
+      optimized_prompt: optimizedPrompt,
+      garment: pipelinePrompt.garment,
+      image_url: pollResult.imageUrl,
+      local_url: localUrl,
+      generation_type: 'minimalist',
+      background_context: backgroundContext,
+      created_at: new Date().toISOString()
     };
     
-    operations.push(colorOp);
-    operations.push(backgroundOp);
-    
-    console.log(`   - ✅ ISSUE 1 FIX: Created color operation (target: ${colorOp.target}, value: ${colorOp.value})`);
-    console.log(`   - ✅ ISSUE 1 FIX: Created background operation (value: ${backgroundOp.value})`);
-    console.log(`✅ ISSUE 1 FIX: Color + background pattern 1 extracted ${operations.length} operations`);
-    return operations;
+    saveDesignRecord(generationData);
+
+    res.json({
+      success: true,
+      message: "Minimalist design generated successfully - clean and print-ready!",
+      imageUrl: localUrl,
+      originalUrl: pollResult.imageUrl,
+      requestId: request_id,
+      designId: generationData.design_id,
+      generationType: 'minimalist',
+      isOptimizedForPrint: true
+    });
+
+  } catch (error) {
+    console.error("Vector generation error:", error.message);
+    res.status(error.status || 500).json(error.body || {
+      success: false,
+      error: { message: error.message }
+    });
   }
-  
-  // ISSUE 1 FIX: Pattern for "make the shirt blue and add forest background"
-  const colorPlusBackgroundPattern2 = /^(make|turn|change)\s+(?:the\s+)?(.+?)\s+(\w+)\s+and\s+add\s+(.+)\s+background$/i;
-  const colorPlusBackgroundMatch2 = instruction.match(colorPlusBackgroundPattern2);
-  
-  if (colorPlusBackgroundMatch2) {
-    console.log(`   - 🎯 ISSUE 1 FIX: Color + background pattern 2 detected`);
-    
-    const colorOp = {
-      type: 'object_modification',
-      instruction: `${colorPlusBackgroundMatch2[1]} ${colorPlusBackgroundMatch2[2]} ${colorPlusBackgroundMatch2[3]}`,
-      target: colorPlusBackgroundMatch2[2].trim(),
-      value: colorPlusBackgroundMatch2[3].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
+});
+
+/**
+ * Virtual Try-On using FIBO GenFill
+ */
+app.post("/api/virtual-tryon", async (req, res) => {
+  try {
+    const { userPhoto, designUrl, designPrompt } = req.body;
     
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `add ${colorPlusBackgroundMatch2[4]} background`,
-      target: 'background',
-      value: colorPlusBackgroundMatch2[4].trim(),
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.9
-    };
+    // Validate input
+    if (!userPhoto || !designUrl || !designPrompt) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "User photo, design URL, and design prompt are required" }
+      });
+    }
+
+    console.log(`👕 Starting virtual try-on with design: "${designPrompt}"`);
+
+    // Step 1: Remove background from user photo
+    const bgRemovalResult = await briaRequest('remove_background', {
+      image: userPhoto,
+      sync: false
+    });
+
+    if (!bgRemovalResult.success) {
+      throw new Error(`Background removal failed: ${bgRemovalResult.error?.message}`);
+    }
+
+    const bgRemovedResult = await pollBriaStatus(bgRemovalResult.data.request_id);
     
-    operations.push(colorOp);
-    operations.push(backgroundOp);
+    // Step 2: Generate person wearing the T-shirt using background replacement
+    const tryOnPrompt = `person wearing a t-shirt with ${designPrompt} design, realistic fabric texture, studio lighting, professional photography, high quality`;
     
-    console.log(`   - ✅ ISSUE 1 FIX: Created color operation (target: ${colorOp.target}, value: ${colorOp.value})`);
-    console.log(`   - ✅ ISSUE 1 FIX: Created background operation (value: ${backgroundOp.value})`);
-    console.log(`✅ ISSUE 1 FIX: Color + background pattern 2 extracted ${operations.length} operations`);
-    return operations;
-  }
-  
-  // ISSUE 3 FIX: Pattern for "change the hat color to red and add headphones"
-  const colorPlusAdditionPattern1 = /^(change|make|turn)\s+(?:the\s+)?(.+?)\s+color\s+to\s+(\w+)\s+and\s+add\s+(?:a\s+|an\s+)?(.+)$/i;
-  const colorPlusAdditionMatch1 = instruction.match(colorPlusAdditionPattern1);
-  
-  if (colorPlusAdditionMatch1) {
-    console.log(`   - 🎯 ISSUE 3 FIX: Color + addition pattern 1 detected`);
-    
-    const colorOp = {
-      type: 'object_modification',
-      instruction: `${colorPlusAdditionMatch1[1]} ${colorPlusAdditionMatch1[2]} color ${colorPlusAdditionMatch1[3]}`,
-      target: colorPlusAdditionMatch1[2].trim(),
-      value: colorPlusAdditionMatch1[3].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const additionOp = {
-      type: 'object_addition',
-      instruction: `add ${colorPlusAdditionMatch1[4]}`,
-      target: extractObjectFromPhrase(colorPlusAdditionMatch1[4].trim()),
-      object: colorPlusAdditionMatch1[4].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(colorOp);
-    operations.push(additionOp);
+    const tryOnResult = await briaRequest('replace_background', {
+      image: bgRemovedResult.imageUrl,
+      prompt: tryOnPrompt,
+      sync: false
+    });
+
+    if (!tryOnResult.success) {
+      throw new Error(`Try-on generation failed: ${tryOnResult.error?.message}`);
+    }
+
+    const finalResult = await pollBriaStatus(tryOnResult.data.request_id);
     
-    console.log(`   - ✅ ISSUE 3 FIX: Created color operation (target: ${colorOp.target}, value: ${colorOp.value})`);
-    console.log(`   - ✅ ISSUE 3 FIX: Created addition operation (target: ${additionOp.target})`);
-    console.log(`✅ ISSUE 3 FIX: Color + addition pattern 1 extracted ${operations.length} operations`);
-    return operations;
+    // Download and save locally
+    const filename = `tryon_${Date.now()}.png`;
+    const localUrl = await downloadAndSaveImage(finalResult.imageUrl, filename);
+
+    console.log(`✅ Virtual try-on completed successfully`);
+
+    res.json({
+      success: true,
+      message: "Virtual try-on generated successfully",
+      imageUrl: localUrl,
+      originalUrl: finalResult.imageUrl
+    });
+
+  } catch (error) {
+    console.error("Virtual try-on error:", error.message);
+    res.status(500).json({
+      success: false,
+      error: { message: error.message }
+    });
   }
-  
-  // ISSUE 3 FIX: Pattern for "make eyes blue and add a cigar" (but NOT background)
-  const colorPlusAdditionPattern2 = /^(make|turn)\s+(?:the\s+)?(.+?)\s+(\w+)\s+and\s+add\s+(?:a\s+|an\s+)?(.+)$/i;
-  const colorPlusAdditionMatch2 = instruction.match(colorPlusAdditionPattern2);
-  
-  // CRITICAL FIX: Check if the addition part is actually a background
-  if (colorPlusAdditionMatch2 && !colorPlusAdditionMatch2[4].includes('background')) {
-    console.log(`   - 🎯 ISSUE 3 FIX: Color + addition pattern 2 detected`);
-    
-    const colorOp = {
-      type: 'object_modification',
-      instruction: `${colorPlusAdditionMatch2[1]} ${colorPlusAdditionMatch2[2]} ${colorPlusAdditionMatch2[3]}`,
-      target: colorPlusAdditionMatch2[2].trim(),
-      value: colorPlusAdditionMatch2[3].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const additionOp = {
-      type: 'object_addition',
-      instruction: `add ${colorPlusAdditionMatch2[4]}`,
-      target: extractObjectFromPhrase(colorPlusAdditionMatch2[4].trim()),
-      object: colorPlusAdditionMatch2[4].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(colorOp);
-    operations.push(additionOp);
-    
-    console.log(`   - ✅ ISSUE 3 FIX: Created color operation (target: ${colorOp.target}, value: ${colorOp.value})`);
-    console.log(`   - ✅ ISSUE 3 FIX: Created addition operation (target: ${additionOp.target})`);
-    console.log(`✅ ISSUE 3 FIX: Color + addition pattern 2 extracted ${operations.length} operations`);
-    return operations;
+});
+
+/**
+ * Brand palette for a request: the user's (edited) `palette` of hex colors when given,
+ * otherwise the dominant colors of `brandImageData`
+ */
+async function resolveBrandPalette({ brandImageData, palette }) {
+  if (palette !== undefined && palette !== null) {
+    const swatches = Array.isArray(palette) && palette.length > 0 && palette.length <= MAX_PALETTE_COLORS
+      ? paletteFromHexColors(palette)
+      : null;
+    if (!swatches) {
+      throw createRouteError(400, { message: `palette must be 1-${MAX_PALETTE_COLORS} hex colors like "#1e3a8a"` });
+    }
+    return swatches;
   }
-  
-  // ISSUE 1 FIX: Handle "make the shirt blue and add forest background" specifically
-  if (colorPlusAdditionMatch2 && colorPlusAdditionMatch2[4].includes('background')) {
-    console.log(`   - 🎯 ISSUE 1 FIX: Color + background pattern 3 detected (via addition pattern)`);
-    
-    const colorOp = {
-      type: 'object_modification',
-      instruction: `${colorPlusAdditionMatch2[1]} ${colorPlusAdditionMatch2[2]} ${colorPlusAdditionMatch2[3]}`,
-      target: colorPlusAdditionMatch2[2].trim(),
-      value: colorPlusAdditionMatch2[3].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    // Extract background type from "forest background"
-    const backgroundValue = colorPlusAdditionMatch2[4].replace(/\s+background$/, '').trim();
-    
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `add ${colorPlusAdditionMatch2[4]}`,
-      target: 'background',
-      value: backgroundValue,
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(colorOp);
-    operations.push(backgroundOp);
-    
-    console.log(`   - ✅ ISSUE 1 FIX: Created color operation (target: ${colorOp.target}, value: ${colorOp.value})`);
-    console.log(`   - ✅ ISSUE 1 FIX: Created background operation (value: ${backgroundOp.value})`);
-    console.log(`✅ ISSUE 1 FIX: Color + background pattern 3 extracted ${operations.length} operations`);
-    return operations;
+
+  if (!brandImageData || typeof brandImageData !== 'string') {
+    throw createRouteError(400, { message: "Valid brand image data is required" });
   }
-  
-  // CRITICAL FIX: Check mixed patterns FIRST before simple "add X and Y" pattern
-  // This prevents mixed operations from being incorrectly parsed as simple additions
-  
-  // Pattern 1: "add X and change background to Y"
-  const mixedPattern1 = /^(add|put|place|give)\s+(?:a\s+|an\s+)?(.+?)\s+and\s+(change|make|set)\s+(?:the\s+)?background\s+(?:to\s+)?(.+)$/i;
-  const mixedMatch1 = instruction.match(mixedPattern1);
-  
-  if (mixedMatch1) {
-    console.log(`   - 🎯 CRITICAL FIX: Mixed operation pattern 1 detected (object + background)`);
-    
-    const objectOp = {
-      type: 'object_addition',
-      instruction: `${mixedMatch1[1]} ${mixedMatch1[2]}`,
-      target: extractObjectFromPhrase(mixedMatch1[2]),
-      object: mixedMatch1[2].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `${mixedMatch1[3]} background ${mixedMatch1[4]}`,
-      target: 'background',
-      value: mixedMatch1[4].trim(),
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(objectOp);
-    operations.push(backgroundOp);
-    
-    console.log(`   - ✅ CRITICAL FIX: Created object operation: "${objectOp.instruction}" (target: ${objectOp.target})`);
-    console.log(`   - ✅ CRITICAL FIX: Created background operation: "${backgroundOp.instruction}" (value: ${backgroundOp.value})`);
-    console.log(`✅ CRITICAL FIX: Mixed operation pattern 1 extracted ${operations.length} operations`);
-    return operations;
+
+  let swatches;
+  try {
+    swatches = await extractPalette(brandImageData);
+  } catch (error) {
+    throw createRouteError(400, { message: `Could not read the brand image: ${error.message}` });
   }
-  
-  // CRITICAL FIX: Pattern for "change background to X and add Y" (reverse order)
-  const mixedPatternReverse = /^(change|set)\s+(?:the\s+)?background\s+to\s+(.+?)\s+and\s+(add|put|place)\s+(?:a\s+|an\s+)?(.+)$/i;
-  const mixedMatchReverse = instruction.match(mixedPatternReverse);
-  
-  if (mixedMatchReverse) {
-    console.log(`   - 🎯 CRITICAL FIX: Mixed operation pattern (background + object) detected`);
-    
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `${mixedMatchReverse[1]} background ${mixedMatchReverse[2]}`,
-      target: 'background',
-      value: mixedMatchReverse[2].trim(),
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const objectOp = {
-      type: 'object_addition',
-      instruction: `${mixedMatchReverse[3]} ${mixedMatchReverse[4]}`,
-      target: extractObjectFromPhrase(mixedMatchReverse[4]),
-      object: mixedMatchReverse[4].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(backgroundOp);
-    operations.push(objectOp);
-    
-    console.log(`   - ✅ CRITICAL FIX: Created background operation: "${backgroundOp.instruction}" (value: ${backgroundOp.value})`);
-    console.log(`   - ✅ CRITICAL FIX: Created object operation: "${objectOp.instruction}" (target: ${objectOp.target})`);
-    console.log(`✅ CRITICAL FIX: Mixed operation pattern (background + object) extracted ${operations.length} operations`);
-    return operations;
+  if (swatches.length === 0) {
+    throw createRouteError(400, { message: "The brand image has no visible colors" });
   }
-  
-  // ENHANCED FIX: Pattern for "add X and add Y background" format
-  const addPlusAddBackgroundPattern = /^(add|put|place)\s+(?:a\s+|an\s+)?(.+?)\s+and\s+(add|put|place)\s+(?:a\s+|an\s+)?(.+?)\s+background$/i;
-  const addPlusAddBackgroundMatch = instruction.match(addPlusAddBackgroundPattern);
-  
-  if (addPlusAddBackgroundMatch) {
-    console.log(`   - 🎯 ENHANCED FIX: Add + add background pattern detected`);
-    
-    const objectOp = {
-      type: 'object_addition',
-      instruction: `${addPlusAddBackgroundMatch[1]} ${addPlusAddBackgroundMatch[2]}`,
-      target: extractObjectFromPhrase(addPlusAddBackgroundMatch[2]),
-      object: addPlusAddBackgroundMatch[2].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `${addPlusAddBackgroundMatch[3]} ${addPlusAddBackgroundMatch[4]} background`,
-      target: 'background',
-      value: addPlusAddBackgroundMatch[4].trim(),
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(objectOp);
-    operations.push(backgroundOp);
-    
-    console.log(`   - ✅ ENHANCED FIX: Created object operation: "${objectOp.instruction}" (target: ${objectOp.target})`);
-    console.log(`   - ✅ ENHANCED FIX: Created background operation: "${backgroundOp.instruction}" (value: ${backgroundOp.value})`);
-    console.log(`✅ ENHANCED FIX: Add + add background pattern extracted ${operations.length} operations`);
-    return operations;
+
+  console.log(`🎨 Extracted brand palette: ${swatches.map(swatch => swatch.hex).join(', ')}`);
+  return swatches;
+}
+
+/**
+ * Dominant colors of a brand image without generating: { brandImageData }
+ */
+app.post("/api/brand-palette", async (req, res) => {
+  try {
+    res.json({ success: true, palette: await resolveBrandPalette({ brandImageData: req.body.brandImageData }) });
+  } catch (error) {
+    console.error("Brand palette error:", error.message);
+    res.status(error.status || 500).json(error.body || {
+      success: false,
+      error: { message: error.message }
+    });
   }
-  
-  // CRITICAL FIX: Handle "add X, Y, and Z" pattern specifically
-  const addListPattern = /^add\s+(.+)$/i;
-  const addListMatch = instruction.match(addListPattern);
-  
-  if (addListMatch) {
-    const itemsString = addListMatch[1];
+});
+
+/**
+ * Generate design with brand colors: the palette extracted from `brandImageData` (or the
+ * edited `palette`) is named in the prompt, and colors of the result close to a palette color
+ * are snapped onto it
+ */
+app.post("/api/generate-with-brand-colors", async (req, res) => {
+  try {
+    const { prompt, garment } = req.body;
     
-    // Check if it's a comma-separated list
-    if (itemsString.includes(',')) {
-      console.log(`   - 🎯 CRITICAL FIX: "add X, Y, and Z" list pattern detected`);
-      
-      // Split on commas and "and"
-      const items = itemsString.split(/,\s*(?:and\s+)?|\s+and\s+/i)
-        .map(item => item.trim())
-        .filter(item => item.length > 0);
-      
-      console.log(`   - Found ${items.length} items: ${items.join(', ')}`);
-      
-      // Create operations for each item
-      items.forEach((item, index) => {
-        const op = {
-          type: 'object_addition',
-          instruction: `add ${item}`,
-          target: extractObjectFromPhrase(item),
-          object: item,
-          action: 'add',
-          priority: 2,
-          isValid: true,
-          confidence: 0.95
-        };
-        
-        operations.push(op);
-        console.log(`   - ✅ CRITICAL FIX: Created operation ${index + 1}: "add ${item}" (target: ${op.target})`);
+    // Validate input
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Valid prompt is required" }
       });
-      
-      console.log(`✅ CRITICAL FIX: List pattern extracted ${operations.length} operations`);
-      return operations;
     }
+    validateGarment(garment);
+    const palette = await resolveBrandPalette(req.body);
+
+    console.log(`🎨 Starting brand color extraction generation: "${prompt}"`);
+
+    // Create isolated background context
+    const requestId = `enh_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const backgroundContext = backgroundContextManager.createIsolatedContext(requestId);
+    backgroundContextManager.preventThemeBackgroundInference(requestId);
+
+    // Optimize prompt for T-shirt design with enhanced colors
+    const pipelinePrompt = promptPipeline.build({ prompt, mode: 'brand_colors', garment });
+    const optimizedPrompt = pipelinePrompt.optimizedPrompt;
     
-    // Handle simple "add X and Y" pattern ONLY if it's not a mixed operation
-    const simpleAndMatch = itemsString.match(/^(.+?)\s+and\s+(.+)$/i);
-    if (simpleAndMatch) {
-      const firstItem = simpleAndMatch[1].trim();
-      const secondItem = simpleAndMatch[2].trim();
-      
-      // Check if second item contains action words (indicating mixed operation)
-      const hasActionWords = /\b(make|turn|change|color|paint|dye|background)\b/i.test(secondItem);
-      
-      if (!hasActionWords) {
-        console.log(`   - 🎯 CRITICAL FIX: "add X and Y" simple pattern detected`);
-        
-        // Create two operations directly
-        const op1 = {
-          type: 'object_addition',
-          instruction: `add ${firstItem}`,
-          target: extractObjectFromPhrase(firstItem),
-          object: firstItem,
-          action: 'add',
-          priority: 2,
-          isValid: true,
-          confidence: 0.95
-        };
-        
-        const op2 = {
-          type: 'object_addition',
-          instruction: `add ${secondItem}`,
-          target: extractObjectFromPhrase(secondItem),
-          object: secondItem,
-          action: 'add',
-          priority: 2,
-          isValid: true,
-          confidence: 0.95
-        };
-        
-        operations.push(op1);
-        operations.push(op2);
-        
-        console.log(`   - ✅ CRITICAL FIX: Created operation 1: "add ${firstItem}" (target: ${op1.target})`);
-        console.log(`   - ✅ CRITICAL FIX: Created operation 2: "add ${secondItem}" (target: ${op2.target})`);
-        console.log(`✅ CRITICAL FIX: Simple and pattern extracted ${operations.length} operations`);
-        return operations;
-      } else {
-        console.log(`   - 🔍 Detected action words in second item, checking mixed patterns...`);
+    // Use regular V2 API with the palette as explicit color constraints
+    const generateResult = await briaRequest('generate', {
+      prompt: `${pipelinePrompt.prompt}, ${describePalette(palette)}`,
+      ...(pipelinePrompt.negativePrompt && { negative_prompt: pipelinePrompt.negativePrompt }),
+      sync: false,
+      output: {
+        format: 'png',
+        hdr: true,
+        bit_depth: 16
       }
+    });
+
+    if (!generateResult.success) {
+      return res.status(generateResult.status || 500).json({
+        success: false,
+        error: generateResult.error
+      });
     }
-  }
-  
-  // CRITICAL BUG FIX: Handle complex multi-edit patterns first
-  console.log(`   - 🔍 Checking for complex multi-operations in: "${instruction}"`);
-  
-  // PRIORITY B FIX: Pattern for 3+ operations like "add scarf and change background to white and make scarf striped"
-  const threeOpPattern = /^(add|put|place)\s+(?:a\s+|an\s+)?(.+?)\s+and\s+(change|set)\s+background\s+to\s+(.+?)\s+and\s+(make|turn|change)\s+(?:the\s+)?(.+?)\s+(\w+)$/i;
-  const threeOpMatch = instruction.match(threeOpPattern);
-  
-  if (threeOpMatch) {
-    console.log(`   - 🎯 CRITICAL BUG FIX: Three operation pattern detected (add + background + modify)`);
-    
-    const addOp = {
-      type: 'object_addition',
-      instruction: `${threeOpMatch[1]} ${threeOpMatch[2]}`,
-      target: extractObjectFromPhrase(threeOpMatch[2]),
-      object: threeOpMatch[2].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `${threeOpMatch[3]} background ${threeOpMatch[4]}`,
-      target: 'background',
-      value: threeOpMatch[4].trim(),
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const modifyOp = {
-      type: 'object_modification',
-      instruction: `${threeOpMatch[5]} ${threeOpMatch[6]} ${threeOpMatch[7]}`,
-      target: threeOpMatch[6].trim(),
-      value: threeOpMatch[7].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
+
+    const { request_id } = generateResult.data;
+    console.log(`📝 Brand color generation started, request ID: ${request_id}`);
+
+    // Poll for completion
+    const pollResult = await pollBriaStatus(request_id);
     
-    operations.push(addOp);
-    operations.push(backgroundOp);
-    operations.push(modifyOp);
+    console.log(`🎨 Brand color generation completed, making background transparent...`);
     
-    console.log(`   - ✅ CRITICAL BUG FIX: Created add operation: "${addOp.instruction}" (target: ${addOp.target})`);
-    console.log(`   - ✅ CRITICAL BUG FIX: Created background operation: "${backgroundOp.instruction}" (value: ${backgroundOp.value})`);
-    console.log(`   - ✅ CRITICAL BUG FIX: Created modify operation: "${modifyOp.instruction}" (target: ${modifyOp.target}, value: ${modifyOp.value})`);
-    console.log(`✅ CRITICAL BUG FIX: Three operation pattern extracted ${operations.length} operations`);
-    return operations;
-  }
-  
-  // PRIORITY B FIX: Pattern for background + other operations like "change background to studio and increase brightness"
-  const backgroundPlusPattern = /^(change|set)\s+background\s+to\s+(.+?)\s+and\s+(increase|decrease|adjust|make|turn|change)\s+(.+)$/i;
-  const backgroundPlusMatch = instruction.match(backgroundPlusPattern);
-  
-  if (backgroundPlusMatch) {
-    console.log(`   - 🎯 CRITICAL BUG FIX: Background + operation pattern detected`);
-    
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `${backgroundPlusMatch[1]} background ${backgroundPlusMatch[2]}`,
-      target: 'background',
-      value: backgroundPlusMatch[2].trim(),
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.9
-    };
+    // Remove background for transparency
+    const backgroundRemovalResult = await briaRequest('remove_background', {
+      image: pollResult.imageUrl,
+      sync: false
+    });
+
+    let finalImageUrl = pollResult.imageUrl;
+    if (backgroundRemovalResult.success) {
+      const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
+      finalImageUrl = bgRemovalPollResult.imageUrl;
+      console.log(`✅ Background removed from brand-colored design`);
+    }
+
+    // Snap near colors onto the palette so brand colors come out exact
+    let snappedImageUrl = finalImageUrl;
+    let snappedShare = 0;
+    try {
+      const snapped = await snapToPalette(finalImageUrl, palette);
+      snappedImageUrl = toDataUrl(snapped.buffer);
+      snappedShare = snapped.snappedShare;
+      console.log(`🎯 Snapped ${Math.round(snappedShare * 100)}% of visible pixels to the brand palette`);
+    } catch (error) {
+      console.warn(`⚠️  Palette snapping failed (${error.message}), keeping the provider result`);
+    }
     
-    const otherOp = {
-      type: 'general_edit',
-      instruction: `${backgroundPlusMatch[3]} ${backgroundPlusMatch[4]}`,
-      target: backgroundPlusMatch[4].trim(),
-      value: backgroundPlusMatch[3].trim(),
-      action: 'modify',
-      priority: 4,
-      isValid: true,
-      confidence: 0.8
+    // Download and save locally
+    const filename = `enhanced_colors_${request_id}_${Date.now()}.png`;
+    const localUrl = await downloadAndSaveImage(snappedImageUrl, filename);
+
+    // Store generation data
+    const generationData = {
+      request_id,
+      generation_request_id: requestId,
+      original_prompt: prompt,
+      optimized_prompt: optimizedPrompt,
+      garment: pipelinePrompt.garment,
+      brand_palette: palette.map(swatch => swatch.hex),
+      image_url: localUrl,
+      unsnapped_url: finalImageUrl,
+      local_url: localUrl,
+      generation_type: 'enhanced_colors',
+      background_context: backgroundContext,
+      created_at: new Date().toISOString()
     };
     
-    operations.push(backgroundOp);
-    operations.push(otherOp);
-    
-    console.log(`   - ✅ CRITICAL BUG FIX: Created background operation: "${backgroundOp.instruction}" (value: ${backgroundOp.value})`);
-    console.log(`   - ✅ CRITICAL BUG FIX: Created other operation: "${otherOp.instruction}" (target: ${otherOp.target})`);
-    console.log(`✅ CRITICAL BUG FIX: Background + operation pattern extracted ${operations.length} operations`);
-    return operations;
+    saveDesignRecord(generationData, [finalImageUrl]);
+
+    res.json({
+      success: true,
+      message: "Professional design generated with enhanced colors",
+      imageUrl: localUrl,
+      originalUrl: finalImageUrl,
+      requestId: request_id,
+      designId: generationData.design_id,
+      generationType: 'enhanced_colors',
+      palette,
+      snappedShare
+    });
+
+  } catch (error) {
+    console.error("Brand color generation error:", error.message);
+    res.status(error.status || 500).json(error.body || {
+      success: false,
+      error: { message: error.message }
+    });
   }
-  
-  // PRIORITY A FIX: Pattern for multiple color changes like "make the hat orange and the shirt green"
-  const multiColorPattern = /^(make|turn|change)\s+(?:the\s+)?(.+?)\s+(\w+)\s+and\s+(?:the\s+)?(.+?)\s+(\w+)$/i;
-  const multiColorMatch = instruction.match(multiColorPattern);
-  
-  if (multiColorMatch) {
-    console.log(`   - 🎯 CRITICAL BUG FIX: Multiple color change pattern detected`);
-    
-    const color1Op = {
-      type: 'object_modification',
-      instruction: `${multiColorMatch[1]} ${multiColorMatch[2]} ${multiColorMatch[3]}`,
-      target: multiColorMatch[2].trim(),
-      value: multiColorMatch[3].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const color2Op = {
-      type: 'object_modification',
-      instruction: `${multiColorMatch[1]} ${multiColorMatch[4]} ${multiColorMatch[5]}`,
-      target: multiColorMatch[4].trim(),
-      value: multiColorMatch[5].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(color1Op);
-    operations.push(color2Op);
-    
-    console.log(`   - ✅ CRITICAL BUG FIX: Created color operation 1: "${color1Op.instruction}" (target: ${color1Op.target}, value: ${color1Op.value})`);
-    console.log(`   - ✅ CRITICAL BUG FIX: Created color operation 2: "${color2Op.instruction}" (target: ${color2Op.target}, value: ${color2Op.value})`);
-    console.log(`✅ CRITICAL BUG FIX: Multiple color pattern extracted ${operations.length} operations`);
-    return operations;
+});
+
+const DEFAULT_SKETCH_GUIDANCE = 0.7;
+
+/**
+ * Edge map of `sketchImageData` (data URL or base64), saved to /designs so it can be shown.
+ * Returns { buffer, edgeMapUrl, edgeShare }.
+ */
+async function prepareSketchEdges(sketchImageData) {
+  if (!sketchImageData || typeof sketchImageData !== 'string') {
+    throw createRouteError(400, { message: "Valid sketch image data is required" });
   }
-  
-  // CRITICAL FIX: Handle mixed operations (object + background) before general case
-  console.log(`   - 🔍 Checking for mixed operations in: "${instruction}"`);
-  
-  // Pattern 1b: "add X and change background to Y" (second occurrence)
-  const mixedPattern1b = /^(add|put|place|give)\s+(?:a\s+|an\s+)?(.+?)\s+and\s+(change|make|set)\s+(?:the\s+)?background\s+(?:to\s+)?(.+)$/i;
-  const mixedMatch1b = instruction.match(mixedPattern1b);
-  
-  if (mixedMatch1b) {
-    console.log(`   - 🎯 CRITICAL FIX: Mixed operation pattern 1b detected (object + background)`);
-    
-    const objectOp = {
-      type: 'object_addition',
-      instruction: `${mixedMatch1b[1]} ${mixedMatch1b[2]}`,
-      target: extractObjectFromPhrase(mixedMatch1b[2]),
-      object: mixedMatch1b[2].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `${mixedMatch1b[3]} background ${mixedMatch1b[4]}`,
-      target: 'background',
-      value: mixedMatch1b[4].trim(),
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(objectOp);
-    operations.push(backgroundOp);
-    
-    console.log(`   - ✅ CRITICAL FIX: Created object operation: "${objectOp.instruction}" (target: ${objectOp.target})`);
-    console.log(`   - ✅ CRITICAL FIX: Created background operation: "${backgroundOp.instruction}" (value: ${backgroundOp.value})`);
-    console.log(`✅ CRITICAL FIX: Mixed operation pattern 1 extracted ${operations.length} operations`);
-    return operations;
+
+  let edges;
+  try {
+    edges = await extractSketchEdges(sketchImageData);
+  } catch (error) {
+    throw createRouteError(400, { message: `Could not read the sketch: ${error.message}` });
   }
-  
-  // Pattern 2: "add X and make/change Y Z" (object + color/modification change)
-  const mixedPattern2 = /^(add|put|place|give)\s+(?:a\s+|an\s+)?(.+?)\s+and\s+(make|turn|change)\s+(?:the\s+)?(.+?)\s+(\w+)$/i;
-  const mixedMatch2 = instruction.match(mixedPattern2);
-  
-  if (mixedMatch2) {
-    console.log(`   - 🎯 CRITICAL FIX: Mixed operation pattern 2 detected (object + color/modification change)`);
-    
-    const objectOp = {
-      type: 'object_addition',
-      instruction: `${mixedMatch2[1]} ${mixedMatch2[2]}`,
-      target: extractObjectFromPhrase(mixedMatch2[2]),
-      object: mixedMatch2[2].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const modificationOp = {
-      type: 'object_modification',
-      instruction: `${mixedMatch2[3]} ${mixedMatch2[4]} ${mixedMatch2[5]}`,
-      target: mixedMatch2[4].trim(),
-      value: mixedMatch2[5].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(objectOp);
-    operations.push(modificationOp);
-    
-    console.log(`   - ✅ CRITICAL FIX: Created object operation: "${objectOp.instruction}" (target: ${objectOp.target})`);
-    console.log(`   - ✅ CRITICAL FIX: Created modification operation: "${modificationOp.instruction}" (target: ${modificationOp.target}, value: ${modificationOp.value})`);
-    console.log(`✅ CRITICAL FIX: Mixed operation pattern 2 extracted ${operations.length} operations`);
-    return operations;
-  }
-  
-  // Pattern 2b: "add X and change the color of Y to Z" (object + detailed color change)
-  const mixedPattern2b = /^(add|put|place|give)\s+(?:a\s+|an\s+)?(.+?)\s+and\s+change\s+(?:the\s+)?color\s+of\s+(?:the\s+)?(.+?)\s+to\s+(\w+)$/i;
-  const mixedMatch2b = instruction.match(mixedPattern2b);
-  
-  if (mixedMatch2b) {
-    console.log(`   - 🎯 CRITICAL FIX: Mixed operation pattern 2b detected (object + detailed color change)`);
-    
-    const objectOp = {
-      type: 'object_addition',
-      instruction: `${mixedMatch2b[1]} ${mixedMatch2b[2]}`,
-      target: extractObjectFromPhrase(mixedMatch2b[2]),
-      object: mixedMatch2b[2].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const colorOp = {
-      type: 'object_modification',
-      instruction: `change color of ${mixedMatch2b[3]} to ${mixedMatch2b[4]}`,
-      target: mixedMatch2b[3].trim(),
-      value: mixedMatch2b[4].trim(),
-      action: 'modify',
-      priority: 3,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(objectOp);
-    operations.push(colorOp);
-    
-    console.log(`   - ✅ CRITICAL FIX: Created object operation: "${objectOp.instruction}" (target: ${objectOp.target})`);
-    console.log(`   - ✅ CRITICAL FIX: Created color operation: "${colorOp.instruction}" (target: ${colorOp.target}, value: ${colorOp.value})`);
-    console.log(`✅ CRITICAL FIX: Mixed operation pattern 2b extracted ${operations.length} operations`);
-    return operations;
-  }
-  
-  // Pattern 2c: "add X, Y background" or "add X, forest background"
-  const mixedPattern2c = /^(add|put|place)\s+(.+?),\s*(.+?)\s+background$/i;
-  const mixedMatch2c = instruction.match(mixedPattern2c);
-  
-  if (mixedMatch2c) {
-    console.log(`   - 🎯 CRITICAL FIX: Mixed operation pattern 2c detected (object, background)`);
-    
-    const objectOp = {
-      type: 'object_addition',
-      instruction: `${mixedMatch2c[1]} ${mixedMatch2c[2]}`,
-      target: extractObjectFromPhrase(mixedMatch2c[2]),
-      object: mixedMatch2c[2].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `add ${mixedMatch2c[3]} background`,
-      target: 'background',
-      value: mixedMatch2c[3].trim(),
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.9
-    };
-    
-    operations.push(objectOp);
-    operations.push(backgroundOp);
-    
-    console.log(`   - ✅ CRITICAL FIX: Created object operation: "${objectOp.instruction}" (target: ${objectOp.target})`);
-    console.log(`   - ✅ CRITICAL FIX: Created background operation: "${backgroundOp.instruction}" (value: ${backgroundOp.value})`);
-    console.log(`✅ CRITICAL FIX: Mixed operation pattern 2c extracted ${operations.length} operations`);
-    return operations;
+  if (edges.edgeShare === 0) {
+    throw createRouteError(400, { message: "No lines were found in the sketch" });
   }
-  
-  // Pattern 3: "X and Y" where X is object and Y is environment word
-  const mixedPattern3 = /^(.+?)\s+and\s+(forest|snow|rain|city|beach|mountain|desert|ocean|sky|clouds?|sunset|sunrise|night|day)$/i;
-  const mixedMatch3 = instruction.match(mixedPattern3);
-  
-  if (mixedMatch3) {
-    console.log(`   - 🎯 CRITICAL FIX: Mixed operation pattern 3 detected (object and environment)`);
-    
-    const objectOp = {
-      type: 'object_addition',
-      instruction: `add ${mixedMatch3[1]}`,
-      target: extractObjectFromPhrase(mixedMatch3[1]),
-      object: mixedMatch3[1].trim(),
-      action: 'add',
-      priority: 2,
-      isValid: true,
-      confidence: 0.8
-    };
-    
-    const backgroundOp = {
-      type: 'background_edit',
-      instruction: `change background to ${mixedMatch3[2]}`,
-      target: 'background',
-      value: mixedMatch3[2].trim(),
-      action: 'modify',
-      priority: 1,
-      isValid: true,
-      confidence: 0.8
-    };
-    
-    operations.push(objectOp);
-    operations.push(backgroundOp);
-    
-    console.log(`   - ✅ CRITICAL FIX: Created object operation: "${objectOp.instruction}" (target: ${objectOp.target})`);
-    console.log(`   - ✅ CRITICAL FIX: Created background operation: "${backgroundOp.instruction}" (value: ${backgroundOp.value})`);
-    console.log(`✅ CRITICAL FIX: Mixed operation pattern 3 extracted ${operations.length} operations`);
-    return operations;
+
+  console.log(`✏️  Sketch edge map: ${edges.width}x${edges.height}, ${Math.round(edges.edgeShare * 1000) / 10}% lines`);
+  const edgeMapUrl = await downloadAndSaveImage(toDataUrl(edges.buffer), `sketch_edges_${Date.now()}_${Math.random().toString(36).substr(2, 6)}.png`);
+  return { buffer: edges.buffer, edgeMapUrl, edgeShare: edges.edgeShare };
+}
+
+/**
+ * Edge map a sketch would be generated from, without generating: { sketchImageData }
+ */
+app.post("/api/sketch-edges", async (req, res) => {
+  try {
+    const { edgeMapUrl, edgeShare } = await prepareSketchEdges(req.body.sketchImageData);
+    res.json({ success: true, edgeMapUrl, edgeShare });
+  } catch (error) {
+    console.error("Sketch edge error:", error.message);
+    res.status(error.status || 500).json(error.body || {
+      success: false,
+      error: { message: error.message }
+    });
   }
-  
-  // GENERAL CASE: Use enhanced splitting strategies
-  let parts = [];
-  let bestCount = 1;
-  
-  const strategies = [
-    // Strategy 1: Split on "and" 
-    () => instruction.split(/\s+and\s+/i),
-    
-    // Strategy 2: Split on commas followed by action words
-    () => instruction.split(/,\s*(?=add|change|make|turn|give|put|place|remove)/i),
-    
-    // Strategy 3: Split on any conjunction
-    () => instruction.split(/\s+(?:and|&|plus|also|then)\s+/i),
-    
-    // Strategy 4: Handle comma-separated lists like "add X, Y, and Z"
-    () => {
-      const addListPattern = /^add\s+(.+)$/i;
-      const match = instruction.match(addListPattern);
-      if (match) {
-        const items = match[1].split(/,\s*(?:and\s+)?/);
-        return items.map(item => `add ${item.trim()}`);
-      }
-      return [instruction];
-    },
+});
+
+/**
+ * Generate design from a sketch: the sketch is reduced to a clean edge map locally and sent
+ * as the image prompt, weighted by guidanceStrength (0-1, how closely to follow the lines)
+ */
+app.post("/api/generate-from-sketch", async (req, res) => {
+  try {
+    const { prompt, sketchImageData, garment, guidanceStrength = DEFAULT_SKETCH_GUIDANCE } = req.body;
     
-    // Strategy 5: Extract action patterns with lookahead
-    () => {
-      const matches = instruction.match(/(?:add|change|make|turn|give|put|place|remove)\s+(?:a\s+|an\s+|the\s+|him\s+|her\s+|it\s+)?[^,]+?(?=\s+(?:and|&|plus|also|then|,)|$)/gi);
-      return matches || [instruction];
+    // Validate input
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Valid prompt is required" }
+      });
     }
-  ];
-  
-  // Try each strategy and use the one that gives the most parts
-  for (const strategy of strategies) {
-    try {
-      const testParts = strategy();
-      if (testParts.length > bestCount) {
-        parts = testParts;
-        bestCount = testParts.length;
+
+    if (typeof guidanceStrength !== 'number' || !(guidanceStrength >= 0 && guidanceStrength <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "guidanceStrength must be a number between 0 and 1" }
+      });
+    }
+    validateGarment(garment);
+    const sketchEdges = await prepareSketchEdges(sketchImageData);
+
+    console.log(`🎨 Starting sketch-to-design generation: "${prompt}" (guidance ${guidanceStrength})`);
+
+    // Create isolated background context
+    const requestId = `pro_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const backgroundContext = backgroundContextManager.createIsolatedContext(requestId);
+    backgroundContextManager.preventThemeBackgroundInference(requestId);
+
+    // Optimize prompt for enhanced professional T-shirt design
+    const pipelinePrompt = promptPipeline.build({ prompt, mode: 'sketch', garment });
+    const optimizedPrompt = pipelinePrompt.optimizedPrompt;
+    
+    // The edge map is the structural guide: an image prompt weighted by the guidance strength
+    const generateResult = await briaRequest('generate', {
+      prompt: pipelinePrompt.prompt,
+      ...(pipelinePrompt.negativePrompt && { negative_prompt: pipelinePrompt.negativePrompt }),
+      image_prompt_file: sketchEdges.buffer.toString('base64'),
+      image_prompt_mode: 'regular',
+      image_prompt_scale: guidanceStrength,
+      num_results: 1,
+      sync: false,
+      output: {
+        format: 'png',
+        hdr: true,
+        bit_depth: 16
       }
-    } catch (error) {
-      // Skip failed strategies
+    });
+
+    if (!generateResult.success) {
+      return res.status(generateResult.status || 500).json({
+        success: false,
+        error: generateResult.error
+      });
     }
-  }
-  
-  console.log(`   - Split into ${parts.length} parts using best strategy`);
-  
-  // Process each part with smart action inheritance
-  const validOperations = [];
-  const droppedOperations = [];
-  let lastActionWord = null;
-  
-  for (let i = 0; i < parts.length; i++) {
-    let part = parts[i].trim();
-    if (part.length === 0) continue;
-    
-    // Clean up the part (remove leading conjunctions and articles)
-    part = part.replace(/^(and|also|plus|then|a|an|the)\s+/i, '');
+
+    const { request_id } = generateResult.data;
+    console.log(`📝 Sketch generation started, request ID: ${request_id}`);
+
+    // Poll for completion
+    const pollResult = await pollBriaStatus(request_id);
     
-    // Check if this part has an action word
-    const hasActionWord = /\b(?:add|change|make|turn|give|put|place|remove|color|paint|dye)\b/i.test(part);
+    console.log(`🎨 Sketch generation completed, making background transparent...`);
     
-    if (!hasActionWord && lastActionWord && i > 0) {
-      // This part doesn't have an action word, inherit from previous
-      const looksLikeObject = /^(?:a\s+|an\s+|the\s+)?[\w\s]+$/i.test(part);
-      
-      if (looksLikeObject) {
-        part = `${lastActionWord} ${part}`;
-        console.log(`   - 🔄 Inherited action "${lastActionWord}" for: "${parts[i].trim()}" → "${part}"`);
-      }
+    // Remove background for transparency
+    const backgroundRemovalResult = await briaRequest('remove_background', {
+      image: pollResult.imageUrl,
+      sync: false
+    });
+
+    let finalImageUrl = pollResult.imageUrl;
+    if (backgroundRemovalResult.success) {
+      const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
+      finalImageUrl = bgRemovalPollResult.imageUrl;
+      console.log(`✅ Background removed from sketch design`);
     }
     
-    // Extract action word for next iteration
-    const actionMatch = part.match(/\b(add|change|make|turn|give|put|place|remove|color|paint|dye)\b/i);
-    if (actionMatch) {
-      lastActionWord = actionMatch[1].toLowerCase();
-    }
+    // Download and save locally
+    const filename = `enhanced_design_${request_id}_${Date.now()}.png`;
+    const localUrl = await downloadAndSaveImage(finalImageUrl, filename);
+
+    // Store generation data
+    const generationData = {
+      request_id,
+      generation_request_id: requestId,
+      original_prompt: prompt,
+      optimized_prompt: optimizedPrompt,
+      garment: pipelinePrompt.garment,
+      sketch_edge_map_url: sketchEdges.edgeMapUrl,
+      sketch_guidance_strength: guidanceStrength,
+      image_url: finalImageUrl,
+      local_url: localUrl,
+      generation_type: 'enhanced_design',
+      background_context: backgroundContext,
+      created_at: new Date().toISOString()
+    };
     
-    // Parse the operation with enhanced validation
-    const operation = parseIndividualOperationWithValidation(part);
-    if (operation && operation.isValid) {
-      validOperations.push(operation);
-      console.log(`   - ✅ Parsed: "${part}" as ${operation.type} (target: ${operation.target || 'none'})`);
-    } else {
-      droppedOperations.push({ part, reason: operation ? operation.invalidReason : 'parsing_failed' });
-      console.log(`   - ❌ Dropped: "${part}" - ${operation ? operation.invalidReason : 'parsing failed'}`);
-    }
+    saveDesignRecord(generationData);
+
+    res.json({
+      success: true,
+      message: "Professional design generated with enhanced details",
+      imageUrl: localUrl,
+      originalUrl: finalImageUrl,
+      requestId: request_id,
+      designId: generationData.design_id,
+      generationType: 'enhanced_design',
+      edgeMapUrl: sketchEdges.edgeMapUrl,
+      edgeShare: sketchEdges.edgeShare,
+      guidanceStrength
+    });
+
+  } catch (error) {
+    console.error("Sketch generation error:", error.message);
+    res.status(error.status || 500).json(error.body || {
+      success: false,
+      error: { message: error.message }
+    });
   }
-  
-  // Attempt recovery for dropped operations
-  if (droppedOperations.length > 0) {
-    console.log(`⚠️  ${droppedOperations.length} operations were dropped during parsing:`);
-    droppedOperations.forEach(dropped => {
-      console.log(`   - "${dropped.part}" (${dropped.reason})`);
+});
+
+/**
+ * Validate /api/refine input
+ */
+function validateRefineRequest(body) {
+  const { instruction, imageUrl, designId } = body;
+
+  if (!instruction || typeof instruction !== 'string' || instruction.trim().length === 0) {
+    throw createRouteError(400, { message: "Valid instruction is required" });
+  }
+
+  if (designId !== undefined && designId !== null && typeof designId !== 'string') {
+    throw createRouteError(400, { message: "designId must be a string" });
+  }
+
+  if (!designId && (!imageUrl || typeof imageUrl !== 'string')) {
+    throw createRouteError(400, { message: "Valid design ID or image URL is required" });
+  }
+
+  if (designId && !findDesignRecord({ designId })) {
+    throw createRouteError(404, { message: `Design not found: ${designId}` });
+  }
+
+  validateUserMaskInput(body);
+}
+
+const MAX_MASK_POLYGONS = 50;
+const MAX_POLYGON_POINTS = 2000;
+
+/**
+ * Validate the optional user-drawn mask: `mask` (PNG data URL) and/or `polygons`
+ * ([[x, y], ...] outlines in 0-1 image fractions)
+ */
+function validateUserMaskInput({ mask, polygons }) {
+  if (mask !== undefined && mask !== null && (typeof mask !== 'string' || !mask.startsWith('data:image/png;base64,'))) {
+    throw createRouteError(400, { message: "mask must be a PNG data URL" });
+  }
+
+  if (polygons === undefined || polygons === null) return;
+
+  const isPoint = (point) => Array.isArray(point) && point.length === 2 &&
+    point.every(value => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1);
+  const isPolygon = (points) => Array.isArray(points) && points.length >= 3 && points.length <= MAX_POLYGON_POINTS && points.every(isPoint);
+
+  if (!Array.isArray(polygons) || polygons.length > MAX_MASK_POLYGONS || !polygons.every(isPolygon)) {
+    throw createRouteError(400, {
+      message: `polygons must be a list of at most ${MAX_MASK_POLYGONS} outlines, each at least 3 [x, y] points between 0 and 1`
     });
-    
-    const recoveredOperations = attemptOperationRecovery(droppedOperations);
-    validOperations.push(...recoveredOperations);
-    
-    if (recoveredOperations.length > 0) {
-      console.log(`   - ✅ Recovered ${recoveredOperations.length} operations`);
-    }
   }
-  
-  console.log(`✅ FIXED Enhanced parsing extracted ${validOperations.length} valid operations`);
-  
-  return validOperations;
 }
 
 /**
- * Parse individual operation with enhanced validation
- * Implements comprehensive pattern matching for all modification types
+ * The user's mask for a refinement at the size of the image being edited, or null when
+ * none was sent; an empty selection is rejected
  */
-function parseIndividualOperationWithValidation(instruction) {
-  const lowerInstruction = instruction.toLowerCase();
-  
-  console.log(`🔍 DEBUG: parseIndividualOperationWithValidation called with: "${instruction}"`);
-  
-  // Enhanced background operations with vague phrasing support
-  const backgroundPatterns = [
-    /(?:make|change|set|give)\s+(?:the\s+)?background\s+(?:to\s+)?(.+)/i,
-    /(?:add|put)\s+(?:a\s+)?(.+)\s+background/i,
-    
-    // CRITICAL FIX: Handle "add [environment] background" patterns
-    /(?:add|put|place)\s+(?:a\s+|an\s+)?(forest|snow|rain|city|beach|mountain|desert|ocean|sky|clouds?|sunset|sunrise|night|day|studio|nature|outdoor|indoor)\s+background/i,
-    
-    // CRITICAL FIX: Handle background typos like "backrgound", "backround", etc.
-    /(?:make|change|set|give)\s+(?:the\s+)?(?:backrgound|backround|bakground|backgrond)\s+(?:to\s+)?(.+)/i,
-    /(?:add|put)\s+(?:a\s+)?(.+)\s+(?:backrgound|backround|bakground|backgrond)/i,
-    
-    /(.+)\s+(?:falling\s+)?behind\s+(?:him|her|it|them)/i,
-    /background\s+(?:of\s+|with\s+)?(.+)/i,
-    
-    // CRITICAL FIX: Handle vague background requests
-    // "forest behind" - detect environment words followed by "behind"
-    /^(forest|snow|rain|city|beach|mountain|desert|ocean|sky|clouds?|sunset|sunrise|night|day)\s+behind$/i,
-    
-    // "forest scene" - detect environment + scene/setting
-    /^(forest|snow|rain|city|beach|mountain|desert|ocean|sky|clouds?|sunset|sunrise|night|day)\s+(?:scene|setting|environment)$/i,
-    
-    // "put in forest" - detect "put in [environment]"
-    /^put\s+in\s+(?:a\s+)?(forest|snow|rain|city|beach|mountain|desert|ocean|sky|clouds?|sunset|sunrise|night|day)$/i,
-    
-    // "different background" - handle vague background changes
-    /^(?:different|new|another|change)\s+background$/i,
-    
-    // CRITICAL FIX: "forest background" - environment + background
-    /^(forest|snow|rain|city|beach|mountain|desert|ocean|sky|clouds?|sunset|sunrise|night|day)\s+background$/i,
-    
-    // CRITICAL FIX: "snowfall behind" - environment + behind (without pronouns)
-    /^(forest|snow|snowfall|rain|city|beach|mountain|desert|ocean|sky|clouds?|sunset|sunrise|night|day)\s+behind$/i,
-    
-    // Single environment words that likely mean background
-    /^(forest|snow|rain|city|beach|mountain|desert|ocean|sunset|sunrise|night|day)$/i
-  ];
-  
-  for (const pattern of backgroundPatterns) {
-    const match = instruction.match(pattern);
-    if (match) {
-      let backgroundValue = match[1] ? match[1].trim() : 'custom background';
-      
-      // Handle special cases for vague background requests
-      if (pattern.source.includes('different|new|another')) {
-        backgroundValue = 'different background setting';
-      } else if (pattern.source.includes('^(forest|snow')) {
-        // Single environment word - use as is
-        backgroundValue = match[1] || match[0];
-      }
-      
+async function resolveUserMask(body, imageUrl) {
+  if (!body.mask && !(body.polygons?.length > 0)) return null;
+
+  const userMask = await buildUserMask({ image: imageUrl, mask: body.mask || null, polygons: body.polygons || [] });
+  if (!userMask) {
+    throw createRouteError(400, { message: "The painted mask is empty - paint or outline the area to change" });
+  }
+  return userMask;
+}
+
+/**
+ * Plan for an edit confined to a user-drawn mask: gen_fill inside it, no mask generation
+ */
+function planUserMaskRefinement(instruction, userMask) {
+  console.log(`🖌️  Refining inside a user-drawn mask: "${instruction}"`);
+  return {
+    strategy: 'mask_based',
+    userMask,
+    operations: [{
+      type: 'localized_edit',
+      instruction,
+      target: 'painted area',
+      action: 'edit inside the painted area',
+      confidence: 1
+    }],
+    originalOperationCount: 1
+  };
+}
+
+/**
+ * Enhanced refinement using hybrid mask-based and structured prompt approach
+ */
+async function runRefine(body) {
+  const { designId } = body;
+
+  // CRITICAL: Retrieve original generation data by design id, or by any URL it was served from
+  const originalData = findDesignRecord({ designId, imageUrl: body.imageUrl });
+  const imageUrl = body.imageUrl || originalData.local_url || originalData.image_url;
+
+  console.log(`🔧 Starting enhanced refinement: "${body.instruction}"`);
+  console.log(`🖼️  Original image: ${imageUrl}${originalData ? ` (design ${originalData.design_id})` : ''}`);
+
+  // "undo that", "go back two steps": restore an earlier version, nothing is generated
+  const historyCommand = parseHistoryCommand(body.instruction);
+  if (historyCommand) {
+    return runHistoryCommand(historyCommand, originalData);
+  }
+
+  // "keep the skull unchanged": lock clauses go on the design's chain, the rest is the edit
+  const lockRequest = parseLockInstruction(body.instruction);
+  const instruction = lockRequest ? lockRequest.remainder : body.instruction;
+  if (lockRequest) {
+    const locks = applyLockRequest(lockRequest, originalData);
+    if (!instruction) {
       return {
-        type: 'background_edit',
-        instruction: instruction,
-        target: 'background',
-        value: backgroundValue,
-        action: 'modify',
-        priority: 1,
-        isValid: true,
-        confidence: 0.9
+        success: true,
+        message: describeLockChange(lockRequest),
+        refinedImageUrl: originalData.local_url || originalData.image_url,
+        originalUrl: originalData.image_url,
+        designId: originalData.design_id,
+        parentDesignId: originalData.parent_design_id || null,
+        rootDesignId: originalData.root_design_id || originalData.design_id,
+        editType: 'lock',
+        locks
       };
     }
   }
-  
-  // CRITICAL FIX: Check modification patterns BEFORE addition patterns
-  // This prevents "put some red on it" from being parsed as addition instead of modification
-  
-  // Enhanced color/modification operations with unusual phrasing support
-  const modificationPatterns = [
-    // Handle "change the color of the X to Y" pattern
-    /(?:change|alter)\s+(?:the\s+)?color\s+of\s+(?:the\s+)?(.+?)\s+to\s+(\w+)/i,
-    
-    // Handle "make/turn the X Y" pattern  
-    /(?:make|turn)\s+(?:the\s+)?(.+?)\s+(\w+)$/i,
-    
-    // Handle "change X color to Y" pattern
-    /(?:change|alter)\s+(?:the\s+)?(.+?)\s+color\s+to\s+(\w+)/i,
-    
-    // Handle "color/paint/dye the X Y" pattern
-    /(?:color|paint|dye)\s+(?:the\s+)?(.+?)\s+(\w+)/i,
-    
-    // Handle "add gold teeth" pattern (reverse order)
-    /(?:add|give)\s+(\w+)\s+(.+)/i,
-    
-    // CRITICAL FIX: Handle unusual color change phrasings
-    // "change the color to blue" - assume main subject when no specific target
-    /(?:change|alter)\s+(?:the\s+)?color\s+to\s+(\w+)/i,
-    
-    // "turn blue" - assume main subject
-    /^(?:turn|make\s+it)\s+(\w+)$/i,
-    
-    // "color blue" or "blue color" - detect color words
-    /^(?:color\s+(\w+)|(\w+)\s+color)$/i,
-    
-    // "make everything X" - target everything
-    /(?:make|turn)\s+everything\s+(\w+)/i,
-    
-    // CRITICAL FIX: "put some red on it" - weird color phrasing
-    /put\s+(?:some\s+)?(\w+)\s+on\s+it/i,
-    
-    // "make it more X" - enhancement phrasing
-    /make\s+it\s+more\s+(\w+)/i,
-    
-    // "add X to it" - color addition phrasing
-    /add\s+(\w+)\s+to\s+it/i
-  ];
-  
-  for (const pattern of modificationPatterns) {
-    const match = instruction.match(pattern);
-    if (match) {
-      let target, value;
-      
-      // Safely extract values with null checks
-      if (pattern.source.includes('add|give')) {
-        // Handle "add gold teeth" -> target: teeth, value: gold
-        value = match[1] || '';
-        target = match[2] || '';
-      } else if (pattern.source.includes('color.*to')) {
-        // Handle "change the color to blue" - assume main subject
-        target = 'main subject';
-        value = match[1] || '';
-      } else if (pattern.source.includes('turn.*make.*it')) {
-        // Handle "turn blue" or "make it blue" - assume main subject
-        target = 'main subject';
-        value = match[1] || '';
-      } else if (pattern.source.includes('color.*color')) {
-        // Handle "color blue" or "blue color"
-        target = 'main subject';
-        value = match[1] || match[2] || '';
-      } else if (pattern.source.includes('everything')) {
-        // Handle "make everything blue"
-        target = 'everything';
-        value = match[1] || '';
-      } else if (pattern.source.includes('put.*some.*on')) {
-        // Handle "put some red on it" - weird color phrasing
-        target = 'main subject';
-        value = match[1] || '';
-      } else if (pattern.source.includes('make.*it.*more')) {
-        // Handle "make it more red" - enhancement phrasing
-        target = 'main subject';
-        value = match[1] || '';
-      } else if (pattern.source.includes('add.*to.*it')) {
-        // Handle "add red to it" - color addition phrasing
-        target = 'main subject';
-        value = match[1] || '';
-      } else {
-        target = match[1] || '';
-        value = match[2] || '';
-      }
-      
+
+  // A painted mask says exactly where the edit goes, so there's nothing to clarify or detect
+  const userMask = await resolveUserMask(body, originalData?.image_url || imageUrl);
+
+  // Ask instead of guessing when the instruction is ambiguous; the client can resend a
+  // suggested instruction, or the original one with skipClarification
+  let dryRun = null;
+  if (!body.skipClarification && !userMask) {
+    reportJobStage('planning');
+    dryRun = await planRefinementDryRun(instruction, originalData);
+    const clarification = assessRefinementClarity(instruction, originalData, dryRun.refinementPlan);
+    if (clarification) {
+      console.log(`❓ Refinement needs clarification (${clarification.reason}): ${clarification.question}`);
       return {
-        type: 'object_modification',
-        instruction: instruction,
-        target: target,
-        value: value,
-        action: 'modify',
-        priority: 3,
-        isValid: true,
-        confidence: 0.8
+        success: true,
+        needsClarification: true,
+        message: clarification.question,
+        designId: originalData?.design_id || null,
+        clarification
       };
     }
   }
-  
-  // Enhanced addition operations with comprehensive patterns (moved after modification patterns)
-  const additionPatterns = [
-    /(?:add|put|place|attach)\s+(?:a\s+|an\s+|some\s+)?(.+?)(?:\s+(?:to|on|onto)\s+(.+?))?$/i,
-    /give\s+(?:him|her|it|them)\s+(?:a\s+|an\s+|some\s+)?(.+)/i,
-    /(?:equip|outfit)\s+(?:with\s+)?(?:a\s+|an\s+)?(.+)/i
-  ];
-  
-  for (const pattern of additionPatterns) {
-    const match = instruction.match(pattern);
-    if (match) {
-      const object = match[1].trim();
-      const location = match[2] ? match[2].trim() : null;
-      
-      return {
-        type: 'object_addition',
-        instruction: instruction,
-        target: extractObjectFromPhrase(object),
-        object: object,
-        location: location,
-        action: 'add',
-        priority: 2,
-        isValid: true,
-        confidence: 0.85
-      };
-    }
+
+  // Edits aimed at locked elements are refused before the chain's background is touched
+  const lockedElements = backgroundContextManager.getLockedElements(originalData?.design_id, originalData);
+  if (lockedElements.length > 0) {
+    dryRun = dryRun || await planRefinementDryRun(instruction, originalData, userMask);
+    assertNoLockConflicts(dryRun.refinementPlan.operations, lockedElements);
   }
-  
-  // Removal operations
-  const removalPatterns = [
-    /(?:remove|delete|take\s+away|get\s+rid\s+of)\s+(?:the\s+)?(.+)/i
-  ];
-  
-  for (const pattern of removalPatterns) {
-    const match = instruction.match(pattern);
-    if (match) {
-      return {
-        type: 'object_removal',
-        instruction: instruction,
-        target: match[1].trim(),
-        action: 'remove',
-        priority: 4,
-        isValid: true,
-        confidence: 0.75
-      };
-    }
+
+  // The refined image becomes a new design in the same lineage as the one it was made from
+  const refinedDesignId = createDesignId();
+  const rootDesignId = originalData ? originalData.root_design_id || originalData.design_id : refinedDesignId;
+
+  // Create isolated background context for this refinement (Requirements 2.1, 2.5)
+  const refinementRequestId = `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const refinementBackgroundContext = backgroundContextManager.createIsolatedContext(refinementRequestId);
+
+  // The refined design gets its own chain, forked from the design it was made from, so
+  // background and locks carry down a branch without leaking into sibling branches
+  const chainKey = refinedDesignId;
+  refinementBackgroundContext.chainKey = chainKey;
+
+  // Background persistence across refinements (Requirements 4.1, 4.2, 4.3)
+  const refinementChain = backgroundContextManager.forkRefinementChain(chainKey, originalData);
+
+  // Send the provider its own URL for the image when we have one
+  const apiImageUrl = originalData?.image_url || imageUrl;
+  if (apiImageUrl !== imageUrl) {
+    console.log(`🔄 Using stored provider URL for API call: ${apiImageUrl}`);
   }
   
-  // CRITICAL FIX: Enhanced fallback logic for vague instructions
-  
-  // Handle vague improvement requests
-  const vagueImprovementPatterns = [
-    /^(?:make\s+it\s+|change\s+it\s+|make\s+)?(?:better|cooler|nicer|more\s+interesting|different)$/i,
-    /^(?:improve|enhance|upgrade)\s+(?:it|this|the\s+image)?$/i,
-    /^(?:add\s+)?something\s+(?:cool|nice|interesting|good|better)$/i
-  ];
-  
-  for (const pattern of vagueImprovementPatterns) {
-    if (pattern.test(lowerInstruction)) {
-      return {
-        type: 'general_edit',
-        instruction: instruction,
-        target: 'overall appearance',
-        value: 'enhanced',
-        action: 'improve',
-        priority: 5,
-        isValid: true,
-        confidence: 0.6,
-        vague: true
-      };
-    }
+  if (!originalData) {
+    console.warn(`⚠️  No generation data found for ${imageUrl} - using fallback approach`);
+  } else {
+    console.log(`✅ Found original generation data:`);
+    console.log(`   - Request ID: ${originalData.request_id}`);
+    console.log(`   - Original prompt: ${originalData.original_prompt}`);
+    console.log(`   - Structured prompt: ${originalData.structured_prompt ? 'Available' : 'Not available'}`);
   }
+
+
+  // Enhanced background operation analysis with refinement chain management (Requirements 2.1, 2.2, 2.4, 4.1, 4.2, 4.4, 4.5)
+  const isBackgroundOperation = !userMask && backgroundContextManager.isBackgroundOperation(instruction);
   
-  // Handle vague color requests
-  const vagueColorPatterns = [
-    /^(?:more\s+)?colorful$/i,
-    /^(?:add\s+)?(?:more\s+)?colors?$/i,
-    /^(?:make\s+it\s+)?(?:more\s+)?vibrant$/i
-  ];
-  
-  for (const pattern of vagueColorPatterns) {
-    if (pattern.test(lowerInstruction)) {
-      return {
-        type: 'object_modification',
-        instruction: instruction,
-        target: 'overall colors',
-        value: 'more colorful',
-        action: 'modify',
-        priority: 4,
-        isValid: true,
-        confidence: 0.7,
-        vague: true
-      };
-    }
-  }
+  // Update refinement chain with current operation
+  backgroundContextManager.updateRefinementChainBackground(chainKey, instruction, isBackgroundOperation);
   
-  // Handle vague change requests
-  const vagueChangePatterns = [
-    /^(?:change\s+)?(?:it|this|the\s+image)$/i,
-    /^(?:modify|alter)\s+(?:it|this|the\s+image)?$/i,
-    /^(?:do\s+)?something$/i
-  ];
+  // Get current background state from refinement chain
+  const currentBackgroundState = backgroundContextManager.getCurrentBackgroundState(chainKey);
   
-  for (const pattern of vagueChangePatterns) {
-    if (pattern.test(lowerInstruction)) {
-      return {
-        type: 'general_edit',
+  if (isBackgroundOperation) {
+    // Extract and set new background with complete replacement (Requirements 2.4, 4.5)
+    const backgroundDescription = backgroundContextManager.extractBackgroundDescriptionEnhanced(instruction);
+    backgroundContextManager.setBackground(refinementRequestId, backgroundDescription, true);
+    console.log(`🎨 Background operation detected: "${backgroundDescription}"`);
+  } else {
+    // For non-background operations, preserve background from refinement chain (Requirements 4.1, 4.2)
+    if (currentBackgroundState && currentBackgroundState.description) {
+      backgroundContextManager.setBackground(
+        refinementRequestId, 
+        currentBackgroundState.description, 
+        currentBackgroundState.isExplicitlySet
+      );
+      console.log(`🔒 Preserving background from refinement chain: "${currentBackgroundState.description}"`);
+    } else {
+      // Ensure transparent background for non-background operations (Requirements 4.3)
+      backgroundContextManager.preventThemeBackgroundInference(refinementRequestId);
+      console.log(`🔒 Maintaining transparent background as default`);
+    }
+  }
+
+  // Parse instruction and determine refinement strategy
+  reportJobStage('planning');
+  const refinementPlan = userMask
+    ? planUserMaskRefinement(instruction, userMask)
+    : await analyzeRefinementInstructionEnhanced(instruction, originalData, refinementBackgroundContext);
+  console.log(`📋 Refinement plan: ${refinementPlan.strategy} (${refinementPlan.operations.length} operations)`);
+
+  let refinementResult;
+  
+  // Execute refinement based on strategy with background context management
+  if (refinementPlan.strategy === 'local_adjustment') {
+    refinementResult = await performLocalAdjustment(imageUrl, refinementPlan);
+  } else if (refinementPlan.strategy === 'background_replacement') {
+    refinementResult = await performBackgroundReplacementEnhanced(apiImageUrl, instruction, originalData, refinementBackgroundContext);
+  } else if (refinementPlan.strategy === 'background_removal') {
+    refinementResult = await performBackgroundRemoval(apiImageUrl);
+  } else if (refinementPlan.strategy === 'mask_based') {
+    refinementResult = await performMaskBasedRefinementEnhanced(apiImageUrl, instruction, originalData, refinementPlan, refinementBackgroundContext);
+  } else if (refinementPlan.strategy === 'multi_step') {
+    refinementResult = await performMultiStepRefinementEnhanced(apiImageUrl, instruction, originalData, refinementPlan, refinementBackgroundContext);
+  } else {
+    // Default to enhanced structured prompt refinement with background context
+    refinementResult = await performEnhancedStructuredRefinementEnhanced(apiImageUrl, instruction, originalData, refinementPlan, refinementBackgroundContext);
+  }
+
+  if (!refinementResult.success) {
+    throw createRouteError(500, refinementResult.error, {
+      debug: {
+        original_data_found: !!originalData,
         instruction: instruction,
-        target: 'image',
-        value: 'modified',
-        action: 'change',
-        priority: 5,
-        isValid: true,
-        confidence: 0.4,
-        vague: true
-      };
-    }
+        strategy: refinementPlan.strategy
+      }
+    });
   }
-  
-  // Generic operation fallback with validation
-  if (lowerInstruction.length > 3 && /\b(?:add|change|make|turn|give|put|place|remove)\b/.test(lowerInstruction)) {
-    return {
-      type: 'general_edit',
-      instruction: instruction,
-      target: extractEditTarget(instruction),
-      action: 'modify',
-      priority: 5,
-      isValid: true,
-      confidence: 0.5
+
+  // A small edit that rewrote the whole composition is flagged, and retried as a
+  // localized edit where the strategy has one configured
+  let strategyUsed = refinementPlan.strategy;
+  let drift = await measureRefinementDrift(imageUrl, refinementResult, refinementPlan, originalData, instruction);
+  const retryPlan = drift?.overChanged ? buildDriftRetryPlan(refinementPlan) : null;
+  if (retryPlan) {
+    console.log(`📐 Refinement changed too much outside the edit (similarity ${drift.similarity}), retrying as ${retryPlan.strategy}`);
+    const retried = await performMaskBasedRefinementEnhanced(apiImageUrl, instruction, originalData, retryPlan, refinementBackgroundContext);
+    const retryDrift = retried.success && retried.edit_type === 'enhanced_mask_based_localized'
+      ? await measureRefinementDrift(imageUrl, retried, retryPlan, originalData, instruction)
+      : null;
+    const useRetry = !!retryDrift && retryDrift.similarity >= drift.similarity;
+
+    if (useRetry) {
+      refinementResult = retried;
+      strategyUsed = retryPlan.strategy;
+    }
+    drift = {
+      ...(useRetry ? retryDrift : drift),
+      retry: { strategy: retryPlan.strategy, used: useRetry, firstAttempt: drift }
     };
-  }
+    console.log(`📐 Drift retry ${useRetry ? `kept (similarity ${retryDrift.similarity})` : 'discarded, keeping the first result'}`);
+  }
+
+  // Download and save refined image locally
+  const filename = `refined_${Date.now()}.png`;
+  const localUrl = await downloadAndSaveImage(refinementResult.imageUrl, filename);
+  // Locally produced images (data URLs) are only served from the saved copy
+  const resultUrl = refinementResult.imageUrl.startsWith('data:') ? localUrl : refinementResult.imageUrl;
+
+  // Store refined image data for future refinements with enhanced background persistence (Requirements 4.1, 4.2, 4.3, 4.4, 4.5)
+  const refinedData = {
+    ...inheritableFields(originalData),
+    source: 'refinement',
+    design_id: refinedDesignId,
+    parent_design_id: originalData?.design_id || null,
+    root_design_id: rootDesignId,
+    refined_from: imageUrl,
+    refinement_instruction: instruction,
+    refinement_strategy: strategyUsed,
+    refinement_drift: drift,
+    // false when a localized edit couldn't be pasted back over the original
+    refinement_recomposited: refinementResult.recomposited ?? null,
+    structured_prompt: refinementResult.structured_prompt || originalData?.structured_prompt,
+    image_url: resultUrl,
+    local_url: localUrl,
+    background_context: refinementResult.background_context || refinementBackgroundContext,
+    context_isolated: refinementResult.context_isolated || false,
+    refined_at: new Date().toISOString(),
+    // Enhanced background persistence tracking
+    refinement_chain: {
+      chainId: refinementChain.chainId,
+      backgroundState: currentBackgroundState,
+      isBackgroundOperation: isBackgroundOperation,
+      backgroundPreserved: !isBackgroundOperation,
+      refinementCount: refinementChain.refinementHistory.length,
+      lockedElements: refinementChain.lockedElements
+    }
+  };
   
-  // Invalid operation
-  console.log(`🔍 DEBUG: No valid operation found for: "${instruction}"`);
+  saveDesignRecord(refinedData);
+
   return {
-    isValid: false,
-    invalidReason: 'no_recognizable_action_pattern',
-    instruction: instruction
+    success: true,
+    message: "Image refined successfully",
+    refinedImageUrl: localUrl,
+    originalUrl: resultUrl,
+    designId: refinedDesignId,
+    parentDesignId: refinedData.parent_design_id,
+    rootDesignId,
+    editType: refinementResult.edit_type || strategyUsed,
+    locks: refinementChain.lockedElements,
+    drift,
+    recomposited: refinementResult.recomposited ?? null,
+    request_id: refinementResult.request_id,
+    debug: {
+      original_data_preserved: !!originalData,
+      method_used: strategyUsed,
+      planned_strategy: refinementPlan.strategy,
+      operations: refinementPlan.operations.map(op => ({ type: op.type, target: op.target || null })),
+      operations_count: refinementPlan.operations.length,
+      supports_localized_editing: refinementPlan.strategy === 'mask_based'
+    }
   };
 }
 
-/**
- * Attempt to recover dropped operations using alternative parsing strategies
- */
-function attemptOperationRecovery(droppedOperations) {
-  const recoveredOperations = [];
-  
-  for (const dropped of droppedOperations) {
-    const part = dropped.part;
-    
-    // Try simpler pattern matching
-    if (/\b(?:add|put|place)\b/i.test(part)) {
-      // Extract object after action word
-      const match = part.match(/(?:add|put|place)\s+(.+)/i);
-      if (match) {
-        recoveredOperations.push({
-          type: 'object_addition',
-          instruction: part,
-          target: extractObjectFromPhrase(match[1]),
-          object: match[1].trim(),
-          action: 'add',
-          priority: 6,
-          isValid: true,
-          confidence: 0.3,
-          recovered: true
-        });
-      }
-    } else if (/\b(?:change|make|turn)\b/i.test(part)) {
-      // Try to extract modification
-      const words = part.split(/\s+/);
-      if (words.length >= 3) {
-        recoveredOperations.push({
-          type: 'general_edit',
-          instruction: part,
-          target: words[words.length - 1],
-          action: 'modify',
-          priority: 6,
-          isValid: true,
-          confidence: 0.2,
-          recovered: true
-        });
-      }
-    }
-  }
-  
-  return recoveredOperations;
-}
+app.post("/api/refine", jobRoute('refine', runRefine, validateRefineRequest));
+
+// Strategies whose results are checked for drift, and the strategy to retry with when a
+// result changed too much outside the edit (null: flag only)
+const DRIFT_RETRY_STRATEGIES = {
+  structured_prompt: 'mask_based',
+  multi_step: 'mask_based',
+  mask_based: null
+};
 
 /**
- * Estimate expected operation count based on instruction analysis
+ * Area a refinement was meant to change: the gen_fill mask when there was one, plus the
+ * structured-prompt boxes of the objects its operations target
  */
-function estimateExpectedOperationCount(instruction) {
-  const conjunctionCount = (instruction.match(/\b(?:and|&|plus|also|then)\b/gi) || []).length;
-  const actionWordCount = (instruction.match(/\b(?:add|change|make|turn|give|put|place|remove)\b/gi) || []).length;
-  const commaCount = (instruction.match(/,/g) || []).length;
-  
-  // Estimate based on various indicators
-  return Math.max(
-    conjunctionCount + 1,  // Conjunctions typically separate operations
-    actionWordCount,       // Each action word likely indicates an operation
-    commaCount + 1         // Commas may separate operations
-  );
+function refinementEditArea(refinementPlan, refinementResult, originalData) {
+  const structuredPrompt = parseStructuredPrompt(originalData?.structured_prompt);
+  const boxes = refinementPlan.operations
+    .flatMap(operation => [operation.target, operation.spatial?.target])
+    .filter(Boolean)
+    .map(target => anchorBoxFromStructuredPrompt(structuredPrompt, target))
+    .filter(Boolean);
+  return { mask: refinementResult.edit_mask || null, boxes };
 }
 
 /**
- * Parse individual operation with enhanced pattern recognition
+ * Compare a refined image with the image it was made from outside the edit area.
+ * Returns null for strategies that aren't checked (background edits and local adjustments
+ * change the whole image on purpose) or when the images can't be compared.
  */
-function parseIndividualOperation(instruction) {
-  const lowerInstruction = instruction.toLowerCase();
-  
-  // Background operations
-  if (lowerInstruction.includes('background')) {
-    return {
-      type: 'background_edit',
-      instruction: instruction,
-      target: 'background',
-      action: 'modify',
-      priority: 1
-    };
-  }
-  
-  // Addition operations with comprehensive patterns
-  const additionPatterns = [
-    /add\s+(?:a\s+|an\s+)?(.+)/i,
-    /put\s+(?:a\s+|an\s+)?(.+)\s+on/i,
-    /give\s+(?:him|her|it)\s+(?:a\s+|an\s+)?(.+)/i,
-    /place\s+(?:a\s+|an\s+)?(.+)/i
-  ];
-  
-  for (const pattern of additionPatterns) {
-    const match = instruction.match(pattern);
-    if (match) {
-      const object = match[1].trim();
-      return {
-        type: 'object_addition',
-        instruction: instruction,
-        target: extractObjectFromPhrase(object),
-        object: object,
-        action: 'add',
-        priority: 2
-      };
-    }
-  }
-  
-  // Color/modification operations
-  const modificationPatterns = [
-    /make\s+(?:the\s+)?(.+?)\s+(\w+)/i,
-    /turn\s+(?:the\s+)?(.+?)\s+(\w+)/i,
-    /change\s+(?:the\s+)?(.+?)\s+(?:color\s+)?to\s+(\w+)/i
-  ];
-  
-  for (const pattern of modificationPatterns) {
-    const match = instruction.match(pattern);
-    if (match) {
-      return {
-        type: 'object_modification',
-        instruction: instruction,
-        target: match[1].trim(),
-        value: match[2].trim(),
-        action: 'modify',
-        priority: 3
-      };
-    }
+async function measureRefinementDrift(beforeUrl, refinementResult, refinementPlan, originalData, instruction) {
+  if (!(refinementPlan.strategy in DRIFT_RETRY_STRATEGIES) || backgroundContextManager.isBackgroundOperation(instruction)) {
+    return null;
   }
-  
-  // Removal operations
-  if (lowerInstruction.includes('remove') || lowerInstruction.includes('delete')) {
-    const removeMatch = instruction.match(/(?:remove|delete)\s+(?:the\s+)?(.+)/i);
-    if (removeMatch) {
-      return {
-        type: 'object_removal',
-        instruction: instruction,
-        target: removeMatch[1].trim(),
-        action: 'remove',
-        priority: 4
-      };
-    }
+
+  reportJobStage('drift_check');
+  try {
+    const drift = await measureDrift(beforeUrl, refinementResult.imageUrl, refinementEditArea(refinementPlan, refinementResult, originalData));
+    console.log(`📐 Drift outside the edit: similarity ${drift.similarity}, hash distance ${drift.hashDistance}${drift.overChanged ? ' (over-changed)' : ''}`);
+    return drift;
+  } catch (error) {
+    console.warn(`⚠️  Drift check skipped: ${error.message}`);
+    return null;
   }
-  
-  // Generic operation fallback
-  return {
-    type: 'general_edit',
-    instruction: instruction,
-    target: extractEditTarget(instruction),
-    action: 'modify',
-    priority: 5
-  };
 }
 
 /**
- * Extract object name from phrase (e.g., "gold teeth" -> "teeth")
+ * Plan to retry an over-changed refinement with, or null when its strategy has no retry
+ * configured or the edit can't be localized (gen_fill edits one target at a time)
  */
-function extractObjectFromPhrase(phrase) {
-  const commonObjects = [
-    'hat', 'sunglasses', 'glasses', 'cigar', 'cigarette', 'pipe',
-    'necklace', 'chain', 'earring', 'bracelet', 'ring',
-    'teeth', 'tooth', 'eye', 'eyes', 'nose', 'mouth',
-    'shirt', 'jacket', 'coat', 'shoes', 'boots'
-  ];
-  
-  const lowerPhrase = phrase.toLowerCase();
-  for (const obj of commonObjects) {
-    if (lowerPhrase.includes(obj)) {
-      return obj;
-    }
+function buildDriftRetryPlan(refinementPlan) {
+  const strategy = DRIFT_RETRY_STRATEGIES[refinementPlan.strategy];
+  const [operation] = refinementPlan.operations;
+  if (!strategy || refinementPlan.operations.length !== 1 || !(operation.target || operation.spatial)) {
+    return null;
   }
-  
-  // Return the last word as likely object
-  return phrase.split(' ').pop();
+  return { ...refinementPlan, strategy, operations: [operation] };
 }
 
 /**
- * Resolve conflicts between operations targeting the same element
- * Implements Requirements 1.3 for conflict resolution precedence
+ * Resolve an undo/redo command typed into the refine box against the design's lineage
  */
-function resolveOperationConflicts(operations) {
-  console.log(`🔧 Resolving conflicts among ${operations.length} operations`);
-  
-  const resolvedOperations = [];
-  const targetMap = new Map();
-  const conflictLog = [];
-  
-  // Group operations by target with enhanced target normalization
-  for (const operation of operations) {
-    const normalizedTarget = normalizeTarget(operation.target || 'unknown');
-    if (!targetMap.has(normalizedTarget)) {
-      targetMap.set(normalizedTarget, []);
-    }
-    targetMap.get(normalizedTarget).push(operation);
-  }
-  
-  // Resolve conflicts for each target with advanced conflict resolution
-  for (const [target, targetOperations] of targetMap.entries()) {
-    if (targetOperations.length === 1) {
-      // No conflict
-      resolvedOperations.push(targetOperations[0]);
-    } else {
-      // Multiple operations on same target - apply conflict resolution rules
-      const resolvedOperation = applyConflictResolutionRules(targetOperations, target);
-      resolvedOperations.push(resolvedOperation);
-      
-      // Log conflict resolution details
-      const conflictDetails = {
-        target: target,
-        conflictingOperations: targetOperations.map(op => op.instruction),
-        resolvedTo: resolvedOperation.instruction,
-        resolutionRule: resolvedOperation.resolutionRule,
-        overriddenOperations: targetOperations.filter(op => op !== resolvedOperation).map(op => op.instruction)
-      };
-      
-      conflictLog.push(conflictDetails);
-      
-      console.log(`   - Conflict resolved for "${target}": using "${resolvedOperation.instruction}"`);
-      console.log(`   - Resolution rule: ${resolvedOperation.resolutionRule}`);
-      console.log(`   - Overridden: ${conflictDetails.overriddenOperations.join(', ')}`);
-    }
+function resolveHistoryCommandOrThrow(command, originalData) {
+  if (!originalData) {
+    throw createRouteError(400, { message: "Undo and redo need a design created by this server" });
   }
-  
-  // Add conflict resolution metadata
-  if (conflictLog.length > 0) {
-    console.log(`📋 Conflict resolution summary:`);
-    conflictLog.forEach((conflict, index) => {
-      console.log(`   ${index + 1}. ${conflict.target}: ${conflict.resolutionRule}`);
-    });
+
+  const resolution = resolveHistoryCommand(command, originalData, designId => findDesignRecord({ designId }));
+  if (!resolution.success) {
+    throw createRouteError(400, resolution.error);
   }
-  
-  console.log(`✅ Resolved to ${resolvedOperations.length} operations (${conflictLog.length} conflicts resolved)`);
-  return resolvedOperations;
+  return resolution;
 }
 
 /**
- * Apply advanced conflict resolution rules based on operation types and priorities
+ * Apply a history command: the restored version becomes a new 'revert' version on top of
+ * the design the user is on, and the refinement chain takes its background back
  */
-function applyConflictResolutionRules(conflictingOperations, target) {
-  // Rule 1: Latest explicit instruction wins (Requirements 1.3)
-  const sortedByPosition = conflictingOperations.sort((a, b) => {
-    // Operations later in the instruction have higher priority
-    return (b.priority || 0) - (a.priority || 0);
+async function runHistoryCommand(command, originalData) {
+  reportJobStage('planning');
+  const resolution = resolveHistoryCommandOrThrow(command, originalData);
+  const restored = saveRestoredVersion(resolution.target, originalData, 'revert', null, {
+    command: command.action,
+    redoStack: resolution.redoStack,
+    instruction: command.text
   });
-  
-  // Rule 2: More specific operations override general ones
-  const specificityScores = conflictingOperations.map(op => ({
-    operation: op,
-    specificity: calculateOperationSpecificity(op)
-  }));
-  
-  const mostSpecific = specificityScores.reduce((max, current) => 
-    current.specificity > max.specificity ? current : max
-  );
-  
-  // Rule 3: Removal operations have special precedence
-  const removalOperations = conflictingOperations.filter(op => op.type === 'object_removal');
-  if (removalOperations.length > 0) {
-    const latestRemoval = removalOperations[removalOperations.length - 1];
-    return {
-      ...latestRemoval,
-      conflictResolved: true,
-      resolutionRule: 'removal_precedence',
-      conflictedWith: conflictingOperations.filter(op => op !== latestRemoval).map(op => op.instruction)
-    };
-  }
-  
-  // Rule 4: Background operations override other modifications on background
-  if (target === 'background' || target.includes('background')) {
-    const backgroundOps = conflictingOperations.filter(op => op.type === 'background_edit');
-    if (backgroundOps.length > 0) {
-      const latestBackground = backgroundOps[backgroundOps.length - 1];
-      return {
-        ...latestBackground,
-        conflictResolved: true,
-        resolutionRule: 'background_override',
-        conflictedWith: conflictingOperations.filter(op => op !== latestBackground).map(op => op.instruction)
-      };
-    }
-  }
-  
-  // Rule 5: Higher confidence operations preferred
-  const highestConfidence = conflictingOperations.reduce((max, current) => 
-    (current.confidence || 0) > (max.confidence || 0) ? current : max
-  );
-  
-  // Rule 6: Default to latest instruction (temporal precedence)
-  const latestOperation = sortedByPosition[0];
-  
-  // Choose resolution based on combined factors
-  let resolvedOperation;
-  let resolutionRule;
-  
-  if (mostSpecific.specificity > 0.8 && mostSpecific.operation.confidence > 0.7) {
-    resolvedOperation = mostSpecific.operation;
-    resolutionRule = 'high_specificity_and_confidence';
-  } else if (highestConfidence.confidence > 0.8) {
-    resolvedOperation = highestConfidence;
-    resolutionRule = 'highest_confidence';
-  } else {
-    resolvedOperation = latestOperation;
-    resolutionRule = 'latest_instruction_precedence';
-  }
-  
+  const message = describeHistoryResult(command, resolution);
+
+  console.log(`⏪ ${message}: ${originalData.design_id} -> ${resolution.target.design_id} (saved as ${restored.design_id})`);
+
   return {
-    ...resolvedOperation,
-    conflictResolved: true,
-    resolutionRule: resolutionRule,
-    conflictedWith: conflictingOperations.filter(op => op !== resolvedOperation).map(op => op.instruction)
+    success: true,
+    message,
+    refinedImageUrl: restored.local_url || restored.image_url,
+    originalUrl: restored.image_url,
+    designId: restored.design_id,
+    parentDesignId: restored.parent_design_id,
+    rootDesignId: restored.root_design_id,
+    editType: 'history',
+    history: {
+      action: command.action,
+      restoredDesignId: resolution.target.design_id,
+      undone: resolution.undone,
+      canRedo: resolution.redoStack.length > 0
+    }
   };
 }
 
+// Provider calls each refinement strategy makes when it runs (before any fallbacks)
+const STRATEGY_PROVIDER_OPERATIONS = {
+  history: [],
+  local_adjustment: [],
+  background_replacement: ['replace_background'],
+  background_removal: ['remove_background'],
+  mask_based: ['register', 'mask_generator', 'gen_fill'],
+  multi_step: ['generate'],
+  structured_prompt: ['generate']
+};
+
 /**
- * Normalize target names for better conflict detection
+ * Plan a refinement the way runRefine would, against an unstored background context
  */
-function normalizeTarget(target) {
-  const targetLower = target.toLowerCase();
-  
-  // Normalize synonyms
-  const synonymMap = {
-    'glasses': 'sunglasses',
-    'shades': 'sunglasses',
-    'specs': 'sunglasses',
-    'cigarette': 'cigar',
-    'smoke': 'cigar',
-    'cap': 'hat',
-    'beanie': 'hat',
-    'tooth': 'teeth',
-    'eye': 'eyes'
+async function planRefinementDryRun(instruction, originalData, userMask = null) {
+  // The refined design's chain would be forked from this one
+  const chainKey = originalData?.design_id || null;
+
+  // Background decision (same rules as runRefine + updateRefinementChainBackground)
+  const currentBackgroundState = backgroundContextManager.peekRefinementChainBackground(chainKey, originalData);
+  // "revert the background change" mentions the background but doesn't set one
+  const isBackgroundOperation = !userMask && !parseHistoryCommand(instruction) && backgroundContextManager.isBackgroundOperation(instruction);
+  const isRemoval = isBackgroundOperation && backgroundContextManager.isBackgroundRemovalOperation(instruction);
+  const nextBackground = !isBackgroundOperation ? currentBackgroundState.description
+    : isRemoval ? 'transparent background'
+    : backgroundContextManager.extractBackgroundDescriptionEnhanced(instruction);
+
+  // Unstored stand-in for the isolated context runRefine creates
+  const previewContext = {
+    requestId: 'preview',
+    background: nextBackground,
+    isExplicitlySet: isBackgroundOperation || currentBackgroundState.isExplicitlySet,
+    preserveAcrossRefinements: !isBackgroundOperation,
+    contextIsolated: true,
+    chainKey
   };
-  
-  for (const [synonym, canonical] of Object.entries(synonymMap)) {
-    if (targetLower.includes(synonym)) {
-      return canonical;
-    }
-  }
-  
-  return targetLower;
+
+  const refinementPlan = userMask
+    ? planUserMaskRefinement(instruction, userMask)
+    : await analyzeRefinementInstructionEnhanced(instruction, originalData, previewContext);
+  const strategy = refinementPlan.strategy || 'structured_prompt';
+
+  return { chainKey, currentBackgroundState, isBackgroundOperation, isRemoval, nextBackground, previewContext, refinementPlan, strategy };
 }
 
 /**
- * Calculate operation specificity score for conflict resolution
+ * Question to ask before refining when the plan guesses: low-confidence operations, an
+ * unclear target, or clauses the instruction grammar couldn't parse.
+ * Returns null when the plan is clear enough to run.
  */
-function calculateOperationSpecificity(operation) {
-  let score = 0;
-  
-  // Base score from operation type
-  const typeScores = {
-    'background_edit': 0.9,
-    'object_removal': 0.8,
-    'object_modification': 0.7,
-    'object_addition': 0.6,
-    'general_edit': 0.3
-  };
-  
-  score += typeScores[operation.type] || 0.1;
-  
-  // Bonus for specific targets
-  if (operation.target && operation.target !== 'unknown') {
-    score += 0.2;
-  }
-  
-  // Bonus for specific values/attributes
-  if (operation.value) {
-    score += 0.1;
-  }
-  
-  // Bonus for location specification
-  if (operation.location) {
-    score += 0.1;
-  }
-  
-  // Penalty for recovered operations (less reliable)
-  if (operation.recovered) {
-    score -= 0.3;
-  }
-  
-  return Math.min(score, 1.0); // Cap at 1.0
+function assessRefinementClarity(instruction, originalData, refinementPlan) {
+  return buildRefinementClarification({
+    instruction,
+    operations: refinementPlan.operations,
+    structuredPrompt: parseStructuredPrompt(originalData?.structured_prompt),
+    unparsed: refinementPlan.unparsed || []
+  });
 }
 
 /**
- * Validate operation completeness to ensure no modifications are dropped
- * Implements Requirements 1.5 for operation validation
+ * Dry run of /api/refine: plan the edit exactly as runRefine would, without calling the
+ * image provider or touching stored refinement chains
  */
-function validateOperationCompleteness(originalInstruction, extractedOperations) {
-  const instruction = originalInstruction.toLowerCase();
-  
-  // Count expected operations using multiple indicators
-  const conjunctionCount = (instruction.match(/\b(?:and|&|plus|also|then)\b/g) || []).length;
-  const actionWordCount = (instruction.match(/\b(?:add|change|make|turn|give|put|place|remove)\b/g) || []).length;
-  const commaCount = (instruction.match(/,/g) || []).length;
-  
-  const expectedOperationCount = Math.max(
-    conjunctionCount + 1,
-    actionWordCount,
-    Math.min(commaCount + 1, actionWordCount) // Commas might separate operations but not always
-  );
-  
-  const extractedCount = extractedOperations.length;
-  const isComplete = extractedCount >= expectedOperationCount * 0.8; // Allow 20% tolerance
-  
-  // Check for specific missed patterns
-  const missedPatterns = [];
-  
-  // Check for common objects that might have been missed
-  const commonObjects = ['hat', 'sunglasses', 'cigar', 'necklace', 'earring', 'bracelet', 'ring'];
-  for (const obj of commonObjects) {
-    if (instruction.includes(obj)) {
-      const found = extractedOperations.some(op => 
-        op.instruction.toLowerCase().includes(obj) || 
-        (op.target && op.target.toLowerCase().includes(obj)) ||
-        (op.object && op.object.toLowerCase().includes(obj))
-      );
-      if (!found) {
-        missedPatterns.push(`Possible missed object: ${obj}`);
-      }
-    }
+async function previewRefinement(body) {
+  const { designId } = body;
+  const originalData = findDesignRecord({ designId, imageUrl: body.imageUrl });
+
+  // Lock clauses would update the design's locks before the rest of the instruction runs
+  const lockRequest = parseHistoryCommand(body.instruction) ? null : parseLockInstruction(body.instruction);
+  const instruction = lockRequest ? lockRequest.remainder : body.instruction;
+  const currentLocks = backgroundContextManager.getLockedElements(originalData?.design_id, originalData);
+  const locked = lockRequest ? updateLocks(currentLocks, lockRequest) : currentLocks;
+  if (lockRequest && !instruction) {
+    return previewLockChange(body.instruction, originalData, lockRequest, locked);
+  }
+
+  const userMask = await resolveUserMask(body, originalData?.image_url || body.imageUrl);
+  const {
+    chainKey, currentBackgroundState, isBackgroundOperation, isRemoval, nextBackground, previewContext, refinementPlan, strategy
+  } = await planRefinementDryRun(instruction, originalData, userMask);
+
+  // History commands restore a stored version; show what it would bring back
+  let history = null;
+  let restoredBackground = null;
+  if (strategy === 'history') {
+    const command = refinementPlan.operations[0].command;
+    const resolution = resolveHistoryCommandOrThrow(command, originalData);
+    history = {
+      action: command.action,
+      restoredDesignId: resolution.target.design_id,
+      undone: resolution.undone,
+      message: describeHistoryResult(command, resolution)
+    };
+    restoredBackground = backgroundContextManager.peekRefinementChainBackground(resolution.target.design_id, resolution.target).description;
   }
-  
-  // Check for color modifications
-  const colors = ['red', 'blue', 'green', 'yellow', 'gold', 'silver', 'black', 'white'];
-  for (const color of colors) {
-    if (instruction.includes(color)) {
-      const found = extractedOperations.some(op => 
-        op.instruction.toLowerCase().includes(color) ||
-        (op.value && op.value.toLowerCase().includes(color))
-      );
-      if (!found) {
-        missedPatterns.push(`Possible missed color modification: ${color}`);
-      }
-    }
+
+  // Structured prompt the generation step would send
+  const beforePrompt = parseStructuredPrompt(originalData?.structured_prompt);
+  let afterPrompt = null;
+  if (history && beforePrompt) {
+    afterPrompt = parseStructuredPrompt(findDesignRecord({ designId: history.restoredDesignId })?.structured_prompt);
+  } else if (beforePrompt && strategy === 'multi_step') {
+    afterPrompt = applyCombinedOperationsWithBackground(beforePrompt, refinementPlan.operations, instruction, previewContext, chainKey, currentBackgroundState);
+  } else if (beforePrompt && !['background_replacement', 'background_removal', 'mask_based', 'local_adjustment'].includes(strategy)) {
+    afterPrompt = parseStructuredPrompt(enhancedStructuredPromptModificationWithBackground(originalData.structured_prompt, instruction, previewContext, refinementPlan.operations));
   }
-  
-  let warning = '';
-  if (!isComplete) {
-    warning = `Expected ~${expectedOperationCount} operations but extracted ${extractedCount}`;
-    if (missedPatterns.length > 0) {
-      warning += `. Potential issues: ${missedPatterns.join(', ')}`;
-    }
+
+  // A painted mask replaces mask generation for the target
+  const providerOperations = (STRATEGY_PROVIDER_OPERATIONS[strategy] || ['generate'])
+    .filter(operation => !userMask || !['register', 'mask_generator'].includes(operation));
+  if (strategy === 'mask_based') {
+    // Each locked element is masked out of the gen_fill area
+    const lockMasks = locked.filter(lock => lock.target !== 'background').flatMap(() => ['register', 'mask_generator']);
+    providerOperations.splice(providerOperations.indexOf('gen_fill'), 0, ...lockMasks);
   }
-  
+  if (strategy === 'mask_based' && refinementPlan.operations[0]?.type === 'object_move') {
+    providerOperations.splice(providerOperations.indexOf('gen_fill'), 0, 'erase');
+  }
+  if (!isBackgroundOperation && nextBackground === 'transparent background' && !['background_removal', 'local_adjustment', 'history'].includes(strategy)) {
+    providerOperations.push('remove_background');
+  }
+
   return {
-    isComplete,
-    expectedCount: expectedOperationCount,
-    extractedCount,
-    completenessRatio: extractedCount / expectedOperationCount,
-    missedPatterns,
-    warning
+    success: true,
+    message: "Refinement preview - no images were generated",
+    preview: true,
+    instruction,
+    designId: originalData?.design_id || null,
+    originalDataFound: !!originalData,
+    strategy,
+    operations: refinementPlan.operations.map(op => ({
+      type: op.type,
+      instruction: op.instruction || instruction,
+      target: op.target || null,
+      object: op.object || null,
+      action: op.action || null,
+      location: op.spatial || null,
+      confidence: op.confidence ?? null
+    })),
+    background: {
+      isBackgroundOperation,
+      action: history ? 'restore' : !isBackgroundOperation ? 'preserve' : isRemoval ? 'remove' : 'replace',
+      current: { type: currentBackgroundState.type, description: currentBackgroundState.description },
+      next: restoredBackground || nextBackground
+    },
+    structuredPrompt: {
+      available: !!beforePrompt,
+      before: beforePrompt,
+      after: afterPrompt,
+      diff: afterPrompt ? diffStructuredPrompts(beforePrompt, afterPrompt) : []
+    },
+    providerOperations,
+    userMask: !!userMask,
+    history,
+    locks: {
+      locked,
+      message: lockRequest ? describeLockChange(lockRequest) : null,
+      conflicts: findLockConflicts(refinementPlan.operations, locked).map(({ operation, lock }) => ({
+        operation: operation.type,
+        target: operation.target || 'background',
+        lock: lock.target
+      }))
+    },
+    clarification: assessRefinementClarity(instruction, originalData, refinementPlan)
   };
 }
 
 /**
- * Extract edit target from localized edit instructions
+ * Preview of an instruction that only locks/unlocks elements: nothing is generated
  */
-function extractEditTarget(instruction) {
-  const lowerInstruction = instruction.toLowerCase();
-  
-  // Body parts and objects that can be targeted
-  const targets = [
-    'nose', 'eye', 'mouth', 'tooth', 'teeth', 'ear', 'forehead', 'cheek',
-    'hat', 'shirt', 'face', 'hand', 'arm', 'leg', 'foot', 'head',
-    'skull', 'bone', 'wing', 'tail', 'paw', 'claw', 'sunglasses', 'cigar',
-    'glasses', 'cigarette', 'pipe', 'necklace', 'earring', 'bracelet'
-  ];
-  
-  for (const target of targets) {
-    if (lowerInstruction.includes(target)) {
-      return target;
-    }
-  }
-  
-  return 'unknown';
-}
+function previewLockChange(instruction, originalData, lockRequest, locked) {
+  const currentBackgroundState = backgroundContextManager.peekRefinementChainBackground(originalData?.design_id, originalData);
+  const prompt = parseStructuredPrompt(originalData?.structured_prompt);
 
-// ====== ENHANCED NATURAL LANGUAGE UNDERSTANDING SYSTEM ======
-// Implements Requirements 5.1, 5.2, 5.3, 5.4, 5.5
+  return {
+    success: true,
+    message: "Refinement preview - no images were generated",
+    preview: true,
+    instruction,
+    designId: originalData?.design_id || null,
+    originalDataFound: !!originalData,
+    strategy: 'lock',
+    operations: [],
+    background: {
+      isBackgroundOperation: false,
+      action: 'preserve',
+      current: { type: currentBackgroundState.type, description: currentBackgroundState.description },
+      next: currentBackgroundState.description
+    },
+    structuredPrompt: { available: !!prompt, before: prompt, after: prompt, diff: [] },
+    providerOperations: [],
+    history: null,
+    locks: { locked, message: describeLockChange(lockRequest), conflicts: [] },
+    clarification: null
+  };
+}
 
-/**
- * Comprehensive synonym dictionary for natural language understanding
- * Maps different phrasings to standardized operations
- */
-const SYNONYM_DICTIONARY = {
-  // Object addition synonyms (Requirements 5.5)
-  addition: {
-    patterns: [
-      /(?:add|put|place|attach|give\s+(?:him|her|it|them))\s+(?:a\s+|an\s+|some\s+)?(.+?)(?:\s+(?:to|on|onto|for)\s+(.+?))?$/i,
-      /(?:put|place)\s+(?:a\s+|an\s+|some\s+)?(.+?)\s+on(?:\s+(.+?))?$/i,
-      /give\s+(?:him|her|it|them)\s+(?:a\s+|an\s+|some\s+)?(.+)/i,
-      /equip\s+(?:with\s+)?(?:a\s+|an\s+|some\s+)?(.+)/i
-    ],
-    standardForm: 'add {object}'
-  },
-  
-  // Color modification synonyms (Requirements 5.1, 5.2, 5.4)
-  colorChange: {
-    patterns: [
-      /(?:make|turn|change)\s+(?:the\s+)?(.+?)\s+(?:color\s+(?:to\s+)?)?(\w+)/i,
-      /(?:color|paint|dye|tint)\s+(?:the\s+)?(.+?)\s+(\w+)/i,
-      /(?:add|give)\s+(\w+)\s+(.+)/i, // "add gold teeth" pattern
-      /(?:make|turn)\s+(?:his|her|its|their)\s+(.+?)\s+(\w+)/i,
-      /give\s+(?:him|her|it|them)\s+(\w+)\s+(.+)/i // "give him golden teeth"
-    ],
-    standardForm: 'make {target} {color}'
-  },
-  
-  // Background modification synonyms (already implemented but enhanced)
-  background: {
-    patterns: [
-      /(?:make|change|set|turn)\s+(?:the\s+)?background\s+(?:to\s+|into\s+)?(.+)/i,
-      /(?:add|put|give|place)\s+(?:a\s+)?(.+)\s+background/i,
-      /background\s+(?:of\s+|with\s+)?(.+)/i,
-      /(.+)\s+(?:falling\s+)?behind\s+(?:him|her|it|them)/i,
-      /(?:place|set)\s+(?:in\s+)?(?:a\s+)?(.+)\s+(?:setting|scene|environment)/i
-    ],
-    standardForm: 'change background to {description}'
-  },
-  
-  // Object modification synonyms
-  modification: {
-    patterns: [
-      /(?:modify|alter|adjust|change)\s+(?:the\s+)?(.+?)\s+(?:to\s+)?(.+)/i,
-      /(?:make|turn)\s+(?:the\s+)?(.+?)\s+(?:more\s+|less\s+)?(.+)/i,
-      /(?:enhance|improve|upgrade)\s+(?:the\s+)?(.+?)(?:\s+with\s+(.+?))?$/i
-    ],
-    standardForm: 'modify {target} to {value}'
-  },
-  
-  // Removal synonyms
-  removal: {
-    patterns: [
-      /(?:remove|delete|take\s+away|get\s+rid\s+of)\s+(?:the\s+)?(.+)/i,
-      /(?:clear|erase|eliminate)\s+(?:the\s+)?(.+)/i,
-      /no\s+(?:more\s+)?(.+)/i
-    ],
-    standardForm: 'remove {target}'
+app.post("/api/refine/preview", async (req, res) => {
+  try {
+    const body = req.body || {};
+    validateRefineRequest(body);
+    res.json(await previewRefinement(body));
+  } catch (error) {
+    console.error("Refinement preview error:", error.message);
+    res.status(error.status || 500).json(error.body || {
+      success: false,
+      error: { message: error.message }
+    });
   }
-};
+});
 
 /**
- * Enhanced natural language processor that recognizes synonym variations
- * Implements Requirements 5.1, 5.2, 5.3, 5.4, 5.5
+ * Enhanced refinement instruction analysis with background context management
+ * History commands and local adjustments first, then the instruction grammar; the strategy
+ * follows the parsed operation types (see chooseRefinementStrategy)
  */
-class EnhancedNaturalLanguageProcessor {
-  constructor() {
-    this.synonymDictionary = SYNONYM_DICTIONARY;
-    this.cache = new Map(); // Cache normalized instructions for performance
-  }
-
-  /**
-   * Normalize instruction to standard form (Requirements 5.3)
-   * Treats equivalent phrasings identically
-   */
-  normalizeInstruction(instruction) {
-    // Check cache first
-    if (this.cache.has(instruction)) {
-      return this.cache.get(instruction);
-    }
-
-    const lowerInstruction = instruction.toLowerCase().trim();
-    let normalizedForm = null;
-    let matchedPattern = null;
-
-    // Try each synonym category
-    for (const [category, config] of Object.entries(this.synonymDictionary)) {
-      for (const pattern of config.patterns) {
-        const match = lowerInstruction.match(pattern);
-        if (match) {
-          normalizedForm = this.createNormalizedForm(category, match, config.standardForm);
-          matchedPattern = { category, pattern: pattern.source, match };
-          break;
-        }
-      }
-      if (normalizedForm) break;
-    }
-
-    // If no pattern matched, return original instruction
-    if (!normalizedForm) {
-      normalizedForm = {
-        original: instruction,
-        normalized: instruction,
-        category: 'unknown',
-        confidence: 0.0
-      };
-    }
+async function analyzeRefinementInstructionEnhanced(instruction, originalData, backgroundContext) {
+  console.log(`🔍 Enhanced refinement analysis: "${instruction}"`);
+  console.log(`   - Background context: ${backgroundContext ? 'Available' : 'None'}`);
 
-    // Cache the result
-    this.cache.set(instruction, normalizedForm);
-    
-    console.log(`🔄 Normalized: "${instruction}" → "${normalizedForm.normalized}" (${normalizedForm.category}, confidence: ${normalizedForm.confidence})`);
-    
-    return normalizedForm;
-  }
-
-  /**
-   * Create normalized form from pattern match
-   */
-  createNormalizedForm(category, match, standardForm) {
-    let normalized = standardForm;
-    let confidence = 1.0;
-    let extractedData = {};
-
-    switch (category) {
-      case 'addition':
-        extractedData.object = match[1]?.trim();
-        extractedData.location = match[2]?.trim();
-        normalized = `add ${extractedData.object}`;
-        if (extractedData.location) {
-          normalized += ` to ${extractedData.location}`;
-        }
-        break;
-
-      case 'colorChange':
-        // Handle different pattern variations for color changes
-        if (match[2] && match[1]) {
-          // Pattern: "make teeth gold" or "color teeth gold"
-          extractedData.target = match[1].trim();
-          extractedData.color = match[2].trim();
-        } else if (match[1] && match[2]) {
-          // Pattern: "add gold teeth" - reverse order
-          extractedData.color = match[1].trim();
-          extractedData.target = match[2].trim();
-        }
-        normalized = `make ${extractedData.target} ${extractedData.color}`;
-        break;
-
-      case 'background':
-        extractedData.description = match[1]?.trim();
-        normalized = `change background to ${extractedData.description}`;
-        break;
-
-      case 'modification':
-        extractedData.target = match[1]?.trim();
-        extractedData.value = match[2]?.trim() || 'modified';
-        normalized = `modify ${extractedData.target} to ${extractedData.value}`;
-        break;
+  const backgroundPreservation = {
+    shouldPreserve: backgroundContext && backgroundContext.background && backgroundContext.isExplicitlySet,
+    currentBackground: backgroundContext ? backgroundContext.background : null,
+    preventThemeInference: true,
+    contextIsolated: true
+  };
 
-      case 'removal':
-        extractedData.target = match[1]?.trim();
-        normalized = `remove ${extractedData.target}`;
-        break;
-    }
+  // History commands act on the version lineage, not the image
+  const historyCommand = parseHistoryCommand(instruction);
+  if (historyCommand) {
+    console.log(`⏪ History command: ${historyCommand.action}${historyCommand.filter ? ` (${historyCommand.filter})` : ''}`);
+    return {
+      strategy: 'history',
+      operations: [{
+        type: 'history_command',
+        instruction,
+        target: historyCommand.filter,
+        action: historyCommand.action,
+        command: historyCommand,
+        confidence: 0.95
+      }],
+      originalOperationCount: 1,
+      backgroundPreservation
+    };
+  }
 
+  // Whole-image adjustments ("20% brighter", "rotate it 15 degrees") run locally with sharp
+  const adjustments = parseAdjustmentInstruction(instruction);
+  if (adjustments) {
+    console.log(`🎚️  Local adjustment: ${adjustments.map(describeAdjustment).join(', ')}`);
     return {
-      original: match.input,
-      normalized,
-      category,
-      confidence,
-      extractedData,
-      matchedPattern: match[0]
+      strategy: 'local_adjustment',
+      operations: adjustments.map(adjustment => ({
+        type: 'image_adjustment',
+        instruction: adjustment.text,
+        target: 'design',
+        action: describeAdjustment(adjustment),
+        adjustment,
+        confidence: 0.95
+      })),
+      originalOperationCount: adjustments.length,
+      backgroundPreservation
     };
   }
 
-  /**
-   * Check if two instructions are equivalent (Requirements 5.3)
-   */
-  areInstructionsEquivalent(instruction1, instruction2) {
-    const norm1 = this.normalizeInstruction(instruction1);
-    const norm2 = this.normalizeInstruction(instruction2);
-    
-    return norm1.normalized === norm2.normalized && 
-           norm1.category === norm2.category &&
-           norm1.category !== 'unknown';
+  const { operations, unparsed, ast } = parseRefinementOperations(instruction);
+  const strategy = chooseRefinementStrategy(operations);
+  console.log(`🧩 Grammar parse: ${operations.map(op => `${op.type}(${op.target || op.instruction})`).join(', ')} -> ${strategy}`);
+  if (unparsed.length > 0) {
+    console.log(`🧩 Grammar could not parse: ${unparsed.map(text => `"${text}"`).join(', ')}`);
   }
 
-  /**
-   * Get all equivalent phrasings for an instruction
-   */
-  getEquivalentPhrasings(instruction) {
-    const normalized = this.normalizeInstruction(instruction);
-    if (normalized.category === 'unknown') {
-      return [instruction];
-    }
-
-    // Generate equivalent phrasings based on the category
-    const equivalents = [instruction];
-    const { category, extractedData } = normalized;
-
-    switch (category) {
-      case 'addition':
-        if (extractedData.object) {
-          equivalents.push(`add ${extractedData.object}`);
-          equivalents.push(`put ${extractedData.object} on`);
-          equivalents.push(`give him ${extractedData.object}`);
-          equivalents.push(`place ${extractedData.object}`);
-        }
-        break;
-
-      case 'colorChange':
-        if (extractedData.target && extractedData.color) {
-          equivalents.push(`make ${extractedData.target} ${extractedData.color}`);
-          equivalents.push(`turn ${extractedData.target} ${extractedData.color}`);
-          equivalents.push(`add ${extractedData.color} ${extractedData.target}`);
-          equivalents.push(`give him ${extractedData.color} ${extractedData.target}`);
-          equivalents.push(`color ${extractedData.target} ${extractedData.color}`);
-        }
-        break;
-
-      case 'background':
-        if (extractedData.description) {
-          equivalents.push(`make the background ${extractedData.description}`);
-          equivalents.push(`change the background to ${extractedData.description}`);
-          equivalents.push(`give it a ${extractedData.description} background`);
-          equivalents.push(`set a ${extractedData.description} background`);
-        }
-        break;
-    }
+  return {
+    strategy,
+    operations,
+    originalOperationCount: operations.length,
+    conflictsResolved: false,
+    singleOperation: operations.length === 1,
+    spatial: strategy === 'mask_based',
+    unparsed,
+    ast,
+    backgroundOperation: ['background_replacement', 'background_removal'].includes(strategy),
+    backgroundPreservation
+  };
+}
 
-    return [...new Set(equivalents)]; // Remove duplicates
-  }
+/**
+ * Refinement operations of an instruction, from the instruction grammar. Clauses the grammar
+ * can't parse are returned in `unparsed` (the clarification check asks about them); when
+ * nothing parses, the whole instruction becomes one low-confidence general edit.
+ */
+function parseRefinementOperations(instruction) {
+  const grammar = parseInstruction(instruction);
+  const operations = grammar.operations.map(toRefinementOperation);
 
-  /**
-   * Clear the normalization cache
-   */
-  clearCache() {
-    this.cache.clear();
+  if (operations.length === 0) {
+    operations.push({
+      type: 'general_edit',
+      instruction,
+      target: null,
+      action: 'modify',
+      isValid: true,
+      confidence: 0.3
+    });
   }
-}
 
-// Initialize the enhanced natural language processor
-const enhancedNLP = new EnhancedNaturalLanguageProcessor();
+  return { operations, unparsed: grammar.unparsed, ast: grammar.operations };
+}
 
 /**
- * Enhanced createIntelligentObject function with better synonym support
- * Implements Requirements 5.1, 5.2, 5.3, 5.4, 5.5
+ * Strategy an operation would run with on its own: placed additions and moves are painted
+ * into a mask built from their location, background edits use the background endpoints,
+ * object edits regenerate from the structured prompt
  */
-function createIntelligentObject(instruction) {
-  console.log(`🎨 Creating object with enhanced NLP for: "${instruction}"`);
-  
-  // First, normalize the instruction to handle synonyms
-  const normalizedInstruction = enhancedNLP.normalizeInstruction(instruction);
-  const lowerInstruction = normalizedInstruction.normalized.toLowerCase();
-  
-  console.log(`   - Normalized form: "${normalizedInstruction.normalized}" (${normalizedInstruction.category})`);
-  
-  // Extract object information from normalized instruction
-  let objectInfo = normalizedInstruction.extractedData;
-  
-  // If we have extracted data, use it; otherwise fall back to pattern matching
-  let objectType = objectInfo.object || objectInfo.target;
-  let objectColor = objectInfo.color;
-  let objectLocation = objectInfo.location;
-  
-  // If no extracted data, try to parse from the instruction directly
-  if (!objectType) {
-    const match = lowerInstruction.match(/(?:add|put|place|give|make|turn|color)\s+(?:a\s+|an\s+|the\s+|him\s+|her\s+|it\s+|them\s+)?(?:(\w+)\s+)?(.+?)(?:\s+(?:to|on|onto|for|color|colored))?$/i);
-    if (match) {
-      if (match[2] && !match[1]) {
-        objectType = match[2].trim();
-      } else if (match[1] && match[2]) {
-        // Could be "add gold teeth" or "make teeth gold"
-        if (normalizedInstruction.category === 'colorChange') {
-          objectColor = match[1];
-          objectType = match[2];
-        } else {
-          objectType = match[2];
-          objectColor = match[1];
-        }
-      }
-    }
+function operationStrategy(operation) {
+  if (operation.type === 'background_edit') {
+    return operation.value === 'transparent background' ? 'background_removal' : 'background_replacement';
   }
-  
-  if (!objectType) {
-    objectType = lowerInstruction.replace(/^(add|put|place|give|make|turn|color)\s*/i, '').trim().split(' ')[0];
+  if (operation.spatial && ['object_addition', 'object_move'].includes(operation.type)) {
+    return 'mask_based';
   }
-  
-  const lowerObjectType = objectType ? objectType.toLowerCase() : '';
-  
-  console.log(`   - Object type: "${objectType}", Color: "${objectColor || 'default'}", Location: "${objectLocation || 'auto'}"`);
-  
-  // Enhanced object templates with synonym-aware descriptions
-  if (lowerObjectType.includes('hat')) {
-    return {
-      description: `A stylish ${objectColor ? objectColor + ' ' : ''}hat positioned naturally on the character's head, fitting the existing style and proportions.`,
-      location: objectLocation || "top-center, on head",
-      relationship: "Worn by the main character.",
-      relative_size: "proportional to character head",
-      shape_and_color: objectColor ? `${objectColor} hat with appropriate styling` : "Hat-appropriate shape and complementary color",
-      texture: "Suitable hat material (fabric, leather, or straw)",
-      appearance_details: "Natural positioning, maintains character style, realistic shadows",
-      number_of_objects: 1,
-      orientation: "Upright, following head angle"
-    };
-  } else if (lowerObjectType.includes('sunglasses') || lowerObjectType.includes('glasses')) {
-    return {
-      description: `Stylish ${objectColor ? objectColor + ' ' : ''}sunglasses positioned naturally on the character's face, fitting the eye area perfectly.`,
-      location: objectLocation || "center-face, over eyes",
-      relationship: "Worn by the main character on their face.",
-      relative_size: "proportional to face and eye area",
-      shape_and_color: objectColor ? `${objectColor} sunglasses with dark lenses` : "Classic sunglasses shape with dark lenses",
-      texture: "Smooth plastic or metal frame with reflective lenses",
-      appearance_details: "Natural positioning on nose bridge, realistic reflections on lenses",
-      number_of_objects: 1,
-      orientation: "Horizontal, following face angle"
-    };
-  } else if (lowerObjectType.includes('cigar') || lowerObjectType.includes('cigarette')) {
-    return {
-      description: `A ${objectColor ? objectColor + ' ' : ''}cigar held naturally by the character, positioned appropriately for the character's pose.`,
-      location: objectLocation || "near mouth or in hand",
-      relationship: "Held or positioned by the main character.",
-      relative_size: "proportional, realistic cigar size",
-      shape_and_color: objectColor ? `${objectColor} cigar with natural coloring` : "Cylindrical cigar shape, brown tobacco color",
-      texture: "Tobacco leaf texture with natural wrapping",
-      appearance_details: "Realistic cigar appearance, natural positioning, subtle smoke wisps",
-      number_of_objects: 1,
-      orientation: "Appropriate to character pose and hand position"
-    };
-  } else if (lowerObjectType.includes('necklace') || lowerObjectType.includes('chain')) {
-    return {
-      description: `An elegant ${objectColor ? objectColor + ' ' : ''}necklace worn naturally around the character's neck.`,
-      location: objectLocation || "around neck area",
-      relationship: "Worn by the main character.",
-      relative_size: "proportional to neck and chest area",
-      shape_and_color: objectColor ? `${objectColor} necklace with metallic finish` : "Chain or beaded necklace with appropriate metallic color",
-      texture: "Metallic or beaded texture with realistic shine",
-      appearance_details: "Natural draping around neck, realistic weight and movement",
-      number_of_objects: 1,
-      orientation: "Following neck curve and gravity"
-    };
-  } else if (lowerObjectType.includes('earring')) {
-    return {
-      description: `Stylish ${objectColor ? objectColor + ' ' : ''}earrings positioned naturally on the character's ears.`,
-      location: objectLocation || "on ears",
-      relationship: "Worn by the main character.",
-      relative_size: "proportional to ear size",
-      shape_and_color: objectColor ? `${objectColor} earrings with metallic finish` : "Earring-appropriate shape and metallic color",
-      texture: "Metallic or gemstone texture with shine",
-      appearance_details: "Natural positioning on earlobes, realistic reflections",
-      number_of_objects: 2,
-      orientation: "Hanging naturally from ears"
-    };
-  } else if (lowerObjectType.includes('eye')) {
-    return {
-      description: `An eye positioned naturally in the eye socket, matching the character's style and proportions${objectColor ? ' with ' + objectColor + ' coloring' : ''}.`,
-      location: objectLocation || "eye socket area",
-      relationship: "Part of the main character's face.",
-      relative_size: "proportional to face",
-      shape_and_color: objectColor ? `Eye-shaped with ${objectColor} iris` : "Eye-shaped, appropriate color for character",
-      texture: "Natural eye texture with realistic iris and pupil",
-      appearance_details: "Realistic eye appearance, natural positioning in socket, proper lighting",
-      number_of_objects: 1,
-      orientation: "Forward-facing"
-    };
-  } else if (lowerObjectType.includes('teeth') || lowerObjectType.includes('tooth')) {
-    return {
-      description: `${objectColor ? objectColor.charAt(0).toUpperCase() + objectColor.slice(1) + ' ' : ''}teeth positioned naturally in the character's mouth.`,
-      location: objectLocation || "mouth area",
-      relationship: "Part of the main character's mouth.",
-      relative_size: "proportional to mouth and face",
-      shape_and_color: objectColor ? `${objectColor} teeth with natural tooth shape` : "Natural tooth shape and color",
-      texture: objectColor === 'gold' || objectColor === 'golden' ? "Metallic gold surface with realistic shine" : "Natural tooth enamel texture",
-      appearance_details: "Natural positioning in mouth, realistic lighting and shadows",
-      number_of_objects: "multiple",
-      orientation: "Following natural tooth alignment"
-    };
-  } else {
-    // Generic object creation with enhanced synonym support
+  return operation.type === 'general_edit' ? 'structured_prompt' : 'multi_step';
+}
+
+/**
+ * Operations that share a strategy run with it; a mix is combined into one structured
+ * prompt edit (multi_step). gen_fill paints one masked edit per refinement.
+ */
+function chooseRefinementStrategy(operations) {
+  const strategies = new Set(operations.map(operationStrategy));
+  const [strategy] = strategies;
+
+  if (strategies.size === 1 && (strategy !== 'mask_based' || operations.length === 1)) {
+    return strategy;
+  }
+  return 'multi_step';
+}
+
+/**
+ * Apply whole-image adjustments locally; the structured prompt is left as it was
+ */
+async function performLocalAdjustment(imageUrl, refinementPlan) {
+  const adjustments = refinementPlan.operations.map(operation => operation.adjustment);
+  console.log(`🎚️  Applying ${adjustments.length} local adjustment(s) to: ${imageUrl}`);
+  reportJobStage('local_adjustment');
+
+  try {
+    const adjusted = await applyImageAdjustments(await loadImageBuffer(imageUrl), adjustments);
     return {
-      description: `A ${objectColor ? objectColor + ' ' : ''}${objectType} added to complement the character naturally.`,
-      location: objectLocation || "appropriate position relative to character",
-      relationship: "Associated with the main character.",
-      relative_size: "proportional to character and scene",
-      shape_and_color: objectColor ? `${objectColor} ${objectType} with appropriate styling` : `${objectType}-appropriate appearance and color`,
-      texture: "Suitable material texture for the object type",
-      appearance_details: "Natural integration with existing elements, realistic positioning",
-      number_of_objects: 1,
-      orientation: "Appropriate for object type and scene"
+      success: true,
+      imageUrl: toDataUrl(adjusted),
+      edit_type: 'local_adjustment',
+      adjustments
     };
+  } catch (error) {
+    console.error("❌ Local adjustment failed:", error.message);
+    return { success: false, error: { message: `Local adjustment failed: ${error.message}` } };
   }
 }
 
@@ -3945,7 +3171,7 @@ async function performBackgroundRemoval(imageUrl) {
   console.log("🎨 Performing background removal");
   console.log(`   - Preserving subject from: ${imageUrl}`);
   
-  const result = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
+  const result = await briaRequest('remove_background', {
     image: imageUrl,
     sync: false
   });
@@ -3975,17 +3201,31 @@ async function performMaskBasedRefinementEnhanced(imageUrl, instruction, origina
   console.log(`   - Background context: ${backgroundContext ? backgroundContext.background || 'transparent' : 'none'}`);
   
   try {
-    // Step 1: Try to generate mask for the target object
-    const maskResult = await generateObjectMask(imageUrl, refinementPlan.operations[0]?.target);
+    // Step 1: Use the mask the user painted, or mask the target object, or the region a
+    // spatial instruction placed it in
+    const operation = refinementPlan.operations[0];
+    const targetMask = refinementPlan.userMask ? { success: true, mask: refinementPlan.userMask }
+      : operation?.spatial ? await generateSpatialMask(imageUrl, operation, originalData)
+      : await generateObjectMask(imageUrl, operation?.target);
+
+    // Locked elements stay out of the area gen_fill may repaint
+    const locks = backgroundContextManager.getLockedElements(backgroundContext?.chainKey, originalData)
+      .filter(lock => lock.target !== 'background');
+    const maskResult = targetMask.success && locks.length > 0
+      ? await excludeLockedRegions(imageUrl, targetMask, locks)
+      : targetMask;
     
     if (maskResult.success) {
       console.log("✅ Mask generated successfully, using gen_fill for localized edit with background preservation");
+
+      // Moves clear the object from its old place before painting it into the new one
+      const fillImageUrl = maskResult.sourceMask ? await eraseMaskedArea(imageUrl, maskResult.sourceMask) : imageUrl;
       
       // Step 2: Use gen_fill with mask for precise localized editing
-      const genFillResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/gen_fill`, {
-        image: imageUrl,
+      const genFillResult = await briaRequest('gen_fill', {
+        image: fillImageUrl,
         mask: maskResult.mask,
-        prompt: instruction,
+        prompt: maskResult.prompt || instruction,
         sync: false
       });
       
@@ -4007,7 +3247,7 @@ async function performMaskBasedRefinementEnhanced(imageUrl, instruction, origina
       if (shouldPreserveBackground && backgroundContext.background === 'transparent background') {
         console.log("🔒 Preserving transparent background after localized edit");
         
-        const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
+        const backgroundRemovalResult = await briaRequest('remove_background', {
           image: pollResult.imageUrl,
           sync: false
         });
@@ -4018,12 +3258,19 @@ async function performMaskBasedRefinementEnhanced(imageUrl, instruction, origina
           console.log(`✅ Background preserved after mask-based refinement`);
         }
       }
+
+      // Only the masked area may change: paste the original back everywhere else (a move
+      // edits both where the object was and where it goes)
+      const editMask = maskResult.sourceMask ? await combineMasks([maskResult.mask, maskResult.sourceMask]) : maskResult.mask;
+      const { imageUrl: recompositedUrl, recomposited } = await recompositeOutsideMask(imageUrl, finalImageUrl, editMask);
       
       return {
         success: true,
-        imageUrl: finalImageUrl,
+        imageUrl: recompositedUrl,
         request_id,
         edit_type: 'enhanced_mask_based_localized',
+        edit_mask: editMask,
+        recomposited,
         structured_prompt: pollResult.result?.structured_prompt,
         background_context: backgroundContext,
         context_isolated: true
@@ -4056,756 +3303,257 @@ async function performMaskBasedRefinement(imageUrl, instruction, originalData, r
       console.log("✅ Mask generated successfully, using gen_fill for localized edit");
       
       // Step 2: Use gen_fill with mask for precise localized editing
-      const genFillResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/gen_fill`, {
+      const genFillResult = await briaRequest('gen_fill', {
         image: imageUrl,
         mask: maskResult.mask,
         prompt: instruction,
         sync: false
       });
       
-      if (!genFillResult.success) {
-        console.warn("⚠️  Gen_fill failed, falling back to structured prompt approach");
-        return await performEnhancedStructuredRefinement(imageUrl, instruction, originalData, refinementPlan);
-      }
-      
-      const { request_id } = genFillResult.data;
-      console.log(`📝 Gen_fill request ID: ${request_id}`);
-      
-      const pollResult = await pollBriaStatus(request_id);
-      
-      return {
-        success: true,
-        imageUrl: pollResult.imageUrl,
-        request_id,
-        edit_type: 'mask_based_localized',
-        structured_prompt: pollResult.result?.structured_prompt
-      };
-      
-    } else {
-      console.warn("⚠️  Mask generation failed, falling back to structured prompt approach");
-      return await performEnhancedStructuredRefinement(imageUrl, instruction, originalData, refinementPlan);
-    }
-    
-  } catch (error) {
-    console.error("❌ Mask-based refinement failed:", error);
-    console.log("🔄 Falling back to structured prompt approach");
-    return await performEnhancedStructuredRefinement(imageUrl, instruction, originalData, refinementPlan);
-  }
-}
-
-/**
- * Generate object mask using Bria's mask generator
- */
-async function generateObjectMask(imageUrl, targetObject) {
-  console.log(`🎭 Generating mask for target: ${targetObject}`);
-  
-  try {
-    // First register the image (required for v1 mask generator)
-    const registerResult = await briaRequest(`${BRIA_BASE_URL.replace('/v2', '/v1')}/register`, {
-      image_url: imageUrl,
-      sync: false
-    });
-    
-    if (!registerResult.success) {
-      return { success: false, error: registerResult.error };
-    }
-    
-    const { visual_id } = registerResult.data;
-    console.log(`📝 Image registered with visual_id: ${visual_id}`);
-    
-    // Generate mask for the target object
-    const maskResult = await briaRequest(`${BRIA_BASE_URL.replace('/v2', '/v1')}/objects/mask_generator`, {
-      visual_id,
-      object_name: targetObject || 'main_subject',
-      sync: false
-    });
-    
-    if (!maskResult.success) {
-      return { success: false, error: maskResult.error };
-    }
-    
-    const maskPollResult = await pollBriaStatus(maskResult.data.request_id);
-    
-    if (maskPollResult.success && maskPollResult.result?.mask_url) {
-      // Download mask and convert to base64
-      const maskBase64 = await downloadImageAsBase64(maskPollResult.result.mask_url);
-      
-      return {
-        success: true,
-        mask: maskBase64,
-        visual_id
-      };
-    }
-    
-    return { success: false, error: { message: "No mask generated" } };
-    
-  } catch (error) {
-    console.error("Mask generation error:", error);
-    return { success: false, error: { message: error.message } };
-  }
-}
-
-/**
- * Download image and convert to base64 format for API use
- */
-async function downloadImageAsBase64(imageUrl) {
-  try {
-    const response = await axios.get(imageUrl, { 
-      responseType: 'arraybuffer',
-      timeout: 30000
-    });
-    
-    const buffer = Buffer.from(response.data);
-    const base64 = buffer.toString('base64');
-    
-    // Return in the format expected by Bria API
-    return `data:image/png;base64,${base64}`;
-    
-  } catch (error) {
-    console.error("Image download for base64 conversion failed:", error);
-    throw error;
-  }
-}
-
-/**
- * Enhanced multi-step refinement with background context management
- * Implements Requirements 2.1, 2.3 for background persistence during multi-operations
- */
-async function performMultiStepRefinementEnhanced(imageUrl, instruction, originalData, refinementPlan, backgroundContext) {
-  console.log("🔄 Performing enhanced multi-step refinement with background persistence");
-  console.log(`   - Operations: ${refinementPlan.operations.length}`);
-  console.log(`   - Background context: ${backgroundContext ? backgroundContext.background || 'transparent' : 'none'}`);
-  
-  // Get current background state from refinement chain (Requirements 4.1, 4.2, 4.3)
-  const currentBackgroundState = backgroundContextManager.getCurrentBackgroundState(imageUrl);
-  console.log(`   - Current background state: ${currentBackgroundState.type} - "${currentBackgroundState.description}"`);
-  
-  // Check if any operations are background-related
-  const hasBackgroundEdit = refinementPlan.operations.some(op => 
-    backgroundContextManager.isBackgroundOperation(op.instruction || op.type)
-  );
-  
-  // Update refinement chain for each operation
-  for (const operation of refinementPlan.operations) {
-    const isBackgroundOp = backgroundContextManager.isBackgroundOperation(operation.instruction || operation.type);
-    backgroundContextManager.updateRefinementChainBackground(imageUrl, operation.instruction, isBackgroundOp);
-  }
-  
-  if (!originalData?.structured_prompt) {
-    console.warn("⚠️  No structured prompt available, using enhanced prompt-based approach with background context");
-    return await performEnhancedPromptRefinementWithBackgroundContext(imageUrl, instruction, originalData, backgroundContext);
-  }
-  
-  try {
-    // Parse the original structured prompt
-    const originalPrompt = JSON.parse(originalData.structured_prompt);
-    console.log("📋 Original structured prompt parsed successfully");
-    
-    // Apply ALL operations to the structured prompt with background context management
-    const modifiedPrompt = applyCombinedOperationsWithBackground(
-      originalPrompt, 
-      refinementPlan.operations, 
-      instruction, 
-      backgroundContext,
-      imageUrl  // PRIORITY C FIX: Pass imageUrl for background chain access
-    );
-    
-    console.log("🎨 Generating image with combined multi-edit structured prompt and background context");
-    
-    const result = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-      structured_prompt: JSON.stringify(modifiedPrompt),
-      sync: false
-    });
-
-    if (!result.success) {
-      console.error("❌ Enhanced multi-step refinement failed:", result.error);
-      return result;
-    }
-
-    const { request_id } = result.data;
-    console.log(`📝 Enhanced multi-step refinement request ID: ${request_id}`);
-    
-    const pollResult = await pollBriaStatus(request_id);
-    
-    // Apply background preservation logic based on context (Requirements 2.1, 2.3)
-    let finalImageUrl = pollResult.imageUrl;
-    
-    // Enhanced background preservation logic using refinement chain (Requirements 4.1, 4.2, 4.3)
-    const updatedBackgroundState = backgroundContextManager.getCurrentBackgroundState(imageUrl);
-    
-    if (!hasBackgroundEdit) {
-      console.log("🔒 PRIORITY C FIX: No background edits in multi-step - preserving existing background");
-      
-      // CRITICAL BUG FIX: Preserve background based on refinement chain state (Requirements 4.1, 4.2)
-      if (updatedBackgroundState.type === 'default' || updatedBackgroundState.description === 'transparent background') {
-        // Only maintain transparent background if it was never explicitly set (Requirements 4.3)
-        console.log(`🔒 PRIORITY C FIX: Maintaining default transparent background`);
-        const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
-          image: pollResult.imageUrl,
-          sync: false
-        });
-
-        if (backgroundRemovalResult.success) {
-          console.log(`📝 Multi-step transparent background preservation request ID: ${backgroundRemovalResult.data.request_id}`);
-          const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
-          finalImageUrl = bgRemovalPollResult.imageUrl;
-          console.log(`✅ Transparent background preserved after multi-step refinement`);
-        } else {
-          console.warn(`⚠️  Multi-step background preservation failed: ${backgroundRemovalResult.error?.message}`);
-        }
-      } else if (updatedBackgroundState.isExplicitlySet || updatedBackgroundState.type === 'explicit') {
-        // CRITICAL BUG FIX: Preserve non-default backgrounds across refinements
-        console.log(`🔒 PRIORITY C FIX: Preserving explicit background: "${updatedBackgroundState.description}"`);
-        console.log(`   - Background type: ${updatedBackgroundState.type}`);
-        console.log(`   - Explicitly set: ${updatedBackgroundState.isExplicitlySet}`);
-        console.log(`   - Should preserve: ${updatedBackgroundState.preserveAcrossRefinements}`);
-        
-        // The background should already be preserved in the structured prompt modification
-        // No additional processing needed - the generated image should maintain the background
-        console.log(`✅ PRIORITY C FIX: Non-default background preserved in structured prompt`);
-      } else {
-        console.log(`⚠️  PRIORITY C FIX: Unknown background state, defaulting to transparent`);
-        // Fallback to transparent background
-        const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
-          image: pollResult.imageUrl,
-          sync: false
-        });
-
-        if (backgroundRemovalResult.success) {
-          const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
-          finalImageUrl = bgRemovalPollResult.imageUrl;
-          console.log(`✅ PRIORITY C FIX: Fallback transparent background applied`);
-        }
-      }
-    } else {
-      console.log(`🎨 Background operations detected - background state updated in refinement chain`);
-    }
-    
-    return {
-      success: true,
-      imageUrl: finalImageUrl,
-      request_id,
-      structured_prompt: pollResult.result?.structured_prompt || JSON.stringify(modifiedPrompt),
-      edit_type: 'enhanced_multi_step_refinement',
-      steps_completed: refinementPlan.operations.length,
-      total_steps: refinementPlan.operations.length,
-      background_context: backgroundContext,
-      context_isolated: true,
-      has_background_edit: hasBackgroundEdit,
-      // Enhanced background persistence tracking (Requirements 4.1, 4.2, 4.3, 4.4, 4.5)
-      background_persistence: {
-        initialState: currentBackgroundState,
-        finalState: updatedBackgroundState,
-        backgroundPreserved: !hasBackgroundEdit,
-        backgroundOperationsCount: refinementPlan.operations.filter(op => 
-          backgroundContextManager.isBackgroundOperation(op.instruction || op.type)
-        ).length
-      }
-    };
-
-  } catch (error) {
-    console.error("❌ Enhanced multi-step refinement failed:", error);
-    return {
-      success: false,
-      error: { message: `Enhanced multi-step refinement failed: ${error.message}` }
-    };
-  }
-}
-
-/**
- * Original multi-step refinement (preserved for compatibility)
- */
-async function performMultiStepRefinement(imageUrl, instruction, originalData, refinementPlan) {
-  console.log("🔄 Performing combined multi-step refinement");
-  console.log(`   - Operations: ${refinementPlan.operations.length}`);
-  console.log(`   - Combined instruction: ${instruction}`);
-  
-  // Instead of processing sequentially, combine ALL operations into one structured prompt modification
-  if (!originalData?.structured_prompt) {
-    console.warn("⚠️  No structured prompt available, using enhanced prompt-based approach for multi-edit");
-    return await performEnhancedPromptRefinement(imageUrl, instruction, originalData);
-  }
-  
-  try {
-    // Parse the original structured prompt
-    const originalPrompt = JSON.parse(originalData.structured_prompt);
-    console.log("📋 Original structured prompt parsed successfully");
-    
-    // Apply ALL operations to the structured prompt at once
-    const modifiedPrompt = applyCombinedOperations(originalPrompt, refinementPlan.operations, instruction);
-    
-    console.log("🎨 Generating image with combined multi-edit structured prompt");
-    
-    const result = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-      structured_prompt: JSON.stringify(modifiedPrompt),
-      sync: false
-    });
-
-    if (!result.success) {
-      console.error("❌ Combined multi-step refinement failed:", result.error);
-      return result;
-    }
-
-    const { request_id } = result.data;
-    console.log(`📝 Combined multi-step refinement request ID: ${request_id}`);
-    
-    const pollResult = await pollBriaStatus(request_id);
-    
-    // Apply background preservation logic
-    const hasBackgroundEdit = refinementPlan.operations.some(op => 
-      op.type === 'background_edit' || op.instruction.toLowerCase().includes('background')
-    );
-    
-    let finalImageUrl = pollResult.imageUrl;
-    
-    if (!hasBackgroundEdit) {
-      console.log("🔒 No background edits detected - ensuring transparent background");
-      
-      const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
-        image: pollResult.imageUrl,
-        sync: false
-      });
-
-      if (backgroundRemovalResult.success) {
-        console.log(`📝 Post-refinement background removal request ID: ${backgroundRemovalResult.data.request_id}`);
-        const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
-        finalImageUrl = bgRemovalPollResult.imageUrl;
-        console.log(`✅ Background successfully removed after multi-step refinement`);
-      } else {
-        console.warn(`⚠️  Post-refinement background removal failed: ${backgroundRemovalResult.error?.message}`);
-      }
-    }
-    
-    return {
-      success: true,
-      imageUrl: finalImageUrl,
-      request_id,
-      structured_prompt: pollResult.result?.structured_prompt || JSON.stringify(modifiedPrompt),
-      edit_type: 'combined_multi_step_refinement',
-      steps_completed: refinementPlan.operations.length,
-      total_steps: refinementPlan.operations.length
-    };
-
-  } catch (error) {
-    console.error("❌ Combined multi-step refinement failed:", error);
-    return {
-      success: false,
-      error: { message: `Combined multi-step refinement failed: ${error.message}` }
-    };
-  }
-}
-
-/**
- * Apply multiple operations to structured prompt with background context management
- * Implements Requirements 2.1, 2.3 for background persistence during multi-operations
- */
-function applyCombinedOperationsWithBackground(originalPrompt, operations, fullInstruction, backgroundContext, imageUrl) {
-  console.log("🔧 Applying enhanced combined operations with background persistence management");
-  
-  // Create a deep copy of the original prompt
-  const modifiedPrompt = JSON.parse(JSON.stringify(originalPrompt));
-  
-  // Initialize objects array if it doesn't exist
-  if (!modifiedPrompt.objects) {
-    modifiedPrompt.objects = [];
-  }
-  
-  // Enhanced background context management with refinement chain support (Requirements 4.1, 4.2, 4.3, 4.4, 4.5)
-  let backgroundModified = false;
-  const hasBackgroundOperation = operations.some(op => 
-    backgroundContextManager.isBackgroundOperation(op.instruction || op.type)
-  );
-  
-  if (hasBackgroundOperation) {
-    // Find and apply background operations with complete replacement (Requirements 4.4, 4.5)
-    const backgroundOps = operations.filter(op => 
-      backgroundContextManager.isBackgroundOperation(op.instruction || op.type)
-    );
-    
-    for (const bgOp of backgroundOps) {
-      if (backgroundContextManager.isBackgroundRemovalOperation(bgOp.instruction)) {
-        // Explicit background removal (Requirements 4.4)
-        modifiedPrompt.background = 'transparent background';
-        backgroundModified = true;
-        console.log(`     🗑️ Background explicitly removed`);
-      } else {
-        // Background replacement (Requirements 4.5)
-        const backgroundDesc = backgroundContextManager.extractBackgroundDescriptionEnhanced(bgOp.instruction);
-        modifiedPrompt.background = backgroundDesc;
-        backgroundModified = true;
-        console.log(`     🎨 Background replaced with: ${backgroundDesc}`);
-      }
-    }
-  } else {
-    // PRIORITY C FIX: For non-background operations, preserve background from refinement chain (Requirements 4.1, 4.2)
-    console.log(`     🔒 PRIORITY C FIX: No background operations, preserving existing background`);
-    
-    // Get the current background state from the refinement chain
-    const currentBackgroundState = backgroundContextManager.getCurrentBackgroundState(imageUrl);
-    
-    if (currentBackgroundState && currentBackgroundState.type === 'explicit' && currentBackgroundState.description !== 'transparent background') {
-      // Preserve explicit non-default background (Requirements 4.1, 4.2)
-      modifiedPrompt.background = currentBackgroundState.description;
-      console.log(`     🔒 PRIORITY C FIX: Preserved explicit background from chain: ${currentBackgroundState.description}`);
-    } else if (backgroundContext && backgroundContext.background && backgroundContext.isExplicitlySet) {
-      // Fallback to background context if available (Requirements 4.1, 4.2)
-      modifiedPrompt.background = backgroundContext.background;
-      console.log(`     🔒 PRIORITY C FIX: Preserved background from context: ${backgroundContext.background}`);
-    } else {
-      // Maintain transparent background as default (Requirements 4.3)
-      modifiedPrompt.background = 'transparent background';
-      console.log(`     🔒 PRIORITY C FIX: Maintained transparent background as default`);
-    }
-  }
-  
-  // Continue with original combined operations logic
-  return applyCombinedOperations(modifiedPrompt, operations, fullInstruction);
-}
-
-/**
- * Original combined operations application (preserved for compatibility)
- */
-function applyCombinedOperations(originalPrompt, operations, fullInstruction) {
-  console.log("🔧 Applying enhanced combined operations to structured prompt");
-  
-  // Create a deep copy of the original prompt
-  const modifiedPrompt = JSON.parse(JSON.stringify(originalPrompt));
-  
-  // Initialize objects array if it doesn't exist
-  if (!modifiedPrompt.objects) {
-    modifiedPrompt.objects = [];
-  }
-  
-  // Track background state for persistence logic
-  let backgroundModified = false;
-  
-  // CRITICAL FIX: Process each operation based on enhanced type system
-  console.log(`🔧 CRITICAL FIX: Processing ${operations.length} operations:`);
-  operations.forEach((op, i) => {
-    console.log(`   ${i + 1}. Type: ${op.type}, Instruction: "${op.instruction}", Target: ${op.target || 'none'}, Object: ${op.object || 'none'}`);
-  });
-  
-  for (let i = 0; i < operations.length; i++) {
-    const operation = operations[i];
-    console.log(`\n🔧 CRITICAL FIX: Processing operation ${i + 1}/${operations.length}: "${operation.instruction}" (${operation.type})`);
-    
-    if (operation.type === 'background_edit') {
-      // Handle background modifications
-      const backgroundDesc = extractBackgroundDescription(operation.instruction);
-      modifiedPrompt.background = backgroundDesc;
-      backgroundModified = true;
-      console.log(`     ✅ Background set to: ${backgroundDesc}`);
-      
-    } else if (operation.type === 'object_addition') {
-      // CRITICAL FIX: Handle object additions with enhanced object creation
-      console.log(`     🎨 CRITICAL FIX: Creating object for addition - Target: "${operation.target}", Object: "${operation.object}"`);
-      const newObject = createIntelligentObjectEnhanced(operation);
-      modifiedPrompt.objects.push(newObject);
-      console.log(`     ✅ CRITICAL FIX: Added object ${i + 1}: ${newObject.description}`);
-      console.log(`     📊 CRITICAL FIX: Total objects now: ${modifiedPrompt.objects.length}`);
-      
-    } else if (operation.type === 'object_modification') {
-      // Handle object modifications (color changes, etc.)
-      const modified = modifyExistingObject(modifiedPrompt.objects, operation);
-      if (!modified) {
-        // If object doesn't exist, create it with the modification
-        const newObject = createIntelligentObjectEnhanced(operation);
-        modifiedPrompt.objects.push(newObject);
-        console.log(`     ✅ Created new object with modification: ${newObject.description}`);
-      } else {
-        console.log(`     ✅ Modified existing object: ${operation.target}`);
-      }
-      
-    } else if (operation.type === 'object_removal') {
-      // Handle object removal
-      const removed = removeExistingObject(modifiedPrompt.objects, operation);
-      if (removed) {
-        console.log(`     ✅ Removed object: ${operation.target}`);
-      } else {
-        console.log(`     ⚠️  Object not found for removal: ${operation.target}`);
-      }
-      
-    } else {
-      // Handle general edits with fallback logic
-      const newObject = createIntelligentObject(operation.instruction);
-      modifiedPrompt.objects.push(newObject);
-      console.log(`     ✅ Added general object: ${newObject.description}`);
-    }
-  }
-  
-  // Apply background persistence logic
-  if (!backgroundModified) {
-    // Preserve transparent background for non-background operations
-    if (!modifiedPrompt.background || modifiedPrompt.background === 'transparent background') {
-      modifiedPrompt.background = 'transparent background';
-      console.log(`     🔒 Preserved transparent background`);
-    }
-  }
-  
-  // Update short description to reflect all changes
-  if (modifiedPrompt.short_description) {
-    updateShortDescriptionForOperations(modifiedPrompt, operations, backgroundModified);
-  }
-  
-  // Add enhanced modification metadata
-  modifiedPrompt._enhanced_combined_modification = {
-    operations: operations.map(op => ({
-      instruction: op.instruction,
-      type: op.type,
-      target: op.target,
-      action: op.action,
-      conflictResolved: op.conflictResolved || false
-    })),
-    full_instruction: fullInstruction,
-    modified_at: new Date().toISOString(),
-    operation_count: operations.length,
-    background_modified: backgroundModified,
-    conflicts_resolved: operations.filter(op => op.conflictResolved).length
-  };
-  
-  console.log(`✅ Enhanced combination of ${operations.length} operations completed`);
-  return modifiedPrompt;
-}
-
-/**
- * Create intelligent object from enhanced operation structure
- * CRITICAL FIX: Ensure proper object creation for multi-edit operations
- */
-function createIntelligentObjectEnhanced(operation) {
-  const objectName = operation.object || operation.target || operation.instruction?.replace(/^add\s+/i, '');
-  const lowerObject = objectName ? objectName.toLowerCase() : '';
-  
-  console.log(`🎨 CRITICAL FIX: Creating object for "${objectName}" (type: ${operation.type})`);
-  
-  // Enhanced object templates with better descriptions
-  if (lowerObject.includes('sunglasses') || lowerObject.includes('glasses')) {
-    return {
-      description: "Stylish sunglasses positioned naturally on the character's face, fitting perfectly over the eyes with realistic proportions.",
-      location: "center-face, over eyes",
-      relationship: "Worn by the main character on their face.",
-      relative_size: "proportional to face and eye area",
-      shape_and_color: operation.value ? `${operation.value} sunglasses with dark lenses` : "Classic sunglasses shape with dark lenses and sleek frame",
-      texture: "Smooth frame material with reflective lenses showing realistic light interaction",
-      appearance_details: "Natural positioning on nose bridge, realistic shadows and reflections, maintains character style",
-      number_of_objects: 1,
-      orientation: "Horizontal, following face angle and perspective"
-    };
-  } else if (lowerObject.includes('cigar') || lowerObject.includes('cigarette')) {
-    return {
-      description: "A realistic cigar held naturally by the character, positioned appropriately for the character's pose and expression.",
-      location: "near mouth or held in hand",
-      relationship: "Held or positioned by the main character in a natural manner.",
-      relative_size: "proportional and realistic cigar dimensions",
-      shape_and_color: operation.value ? `${operation.value} cigar with natural tobacco coloring` : "Cylindrical brown cigar with natural tobacco coloring and texture",
-      texture: "Tobacco leaf texture with realistic surface details and natural wrapping patterns",
-      appearance_details: "Natural positioning appropriate to character pose, realistic lighting and shadows, subtle smoke wisps if appropriate",
-      number_of_objects: 1,
-      orientation: "Appropriate to character's grip or mouth position, following natural hand placement"
-    };
-  } else if (lowerObject.includes('hat')) {
-    return {
-      description: "A stylish hat positioned naturally on the character's head, fitting the existing style and maintaining proper proportions.",
-      location: "top-center, on head",
-      relationship: "Worn by the main character, integrated naturally with their appearance.",
-      relative_size: "proportional to character head size and body proportions",
-      shape_and_color: operation.value ? `${operation.value} hat with appropriate styling` : "Hat-appropriate shape and complementary color scheme",
-      texture: "Suitable hat material texture (fabric, leather, or straw) with realistic surface properties",
-      appearance_details: "Natural positioning following head shape, realistic shadows and lighting, maintains overall character aesthetic",
-      number_of_objects: 1,
-      orientation: "Upright, following head angle and natural hat positioning"
-    };
-  } else {
-    // Generic enhanced object creation
-    return {
-      description: `A ${objectName} added naturally to complement the character, maintaining realistic proportions and integration.`,
-      location: "appropriate position relative to character and scene composition",
-      relationship: "Associated with or worn by the main character in a natural manner.",
-      relative_size: "proportional and realistic for the object type and character scale",
-      shape_and_color: operation.value ? `${operation.value} ${objectName} with appropriate styling` : `${objectName}-appropriate appearance with suitable colors and styling`,
-      texture: "Material texture suitable for the object type with realistic surface properties",
-      appearance_details: "Natural integration with existing elements, realistic lighting and shadows, maintains scene coherence",
-      number_of_objects: 1,
-      orientation: "Natural positioning appropriate for the object type and character interaction"
-    };
-  }
-}
-
-/**
- * Modify existing object in the objects array
- */
-function modifyExistingObject(objects, operation) {
-  let target = operation.target.toLowerCase();
-  const value = operation.value;
-  
-  // CRITICAL FIX: Clean up target to handle possessives and complex phrases
-  target = target.replace(/'s\b/g, '');           // Remove possessives: "hat's" -> "hat"
-  target = target.replace(/\s+color(\s+to)?$/g, ''); // Remove "color" and "color to": "hat color to" -> "hat"
-  target = target.replace(/\s+to$/g, '');         // Remove trailing "to": "hat to" -> "hat"
-  target = target.trim();
-  
-  console.log(`🔧 CRITICAL FIX: Attempting to modify existing object - Target: "${target}", Value: "${value}"`);
-  console.log(`   - Original target: "${operation.target}", Cleaned target: "${target}"`);
-  console.log(`   - Searching through ${objects.length} existing objects`);
-  
-  for (let i = 0; i < objects.length; i++) {
-    const obj = objects[i];
-    const description = obj.description ? obj.description.toLowerCase() : '';
-    
-    console.log(`   - Checking object ${i + 1}: "${description.substring(0, 50)}..."`);
-    
-    // Enhanced matching - check description and shape_and_color with cleaned target
-    const matchesDescription = description.includes(target);
-    const matchesShapeColor = obj.shape_and_color && obj.shape_and_color.toLowerCase().includes(target);
-    
-    // Also try partial matches for common objects and related terms
-    const commonObjects = ['hat', 'sunglasses', 'cigar', 'necklace', 'shirt', 'skull', 'teeth'];
-    const partialMatch = commonObjects.some(commonObj => 
-      target.includes(commonObj) && (description.includes(commonObj) || 
-      (obj.shape_and_color && obj.shape_and_color.toLowerCase().includes(commonObj)))
-    );
-    
-    // CRITICAL FIX: Handle related object parts (teeth -> skull, eyes -> face, etc.)
-    const relatedMatches = {
-      'teeth': ['skull', 'head', 'face'],
-      'eyes': ['skull', 'head', 'face'],
-      'mouth': ['skull', 'head', 'face'],
-      'nose': ['skull', 'head', 'face'],
-      'jaw': ['skull', 'head', 'face']
-    };
-    
-    const relatedMatch = relatedMatches[target] && relatedMatches[target].some(related => 
-      description.includes(related) || (obj.shape_and_color && obj.shape_and_color.toLowerCase().includes(related))
-    );
-    
-    if (matchesDescription || matchesShapeColor || partialMatch || relatedMatch) {
-      console.log(`   - ✅ MATCH FOUND! Modifying object ${i + 1}`);
-      
-      // Apply the modification
-      if (value) {
-        // Enhanced color replacement in description
-        const colorWords = ['red', 'blue', 'green', 'yellow', 'black', 'white', 'brown', 'gray', 'grey', 'purple', 'pink', 'orange', 'gold', 'silver'];
-        
-        // Replace existing color words in description
-        let newDescription = obj.description;
-        for (const color of colorWords) {
-          const colorRegex = new RegExp(`\\b${color}\\b`, 'gi');
-          if (colorRegex.test(newDescription)) {
-            newDescription = newDescription.replace(colorRegex, value);
-            console.log(`     - Replaced "${color}" with "${value}" in description`);
-          }
-        }
-        
-        // If no color was replaced, add the color before the target
-        if (newDescription === obj.description) {
-          const targetRegex = new RegExp(`\\b(${target})\\b`, 'gi');
-          newDescription = newDescription.replace(targetRegex, `${value} $1`);
-          console.log(`     - Added "${value}" before "${target}" in description`);
-        }
-        
-        obj.description = newDescription;
-        
-        // Enhanced color replacement in shape_and_color
-        if (obj.shape_and_color) {
-          let newShapeColor = obj.shape_and_color;
-          for (const color of colorWords) {
-            const colorRegex = new RegExp(`\\b${color}\\b`, 'gi');
-            if (colorRegex.test(newShapeColor)) {
-              newShapeColor = newShapeColor.replace(colorRegex, value);
-              console.log(`     - Replaced "${color}" with "${value}" in shape_and_color`);
-            }
-          }
-          
-          // If no color was replaced, add the color
-          if (newShapeColor === obj.shape_and_color) {
-            newShapeColor = `${value} ${obj.shape_and_color}`;
-            console.log(`     - Added "${value}" to shape_and_color`);
-          }
-          
-          obj.shape_and_color = newShapeColor;
-        }
+      if (!genFillResult.success) {
+        console.warn("⚠️  Gen_fill failed, falling back to structured prompt approach");
+        return await performEnhancedStructuredRefinement(imageUrl, instruction, originalData, refinementPlan);
       }
       
-      // Update appearance details
-      obj.appearance_details = obj.appearance_details ? 
-        `${obj.appearance_details} Modified to ${operation.instruction}.` :
-        `Modified to ${operation.instruction}.`;
+      const { request_id } = genFillResult.data;
+      console.log(`📝 Gen_fill request ID: ${request_id}`);
       
-      console.log(`   - ✅ CRITICAL FIX: Object modification completed`);
-      console.log(`     - New description: "${obj.description}"`);
-      console.log(`     - New shape_and_color: "${obj.shape_and_color || 'none'}"`);
+      const pollResult = await pollBriaStatus(request_id);
       
-      return true;
+      return {
+        success: true,
+        imageUrl: pollResult.imageUrl,
+        request_id,
+        edit_type: 'mask_based_localized',
+        structured_prompt: pollResult.result?.structured_prompt
+      };
+      
+    } else {
+      console.warn("⚠️  Mask generation failed, falling back to structured prompt approach");
+      return await performEnhancedStructuredRefinement(imageUrl, instruction, originalData, refinementPlan);
     }
+    
+  } catch (error) {
+    console.error("❌ Mask-based refinement failed:", error);
+    console.log("🔄 Falling back to structured prompt approach");
+    return await performEnhancedStructuredRefinement(imageUrl, instruction, originalData, refinementPlan);
   }
-  
-  console.log(`   - ❌ CRITICAL FIX: No matching object found for target "${target}"`);
-  return false;
 }
 
 /**
- * Remove existing object from the objects array
+ * Generate object mask using Bria's mask generator. Pass the `visualId` of an image that is
+ * already registered to skip registering it again.
  */
-function removeExistingObject(objects, operation) {
-  const target = operation.target.toLowerCase();
-  const initialLength = objects.length;
+async function generateObjectMask(imageUrl, targetObject, { visualId = null } = {}) {
+  console.log(`🎭 Generating mask for target: ${targetObject}`);
   
-  // Remove objects that match the target
-  for (let i = objects.length - 1; i >= 0; i--) {
-    if (objects[i].description && objects[i].description.toLowerCase().includes(target)) {
-      objects.splice(i, 1);
+  try {
+    let visual_id = visualId;
+    if (!visual_id) {
+      // First register the image (required for v1 mask generator)
+      const registerResult = await briaRequest('register', {
+        image_url: imageUrl,
+        sync: false
+      });
+
+      if (!registerResult.success) {
+        return { success: false, error: registerResult.error };
+      }
+
+      visual_id = registerResult.data.visual_id;
+      console.log(`📝 Image registered with visual_id: ${visual_id}`);
+    }
+    
+    // Generate mask for the target object
+    const maskResult = await briaRequest('mask_generator', {
+      visual_id,
+      object_name: targetObject || 'main_subject',
+      sync: false
+    });
+    
+    if (!maskResult.success) {
+      return { success: false, error: maskResult.error };
+    }
+    
+    const maskPollResult = await pollBriaStatus(maskResult.data.request_id);
+    
+    if (maskPollResult.success && maskPollResult.result?.mask_url) {
+      // Download mask and convert to base64
+      const maskBase64 = await downloadImageAsBase64(maskPollResult.result.mask_url);
+      
+      return {
+        success: true,
+        mask: maskBase64,
+        visual_id
+      };
     }
+    
+    return { success: false, error: { message: "No mask generated" } };
+    
+  } catch (error) {
+    console.error("Mask generation error:", error);
+    return { success: false, error: { message: error.message } };
   }
-  
-  return objects.length < initialLength;
 }
 
 /**
- * Update short description based on applied operations
+ * Mask for an operation with a spatial location ("a crown on top of the skull", "stars in
+ * the top-left corner"). The anchor object is located with generateObjectMask, falling back
+ * to its location in the structured prompt. Moves also get the moved object's own mask.
  */
-function updateShortDescriptionForOperations(modifiedPrompt, operations, backgroundModified) {
-  // Add information about additions
-  const addedItems = operations
-    .filter(op => op.type === 'object_addition')
-    .map(op => op.object || op.target)
-    .filter(item => item)
-    .join(', ');
-  
-  if (addedItems) {
-    modifiedPrompt.short_description += ` Enhanced with: ${addedItems}.`;
+async function generateSpatialMask(imageUrl, operation, originalData) {
+  const location = operation.spatial;
+  console.log(`📍 Generating spatial mask: ${operation.target} ${operation.location}`);
+
+  try {
+    let anchorMask = null;
+    if (location.target) {
+      const anchorResult = await generateObjectMask(imageUrl, location.target);
+      anchorMask = anchorResult.success ? anchorResult.mask : null;
+    }
+
+    const spatialMask = await buildSpatialMask({
+      image: imageUrl,
+      location,
+      anchorMask,
+      structuredPrompt: parseStructuredPrompt(originalData?.structured_prompt)
+    });
+
+    if (!spatialMask) {
+      return { success: false, error: { message: `Could not find "${location.target}" to place "${operation.target}"` } };
+    }
+
+    const box = spatialMask.box;
+    console.log(`   - Region: x=${box.x.toFixed(2)} y=${box.y.toFixed(2)} w=${box.width.toFixed(2)} h=${box.height.toFixed(2)}`);
+
+    const result = {
+      success: true,
+      mask: spatialMask.mask,
+      box,
+      prompt: `${operation.object || operation.target} ${operation.location}`
+    };
+
+    if (operation.type === 'object_move') {
+      const sourceResult = await generateObjectMask(imageUrl, operation.target);
+      if (!sourceResult.success) {
+        return { success: false, error: { message: `Could not find "${operation.target}" to move` } };
+      }
+      result.sourceMask = sourceResult.mask;
+    }
+
+    return result;
+
+  } catch (error) {
+    console.error("Spatial mask generation error:", error);
+    return { success: false, error: { message: error.message } };
   }
-  
-  // Add information about modifications
-  const modifiedItems = operations
-    .filter(op => op.type === 'object_modification')
-    .map(op => `${op.target} (${op.value || 'modified'})`)
-    .join(', ');
-  
-  if (modifiedItems) {
-    modifiedPrompt.short_description += ` Modified: ${modifiedItems}.`;
+}
+
+/**
+ * Erase the masked area of an image; returns the original URL if erasing fails
+ */
+async function eraseMaskedArea(imageUrl, mask) {
+  const eraseResult = await briaRequest('erase', {
+    image: imageUrl,
+    mask,
+    sync: false
+  });
+
+  if (!eraseResult.success) {
+    console.warn("⚠️  Erase failed, painting over the original image");
+    return imageUrl;
   }
-  
-  // Handle background preservation
-  if (!backgroundModified && !modifiedPrompt.short_description.toLowerCase().includes('transparent background')) {
-    modifiedPrompt.short_description += ' Maintains transparent background for t-shirt printing.';
+
+  try {
+    const pollResult = await pollBriaStatus(eraseResult.data.request_id);
+    return pollResult.imageUrl;
+  } catch (error) {
+    console.warn(`⚠️  Erase failed (${error.message}), painting over the original image`);
+    return imageUrl;
   }
 }
 
 /**
- * Enhanced structured prompt refinement with background context management
- * Implements Requirements 2.1, 2.3 for background persistence and context isolation
+ * Re-composite a localized edit over the original (see compositeMaskedEdit). Returns
+ * { imageUrl, recomposited }; if compositing fails imageUrl is the provider result and
+ * recomposited is false, so callers can report that pixels outside the mask may have changed
  */
-async function performEnhancedStructuredRefinementEnhanced(imageUrl, instruction, originalData, refinementPlan, backgroundContext) {
-  console.log("🎯 Performing enhanced structured prompt refinement with background persistence");
-  console.log(`   - Instruction: ${instruction}`);
+async function recompositeOutsideMask(originalUrl, editedUrl, mask) {
+  try {
+    const composited = await compositeMaskedEdit(originalUrl, editedUrl, [mask]);
+    console.log("🧩 Restored original pixels outside the edit mask");
+    return { imageUrl: toDataUrl(composited), recomposited: true };
+  } catch (error) {
+    console.warn(`⚠️  Re-compositing failed (${error.message}), keeping the provider result`);
+    return { imageUrl: editedUrl, recomposited: false };
+  }
+}
+
+/**
+ * Remove locked objects from a gen_fill mask result (and from a move's source mask) so the
+ * edit can't repaint them. Locks whose object can't be masked are skipped.
+ */
+async function excludeLockedRegions(imageUrl, maskResult, locks) {
+  const lockMasks = [];
+  for (const lock of locks) {
+    const lockMask = await generateObjectMask(imageUrl, lock.target);
+    if (lockMask.success) {
+      lockMasks.push(lockMask.mask);
+    } else {
+      console.warn(`⚠️  Could not mask locked "${lock.target}", leaving the edit mask as is`);
+    }
+  }
+  if (lockMasks.length === 0) return maskResult;
+
+  console.log(`🔐 Excluding ${lockMasks.length} locked element(s) from the edit mask`);
+  return {
+    ...maskResult,
+    mask: await subtractMasks(maskResult.mask, lockMasks),
+    sourceMask: maskResult.sourceMask ? await subtractMasks(maskResult.sourceMask, lockMasks) : maskResult.sourceMask
+  };
+}
+
+/**
+ * Download image and convert to base64 format for API use
+ */
+async function downloadImageAsBase64(imageUrl) {
+  try {
+    const buffer = await loadImageBuffer(imageUrl);
+    const base64 = buffer.toString('base64');
+    
+    // Return in the format expected by Bria API
+    return `data:image/png;base64,${base64}`;
+    
+  } catch (error) {
+    console.error("Image download for base64 conversion failed:", error);
+    throw error;
+  }
+}
+
+/**
+ * Enhanced multi-step refinement with background context management
+ * Implements Requirements 2.1, 2.3 for background persistence during multi-operations
+ */
+async function performMultiStepRefinementEnhanced(imageUrl, instruction, originalData, refinementPlan, backgroundContext) {
+  console.log("🔄 Performing enhanced multi-step refinement with background persistence");
+  console.log(`   - Operations: ${refinementPlan.operations.length}`);
   console.log(`   - Background context: ${backgroundContext ? backgroundContext.background || 'transparent' : 'none'}`);
+  const chainKey = backgroundContext?.chainKey || imageUrl;
   
   // Get current background state from refinement chain (Requirements 4.1, 4.2, 4.3)
-  const currentBackgroundState = backgroundContextManager.getCurrentBackgroundState(imageUrl);
+  const currentBackgroundState = backgroundContextManager.getCurrentBackgroundState(chainKey);
   console.log(`   - Current background state: ${currentBackgroundState.type} - "${currentBackgroundState.description}"`);
   
-  // Update refinement chain with current operation
-  const isBackgroundOperation = backgroundContextManager.isBackgroundOperation(instruction);
-  backgroundContextManager.updateRefinementChainBackground(imageUrl, instruction, isBackgroundOperation);
+  // Check if any operations are background-related
+  const hasBackgroundEdit = refinementPlan.operations.some(op => 
+    backgroundContextManager.isBackgroundOperation(op.instruction || op.type)
+  );
+  
+  // Update refinement chain for each operation
+  for (const operation of refinementPlan.operations) {
+    const isBackgroundOp = backgroundContextManager.isBackgroundOperation(operation.instruction || operation.type);
+    backgroundContextManager.updateRefinementChainBackground(chainKey, operation.instruction, isBackgroundOp);
+  }
   
   if (!originalData?.structured_prompt) {
     console.warn("⚠️  No structured prompt available, using enhanced prompt-based approach with background context");
@@ -4813,126 +3561,171 @@ async function performEnhancedStructuredRefinementEnhanced(imageUrl, instruction
   }
   
   try {
-    // Create intelligent modification of structured prompt with background context
-    const modifiedPrompt = enhancedStructuredPromptModificationWithBackground(
-      originalData.structured_prompt, 
+    // Parse the original structured prompt
+    const originalPrompt = JSON.parse(originalData.structured_prompt);
+    console.log("📋 Original structured prompt parsed successfully");
+    
+    // Apply ALL operations to the structured prompt with background context management
+    const modifiedPrompt = applyCombinedOperationsWithBackground(
+      originalPrompt, 
+      refinementPlan.operations, 
       instruction, 
-      backgroundContext
+      backgroundContext,
+      chainKey  // PRIORITY C FIX: Pass chain key for background chain access
     );
     
-    console.log("🎨 Generating image with enhanced structured prompt and background context");
+    console.log("🎨 Generating image with combined multi-edit structured prompt and background context");
     
-    const result = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-      structured_prompt: modifiedPrompt,
+    const result = await briaRequest('generate', {
+      structured_prompt: JSON.stringify(modifiedPrompt),
       sync: false
     });
 
     if (!result.success) {
-      console.error("❌ Enhanced structured refinement failed:", result.error);
+      console.error("❌ Enhanced multi-step refinement failed:", result.error);
       return result;
     }
 
     const { request_id } = result.data;
-    console.log(`📝 Enhanced refinement request ID: ${request_id}`);
+    console.log(`📝 Enhanced multi-step refinement request ID: ${request_id}`);
     
     const pollResult = await pollBriaStatus(request_id);
     
-    // Enhanced background preservation logic using refinement chain (Requirements 4.1, 4.2, 4.3)
-    const updatedBackgroundState = backgroundContextManager.getCurrentBackgroundState(imageUrl);
+    // Apply background preservation logic based on context (Requirements 2.1, 2.3)
     let finalImageUrl = pollResult.imageUrl;
     
-    if (!isBackgroundOperation) {
-      console.log("🔒 Non-background operation - preserving background from refinement chain");
+    // Enhanced background preservation logic using refinement chain (Requirements 4.1, 4.2, 4.3)
+    const updatedBackgroundState = backgroundContextManager.getCurrentBackgroundState(chainKey);
+    
+    if (!hasBackgroundEdit) {
+      console.log("🔒 PRIORITY C FIX: No background edits in multi-step - preserving existing background");
       
-      // Preserve background based on refinement chain state (Requirements 4.1, 4.2)
+      // CRITICAL BUG FIX: Preserve background based on refinement chain state (Requirements 4.1, 4.2)
       if (updatedBackgroundState.type === 'default' || updatedBackgroundState.description === 'transparent background') {
-        // Maintain transparent background (Requirements 4.3)
-        console.log("🔒 Preserving transparent background based on refinement chain");
-        
-        const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
+        // Only maintain transparent background if it was never explicitly set (Requirements 4.3)
+        console.log(`🔒 PRIORITY C FIX: Maintaining default transparent background`);
+        const backgroundRemovalResult = await briaRequest('remove_background', {
           image: pollResult.imageUrl,
           sync: false
         });
 
         if (backgroundRemovalResult.success) {
-          console.log(`📝 Background preservation removal request ID: ${backgroundRemovalResult.data.request_id}`);
+          console.log(`📝 Multi-step transparent background preservation request ID: ${backgroundRemovalResult.data.request_id}`);
           const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
           finalImageUrl = bgRemovalPollResult.imageUrl;
-          console.log(`✅ Transparent background preserved after refinement`);
+          console.log(`✅ Transparent background preserved after multi-step refinement`);
         } else {
-          console.warn(`⚠️  Background preservation failed: ${backgroundRemovalResult.error?.message}`);
+          console.warn(`⚠️  Multi-step background preservation failed: ${backgroundRemovalResult.error?.message}`);
         }
-      } else if (updatedBackgroundState.isExplicitlySet && updatedBackgroundState.preserveAcrossRefinements) {
-        console.log(`🔒 Preserving explicit background: "${updatedBackgroundState.description}"`);
+      } else if (updatedBackgroundState.isExplicitlySet || updatedBackgroundState.type === 'explicit') {
+        // CRITICAL BUG FIX: Preserve non-default backgrounds across refinements
+        console.log(`🔒 PRIORITY C FIX: Preserving explicit background: "${updatedBackgroundState.description}"`);
+        console.log(`   - Background type: ${updatedBackgroundState.type}`);
+        console.log(`   - Explicitly set: ${updatedBackgroundState.isExplicitlySet}`);
+        console.log(`   - Should preserve: ${updatedBackgroundState.preserveAcrossRefinements}`);
+        
         // The background should already be preserved in the structured prompt modification
+        // No additional processing needed - the generated image should maintain the background
+        console.log(`✅ PRIORITY C FIX: Non-default background preserved in structured prompt`);
+      } else {
+        console.log(`⚠️  PRIORITY C FIX: Unknown background state, defaulting to transparent`);
+        // Fallback to transparent background
+        const backgroundRemovalResult = await briaRequest('remove_background', {
+          image: pollResult.imageUrl,
+          sync: false
+        });
+
+        if (backgroundRemovalResult.success) {
+          const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
+          finalImageUrl = bgRemovalPollResult.imageUrl;
+          console.log(`✅ PRIORITY C FIX: Fallback transparent background applied`);
+        }
       }
     } else {
-      console.log(`🎨 Background operation detected - background state updated in refinement chain`);
+      console.log(`🎨 Background operations detected - background state updated in refinement chain`);
     }
     
     return {
       success: true,
       imageUrl: finalImageUrl,
       request_id,
-      structured_prompt: pollResult.result?.structured_prompt || modifiedPrompt,
-      edit_type: backgroundContextManager.isBackgroundOperation(instruction) ? 'background_edit' : 'enhanced_structured_refinement',
+      structured_prompt: pollResult.result?.structured_prompt || JSON.stringify(modifiedPrompt),
+      edit_type: 'enhanced_multi_step_refinement',
+      steps_completed: refinementPlan.operations.length,
+      total_steps: refinementPlan.operations.length,
       background_context: backgroundContext,
-      context_isolated: true
+      context_isolated: true,
+      has_background_edit: hasBackgroundEdit,
+      // Enhanced background persistence tracking (Requirements 4.1, 4.2, 4.3, 4.4, 4.5)
+      background_persistence: {
+        initialState: currentBackgroundState,
+        finalState: updatedBackgroundState,
+        backgroundPreserved: !hasBackgroundEdit,
+        backgroundOperationsCount: refinementPlan.operations.filter(op => 
+          backgroundContextManager.isBackgroundOperation(op.instruction || op.type)
+        ).length
+      }
     };
 
   } catch (error) {
-    console.error("❌ Enhanced structured refinement with background context failed:", error);
+    console.error("❌ Enhanced multi-step refinement failed:", error);
     return {
       success: false,
-      error: { message: `Enhanced structured refinement failed: ${error.message}` }
+      error: { message: `Enhanced multi-step refinement failed: ${error.message}` }
     };
   }
 }
 
 /**
- * Original enhanced structured prompt refinement (preserved for compatibility)
+ * Original multi-step refinement (preserved for compatibility)
  */
-async function performEnhancedStructuredRefinement(imageUrl, instruction, originalData, refinementPlan) {
-  console.log("🎯 Performing enhanced structured prompt refinement");
-  console.log(`   - Instruction: ${instruction}`);
+async function performMultiStepRefinement(imageUrl, instruction, originalData, refinementPlan) {
+  console.log("🔄 Performing combined multi-step refinement");
+  console.log(`   - Operations: ${refinementPlan.operations.length}`);
+  console.log(`   - Combined instruction: ${instruction}`);
   
+  // Instead of processing sequentially, combine ALL operations into one structured prompt modification
   if (!originalData?.structured_prompt) {
-    console.warn("⚠️  No structured prompt available, using enhanced prompt-based approach");
+    console.warn("⚠️  No structured prompt available, using enhanced prompt-based approach for multi-edit");
     return await performEnhancedPromptRefinement(imageUrl, instruction, originalData);
   }
   
   try {
-    // Create intelligent modification of structured prompt
-    const modifiedPrompt = enhancedStructuredPromptModification(originalData.structured_prompt, instruction);
+    // Parse the original structured prompt
+    const originalPrompt = JSON.parse(originalData.structured_prompt);
+    console.log("📋 Original structured prompt parsed successfully");
     
-    console.log("🎨 Generating image with enhanced structured prompt");
+    // Apply ALL operations to the structured prompt at once
+    const modifiedPrompt = applyCombinedOperations(originalPrompt, refinementPlan.operations, instruction);
     
-    const result = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-      structured_prompt: modifiedPrompt,
+    console.log("🎨 Generating image with combined multi-edit structured prompt");
+    
+    const result = await briaRequest('generate', {
+      structured_prompt: JSON.stringify(modifiedPrompt),
       sync: false
     });
 
     if (!result.success) {
-      console.error("❌ Enhanced structured refinement failed:", result.error);
+      console.error("❌ Combined multi-step refinement failed:", result.error);
       return result;
     }
 
     const { request_id } = result.data;
-    console.log(`📝 Enhanced refinement request ID: ${request_id}`);
+    console.log(`📝 Combined multi-step refinement request ID: ${request_id}`);
     
     const pollResult = await pollBriaStatus(request_id);
     
     // Apply background preservation logic
-    const lowerInstruction = instruction.toLowerCase();
-    const isBackgroundEdit = lowerInstruction.includes('background') && 
-                            (lowerInstruction.includes('add') || lowerInstruction.includes('change'));
+    const hasBackgroundEdit = refinementPlan.operations.some(op => 
+      op.type === 'background_edit' || op.instruction.toLowerCase().includes('background')
+    );
     
     let finalImageUrl = pollResult.imageUrl;
     
-    if (!isBackgroundEdit) {
-      console.log("🔒 Non-background edit detected - ensuring transparent background");
+    if (!hasBackgroundEdit) {
+      console.log("🔒 No background edits detected - ensuring transparent background");
       
-      const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
+      const backgroundRemovalResult = await briaRequest('remove_background', {
         image: pollResult.imageUrl,
         sync: false
       });
@@ -4941,7 +3734,7 @@ async function performEnhancedStructuredRefinement(imageUrl, instruction, origin
         console.log(`📝 Post-refinement background removal request ID: ${backgroundRemovalResult.data.request_id}`);
         const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
         finalImageUrl = bgRemovalPollResult.imageUrl;
-        console.log(`✅ Background successfully removed after refinement`);
+        console.log(`✅ Background successfully removed after multi-step refinement`);
       } else {
         console.warn(`⚠️  Post-refinement background removal failed: ${backgroundRemovalResult.error?.message}`);
       }
@@ -4951,875 +3744,698 @@ async function performEnhancedStructuredRefinement(imageUrl, instruction, origin
       success: true,
       imageUrl: finalImageUrl,
       request_id,
-      structured_prompt: pollResult.result?.structured_prompt || modifiedPrompt,
-      edit_type: isBackgroundEdit ? 'background_edit' : 'enhanced_structured_refinement'
+      structured_prompt: pollResult.result?.structured_prompt || JSON.stringify(modifiedPrompt),
+      edit_type: 'combined_multi_step_refinement',
+      steps_completed: refinementPlan.operations.length,
+      total_steps: refinementPlan.operations.length
+    };
+
+  } catch (error) {
+    console.error("❌ Combined multi-step refinement failed:", error);
+    return {
+      success: false,
+      error: { message: `Combined multi-step refinement failed: ${error.message}` }
+    };
+  }
+}
+
+/**
+ * Apply multiple operations to structured prompt with background context management
+ * Implements Requirements 2.1, 2.3 for background persistence during multi-operations
+ */
+function applyCombinedOperationsWithBackground(originalPrompt, operations, fullInstruction, backgroundContext, chainKey, knownBackgroundState = null) {
+  console.log("🔧 Applying enhanced combined operations with background persistence management");
+  
+  // Create a deep copy of the original prompt
+  const modifiedPrompt = JSON.parse(JSON.stringify(originalPrompt));
+  
+  // Initialize objects array if it doesn't exist
+  if (!modifiedPrompt.objects) {
+    modifiedPrompt.objects = [];
+  }
+  
+  // Enhanced background context management with refinement chain support (Requirements 4.1, 4.2, 4.3, 4.4, 4.5)
+  let backgroundModified = false;
+  const hasBackgroundOperation = operations.some(op => 
+    backgroundContextManager.isBackgroundOperation(op.instruction || op.type)
+  );
+  
+  if (hasBackgroundOperation) {
+    // Find and apply background operations with complete replacement (Requirements 4.4, 4.5)
+    const backgroundOps = operations.filter(op => 
+      backgroundContextManager.isBackgroundOperation(op.instruction || op.type)
+    );
+    
+    for (const bgOp of backgroundOps) {
+      if (backgroundContextManager.isBackgroundRemovalOperation(bgOp.instruction)) {
+        // Explicit background removal (Requirements 4.4)
+        modifiedPrompt.background = 'transparent background';
+        backgroundModified = true;
+        console.log(`     🗑️ Background explicitly removed`);
+      } else {
+        // Background replacement (Requirements 4.5)
+        const backgroundDesc = backgroundContextManager.extractBackgroundDescriptionEnhanced(bgOp.instruction);
+        modifiedPrompt.background = backgroundDesc;
+        backgroundModified = true;
+        console.log(`     🎨 Background replaced with: ${backgroundDesc}`);
+      }
+    }
+  } else {
+    // PRIORITY C FIX: For non-background operations, preserve background from refinement chain (Requirements 4.1, 4.2)
+    console.log(`     🔒 PRIORITY C FIX: No background operations, preserving existing background`);
+    
+    // Get the current background state from the refinement chain (dry runs pass it in)
+    const currentBackgroundState = knownBackgroundState || backgroundContextManager.getCurrentBackgroundState(chainKey);
+    
+    if (currentBackgroundState && currentBackgroundState.type === 'explicit' && currentBackgroundState.description !== 'transparent background') {
+      // Preserve explicit non-default background (Requirements 4.1, 4.2)
+      modifiedPrompt.background = currentBackgroundState.description;
+      console.log(`     🔒 PRIORITY C FIX: Preserved explicit background from chain: ${currentBackgroundState.description}`);
+    } else if (backgroundContext && backgroundContext.background && backgroundContext.isExplicitlySet) {
+      // Fallback to background context if available (Requirements 4.1, 4.2)
+      modifiedPrompt.background = backgroundContext.background;
+      console.log(`     🔒 PRIORITY C FIX: Preserved background from context: ${backgroundContext.background}`);
+    } else {
+      // Maintain transparent background as default (Requirements 4.3)
+      modifiedPrompt.background = 'transparent background';
+      console.log(`     🔒 PRIORITY C FIX: Maintained transparent background as default`);
+    }
+  }
+  
+  // Continue with original combined operations logic; locked objects are left as they are
+  const lockedElements = backgroundContextManager.getLockedElements(chainKey);
+  return applyCombinedOperations(modifiedPrompt, operations, fullInstruction, lockedElements);
+}
+
+/**
+ * Original combined operations application (preserved for compatibility)
+ */
+function applyCombinedOperations(originalPrompt, operations, fullInstruction, lockedElements = []) {
+  console.log("🔧 Applying enhanced combined operations to structured prompt");
+  
+  // Create a deep copy of the original prompt
+  const modifiedPrompt = JSON.parse(JSON.stringify(originalPrompt));
+  
+  // Initialize objects array if it doesn't exist
+  if (!modifiedPrompt.objects) {
+    modifiedPrompt.objects = [];
+  }
+  
+  // Track background state for persistence logic
+  let backgroundModified = false;
+  
+  // CRITICAL FIX: Process each operation based on enhanced type system
+  console.log(`🔧 CRITICAL FIX: Processing ${operations.length} operations:`);
+  operations.forEach((op, i) => {
+    console.log(`   ${i + 1}. Type: ${op.type}, Instruction: "${op.instruction}", Target: ${op.target || 'none'}, Object: ${op.object || 'none'}`);
+  });
+  
+  for (let i = 0; i < operations.length; i++) {
+    const operation = operations[i];
+    console.log(`\n🔧 CRITICAL FIX: Processing operation ${i + 1}/${operations.length}: "${operation.instruction}" (${operation.type})`);
+    
+    if (operation.type === 'background_edit') {
+      // Handle background modifications
+      const backgroundDesc = extractBackgroundDescription(operation.instruction);
+      modifiedPrompt.background = backgroundDesc;
+      backgroundModified = true;
+      console.log(`     ✅ Background set to: ${backgroundDesc}`);
+      
+    } else if (operation.type === 'object_addition') {
+      // CRITICAL FIX: Handle object additions with enhanced object creation
+      console.log(`     🎨 CRITICAL FIX: Creating object for addition - Target: "${operation.target}", Object: "${operation.object}"`);
+      const newObject = createIntelligentObjectEnhanced(operation);
+      if (operation.location) {
+        newObject.location = operation.location;
+      }
+      modifiedPrompt.objects.push(newObject);
+      console.log(`     ✅ CRITICAL FIX: Added object ${i + 1}: ${newObject.description}`);
+      console.log(`     📊 CRITICAL FIX: Total objects now: ${modifiedPrompt.objects.length}`);
+      
+    } else if (operation.type === 'object_modification') {
+      // Handle object modifications (color changes, etc.)
+      const modified = modifyExistingObject(modifiedPrompt.objects, operation, lockedElements);
+      if (!modified) {
+        // If object doesn't exist, create it with the modification
+        const newObject = createIntelligentObjectEnhanced(operation);
+        modifiedPrompt.objects.push(newObject);
+        console.log(`     ✅ Created new object with modification: ${newObject.description}`);
+      } else {
+        console.log(`     ✅ Modified existing object: ${operation.target}`);
+      }
+      
+    } else if (operation.type === 'object_removal') {
+      // Handle object removal
+      const removed = removeExistingObject(modifiedPrompt.objects, operation, lockedElements);
+      if (removed) {
+        console.log(`     ✅ Removed object: ${operation.target}`);
+      } else {
+        console.log(`     ⚠️  Object not found for removal: ${operation.target}`);
+      }
+      
+    } else if (operation.type === 'object_move') {
+      const moved = moveExistingObject(modifiedPrompt.objects, operation, lockedElements);
+      if (moved) {
+        console.log(`     ✅ Moved object: ${operation.target} to ${operation.location}`);
+      } else {
+        console.log(`     ⚠️  Object not found for move: ${operation.target}`);
+      }
+
+    } else {
+      // General edits name no object; updateShortDescriptionForOperations describes them
+      console.log(`     ✅ General edit: ${operation.instruction}`);
+    }
+  }
+  
+  // Apply background persistence logic
+  if (!backgroundModified) {
+    // Preserve transparent background for non-background operations
+    if (!modifiedPrompt.background || modifiedPrompt.background === 'transparent background') {
+      modifiedPrompt.background = 'transparent background';
+      console.log(`     🔒 Preserved transparent background`);
+    }
+  }
+  
+  // Update short description to reflect all changes
+  if (modifiedPrompt.short_description) {
+    updateShortDescriptionForOperations(modifiedPrompt, operations, backgroundModified);
+  }
+  
+  // Add enhanced modification metadata
+  modifiedPrompt._enhanced_combined_modification = {
+    operations: operations.map(op => ({
+      instruction: op.instruction,
+      type: op.type,
+      target: op.target,
+      action: op.action,
+      conflictResolved: op.conflictResolved || false
+    })),
+    full_instruction: fullInstruction,
+    modified_at: new Date().toISOString(),
+    operation_count: operations.length,
+    background_modified: backgroundModified,
+    conflicts_resolved: operations.filter(op => op.conflictResolved).length
+  };
+  
+  console.log(`✅ Enhanced combination of ${operations.length} operations completed`);
+  return modifiedPrompt;
+}
+
+/**
+ * Create intelligent object from enhanced operation structure
+ * CRITICAL FIX: Ensure proper object creation for multi-edit operations
+ */
+function createIntelligentObjectEnhanced(operation) {
+  const objectName = operation.object || operation.target || operation.instruction?.replace(/^add\s+/i, '');
+  const lowerObject = objectName ? objectName.toLowerCase() : '';
+  
+  console.log(`🎨 CRITICAL FIX: Creating object for "${objectName}" (type: ${operation.type})`);
+  
+  // Enhanced object templates with better descriptions
+  if (lowerObject.includes('sunglasses') || lowerObject.includes('glasses')) {
+    return {
+      description: "Stylish sunglasses positioned naturally on the character's face, fitting perfectly over the eyes with realistic proportions.",
+      location: "center-face, over eyes",
+      relationship: "Worn by the main character on their face.",
+      relative_size: "proportional to face and eye area",
+      shape_and_color: operation.value ? `${operation.value} sunglasses with dark lenses` : "Classic sunglasses shape with dark lenses and sleek frame",
+      texture: "Smooth frame material with reflective lenses showing realistic light interaction",
+      appearance_details: "Natural positioning on nose bridge, realistic shadows and reflections, maintains character style",
+      number_of_objects: 1,
+      orientation: "Horizontal, following face angle and perspective"
     };
-
-  } catch (error) {
-    console.error("❌ Enhanced structured refinement failed:", error);
+  } else if (lowerObject.includes('cigar') || lowerObject.includes('cigarette')) {
     return {
-      success: false,
-      error: { message: `Enhanced structured refinement failed: ${error.message}` }
+      description: "A realistic cigar held naturally by the character, positioned appropriately for the character's pose and expression.",
+      location: "near mouth or held in hand",
+      relationship: "Held or positioned by the main character in a natural manner.",
+      relative_size: "proportional and realistic cigar dimensions",
+      shape_and_color: operation.value ? `${operation.value} cigar with natural tobacco coloring` : "Cylindrical brown cigar with natural tobacco coloring and texture",
+      texture: "Tobacco leaf texture with realistic surface details and natural wrapping patterns",
+      appearance_details: "Natural positioning appropriate to character pose, realistic lighting and shadows, subtle smoke wisps if appropriate",
+      number_of_objects: 1,
+      orientation: "Appropriate to character's grip or mouth position, following natural hand placement"
     };
-  }
-}
-
-/**
- * Perform FIBO-based refinement with transparent background preservation
- */
-async function performFIBORefinement(imageUrl, instruction, originalData) {
-  console.log("🎯 Performing FIBO-based refinement");
-  console.log(`   - Instruction: ${instruction}`);
-  
-  if (!originalData?.structured_prompt) {
-    console.warn("⚠️  No structured prompt available, using prompt-based approach");
-    return await performPromptBasedRefinement(imageUrl, instruction, originalData);
-  }
-  
-  try {
-    // Create intelligent modification of structured prompt
-    const modifiedPrompt = modifyStructuredPromptIntelligently(originalData.structured_prompt, instruction);
-    
-    console.log("🎨 Generating image with modified structured prompt");
-    
-    const result = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-      structured_prompt: modifiedPrompt,
-      sync: false
-    });
-
-    if (!result.success) {
-      console.error("❌ FIBO refinement failed:", result.error);
-      return result;
-    }
-
-    const { request_id } = result.data;
-    console.log(`📝 FIBO refinement request ID: ${request_id}`);
-    
-    const pollResult = await pollBriaStatus(request_id);
-    
-    // CRITICAL: Check if we need to preserve transparent background
-    const lowerInstruction = instruction.toLowerCase();
-    const isBackgroundEdit = lowerInstruction.includes('background') && 
-                            (lowerInstruction.includes('add') || lowerInstruction.includes('change'));
-    
-    let finalImageUrl = pollResult.imageUrl;
-    
-    // If this is NOT a background edit, ensure background stays transparent
-    if (!isBackgroundEdit) {
-      console.log("🔒 Non-background edit detected - ensuring transparent background");
-      
-      const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
-        image: pollResult.imageUrl,
-        sync: false
-      });
-
-      if (backgroundRemovalResult.success) {
-        console.log(`📝 Post-refinement background removal request ID: ${backgroundRemovalResult.data.request_id}`);
-        const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
-        finalImageUrl = bgRemovalPollResult.imageUrl;
-        console.log(`✅ Background successfully removed after refinement`);
-      } else {
-        console.warn(`⚠️  Post-refinement background removal failed: ${backgroundRemovalResult.error?.message}`);
-      }
-    } else {
-      console.log("🎨 Background edit detected - keeping generated background");
-    }
-    
+  } else if (lowerObject.includes('hat')) {
     return {
-      success: true,
-      imageUrl: finalImageUrl,
-      request_id,
-      structured_prompt: pollResult.result?.structured_prompt || modifiedPrompt,
-      edit_type: isBackgroundEdit ? 'background_edit' : 'fibo_structured_refinement'
+      description: "A stylish hat positioned naturally on the character's head, fitting the existing style and maintaining proper proportions.",
+      location: "top-center, on head",
+      relationship: "Worn by the main character, integrated naturally with their appearance.",
+      relative_size: "proportional to character head size and body proportions",
+      shape_and_color: operation.value ? `${operation.value} hat with appropriate styling` : "Hat-appropriate shape and complementary color scheme",
+      texture: "Suitable hat material texture (fabric, leather, or straw) with realistic surface properties",
+      appearance_details: "Natural positioning following head shape, realistic shadows and lighting, maintains overall character aesthetic",
+      number_of_objects: 1,
+      orientation: "Upright, following head angle and natural hat positioning"
     };
-
-  } catch (error) {
-    console.error("❌ FIBO refinement failed:", error);
+  } else {
+    // Generic enhanced object creation
     return {
-      success: false,
-      error: { message: `FIBO refinement failed: ${error.message}` }
+      description: `A ${objectName} added naturally to complement the character, maintaining realistic proportions and integration.`,
+      location: "appropriate position relative to character and scene composition",
+      relationship: "Associated with or worn by the main character in a natural manner.",
+      relative_size: "proportional and realistic for the object type and character scale",
+      shape_and_color: operation.value ? `${operation.value} ${objectName} with appropriate styling` : `${objectName}-appropriate appearance with suitable colors and styling`,
+      texture: "Material texture suitable for the object type with realistic surface properties",
+      appearance_details: "Natural integration with existing elements, realistic lighting and shadows, maintains scene coherence",
+      number_of_objects: 1,
+      orientation: "Natural positioning appropriate for the object type and character interaction"
     };
   }
 }
 
 /**
- * Fallback prompt-based refinement
+ * Modify existing object in the objects array (locked objects are skipped)
  */
-async function performPromptBasedRefinement(imageUrl, instruction, originalData) {
-  console.log("🔄 Performing prompt-based refinement as fallback");
-  
-  const lowerInstruction = instruction.toLowerCase();
-  const isBackgroundEdit = lowerInstruction.includes('background') && 
-                          (lowerInstruction.includes('add') || lowerInstruction.includes('change'));
-  
-  // Build contextual prompt based on whether this is a background edit
-  let contextualPrompt;
-  if (isBackgroundEdit) {
-    // For background edits, don't force transparent background
-    contextualPrompt = originalData 
-      ? `${originalData.original_prompt}, ${instruction}, clean design suitable for printing`
-      : `${instruction}, clean design suitable for printing`;
-  } else {
-    // For non-background edits, ensure transparent background
-    contextualPrompt = originalData 
-      ? `${originalData.original_prompt}, ${instruction}, transparent background, clean design suitable for printing`
-      : `${instruction}, transparent background, clean design suitable for printing`;
-  }
-  
-  console.log(`📝 Using contextual prompt: ${contextualPrompt}`);
+function modifyExistingObject(objects, operation, lockedElements = []) {
+  let target = operation.target.toLowerCase();
+  const value = operation.value;
   
-  const result = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-    prompt: contextualPrompt,
-    sync: false
-  });
-
-  if (!result.success) {
-    return result;
-  }
-
-  const { request_id } = result.data;
-  const pollResult = await pollBriaStatus(request_id);
+  // CRITICAL FIX: Clean up target to handle possessives and complex phrases
+  target = target.replace(/'s\b/g, '');           // Remove possessives: "hat's" -> "hat"
+  target = target.replace(/\s+color(\s+to)?$/g, ''); // Remove "color" and "color to": "hat color to" -> "hat"
+  target = target.replace(/\s+to$/g, '');         // Remove trailing "to": "hat to" -> "hat"
+  target = target.trim();
   
-  let finalImageUrl = pollResult.imageUrl;
+  console.log(`🔧 CRITICAL FIX: Attempting to modify existing object - Target: "${target}", Value: "${value}"`);
+  console.log(`   - Original target: "${operation.target}", Cleaned target: "${target}"`);
+  console.log(`   - Searching through ${objects.length} existing objects`);
   
-  // If this is NOT a background edit, ensure background stays transparent
-  if (!isBackgroundEdit) {
-    console.log("🔒 Non-background edit detected - ensuring transparent background");
+  for (let i = 0; i < objects.length; i++) {
+    const obj = objects[i];
+    const description = obj.description ? obj.description.toLowerCase() : '';
     
-    const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
-      image: pollResult.imageUrl,
-      sync: false
-    });
-
-    if (backgroundRemovalResult.success) {
-      console.log(`📝 Post-refinement background removal request ID: ${backgroundRemovalResult.data.request_id}`);
-      const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
-      finalImageUrl = bgRemovalPollResult.imageUrl;
-      console.log(`✅ Background successfully removed after prompt-based refinement`);
-    } else {
-      console.warn(`⚠️  Post-refinement background removal failed: ${backgroundRemovalResult.error?.message}`);
-    }
-  }
-  
-  return {
-    success: true,
-    imageUrl: finalImageUrl,
-    request_id,
-    structured_prompt: pollResult.result?.structured_prompt,
-    edit_type: isBackgroundEdit ? 'background_edit' : 'prompt_based_refinement'
-  };
-}
+    console.log(`   - Checking object ${i + 1}: "${description.substring(0, 50)}..."`);
 
-/**
- * Enhanced structured prompt modification with background context management
- * Implements Requirements 2.1, 2.3 for background persistence and context isolation
- */
-function enhancedStructuredPromptModificationWithBackground(originalPromptString, instruction, backgroundContext) {
-  try {
-    const prompt = JSON.parse(originalPromptString);
-    const lowerInstruction = instruction.toLowerCase();
-    
-    console.log("🧠 Enhanced structured prompt modification with background context");
-    console.log(`   - Instruction: ${instruction}`);
-    console.log(`   - Background context: ${backgroundContext ? backgroundContext.background || 'none' : 'none'}`);
-    
-    // Apply background context management (Requirements 2.1, 2.3)
-    if (backgroundContext) {
-      if (backgroundContextManager.isBackgroundOperation(instruction)) {
-        // For background operations, use the new background (Requirements 2.2, 2.4)
-        const newBackground = extractBackgroundDescriptionEnhanced(instruction);
-        prompt.background = newBackground;
-        console.log(`🎨 Applied new background from instruction: "${newBackground}"`);
-      } else if (backgroundContext.background && backgroundContext.isExplicitlySet) {
-        // Preserve existing background for non-background operations (Requirements 2.1)
-        prompt.background = backgroundContext.background;
-        console.log(`🔒 Preserved existing background: "${backgroundContext.background}"`);
-      } else {
-        // Ensure transparent background to prevent theme inference (Requirements 2.3)
-        prompt.background = "transparent background";
-        console.log(`🚫 Set transparent background to prevent theme inference`);
-      }
-    } else {
-      // No context - prevent background inference (Requirements 2.3)
-      if (!lowerInstruction.includes('background')) {
-        prompt.background = "transparent background";
-        console.log(`🔒 No context - preserving transparent background`);
-      }
+    if (isObjectLocked(obj, lockedElements)) {
+      console.log(`   - 🔐 Object ${i + 1} is locked, leaving it unchanged`);
+      continue;
     }
     
-    // Continue with original modification logic
-    return enhancedStructuredPromptModification(JSON.stringify(prompt), instruction);
+    // Enhanced matching - check description and shape_and_color with cleaned target
+    const matchesDescription = description.includes(target);
+    const matchesShapeColor = obj.shape_and_color && obj.shape_and_color.toLowerCase().includes(target);
     
-  } catch (error) {
-    console.error("Failed to enhance structured prompt modification with background context:", error);
-    throw error;
-  }
-}
-
-/**
- * Original enhanced structured prompt modification (preserved for compatibility)
- */
-function enhancedStructuredPromptModification(originalPromptString, instruction) {
-  try {
-    const prompt = JSON.parse(originalPromptString);
-    const lowerInstruction = instruction.toLowerCase();
+    // Also try partial matches for common objects and related terms
+    const commonObjects = ['hat', 'sunglasses', 'cigar', 'necklace', 'shirt', 'skull', 'teeth'];
+    const partialMatch = commonObjects.some(commonObj => 
+      target.includes(commonObj) && (description.includes(commonObj) || 
+      (obj.shape_and_color && obj.shape_and_color.toLowerCase().includes(commonObj)))
+    );
     
-    console.log("🧠 Enhanced structured prompt modification");
-    console.log(`   - Instruction: ${instruction}`);
+    // CRITICAL FIX: Handle related object parts (teeth -> skull, eyes -> face, etc.)
+    const relatedMatches = {
+      'teeth': ['skull', 'head', 'face'],
+      'eyes': ['skull', 'head', 'face'],
+      'mouth': ['skull', 'head', 'face'],
+      'nose': ['skull', 'head', 'face'],
+      'jaw': ['skull', 'head', 'face']
+    };
     
-    // Check for multi-edit patterns and use dedicated multi-edit processing
-    const multiEditPatterns = [
-      ' and ', ' & ', ' plus ', ' also ', ' then ',
-      /add\s+\w+.*add\s+\w+/i,  // Multiple "add" statements
-      /,\s*add/i,               // Comma-separated additions
-    ];
+    const relatedMatch = relatedMatches[target] && relatedMatches[target].some(related => 
+      description.includes(related) || (obj.shape_and_color && obj.shape_and_color.toLowerCase().includes(related))
+    );
     
-    const isMultiEdit = multiEditPatterns.some(pattern => {
-      if (typeof pattern === 'string') {
-        return lowerInstruction.includes(pattern);
-      } else {
-        return pattern.test(instruction);
+    if (matchesDescription || matchesShapeColor || partialMatch || relatedMatch) {
+      console.log(`   - ✅ MATCH FOUND! Modifying object ${i + 1}`);
+      
+      // Apply the modification
+      if (value) {
+        // Enhanced color replacement in description
+        const colorWords = ['red', 'blue', 'green', 'yellow', 'black', 'white', 'brown', 'gray', 'grey', 'purple', 'pink', 'orange', 'gold', 'silver'];
+        
+        // Replace existing color words in description
+        let newDescription = obj.description;
+        for (const color of colorWords) {
+          const colorRegex = new RegExp(`\\b${color}\\b`, 'gi');
+          if (colorRegex.test(newDescription)) {
+            newDescription = newDescription.replace(colorRegex, value);
+            console.log(`     - Replaced "${color}" with "${value}" in description`);
+          }
+        }
+        
+        // If no color was replaced, add the color before the target
+        if (newDescription === obj.description) {
+          const targetRegex = new RegExp(`\\b(${target})\\b`, 'gi');
+          newDescription = newDescription.replace(targetRegex, `${value} $1`);
+          console.log(`     - Added "${value}" before "${target}" in description`);
+        }
+        
+        obj.description = newDescription;
+        
+        // Enhanced color replacement in shape_and_color
+        if (obj.shape_and_color) {
+          let newShapeColor = obj.shape_and_color;
+          for (const color of colorWords) {
+            const colorRegex = new RegExp(`\\b${color}\\b`, 'gi');
+            if (colorRegex.test(newShapeColor)) {
+              newShapeColor = newShapeColor.replace(colorRegex, value);
+              console.log(`     - Replaced "${color}" with "${value}" in shape_and_color`);
+            }
+          }
+          
+          // If no color was replaced, add the color
+          if (newShapeColor === obj.shape_and_color) {
+            newShapeColor = `${value} ${obj.shape_and_color}`;
+            console.log(`     - Added "${value}" to shape_and_color`);
+          }
+          
+          obj.shape_and_color = newShapeColor;
+        }
       }
-    });
-    
-    if (isMultiEdit) {
-      console.log("🔄 Multi-edit detected - using dedicated multi-edit processing");
-      return processMultiEditInstruction(prompt, instruction);
-    }
-    
-    // Preserve transparent background unless explicitly changing background
-    if (!lowerInstruction.includes('background')) {
-      prompt.background = "transparent background";
-      console.log("🔒 Preserving transparent background");
-    }
-    
-    // Enhanced instruction parsing
-    const parsedInstruction = parseInstructionAdvanced(instruction);
-    
-    // Apply modifications based on parsed instruction
-    for (const modification of parsedInstruction.modifications) {
-      applyModificationToPrompt(prompt, modification);
+      
+      // Update appearance details
+      obj.appearance_details = obj.appearance_details ? 
+        `${obj.appearance_details} Modified to ${operation.instruction}.` :
+        `Modified to ${operation.instruction}.`;
+      
+      console.log(`   - ✅ CRITICAL FIX: Object modification completed`);
+      console.log(`     - New description: "${obj.description}"`);
+      console.log(`     - New shape_and_color: "${obj.shape_and_color || 'none'}"`);
+      
+      return true;
     }
-    
-    // Update short description with better context
-    updateShortDescriptionEnhanced(prompt, instruction, parsedInstruction);
-    
-    // Add enhanced modification metadata with NLP insights
-    prompt._enhanced_modification = {
-      instruction,
-      normalized_instruction: parsedInstruction.normalized_form,
-      parsed_modifications: parsedInstruction.modifications,
-      nlp_confidence: parsedInstruction.nlp_confidence,
-      complexity: parsedInstruction.complexity,
-      requires_masking: parsedInstruction.requires_masking,
-      equivalent_phrasings: parsedInstruction.equivalent_phrasings,
-      modification_sources: parsedInstruction.modifications.map(m => m.source || 'unknown'),
-      modified_at: new Date().toISOString(),
-      background_preserved: !lowerInstruction.includes('background'),
-      nlp_version: '2.0_enhanced'
-    };
-    
-    return JSON.stringify(prompt);
-    
-  } catch (error) {
-    console.error("Failed to enhance structured prompt modification:", error);
-    throw error;
   }
+  
+  console.log(`   - ❌ CRITICAL FIX: No matching object found for target "${target}"`);
+  return false;
 }
 
 /**
- * Advanced instruction parsing with enhanced NLP integration
- * Implements Requirements 5.1, 5.2, 5.3, 5.4, 5.5 for natural language understanding
+ * Remove existing object from the objects array (locked objects are kept)
  */
-function parseInstructionAdvanced(instruction) {
-  console.log(`🧠 Enhanced NLP parsing: "${instruction}"`);
-  
-  // Use the enhanced natural language processor for normalization
-  const normalizedInstruction = enhancedNLP.normalizeInstruction(instruction);
-  const lowerInstruction = instruction.toLowerCase();
-  const modifications = [];
-  
-  console.log(`   - Normalized: "${normalizedInstruction.normalized}" (${normalizedInstruction.category})`);
-  console.log(`   - Confidence: ${normalizedInstruction.confidence}`);
-  
-  // Process based on normalized category first (Requirements 5.3)
-  if (normalizedInstruction.category !== 'unknown' && normalizedInstruction.confidence > 0.7) {
-    const modification = createModificationFromNormalizedInstruction(normalizedInstruction);
-    if (modification) {
-      modifications.push(modification);
-      console.log(`   - Added NLP-based modification: ${modification.type}`);
-    }
-  }
-  
-  // Enhanced multi-operation parsing for complex instructions (Requirements 5.4)
-  const multiOperations = parseMultipleOperations(instruction);
-  for (const operation of multiOperations) {
-    if (!modifications.some(m => areModificationsEquivalent(m, operation))) {
-      modifications.push(operation);
-      console.log(`   - Added multi-op modification: ${operation.type}`);
-    }
-  }
-  
-  // Fallback to pattern-based parsing for additional operations (Requirements 5.5)
-  const patternBasedMods = parseWithEnhancedPatterns(instruction);
-  for (const mod of patternBasedMods) {
-    if (!modifications.some(m => areModificationsEquivalent(m, mod))) {
-      modifications.push(mod);
-      console.log(`   - Added pattern-based modification: ${mod.type}`);
-    }
-  }
+function removeExistingObject(objects, operation, lockedElements = []) {
+  const target = operation.target.toLowerCase();
+  const initialLength = objects.length;
   
-  // Enhanced texture/material detection with synonym support
-  const textureModifications = parseTextureOperationsEnhanced(instruction);
-  for (const textureMod of textureModifications) {
-    if (!modifications.some(m => areModificationsEquivalent(m, textureMod))) {
-      modifications.push(textureMod);
-      console.log(`   - Added texture modification: ${textureMod.type}`);
+  // Remove objects that match the target
+  for (let i = objects.length - 1; i >= 0; i--) {
+    if (isObjectLocked(objects[i], lockedElements)) continue;
+    if (objects[i].description && objects[i].description.toLowerCase().includes(target)) {
+      objects.splice(i, 1);
     }
   }
   
-  console.log(`   - Total modifications found: ${modifications.length}`);
-  
-  return {
-    modifications,
-    complexity: determineComplexity(modifications),
-    requires_masking: modifications.some(m => m.specificity === 'very_high'),
-    nlp_confidence: normalizedInstruction.confidence,
-    normalized_form: normalizedInstruction.normalized,
-    equivalent_phrasings: enhancedNLP.getEquivalentPhrasings(instruction)
-  };
+  return objects.length < initialLength;
 }
 
 /**
- * Create modification from normalized NLP instruction
+ * Move objects matching the operation's target to its location
  */
-function createModificationFromNormalizedInstruction(normalizedInstruction) {
-  const { category, extractedData, confidence } = normalizedInstruction;
-  
-  switch (category) {
-    case 'addition':
-      return {
-        type: 'addition',
-        item: extractedData.object,
-        location: extractedData.location,
-        specificity: determineSpecificity(extractedData.object, extractedData.location),
-        confidence: confidence,
-        source: 'nlp'
-      };
-      
-    case 'colorChange':
-      return {
-        type: 'color_change',
-        target: extractedData.target,
-        new_color: extractedData.color,
-        specificity: 'high',
-        confidence: confidence,
-        source: 'nlp'
-      };
-      
-    case 'background':
-      return {
-        type: 'background_change',
-        description: extractedData.description,
-        specificity: 'medium',
-        confidence: confidence,
-        source: 'nlp'
-      };
-      
-    case 'modification':
-      return {
-        type: 'modification',
-        target: extractedData.target,
-        value: extractedData.value,
-        specificity: 'medium',
-        confidence: confidence,
-        source: 'nlp'
-      };
-      
-    case 'removal':
-      return {
-        type: 'removal',
-        target: extractedData.target,
-        specificity: 'high',
-        confidence: confidence,
-        source: 'nlp'
-      };
-      
-    default:
-      return null;
-  }
-}
+function moveExistingObject(objects, operation, lockedElements = []) {
+  const target = operation.target.toLowerCase();
+  let moved = false;
 
-/**
- * Parse multiple operations in a single instruction (Requirements 5.4)
- */
-function parseMultipleOperations(instruction) {
-  const operations = [];
-  const lowerInstruction = instruction.toLowerCase();
-  
-  // Split on common conjunctions and process each part
-  const conjunctions = [' and ', ' also ', ' plus ', ' then ', ', '];
-  let parts = [instruction];
-  
-  for (const conjunction of conjunctions) {
-    const newParts = [];
-    for (const part of parts) {
-      newParts.push(...part.split(conjunction));
-    }
-    parts = newParts;
-  }
-  
-  // Process each part separately
-  for (const part of parts) {
-    const trimmedPart = part.trim();
-    if (trimmedPart.length > 3) { // Ignore very short parts
-      const normalizedPart = enhancedNLP.normalizeInstruction(trimmedPart);
-      if (normalizedPart.category !== 'unknown') {
-        const modification = createModificationFromNormalizedInstruction(normalizedPart);
-        if (modification) {
-          operations.push(modification);
-        }
-      }
+  for (const object of objects) {
+    if (isObjectLocked(object, lockedElements)) continue;
+    if (object.description && object.description.toLowerCase().includes(target) && operation.location) {
+      object.location = operation.location;
+      moved = true;
     }
   }
-  
-  return operations;
+
+  return moved;
 }
 
 /**
- * Enhanced pattern-based parsing with better synonym support
+ * Update short description based on applied operations
  */
-function parseWithEnhancedPatterns(instruction) {
-  const modifications = [];
-  const lowerInstruction = instruction.toLowerCase();
-  
-  // Enhanced addition patterns with synonym support
-  const additionPatterns = [
-    /(?:add|put|place|attach|give\s+(?:him|her|it|them))\s+(?:a\s+|an\s+|some\s+)?(.+?)(?:\s+(?:to|on|onto|for)\s+(.+?))?(?:\s+and|$)/gi,
-    /(?:equip|outfit)\s+(?:with\s+)?(?:a\s+|an\s+|some\s+)?(.+)/gi,
-    /(?:put|place)\s+(?:a\s+|an\s+|some\s+)?(.+?)\s+on(?:\s+(.+?))?$/gi
-  ];
-  
-  for (const pattern of additionPatterns) {
-    let match;
-    while ((match = pattern.exec(instruction)) !== null) {
-      modifications.push({
-        type: 'addition',
-        item: match[1].trim(),
-        location: match[2] ? match[2].trim() : null,
-        specificity: determineSpecificity(match[1].trim(), match[2]),
-        source: 'pattern'
-      });
-    }
-  }
-  
-  // Enhanced color change patterns
-  const colorPatterns = [
-    /(?:make|turn|change)\s+(?:the\s+)?(.+?)\s+(?:color\s+(?:to\s+)?)?(\w+)/gi,
-    /(?:color|paint|dye|tint)\s+(?:the\s+)?(.+?)\s+(\w+)/gi,
-    /(?:add|give)\s+(\w+)\s+(.+)/gi,
-    /give\s+(?:him|her|it|them)\s+(\w+)\s+(.+)/gi
-  ];
+function updateShortDescriptionForOperations(modifiedPrompt, operations, backgroundModified) {
+  // Add information about additions
+  const addedItems = operations
+    .filter(op => op.type === 'object_addition')
+    .map(op => op.object || op.target)
+    .filter(item => item)
+    .join(', ');
   
-  for (const pattern of colorPatterns) {
-    let match;
-    while ((match = pattern.exec(instruction)) !== null) {
-      // Handle different capture group orders
-      let target, color;
-      if (isColorWord(match[1])) {
-        color = match[1].trim();
-        target = match[2].trim();
-      } else {
-        target = match[1].trim();
-        color = match[2].trim();
-      }
-      
-      modifications.push({
-        type: 'color_change',
-        target: target,
-        new_color: color,
-        specificity: 'high',
-        source: 'pattern'
-      });
-    }
+  if (addedItems) {
+    modifiedPrompt.short_description += ` Enhanced with: ${addedItems}.`;
   }
   
-  // Enhanced background patterns
-  const backgroundPatterns = [
-    /(?:make|change|set|turn)\s+(?:the\s+)?background\s+(?:to\s+|into\s+)?(.+)/gi,
-    /(?:add|put|give|place)\s+(?:a\s+)?(.+)\s+background/gi,
-    /background\s+(?:of\s+|with\s+)?(.+)/gi,
-    /(.+)\s+(?:falling\s+)?behind\s+(?:him|her|it|them)/gi
-  ];
+  // Add information about modifications
+  const modifiedItems = operations
+    .filter(op => op.type === 'object_modification')
+    .map(op => `${op.target} (${op.value || 'modified'})`)
+    .join(', ');
   
-  for (const pattern of backgroundPatterns) {
-    let match;
-    while ((match = pattern.exec(instruction)) !== null) {
-      modifications.push({
-        type: 'background_change',
-        description: match[1].trim(),
-        specificity: 'medium',
-        source: 'pattern'
-      });
-    }
+  if (modifiedItems) {
+    modifiedPrompt.short_description += ` Modified: ${modifiedItems}.`;
   }
-  
-  return modifications;
-}
 
-/**
- * Enhanced texture operations parsing with better detection
- */
-function parseTextureOperationsEnhanced(instruction) {
-  const modifications = [];
-  const lowerInstruction = instruction.toLowerCase();
-  
-  // Enhanced texture keywords with synonyms
-  const textureMap = {
-    'blood': ['blood', 'bleeding', 'bloody', 'gore', 'red liquid'],
-    'crack': ['crack', 'fracture', 'split', 'break', 'fissure'],
-    'scar': ['scar', 'wound', 'cut', 'gash', 'mark'],
-    'drip': ['drip', 'dripping', 'drop', 'trickle', 'leak'],
-    'glow': ['glow', 'glowing', 'shine', 'shining', 'luminous', 'bright'],
-    'rust': ['rust', 'rusty', 'corroded', 'oxidized', 'weathered'],
-    'dirt': ['dirt', 'dirty', 'mud', 'muddy', 'filthy', 'grimy'],
-    'burn': ['burn', 'burnt', 'charred', 'scorched', 'fire damage']
-  };
-  
-  for (const [mainTexture, synonyms] of Object.entries(textureMap)) {
-    for (const synonym of synonyms) {
-      if (lowerInstruction.includes(synonym)) {
-        const target = extractTextureTargetEnhanced(instruction, synonym);
-        modifications.push({
-          type: 'texture_addition',
-          texture: mainTexture,
-          synonym_used: synonym,
-          target: target,
-          specificity: 'very_high',
-          source: 'texture_enhanced'
-        });
-        break; // Only add once per main texture type
-      }
-    }
+  // General edits apply to the whole design
+  const generalEdits = operations
+    .filter(op => op.type === 'general_edit')
+    .map(op => op.instruction)
+    .join('; ');
+
+  if (generalEdits) {
+    modifiedPrompt.short_description += ` Edited: ${generalEdits}.`;
   }
   
-  return modifications;
+  // Handle background preservation
+  if (!backgroundModified && !modifiedPrompt.short_description.toLowerCase().includes('transparent background')) {
+    modifiedPrompt.short_description += ' Maintains transparent background for t-shirt printing.';
+  }
 }
 
 /**
- * Enhanced texture target extraction
+ * Enhanced structured prompt refinement with background context management
+ * Implements Requirements 2.1, 2.3 for background persistence and context isolation
  */
-function extractTextureTargetEnhanced(instruction, texture) {
-  const lowerInstruction = instruction.toLowerCase();
-  
-  // Enhanced patterns for target extraction
-  const targetPatterns = [
-    new RegExp(`${texture}\\s+(?:to|on|onto|at)\\s+(?:the\\s+)?(.+?)(?:\\s|$)`, 'i'),
-    new RegExp(`(?:add|put|place)\\s+${texture}\\s+(?:to|on|onto|at)\\s+(?:the\\s+)?(.+?)(?:\\s|$)`, 'i'),
-    new RegExp(`(.+?)\\s+(?:with|having)\\s+${texture}`, 'i'),
-    new RegExp(`${texture}\\s+(.+?)(?:\\s|$)`, 'i')
-  ];
+async function performEnhancedStructuredRefinementEnhanced(imageUrl, instruction, originalData, refinementPlan, backgroundContext) {
+  console.log("🎯 Performing enhanced structured prompt refinement with background persistence");
+  console.log(`   - Instruction: ${instruction}`);
+  console.log(`   - Background context: ${backgroundContext ? backgroundContext.background || 'transparent' : 'none'}`);
+  const chainKey = backgroundContext?.chainKey || imageUrl;
   
-  for (const pattern of targetPatterns) {
-    const match = lowerInstruction.match(pattern);
-    if (match && match[1]) {
-      return match[1].trim();
-    }
-  }
+  // Get current background state from refinement chain (Requirements 4.1, 4.2, 4.3)
+  const currentBackgroundState = backgroundContextManager.getCurrentBackgroundState(chainKey);
+  console.log(`   - Current background state: ${currentBackgroundState.type} - "${currentBackgroundState.description}"`);
   
-  // Enhanced body part and object detection
-  const commonTargets = [
-    'nose', 'face', 'head', 'hand', 'arm', 'leg', 'chest', 'skull', 
-    'tooth', 'teeth', 'eye', 'eyes', 'skin', 'body', 'finger', 'fingers',
-    'clothes', 'shirt', 'jacket', 'hat', 'hair'
-  ];
+  // Update refinement chain with current operation
+  const isBackgroundOperation = backgroundContextManager.isBackgroundOperation(instruction);
+  backgroundContextManager.updateRefinementChainBackground(chainKey, instruction, isBackgroundOperation);
   
-  for (const target of commonTargets) {
-    if (lowerInstruction.includes(target)) {
-      return target;
-    }
+  if (!originalData?.structured_prompt) {
+    console.warn("⚠️  No structured prompt available, using enhanced prompt-based approach with background context");
+    return await performEnhancedPromptRefinementWithBackgroundContext(imageUrl, instruction, originalData, backgroundContext);
   }
   
-  return null;
-}
-
-/**
- * Check if two modifications are equivalent
- */
-function areModificationsEquivalent(mod1, mod2) {
-  if (mod1.type !== mod2.type) return false;
-  
-  switch (mod1.type) {
-    case 'addition':
-      return mod1.item === mod2.item && mod1.location === mod2.location;
-    case 'color_change':
-      return mod1.target === mod2.target && mod1.new_color === mod2.new_color;
-    case 'background_change':
-      return mod1.description === mod2.description;
-    case 'texture_addition':
-      return mod1.texture === mod2.texture && mod1.target === mod2.target;
-    case 'removal':
-      return mod1.target === mod2.target;
-    default:
-      return false;
-  }
-}
-
-/**
- * Determine complexity based on modifications
- */
-function determineComplexity(modifications) {
-  if (modifications.length === 0) return 'none';
-  if (modifications.length === 1) return 'single_step';
-  if (modifications.length <= 3) return 'multi_step';
-  return 'complex';
-}
+  try {
+    // Create intelligent modification of structured prompt with background context
+    const modifiedPrompt = enhancedStructuredPromptModificationWithBackground(
+      originalData.structured_prompt, 
+      instruction, 
+      backgroundContext,
+      refinementPlan?.operations
+    );
+    
+    console.log("🎨 Generating image with enhanced structured prompt and background context");
+    
+    const result = await briaRequest('generate', {
+      structured_prompt: modifiedPrompt,
+      sync: false
+    });
 
-/**
- * Check if a word is a color
- */
-function isColorWord(word) {
-  const colors = [
-    'red', 'blue', 'green', 'yellow', 'orange', 'purple', 'pink', 'brown', 
-    'black', 'white', 'gray', 'grey', 'gold', 'golden', 'silver', 'bronze',
-    'crimson', 'scarlet', 'azure', 'emerald', 'amber', 'violet', 'indigo',
-    'maroon', 'navy', 'teal', 'lime', 'olive', 'cyan', 'magenta'
-  ];
-  return colors.includes(word.toLowerCase());
-}
+    if (!result.success) {
+      console.error("❌ Enhanced structured refinement failed:", result.error);
+      return result;
+    }
 
-/**
- * Apply modification to structured prompt
- */
-function applyModificationToPrompt(prompt, modification) {
-  switch (modification.type) {
-    case 'addition':
-      if (!prompt.objects) prompt.objects = [];
-      prompt.objects.push(createEnhancedObject(modification.item, modification.location));
-      break;
+    const { request_id } = result.data;
+    console.log(`📝 Enhanced refinement request ID: ${request_id}`);
+    
+    const pollResult = await pollBriaStatus(request_id);
+    
+    // Enhanced background preservation logic using refinement chain (Requirements 4.1, 4.2, 4.3)
+    const updatedBackgroundState = backgroundContextManager.getCurrentBackgroundState(chainKey);
+    let finalImageUrl = pollResult.imageUrl;
+    
+    if (!isBackgroundOperation) {
+      console.log("🔒 Non-background operation - preserving background from refinement chain");
       
-    case 'color_change':
-      if (prompt.objects) {
-        for (let obj of prompt.objects) {
-          if (obj.description && obj.description.toLowerCase().includes(modification.target)) {
-            obj.shape_and_color = obj.shape_and_color?.replace(/\b\w+(?=\s+(color|colored))/gi, modification.new_color) || `${modification.new_color} colored`;
-            obj.description = obj.description.replace(new RegExp(`\\b\\w+\\s+(${modification.target})`, 'gi'), `${modification.new_color} $1`);
-            break;
-          }
+      // Preserve background based on refinement chain state (Requirements 4.1, 4.2)
+      if (updatedBackgroundState.type === 'default' || updatedBackgroundState.description === 'transparent background') {
+        // Maintain transparent background (Requirements 4.3)
+        console.log("🔒 Preserving transparent background based on refinement chain");
+        
+        const backgroundRemovalResult = await briaRequest('remove_background', {
+          image: pollResult.imageUrl,
+          sync: false
+        });
+
+        if (backgroundRemovalResult.success) {
+          console.log(`📝 Background preservation removal request ID: ${backgroundRemovalResult.data.request_id}`);
+          const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
+          finalImageUrl = bgRemovalPollResult.imageUrl;
+          console.log(`✅ Transparent background preserved after refinement`);
+        } else {
+          console.warn(`⚠️  Background preservation failed: ${backgroundRemovalResult.error?.message}`);
         }
+      } else if (updatedBackgroundState.isExplicitlySet && updatedBackgroundState.preserveAcrossRefinements) {
+        console.log(`🔒 Preserving explicit background: "${updatedBackgroundState.description}"`);
+        // The background should already be preserved in the structured prompt modification
       }
-      break;
-      
-    case 'background_change':
-      prompt.background = modification.description;
-      break;
-      
-    case 'texture_addition':
-      if (!prompt.objects) prompt.objects = [];
-      prompt.objects.push(createTextureObject(modification.texture, modification.target));
-      break;
-      
-    case 'removal':
-      if (prompt.objects) {
-        prompt.objects = prompt.objects.filter(obj => 
-          !obj.description.toLowerCase().includes(modification.target)
-        );
-      }
-      break;
+    } else {
+      console.log(`🎨 Background operation detected - background state updated in refinement chain`);
+    }
+    
+    return {
+      success: true,
+      imageUrl: finalImageUrl,
+      request_id,
+      structured_prompt: pollResult.result?.structured_prompt || modifiedPrompt,
+      edit_type: backgroundContextManager.isBackgroundOperation(instruction) ? 'background_edit' : 'enhanced_structured_refinement',
+      background_context: backgroundContext,
+      context_isolated: true
+    };
+
+  } catch (error) {
+    console.error("❌ Enhanced structured refinement with background context failed:", error);
+    return {
+      success: false,
+      error: { message: `Enhanced structured refinement failed: ${error.message}` }
+    };
   }
 }
 
 /**
- * Create enhanced object with better positioning
+ * Original enhanced structured prompt refinement (preserved for compatibility)
  */
-function createEnhancedObject(item, location) {
-  const enhancedObjects = {
-    'hat': {
-      description: "A stylish hat positioned naturally on the character's head",
-      location: location || "top-center, on head",
-      relationship: "Worn by the main character",
-      relative_size: "proportional to head size",
-      shape_and_color: "Hat-appropriate shape with complementary colors",
-      texture: "Fabric or material suitable for the hat style",
-      appearance_details: "Natural fit and positioning, maintains character aesthetic",
-      number_of_objects: 1,
-      orientation: "Upright, following head angle"
-    },
-    'cigar': {
-      description: "A realistic cigar held or positioned by the character",
-      location: location || "near mouth or in hand",
-      relationship: "Held or positioned by the main character",
-      relative_size: "realistic cigar proportions",
-      shape_and_color: "Cylindrical brown cigar with natural tobacco coloring",
-      texture: "Tobacco leaf texture with realistic surface details",
-      appearance_details: "Natural positioning appropriate to character pose",
-      number_of_objects: 1,
-      orientation: "Appropriate to character's grip or mouth position"
-    },
-    'eye': {
-      description: "A detailed eye positioned naturally in the socket",
-      location: location || "eye socket area",
-      relationship: "Part of the character's facial features",
-      relative_size: "proportional to face and socket size",
-      shape_and_color: "Natural eye shape with appropriate iris color",
-      texture: "Realistic eye surface with natural moisture and detail",
-      appearance_details: "Natural positioning within socket, proper alignment",
-      number_of_objects: 1,
-      orientation: "Forward-facing with natural gaze direction"
-    }
-  };
+async function performEnhancedStructuredRefinement(imageUrl, instruction, originalData, refinementPlan) {
+  console.log("🎯 Performing enhanced structured prompt refinement");
+  console.log(`   - Instruction: ${instruction}`);
   
-  return enhancedObjects[item] || createGenericObject(item, location);
-}
+  if (!originalData?.structured_prompt) {
+    console.warn("⚠️  No structured prompt available, using enhanced prompt-based approach");
+    return await performEnhancedPromptRefinement(imageUrl, instruction, originalData);
+  }
+  
+  try {
+    // Create intelligent modification of structured prompt
+    const modifiedPrompt = enhancedStructuredPromptModification(originalData.structured_prompt, instruction, refinementPlan?.operations);
+    
+    console.log("🎨 Generating image with enhanced structured prompt");
+    
+    const result = await briaRequest('generate', {
+      structured_prompt: modifiedPrompt,
+      sync: false
+    });
 
-/**
- * Create texture object for unusual additions
- */
-function createTextureObject(texture, target) {
-  const textureObjects = {
-    'blood': {
-      description: `Blood effect applied to ${target || 'the character'} with realistic flow and coloring`,
-      location: target ? `on ${target}` : "appropriate location",
-      relationship: `Applied to ${target || 'the main character'}`,
-      relative_size: "realistic blood droplet or flow size",
-      shape_and_color: "Dark red blood with natural flow patterns",
-      texture: "Liquid blood texture with appropriate viscosity appearance",
-      appearance_details: "Realistic blood flow following gravity and surface contours",
-      number_of_objects: 1,
-      orientation: "Following natural flow patterns"
-    },
-    'crack': {
-      description: `A realistic crack or fracture on ${target || 'the surface'}`,
-      location: target ? `on ${target}` : "appropriate surface location",
-      relationship: `Surface damage on ${target || 'the main subject'}`,
-      relative_size: "proportional crack size for the surface",
-      shape_and_color: "Dark crack lines with natural fracture patterns",
-      texture: "Rough fractured surface texture",
-      appearance_details: "Realistic crack propagation and depth variation",
-      number_of_objects: 1,
-      orientation: "Following natural stress patterns"
+    if (!result.success) {
+      console.error("❌ Enhanced structured refinement failed:", result.error);
+      return result;
     }
-  };
-  
-  return textureObjects[texture] || createGenericTextureObject(texture, target);
-}
 
-/**
- * Update short description with enhanced NLP context
- * Implements Requirements 5.1, 5.2, 5.3, 5.4, 5.5 for natural language understanding
- */
-function updateShortDescriptionEnhanced(prompt, instruction, parsedInstruction) {
-  if (!prompt.short_description) return;
-  
-  console.log(`📝 Updating description with NLP confidence: ${parsedInstruction.nlp_confidence}`);
-  
-  const isBackgroundEdit = parsedInstruction.modifications.some(m => m.type === 'background_change');
-  
-  if (isBackgroundEdit) {
-    const bgMod = parsedInstruction.modifications.find(m => m.type === 'background_change');
-    prompt.short_description = prompt.short_description.replace(
-      /transparent background|against a transparent background/gi, 
-      bgMod.description
-    );
-    console.log(`   - Background updated to: "${bgMod.description}"`);
-  } else {
-    // Enhanced modification summary with NLP insights
-    const modificationSummary = createEnhancedModificationSummary(parsedInstruction);
+    const { request_id } = result.data;
+    console.log(`📝 Enhanced refinement request ID: ${request_id}`);
     
-    prompt.short_description += ` Enhanced with ${modificationSummary}.`;
+    const pollResult = await pollBriaStatus(request_id);
     
-    // Add NLP confidence indicator for high-confidence modifications
-    if (parsedInstruction.nlp_confidence > 0.8) {
-      prompt.short_description += ` (High-confidence NLP parsing)`;
-    }
+    // Apply background preservation logic
+    const lowerInstruction = instruction.toLowerCase();
+    const isBackgroundEdit = lowerInstruction.includes('background') && 
+                            (lowerInstruction.includes('add') || lowerInstruction.includes('change'));
+    
+    let finalImageUrl = pollResult.imageUrl;
     
-    if (!prompt.short_description.toLowerCase().includes('transparent background')) {
-      prompt.short_description += ' Maintains transparent background for t-shirt printing.';
+    if (!isBackgroundEdit) {
+      console.log("🔒 Non-background edit detected - ensuring transparent background");
+      
+      const backgroundRemovalResult = await briaRequest('remove_background', {
+        image: pollResult.imageUrl,
+        sync: false
+      });
+
+      if (backgroundRemovalResult.success) {
+        console.log(`📝 Post-refinement background removal request ID: ${backgroundRemovalResult.data.request_id}`);
+        const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
+        finalImageUrl = bgRemovalPollResult.imageUrl;
+        console.log(`✅ Background successfully removed after refinement`);
+      } else {
+        console.warn(`⚠️  Post-refinement background removal failed: ${backgroundRemovalResult.error?.message}`);
+      }
     }
     
-    console.log(`   - Added modifications: ${modificationSummary}`);
-  }
-  
-  // Add NLP metadata to prompt for debugging
-  if (!prompt._nlp_metadata) {
-    prompt._nlp_metadata = {
-      normalized_form: parsedInstruction.normalized_form,
-      confidence: parsedInstruction.nlp_confidence,
-      equivalent_phrasings: parsedInstruction.equivalent_phrasings,
-      modification_sources: parsedInstruction.modifications.map(m => ({
-        type: m.type,
-        source: m.source || 'unknown',
-        confidence: m.confidence || 0
-      }))
+    return {
+      success: true,
+      imageUrl: finalImageUrl,
+      request_id,
+      structured_prompt: pollResult.result?.structured_prompt || modifiedPrompt,
+      edit_type: isBackgroundEdit ? 'background_edit' : 'enhanced_structured_refinement'
+    };
+
+  } catch (error) {
+    console.error("❌ Enhanced structured refinement failed:", error);
+    return {
+      success: false,
+      error: { message: `Enhanced structured refinement failed: ${error.message}` }
     };
   }
 }
 
 /**
- * Create enhanced modification summary with NLP insights
+ * Enhanced structured prompt modification with background context management
+ * Implements Requirements 2.1, 2.3 for background persistence and context isolation
  */
-function createEnhancedModificationSummary(parsedInstruction) {
-  const modifications = parsedInstruction.modifications;
-  
-  if (modifications.length === 0) {
-    return 'no modifications detected';
-  }
-  
-  // Group modifications by source for better summary
-  const nlpMods = modifications.filter(m => m.source === 'nlp');
-  const patternMods = modifications.filter(m => m.source === 'pattern');
-  const textureMods = modifications.filter(m => m.source === 'texture_enhanced');
-  
-  const summaryParts = [];
-  
-  if (nlpMods.length > 0) {
-    const nlpSummary = nlpMods
-      .map(m => `${m.type.replace('_', ' ')}: ${m.item || m.target || m.texture}`)
-      .join(', ');
-    summaryParts.push(`NLP-detected (${nlpSummary})`);
-  }
-  
-  if (patternMods.length > 0) {
-    const patternSummary = patternMods
-      .map(m => `${m.type.replace('_', ' ')}: ${m.item || m.target || m.texture}`)
-      .join(', ');
-    summaryParts.push(`pattern-based (${patternSummary})`);
-  }
-  
-  if (textureMods.length > 0) {
-    const textureSummary = textureMods
-      .map(m => `${m.texture} texture${m.target ? ` on ${m.target}` : ''}`)
-      .join(', ');
-    summaryParts.push(`texture effects (${textureSummary})`);
-  }
-  
-  // Fallback for other modifications
-  const otherMods = modifications.filter(m => !m.source || !['nlp', 'pattern', 'texture_enhanced'].includes(m.source));
-  if (otherMods.length > 0) {
-    const otherSummary = otherMods
-      .map(m => `${m.type.replace('_', ' ')}: ${m.item || m.target || m.texture}`)
-      .join(', ');
-    summaryParts.push(`additional (${otherSummary})`);
+function enhancedStructuredPromptModificationWithBackground(originalPromptString, instruction, backgroundContext, operations) {
+  try {
+    const prompt = JSON.parse(originalPromptString);
+    const lowerInstruction = instruction.toLowerCase();
+    
+    console.log("🧠 Enhanced structured prompt modification with background context");
+    console.log(`   - Instruction: ${instruction}`);
+    console.log(`   - Background context: ${backgroundContext ? backgroundContext.background || 'none' : 'none'}`);
+    
+    // Apply background context management (Requirements 2.1, 2.3)
+    if (backgroundContext) {
+      if (backgroundContextManager.isBackgroundOperation(instruction)) {
+        // For background operations, use the new background (Requirements 2.2, 2.4)
+        const newBackground = extractBackgroundDescriptionEnhanced(instruction);
+        prompt.background = newBackground;
+        console.log(`🎨 Applied new background from instruction: "${newBackground}"`);
+      } else if (backgroundContext.background && backgroundContext.isExplicitlySet) {
+        // Preserve existing background for non-background operations (Requirements 2.1)
+        prompt.background = backgroundContext.background;
+        console.log(`🔒 Preserved existing background: "${backgroundContext.background}"`);
+      } else {
+        // Ensure transparent background to prevent theme inference (Requirements 2.3)
+        prompt.background = "transparent background";
+        console.log(`🚫 Set transparent background to prevent theme inference`);
+      }
+    } else {
+      // No context - prevent background inference (Requirements 2.3)
+      if (!lowerInstruction.includes('background')) {
+        prompt.background = "transparent background";
+        console.log(`🔒 No context - preserving transparent background`);
+      }
+    }
+    
+    // Continue with original modification logic
+    return enhancedStructuredPromptModification(JSON.stringify(prompt), instruction, operations);
+    
+  } catch (error) {
+    console.error("Failed to enhance structured prompt modification with background context:", error);
+    throw error;
   }
-  
-  return summaryParts.join('; ');
 }
 
 /**
- * Determine specificity level for masking decisions
+ * Structured prompt for a refinement: the instruction's operations (parsed by the
+ * instruction grammar unless the refinement plan passes them) applied to the design's prompt
  */
-function determineSpecificity(item, location) {
-  const highSpecificityItems = ['blood', 'crack', 'scar', 'eye', 'tooth', 'nail'];
-  const mediumSpecificityItems = ['hat', 'cigar', 'glasses', 'jewelry'];
-  
-  if (highSpecificityItems.some(keyword => item.includes(keyword))) {
-    return 'very_high';
-  } else if (mediumSpecificityItems.some(keyword => item.includes(keyword))) {
-    return 'high';
-  } else if (location) {
-    return 'medium';
-  } else {
-    return 'low';
+function enhancedStructuredPromptModification(originalPromptString, instruction, operations = parseRefinementOperations(instruction).operations) {
+  try {
+    const prompt = JSON.parse(originalPromptString);
+
+    console.log("🧠 Enhanced structured prompt modification");
+    console.log(`   - Instruction: ${instruction}`);
+
+    return JSON.stringify(applyCombinedOperations(prompt, operations, instruction));
+
+  } catch (error) {
+    console.error("Failed to enhance structured prompt modification:", error);
+    throw error;
   }
 }
 
@@ -5845,40 +4461,6 @@ function extractTextureTarget(instruction, texture) {
   return null;
 }
 
-/**
- * Create generic object for unknown items
- */
-function createGenericObject(item, location) {
-  return {
-    description: `A ${item} positioned naturally within the scene`,
-    location: location || "appropriate position relative to main character",
-    relationship: "Associated with or worn by the main character",
-    relative_size: "proportional and realistic for the item type",
-    shape_and_color: `Appropriate ${item} appearance with suitable colors`,
-    texture: "Material texture suitable for the item type",
-    appearance_details: "Natural integration maintaining scene coherence",
-    number_of_objects: 1,
-    orientation: "Natural positioning for the item type"
-  };
-}
-
-/**
- * Create generic texture object
- */
-function createGenericTextureObject(texture, target) {
-  return {
-    description: `${texture} effect applied to ${target || 'the character'} with realistic appearance`,
-    location: target ? `on ${target}` : "appropriate location",
-    relationship: `Surface effect on ${target || 'the main character'}`,
-    relative_size: "realistic scale for the effect type",
-    shape_and_color: `Natural ${texture} coloring and patterns`,
-    texture: `Realistic ${texture} surface texture`,
-    appearance_details: "Natural application following surface contours",
-    number_of_objects: 1,
-    orientation: "Following natural patterns"
-  };
-}
-
 /**
  * Enhanced background replacement with context isolation
  * Implements Requirements 2.1, 2.2, 2.4, 2.5 for background generation fixes
@@ -5893,7 +4475,7 @@ async function performBackgroundReplacementEnhanced(imageUrl, instruction, origi
   console.log(`   - Enhanced background description: "${backgroundDesc}"`);
   
   // Ensure complete background replacement (Requirements 2.4)
-  const result = await briaRequest(`${BRIA_EDIT_BASE_URL}/replace_background`, {
+  const result = await briaRequest('replace_background', {
     image: imageUrl,
     prompt: backgroundDesc,
     sync: false
@@ -5926,41 +4508,6 @@ async function performBackgroundReplacementEnhanced(imageUrl, instruction, origi
   };
 }
 
-/**
- * Original background editing (preserved for compatibility)
- */
-async function performBackgroundEdit(imageUrl, instruction, originalData) {
-  console.log("🎨 Performing dedicated background edit");
-  console.log(`   - Instruction: ${instruction}`);
-  
-  const backgroundDesc = extractBackgroundDescription(instruction);
-  
-  // Use background replacement endpoint for better results
-  const result = await briaRequest(`${BRIA_EDIT_BASE_URL}/replace_background`, {
-    image: imageUrl,
-    prompt: backgroundDesc,
-    sync: false
-  });
-
-  if (!result.success) {
-    console.warn("⚠️  Background replacement failed, falling back to generation approach");
-    return await performEnhancedPromptRefinement(imageUrl, instruction, originalData);
-  }
-
-  const { request_id } = result.data;
-  console.log(`📝 Background replacement request ID: ${request_id}`);
-  
-  const pollResult = await pollBriaStatus(request_id);
-  
-  return {
-    success: true,
-    imageUrl: pollResult.imageUrl,
-    request_id,
-    structured_prompt: pollResult.result?.structured_prompt,
-    edit_type: 'background_replacement'
-  };
-}
-
 /**
  * Enhanced prompt-based refinement with background context management
  * Implements Requirements 2.1, 2.2, 2.3 for background generation logic fixes
@@ -5993,7 +4540,7 @@ async function performEnhancedPromptRefinementWithBackgroundContext(imageUrl, in
     console.log(`🔒 Non-background edit prompt with preserved context: "${enhancedPrompt}"`);
   }
   
-  const result = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
+  const result = await briaRequest('generate', {
     prompt: enhancedPrompt,
     sync: false
   });
@@ -6011,7 +4558,7 @@ async function performEnhancedPromptRefinementWithBackgroundContext(imageUrl, in
   if (!isBackgroundEdit) {
     console.log("🔒 Ensuring transparent background for enhanced prompt refinement");
     
-    const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
+    const backgroundRemovalResult = await briaRequest('remove_background', {
       image: pollResult.imageUrl,
       sync: false
     });
@@ -6060,7 +4607,7 @@ async function performEnhancedPromptRefinement(imageUrl, instruction, originalDa
   
   console.log(`📝 Using enhanced prompt: ${enhancedPrompt}`);
   
-  const result = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
+  const result = await briaRequest('generate', {
     prompt: enhancedPrompt,
     sync: false
   });
@@ -6078,7 +4625,7 @@ async function performEnhancedPromptRefinement(imageUrl, instruction, originalDa
   if (!isBackgroundEdit) {
     console.log("🔒 Ensuring transparent background for enhanced prompt refinement");
     
-    const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
+    const backgroundRemovalResult = await briaRequest('remove_background', {
       image: pollResult.imageUrl,
       sync: false
     });
@@ -6101,110 +4648,6 @@ async function performEnhancedPromptRefinement(imageUrl, instruction, originalDa
   };
 }
 
-/**
- * Intelligently modify structured prompt based on instruction
- */
-function modifyStructuredPromptIntelligently(originalPromptString, instruction) {
-  try {
-    const prompt = JSON.parse(originalPromptString);
-    const lowerInstruction = instruction.toLowerCase();
-    
-    console.log("🧠 Intelligently modifying structured prompt");
-    console.log(`   - Instruction: ${instruction}`);
-    
-    // CRITICAL: Always preserve transparent background unless explicitly changing background
-    if (!lowerInstruction.includes('background')) {
-      prompt.background = "transparent background";
-      console.log("🔒 Preserving transparent background");
-    }
-    
-    // Handle different types of modifications
-    if (lowerInstruction.includes('add') && !lowerInstruction.includes('background')) {
-      // Adding objects
-      const newObject = createIntelligentObject(instruction);
-      if (!prompt.objects) {
-        prompt.objects = [];
-      }
-      prompt.objects.push(newObject);
-      console.log(`✅ Added object: ${newObject.description}`);
-      
-    } else if (lowerInstruction.includes('change') && lowerInstruction.includes('color')) {
-      // Color changes
-      const targetObject = extractTargetObject(instruction);
-      const newColor = extractColor(instruction);
-      
-      if (targetObject && newColor && prompt.objects) {
-        for (let obj of prompt.objects) {
-          if (obj.description && obj.description.toLowerCase().includes(targetObject)) {
-            if (obj.shape_and_color) {
-              obj.shape_and_color = obj.shape_and_color.replace(/\b\w+(?=\s+(color|colored|hue))/gi, newColor);
-            }
-            obj.description = obj.description.replace(new RegExp(`\\b\\w+\\s+(${targetObject})`, 'gi'), `${newColor} $1`);
-            console.log(`✅ Modified ${targetObject} color to ${newColor}`);
-            break;
-          }
-        }
-      }
-      
-    } else if (lowerInstruction.includes('background')) {
-      // Background modifications
-      const backgroundDesc = extractBackgroundDescription(instruction);
-      prompt.background = backgroundDesc;
-      console.log(`✅ Modified background: ${backgroundDesc}`);
-    }
-    
-    // Update short description appropriately
-    if (prompt.short_description) {
-      if (lowerInstruction.includes('background')) {
-        // For background edits, update the description to include the new background
-        const backgroundDesc = extractBackgroundDescription(instruction);
-        prompt.short_description = prompt.short_description.replace(/transparent background|against a transparent background/gi, backgroundDesc);
-        if (!prompt.short_description.toLowerCase().includes(backgroundDesc.toLowerCase())) {
-          prompt.short_description += ` The scene is set against ${backgroundDesc}.`;
-        }
-      } else {
-        // For non-background edits, add the modification but preserve transparency
-        prompt.short_description += ` ${instruction}.`;
-        // Ensure transparent background is maintained in description
-        if (!prompt.short_description.toLowerCase().includes('transparent background')) {
-          prompt.short_description += ' The image maintains a transparent background.';
-        }
-      }
-    }
-    
-    // Add modification metadata
-    prompt._intelligent_modification = {
-      instruction,
-      modified_at: new Date().toISOString(),
-      background_preserved: !lowerInstruction.includes('background')
-    };
-    
-    return JSON.stringify(prompt);
-    
-  } catch (error) {
-    console.error("Failed to intelligently modify structured prompt:", error);
-    throw error;
-  }
-}
-
-
-
-/**
- * Extract target object from instruction
- */
-function extractTargetObject(instruction) {
-  const lowerInstruction = instruction.toLowerCase();
-  const objects = ['hat', 'shirt', 'eye', 'hair', 'face', 'hand', 'arm', 'leg', 'shoe', 'glasses'];
-  
-  for (const obj of objects) {
-    if (lowerInstruction.includes(obj)) {
-      return obj;
-    }
-  }
-  
-  return null;
-}
-
 /**
  * Extract color from instruction with enhanced color detection
  */
@@ -6633,60 +5076,15 @@ function extractBackgroundDescription(instruction) {
  */
 app.post("/api/test/multi-edit", async (req, res) => {
   try {
-    const { instruction, imageUrl } = req.body;
+    const { instruction, imageUrl, designId } = req.body;
     
     console.log(`🧪 MULTI-EDIT TEST ENDPOINT CALLED: "${instruction}"`);
     
     // Analyze the instruction with enhanced parsing
-    const refinementPlan = await analyzeRefinementInstruction(instruction, null);
+    const refinementPlan = await analyzeRefinementInstructionEnhanced(instruction, null, null);
     
     // Get generation data if available
-    let originalData = generationCache.get(imageUrl);
-    if (!originalData) {
-      for (const [key, data] of generationCache.entries()) {
-        if (data.local_url === imageUrl || data.image_url === imageUrl) {
-          originalData = data;
-          break;
-        }
-      }
-    }
-    
-    // Test the enhanced parsing directly with IMMEDIATE FIX
-    let directParseTest = parseMultipleOperationsEnhanced(instruction);
-    
-    // IMMEDIATE FIX: Handle "add X and Y" pattern
-    if (directParseTest.length === 1 && /^add\s+.+\s+and\s+.+$/i.test(instruction)) {
-      console.log('🔧 IMMEDIATE FIX: Applying special case for "add X and Y"');
-      const match = instruction.match(/^add\s+(.+?)\s+and\s+(.+)$/i);
-      if (match) {
-        const item1 = match[1].trim();
-        const item2 = match[2].trim();
-        
-        directParseTest = [
-          {
-            type: 'object_addition',
-            instruction: `add ${item1}`,
-            target: item1,
-            object: item1,
-            action: 'add',
-            priority: 2,
-            isValid: true,
-            confidence: 0.85
-          },
-          {
-            type: 'object_addition', 
-            instruction: `add ${item2}`,
-            target: item2,
-            object: item2,
-            action: 'add',
-            priority: 2,
-            isValid: true,
-            confidence: 0.85
-          }
-        ];
-        console.log('🔧 IMMEDIATE FIX: Created 2 operations for "add X and Y"');
-      }
-    }
+    const originalData = findDesignRecord({ designId, imageUrl });
     
     res.json({
       success: true,
@@ -6699,16 +5097,7 @@ app.post("/api/test/multi-edit", async (req, res) => {
         original_operation_count: refinementPlan.originalOperationCount || refinementPlan.operations.length,
         has_original_data: !!originalData,
         structured_prompt_available: !!(originalData?.structured_prompt),
-        direct_parse_test: {
-          operations_found: directParseTest.length,
-          operations: directParseTest
-        },
-        parsing_improvements: {
-          enhanced_conjunction_detection: true,
-          conflict_resolution: true,
-          comprehensive_pattern_matching: true,
-          operation_validation: true
-        }
+        unparsed: refinementPlan.unparsed || []
       }
     });
     
@@ -6839,7 +5228,7 @@ app.post("/api/test/complete-multi-edit", async (req, res) => {
     
     // Step 1: Generate original image
     console.log(`📝 Step 1: Generating original image with prompt: "${test.prompt}"`);
-    const generateResult = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
+    const generateResult = await briaRequest('generate', {
       prompt: `${test.prompt}, clean design suitable for printing`,
       sync: false
     });
@@ -6855,7 +5244,7 @@ app.post("/api/test/complete-multi-edit", async (req, res) => {
     const generationPollResult = await pollBriaStatus(generateResult.data.request_id);
     
     // Remove background to ensure transparency
-    const bgRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
+    const bgRemovalResult = await briaRequest('remove_background', {
       image: generationPollResult.imageUrl,
       sync: false
     });
@@ -6875,13 +5264,13 @@ app.post("/api/test/complete-multi-edit", async (req, res) => {
       created_at: new Date().toISOString()
     };
     
-    generationCache.set(originalImageUrl, generationData);
+    saveDesignRecord(generationData);
     
     console.log(`✅ Step 1 complete: Original image generated`);
     
     // Step 2: Analyze multi-edit instruction
     console.log(`📝 Step 2: Analyzing multi-edit instruction: "${test.instruction}"`);
-    const refinementPlan = await analyzeRefinementInstruction(test.instruction, generationData);
+    const refinementPlan = await analyzeRefinementInstructionEnhanced(test.instruction, generationData, null);
     
     console.log(`✅ Step 2 complete: Strategy = ${refinementPlan.strategy}, Operations = ${refinementPlan.operations.length}`);
     
@@ -6944,10 +5333,17 @@ app.post("/api/cart/add", async (req, res) => {
       });
     }
 
+    // Cart items reference designs by id; the image URL is resolved from the design record
+    const toCartDesign = (design) => design && {
+      ...design,
+      designId: design.designId || null,
+      imageUrl: resolveDesignImageUrl(design)
+    };
+
     const cartItem = {
       id: Date.now().toString(),
-      frontDesign: frontDesign || { imageUrl: null, design: 'No front design' },
-      backDesign: backDesign || { imageUrl: null, design: 'No back design' },
+      frontDesign: toCartDesign(frontDesign) || { imageUrl: null, designId: null, design: 'No front design' },
+      backDesign: toCartDesign(backDesign) || { imageUrl: null, designId: null, design: 'No back design' },
       tshirtColor: tshirtColor || '#000000',
       addedAt: new Date().toISOString(),
       price: 29.99
@@ -6963,7 +5359,7 @@ app.post("/api/cart/add", async (req, res) => {
 
   } catch (error) {
     console.error("Add to cart error:", error.message);
-    res.status(500).json({
+    res.status(error.status || 500).json(error.body || {
       success: false,
       error: { message: error.message }
     });
@@ -7162,19 +5558,11 @@ app.post("/api/test/background-context", async (req, res) => {
  * Debug endpoint for refinement analysis
  */
 app.get("/api/debug/refinement-analysis/:imageUrl", async (req, res) => {
-  try {
-    const imageUrl = decodeURIComponent(req.params.imageUrl);
-    
-    // Find original data
-    let originalData = generationCache.get(imageUrl);
-    if (!originalData) {
-      for (const [key, data] of generationCache.entries()) {
-        if (data.local_url === imageUrl || data.image_url === imageUrl) {
-          originalData = data;
-          break;
-        }
-      }
-    }
+  try {
+    const imageUrl = decodeURIComponent(req.params.imageUrl);
+    
+    // Find original data (the path segment may be a design id or an image URL)
+    const originalData = findDesignRecord(imageUrl.startsWith('dsn_') ? { designId: imageUrl } : { imageUrl });
     
     const analysis = {
       image_url: imageUrl,
@@ -7228,23 +5616,19 @@ app.post("/api/debug/parse-instruction", (req, res) => {
       });
     }
     
-    const parsedInstruction = parseInstructionAdvanced(instruction);
-    const refinementPlan = {
-      strategy: parsedInstruction.requires_masking ? 'mask_based' : 
-                parsedInstruction.complexity === 'multi_step' ? 'multi_step' : 'structured_prompt',
-      operations: parsedInstruction.modifications
-    };
+    const parsedInstruction = parseRefinementOperations(instruction);
+    const strategy = chooseRefinementStrategy(parsedInstruction.operations);
     
     res.json({
       success: true,
       instruction,
       parsed: parsedInstruction,
-      recommended_strategy: refinementPlan.strategy,
+      recommended_strategy: strategy,
       analysis: {
-        complexity: parsedInstruction.complexity,
-        requires_masking: parsedInstruction.requires_masking,
-        modification_count: parsedInstruction.modifications.length,
-        modification_types: parsedInstruction.modifications.map(m => m.type)
+        requires_masking: strategy === 'mask_based',
+        modification_count: parsedInstruction.operations.length,
+        modification_types: parsedInstruction.operations.map(m => m.type),
+        unparsed: parsedInstruction.unparsed
       }
     });
     
@@ -7265,6 +5649,9 @@ app.get("/api/health", (req, res) => {
     message: "Enhanced Bria T-shirt Design API is running",
     timestamp: new Date().toISOString(),
     cache_size: generationCache.size,
+    generation_store: generationStore.stats(),
+    image_provider: imageProvider.describe(),
+    provider_client: providerClient.describe(),
     capabilities: {
       generation: "✅ FIBO-based with transparent backgrounds",
       refinement: "✅ Hybrid mask-based + structured prompt",
@@ -7279,6 +5666,10 @@ app.get("/api/health", (req, res) => {
     endpoints: {
       generate: "/api/generate",
       refine: "/api/refine",
+      refine_preview: "/api/refine/preview",
+      design_versions: "/api/designs/:id/versions",
+      prompt_pipeline: "/api/prompt-pipeline",
+      prompt_pipeline_preview: "/api/prompt-pipeline/preview",
       cart: "/api/cart/add",
       debug_analysis: "/api/debug/refinement-analysis/:imageUrl",
       debug_parse: "/api/debug/parse-instruction",
@@ -7330,7 +5721,7 @@ app.post("/api/test/unusual-refinement", async (req, res) => {
     console.log(`🧪 Running unusual refinement test: ${testCase}`);
     
     // Step 1: Generate original image
-    const generateResult = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
+    const generateResult = await briaRequest('generate', {
       prompt: `${test.prompt}, clean design suitable for printing`,
       sync: false
     });
@@ -7346,7 +5737,7 @@ app.post("/api/test/unusual-refinement", async (req, res) => {
     const generationPollResult = await pollBriaStatus(generateResult.data.request_id);
     
     // Make background transparent
-    const bgRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
+    const bgRemovalResult = await briaRequest('remove_background', {
       image: generationPollResult.imageUrl,
       sync: false
     });
@@ -7365,10 +5756,10 @@ app.post("/api/test/unusual-refinement", async (req, res) => {
       image_url: originalImageUrl,
       created_at: new Date().toISOString()
     };
-    generationCache.set(originalImageUrl, generationData);
+    saveDesignRecord(generationData);
     
     // Step 2: Perform unusual refinement
-    const refinementPlan = await analyzeRefinementInstruction(test.instruction, generationData);
+    const refinementPlan = await analyzeRefinementInstructionEnhanced(test.instruction, generationData, null);
     
     let refinementResult;
     if (refinementPlan.strategy === 'mask_based') {
@@ -7414,174 +5805,6 @@ app.use((err, req, res, next) => {
   });
 });
 
-/**
- * Process multi-edit instructions by combining all operations into single structured prompt
- */
-function processMultiEditInstruction(prompt, instruction) {
-  console.log("🔧 Processing multi-edit instruction");
-  
-  // Initialize objects array if it doesn't exist
-  if (!prompt.objects) {
-    prompt.objects = [];
-  }
-  
-  // Parse multiple operations from the instruction
-  const operations = parseMultiEditOperations(instruction);
-  console.log(`   - Detected ${operations.length} operations`);
-  
-  // Process each operation
-  for (const operation of operations) {
-    const lowerOp = operation.toLowerCase();
-    console.log(`   - Processing: ${operation}`);
-    
-    if (lowerOp.includes('add')) {
-      // Add new objects
-      const newObject = createIntelligentObjectForMultiEdit(operation);
-      prompt.objects.push(newObject);
-      console.log(`     ✅ Added: ${newObject.description}`);
-      
-    } else if (lowerOp.includes('change') && lowerOp.includes('color')) {
-      // Handle color changes
-      const targetObject = extractTargetObject(operation);
-      const newColor = extractColor(operation);
-      
-      if (targetObject && newColor) {
-        let modified = false;
-        for (let obj of prompt.objects) {
-          if (obj.description && obj.description.toLowerCase().includes(targetObject)) {
-            if (obj.shape_and_color) {
-              obj.shape_and_color = obj.shape_and_color.replace(/\b\w+(?=\s+(color|colored|hue))/gi, newColor);
-            }
-            obj.description = obj.description.replace(new RegExp(`\\b\\w+\\s+(${targetObject})`, 'gi'), `${newColor} $1`);
-            modified = true;
-            console.log(`     ✅ Modified ${targetObject} color to ${newColor}`);
-            break;
-          }
-        }
-        
-        if (!modified) {
-          const newObject = createIntelligentObjectForMultiEdit(`add ${newColor} ${targetObject}`);
-          prompt.objects.push(newObject);
-          console.log(`     ✅ Added new ${newColor} ${targetObject}`);
-        }
-      }
-    }
-  }
-  
-  // Update short description to reflect all changes
-  if (prompt.short_description) {
-    const addedItems = operations
-      .filter(op => op.toLowerCase().includes('add'))
-      .map(op => op.replace(/^add\s*/i, '').trim())
-      .join(', ');
-    
-    if (addedItems) {
-      prompt.short_description += ` The image has been enhanced with: ${addedItems}.`;
-    }
-    
-    // Ensure transparent background is maintained
-    if (!prompt.short_description.toLowerCase().includes('transparent background')) {
-      prompt.short_description += ' The image maintains a transparent background.';
-    }
-  }
-  
-  // Preserve transparent background unless explicitly changed
-  if (!instruction.toLowerCase().includes('background')) {
-    prompt.background = "transparent background";
-  }
-  
-  // Add metadata
-  prompt._multi_edit_metadata = {
-    operations,
-    instruction,
-    processed_at: new Date().toISOString(),
-    operation_count: operations.length
-  };
-  
-  console.log(`✅ Multi-edit processing complete: ${operations.length} operations applied`);
-  return JSON.stringify(prompt);
-}
-
-/**
- * Parse multi-edit operations from instruction
- */
-function parseMultiEditOperations(instruction) {
-  // Enhanced splitting patterns
-  let parts = instruction.split(/\s+and\s+|\s*&\s*|\s*,\s*|\s+plus\s+|\s+also\s+/i);
-  
-  // If no clear separators, try to detect multiple "add" statements
-  if (parts.length === 1) {
-    const addMatches = instruction.match(/add\s+[^,]+/gi);
-    if (addMatches && addMatches.length > 1) {
-      parts = addMatches;
-    }
-  }
-  
-  return parts
-    .map(part => part.trim())
-    .filter(part => part.length > 0)
-    .map(part => part.replace(/^(and|also|plus|then)\s+/i, ''));
-}
-
-/**
- * Create intelligent object for multi-edit scenarios
- */
-function createIntelligentObjectForMultiEdit(instruction) {
-  const lowerInstruction = instruction.toLowerCase();
-  
-  if (lowerInstruction.includes('sunglasses') || lowerInstruction.includes('glasses')) {
-    return {
-      description: "Stylish sunglasses positioned naturally on the character's face, fitting perfectly over the eyes.",
-      location: "center-face, over eyes",
-      relationship: "Worn by the main character.",
-      relative_size: "proportional to face",
-      shape_and_color: "Classic sunglasses shape with dark lenses and sleek frame",
-      texture: "Smooth frame with reflective lenses",
-      appearance_details: "Natural positioning, realistic reflections",
-      number_of_objects: 1,
-      orientation: "Horizontal"
-    };
-  } else if (lowerInstruction.includes('cigar') || lowerInstruction.includes('cigarette')) {
-    return {
-      description: "A cigar held naturally by the character, positioned appropriately.",
-      location: "near mouth or in hand",
-      relationship: "Held by the main character.",
-      relative_size: "proportional, realistic size",
-      shape_and_color: "Cylindrical cigar shape, brown tobacco color",
-      texture: "Tobacco leaf texture",
-      appearance_details: "Realistic appearance with natural positioning",
-      number_of_objects: 1,
-      orientation: "Appropriate to pose"
-    };
-  } else if (lowerInstruction.includes('hat')) {
-    return {
-      description: "A stylish hat positioned naturally on the character's head.",
-      location: "top-center, on head",
-      relationship: "Worn by the main character.",
-      relative_size: "proportional to head",
-      shape_and_color: "Hat-appropriate shape and color",
-      texture: "Suitable hat material",
-      appearance_details: "Natural positioning, maintains style",
-      number_of_objects: 1,
-      orientation: "Upright"
-    };
-  } else {
-    // Generic object
-    const objectType = lowerInstruction.replace(/^(add|put|place)\s*/i, '').trim().split(' ')[0];
-    return {
-      description: `A ${objectType} added naturally to complement the character.`,
-      location: "appropriate position",
-      relationship: "Associated with the main character.",
-      relative_size: "proportional",
-      shape_and_color: `${objectType}-appropriate appearance`,
-      texture: "Suitable material",
-      appearance_details: "Natural integration",
-      number_of_objects: 1,
-      orientation: "Appropriate"
-    };
-  }
-}
-
 // ====== ENHANCED T-SHIRT COMPOSITING ENDPOINTS ======
 
 /**
@@ -7590,13 +5813,14 @@ function createIntelligentObjectForMultiEdit(instruction) {
  */
 app.post("/api/enhanced-mockup", async (req, res) => {
   try {
-    const { designImageUrl, tshirtConfig, options = {} } = req.body;
+    const { designId, tshirtConfig, options = {} } = req.body;
+    const designImageUrl = resolveDesignImageUrl({ designId, imageUrl: req.body.designImageUrl });
     
     // Validate input
     if (!designImageUrl || typeof designImageUrl !== 'string') {
       return res.status(400).json({
         success: false,
-        error: { message: "Valid design image URL is required" }
+        error: { message: "Valid design ID or design image URL is required" }
       });
     }
 
@@ -7672,6 +5896,7 @@ app.post("/api/enhanced-mockup", async (req, res) => {
       success: true,
       message: "Enhanced T-shirt mockup generated successfully",
       mockupUrl: localUrl,
+      designId: designId || findDesignRecord({ imageUrl: designImageUrl })?.design_id || null,
       filename: filename,
       config: config,
       options: compositingOptions,
@@ -7686,7 +5911,7 @@ app.post("/api/enhanced-mockup", async (req, res) => {
 
   } catch (error) {
     console.error("Enhanced mockup generation error:", error.message);
-    res.status(500).json({
+    res.status(error.status || 500).json(error.body || {
       success: false,
       error: { message: error.message }
     });
@@ -7964,7 +6189,7 @@ app.post("/api/vectorize-design", async (req, res) => {
     }
 
     // Use FIBO's vector generation capability
-    const vectorResult = await briaRequest(`https://engine.prod.bria-api.com/v1/text-to-vector/base`, {
+    const vectorResult = await briaRequest('text_to_vector', {
       prompt: "Convert this design to a clean vector graphic with sharp edges and solid colors, suitable for t-shirt printing",
       image_prompt_file: processedImageData,
       image_prompt_mode: "regular",
@@ -8002,283 +6227,372 @@ app.post("/api/vectorize-design", async (req, res) => {
 });
 
 /**
- * HACKATHON FEATURE: AI-Powered Design Variations
- * Generate multiple style variations of uploaded designs
+ * Validate /api/generate-variations input
  */
-app.post("/api/generate-variations", async (req, res) => {
-  try {
-    const { imageData, styles } = req.body;
-    
-    if (!imageData || !styles || !Array.isArray(styles)) {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Valid image data and styles array required" }
-      });
-    }
-
-    console.log(`🎨 Generating ${styles.length} design variations...`);
+function validateVariationsRequest(body) {
+  const { imageData, styles, designId, variationStrength } = body;
 
-    let processedImageData = imageData;
-    if (imageData.startsWith('data:image/')) {
-      processedImageData = imageData.split(',')[1];
+  if (designId !== undefined) {
+    if (typeof designId !== 'string' || !findDesignRecord({ designId })) {
+      throw createRouteError(404, { message: `Design not found: ${designId}` });
     }
-
-    const variations = [];
-    
-    for (const style of styles) {
-      const variationResult = await briaRequest(`${BRIA_BASE_URL}/image/generate`, {
-        prompt: `Recreate this design in ${style} style, maintaining the core elements but adapting the aesthetic, transparent background`,
-        image_prompt_file: processedImageData,
-        image_prompt_mode: "style_only",
-        image_prompt_scale: 0.7,
-        sync: false
-      });
-
-      if (variationResult.success) {
-        const pollResult = await pollBriaStatus(variationResult.data.request_id);
-        const filename = `variation_${style.replace(/\s+/g, '_')}_${Date.now()}.png`;
-        const localUrl = await downloadAndSaveImage(pollResult.imageUrl, filename);
-        
-        variations.push({
-          style,
-          imageUrl: localUrl,
-          originalUrl: pollResult.imageUrl
-        });
-      }
+    const strengthError = describeVariationStrengthError(variationStrength);
+    if (strengthError) {
+      throw createRouteError(400, { message: strengthError });
     }
+    validateSeedOptions(body);
+    return;
+  }
 
-    res.json({
-      success: true,
-      message: `Generated ${variations.length} design variations`,
-      variations,
-      originalDesign: imageData
-    });
+  if (!imageData || !styles || !Array.isArray(styles)) {
+    throw createRouteError(400, { message: "Valid image data and styles array required" });
+  }
+}
 
-  } catch (error) {
-    console.error("Variation generation error:", error.message);
-    res.status(500).json({
-      success: false,
-      error: { message: error.message }
+/**
+ * "More like this": num_results close variants of a stored design. Each is regenerated from
+ * the design's structured prompt with a new seed, using the design itself as an image prompt
+ * whose weight falls as variationStrength (0 = nearly identical, 1 = loosely related) rises.
+ */
+async function runDesignVariants(body) {
+  const source = findDesignRecord({ designId: body.designId });
+  const strength = body.variationStrength ?? DEFAULT_VARIATION_STRENGTH;
+  const seeds = resolveSeeds(body.seed ?? null, body.num_results || MAX_NUM_RESULTS);
+  const imageUrl = source.image_url || source.local_url;
+  const structuredPrompt = source.structured_prompt;
+  const prompt = source.original_prompt || parseStructuredPrompt(structuredPrompt)?.short_description || 'design variation';
+
+  console.log(`🎲 Generating ${seeds.length} variants of ${source.design_id} (strength ${strength})`);
+  const imagePrompt = toDataUrl(await loadImageBuffer(imageUrl)).split(',')[1];
+
+  const items = await runBatch(seeds, async (seed, index) => {
+    reportJobStage('generation', { index: index + 1, total: seeds.length });
+    const result = await briaRequest('generate', {
+      ...(structuredPrompt ? { structured_prompt: structuredPrompt } : { prompt: `${prompt}, transparent background` }),
+      seed,
+      image_prompt_file: imagePrompt,
+      image_prompt_mode: 'regular',
+      image_prompt_scale: imagePromptScale(strength),
+      sync: false
+    });
+    if (!result.success) {
+      throw createRouteError(result.status || 500, result.error);
+    }
+
+    const pollResult = await pollBriaStatus(result.data.request_id);
+    const background = await performBackgroundRemoval(pollResult.imageUrl);
+    const finalImageUrl = background.imageUrl || pollResult.imageUrl;
+    const localUrl = await downloadAndSaveImage(finalImageUrl, `variation_${source.design_id}_${seed}_${Date.now()}.png`);
+    const variant = saveDesignRecord({
+      request_id: result.data.request_id,
+      source: 'variation',
+      variation_of: source.design_id,
+      variation_strength: strength,
+      original_prompt: prompt,
+      structured_prompt: pollResult.result?.structured_prompt || structuredPrompt || null,
+      seed: pollResult.result?.seed ?? seed,
+      image_url: finalImageUrl,
+      local_url: localUrl,
+      has_transparent_bg: finalImageUrl !== pollResult.imageUrl,
+      created_at: new Date().toISOString()
     });
+
+    return { imageUrl: localUrl, originalUrl: finalImageUrl, designId: variant.design_id, seed: variant.seed };
+  });
+
+  const summary = summarizeBatch(items);
+  if (summary.ok === 0 && summary.cancelled === 0) {
+    throw createRouteError(500, { message: `No variants could be generated: ${items[0].error.message}` }, { items });
   }
-});
+
+  return {
+    success: true,
+    message: `Generated ${summary.ok} variants${formatBatchSummary(summary)}`,
+    sourceDesignId: source.design_id,
+    variationStrength: strength,
+    variations: items.filter(item => item.status === 'ok').map(item => item.result),
+    items,
+    summary
+  };
+}
 
 /**
- * Process uploaded image with advanced multi-step enhancement
+ * HACKATHON FEATURE: AI-Powered Design Variations
+ * Generate multiple style variations of uploaded designs, or close variants of a stored
+ * design when a designId is given (see runDesignVariants)
  */
-app.post("/api/process-upload", async (req, res) => {
-  try {
-    const { imageData } = req.body;
-    
-    // Validate input
-    if (!imageData || typeof imageData !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Valid image data is required" }
-      });
-    }
+async function runGenerateVariations(body) {
+  if (body.designId) {
+    return runDesignVariants(body);
+  }
 
-    console.log(`🖼️  Processing uploaded image with direct background removal`);
+  const { imageData, styles } = body;
 
-    // Create isolated background context for this upload processing
-    const requestId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const backgroundContext = backgroundContextManager.createIsolatedContext(requestId);
-    
-    // Set transparent background as default for uploads
-    backgroundContextManager.setBackground(requestId, 'transparent background', false);
+  console.log(`🎨 Generating ${styles.length} design variations...`);
 
-    // Step 1: Remove background directly from uploaded image
-    console.log(`🎨 Removing background from uploaded image...`);
-    
-    // Extract base64 data from data URL if needed
-    let processedImageData = imageData;
-    if (imageData.startsWith('data:image/')) {
-      processedImageData = imageData.split(',')[1];
-      console.log(`📝 Extracted base64 data from data URL`);
-    }
-    
-    const backgroundRemovalResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/remove_background`, {
-      image: processedImageData,
-      force_background_detection: true,  // Advanced: Force better background detection
-      preserve_alpha: true,              // Advanced: Preserve existing alpha channels
+  let processedImageData = imageData;
+  if (imageData.startsWith('data:image/')) {
+    processedImageData = imageData.split(',')[1];
+  }
+
+  // Styles run in parallel; a failed style is reported in `items` instead of failing the rest
+  const items = await runBatch(styles, async (style, index) => {
+    reportJobStage('generation', { style, index: index + 1, total: styles.length });
+    const variationResult = await briaRequest('generate', {
+      prompt: `Recreate this design in ${style} style, maintaining the core elements but adapting the aesthetic, transparent background`,
+      image_prompt_file: processedImageData,
+      image_prompt_mode: "style_only",
+      image_prompt_scale: 0.7,
       sync: false
     });
 
-    if (!backgroundRemovalResult.success) {
-      return res.status(backgroundRemovalResult.status || 500).json({
-        success: false,
-        error: { 
-          message: `Background removal failed: ${backgroundRemovalResult.error?.message}` 
-        }
-      });
+    if (!variationResult.success) {
+      throw createRouteError(variationResult.status || 500, variationResult.error);
     }
 
-    console.log(`📝 Background removal request ID: ${backgroundRemovalResult.data.request_id}`);
-    const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
-    const processedImageUrl = bgRemovalPollResult.imageUrl;
-    console.log(`✅ Background removal completed`);
-    
-    // Step 1.5: Advanced cleanup for stubborn background artifacts using mask generation
-    console.log(`🎯 Generating object mask for advanced cleanup...`);
-    
-    const maskResult = await briaRequest(`https://engine.prod.bria-api.com/v1/objects/mask_generator`, {
-      image_file: processedImageUrl,
-      sync: false
+    const pollResult = await pollBriaStatus(variationResult.data.request_id);
+    const filename = `variation_${style.replace(/\s+/g, '_')}_${Date.now()}.png`;
+    const localUrl = await downloadAndSaveImage(pollResult.imageUrl, filename);
+    const variationData = saveDesignRecord({
+      request_id: variationResult.data.request_id,
+      source: 'variation',
+      original_prompt: `${style} style variation`,
+      variation_style: style,
+      image_url: pollResult.imageUrl,
+      local_url: localUrl,
+      created_at: new Date().toISOString()
     });
+    
+    return {
+      style,
+      imageUrl: localUrl,
+      originalUrl: pollResult.imageUrl,
+      designId: variationData.design_id
+    };
+  });
 
-    let cleanedImageUrl = processedImageUrl;
-    let maskCleanupSuccess = false;
+  const summary = summarizeBatch(items);
+  return {
+    success: true,
+    message: `Generated ${summary.ok} design variations${formatBatchSummary(summary)}`,
+    variations: items.filter(item => item.status === 'ok').map(item => item.result),
+    items,
+    summary,
+    originalDesign: imageData
+  };
+}
 
-    if (maskResult.success) {
-      console.log(`📝 Mask generation request ID: ${maskResult.data.request_id}`);
-      const maskPollResult = await pollBriaStatus(maskResult.data.request_id);
-      
-      // Use the generated mask to perform selective cleanup
-      console.log(`🧹 Performing mask-based cleanup...`);
-      const cleanupResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/erase`, {
-        image: processedImageUrl,
-        mask: maskPollResult.imageUrl,
-        sync: false
-      });
+app.post("/api/generate-variations", jobRoute('generate-variations', runGenerateVariations, validateVariationsRequest));
 
-      if (cleanupResult.success) {
-        console.log(`📝 Cleanup request ID: ${cleanupResult.data.request_id}`);
-        const cleanupPollResult = await pollBriaStatus(cleanupResult.data.request_id);
-        cleanedImageUrl = cleanupPollResult.imageUrl;
-        maskCleanupSuccess = true;
-        console.log(`✅ Advanced mask-based cleanup completed`);
-      }
-    } else {
-      console.warn(`⚠️  Mask generation failed, skipping advanced cleanup: ${maskResult.error?.message}`);
-    }
-    
-    // Step 2: Advanced upscaling with resolution verification
-    console.log(`🔍 Upscaling image resolution with quality enhancement...`);
-    
-    // Use enhance first (which includes upscaling + quality improvement)
-    const enhanceUpscaleResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/enhance`, {
-      image: cleanedImageUrl,
-      sync: false
-    });
+/**
+ * Validate /api/process-upload input
+ */
+function validateProcessUploadRequest(body) {
+  const { imageData } = body;
 
-    let enhancedImageUrl;
-    let enhanceSuccess = false;
+  if (!imageData || typeof imageData !== 'string') {
+    throw createRouteError(400, { message: "Valid image data is required" });
+  }
+}
 
-    if (!enhanceUpscaleResult.success) {
-      console.warn(`⚠️  Enhancement+upscaling failed, using background-removed image: ${enhanceUpscaleResult.error?.message}`);
-      enhancedImageUrl = processedImageUrl;
-    } else {
-      console.log(`📝 Enhancement+upscaling request ID: ${enhanceUpscaleResult.data.request_id}`);
-      const enhancePollResult = await pollBriaStatus(enhanceUpscaleResult.data.request_id);
-      enhancedImageUrl = enhancePollResult.imageUrl;
-      enhanceSuccess = true;
-      console.log(`✅ Enhancement+upscaling completed`);
-    }
-    
-    // Step 3: Additional dedicated upscaling for maximum resolution (if enhance wasn't enough)
-    console.log(`🔍 Applying additional resolution increase...`);
-    
-    const additionalUpscaleResult = await briaRequest(`${BRIA_EDIT_BASE_URL}/increase_resolution`, {
-      image: enhancedImageUrl,
-      sync: false
-    });
+/**
+ * Process uploaded image with advanced multi-step enhancement
+ */
+async function runProcessUpload(body) {
+  const { imageData } = body;
 
-    let finalImageUrl;
-    let additionalUpscaleSuccess = false;
+  console.log(`🖼️  Processing uploaded image with direct background removal`);
 
-    if (!additionalUpscaleResult.success) {
-      console.warn(`⚠️  Additional upscaling failed, using enhanced image: ${additionalUpscaleResult.error?.message}`);
-      finalImageUrl = enhancedImageUrl;
-    } else {
-      console.log(`📝 Additional upscaling request ID: ${additionalUpscaleResult.data.request_id}`);
-      const additionalUpscalePollResult = await pollBriaStatus(additionalUpscaleResult.data.request_id);
-      finalImageUrl = additionalUpscalePollResult.imageUrl;
-      additionalUpscaleSuccess = true;
-      console.log(`✅ Additional upscaling completed - maximum resolution achieved`);
-    }
-    
-    // Download and save the final processed image locally
-    const filename = `processed_${requestId}_${Date.now()}.png`;
-    const localUrl = await downloadAndSaveImage(finalImageUrl, filename);
+  // Create isolated background context for this upload processing
+  const requestId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const backgroundContext = backgroundContextManager.createIsolatedContext(requestId);
+  
+  // Set transparent background as default for uploads
+  backgroundContextManager.setBackground(requestId, 'transparent background', false);
 
-    // CRITICAL FIX: Create pseudo-structured prompt for uploaded designs to enable refinement
-    // This allows uploaded designs to be refined just like generated ones
-    const pseudoStructuredPrompt = JSON.stringify({
-      "prompt": "Uploaded design with transparent background",
-      "style": "clean design suitable for printing",
-      "background": "transparent background",
-      "quality": "high resolution",
-      "type": "uploaded_design",
-      "refinement_compatible": true,
-      "original_source": "user_upload",
-      "processing_applied": [
-        "background_removal",
-        maskCleanupSuccess ? "mask_cleanup" : null,
-        enhanceSuccess ? "enhancement" : null,
-        additionalUpscaleSuccess ? "resolution_boost" : null
-      ].filter(Boolean)
+  // Step 1: Remove background directly from uploaded image
+  console.log(`🎨 Removing background from uploaded image...`);
+  
+  // Extract base64 data from data URL if needed
+  let processedImageData = imageData;
+  if (imageData.startsWith('data:image/')) {
+    processedImageData = imageData.split(',')[1];
+    console.log(`📝 Extracted base64 data from data URL`);
+  }
+  
+  const backgroundRemovalResult = await briaRequest('remove_background', {
+    image: processedImageData,
+    force_background_detection: true,  // Advanced: Force better background detection
+    preserve_alpha: true,              // Advanced: Preserve existing alpha channels
+    sync: false
+  });
+
+  if (!backgroundRemovalResult.success) {
+    throw createRouteError(backgroundRemovalResult.status || 500, {
+      message: `Background removal failed: ${backgroundRemovalResult.error?.message}`
     });
+  }
 
-    // Store generation data for potential refinements - now refinement-compatible
-    const generationData = {
-      request_id: requestId,
-      upload_request_id: requestId,
-      original_prompt: 'Uploaded design with background removed and enhanced',
-      enhanced_prompt: 'Processed uploaded design with transparent background, ready for refinement',
-      structured_prompt: pseudoStructuredPrompt, // CRITICAL: Now has structured prompt for refinement
-      seed: `upload_${Date.now()}`, // Pseudo-seed for consistency
-      image_url: finalImageUrl,
-      local_url: localUrl,
-      has_transparent_bg: true,
-      background_context: backgroundContext,
-      is_upload_processed: true,
-      processing_method: 'advanced_background_removal_with_enhancement',
-      refinement_enabled: true, // Flag to indicate refinement is supported
-      created_at: new Date().toISOString()
-    };
-    
-    // Store for refinement use
-    generationCache.set(finalImageUrl, generationData);
-    generationCache.set(localUrl, generationData);
+  console.log(`📝 Background removal request ID: ${backgroundRemovalResult.data.request_id}`);
+  const bgRemovalPollResult = await pollBriaStatus(backgroundRemovalResult.data.request_id);
+  const processedImageUrl = bgRemovalPollResult.imageUrl;
+  console.log(`✅ Background removal completed`);
+  
+  // Step 1.5: Advanced cleanup for stubborn background artifacts using mask generation
+  console.log(`🎯 Generating object mask for advanced cleanup...`);
+  
+  const maskResult = await briaRequest('mask_generator', {
+    image_file: processedImageUrl,
+    sync: false
+  }, { stage: 'mask_cleanup' });
+
+  let cleanedImageUrl = processedImageUrl;
+  let maskCleanupSuccess = false;
+
+  if (maskResult.success) {
+    console.log(`📝 Mask generation request ID: ${maskResult.data.request_id}`);
+    const maskPollResult = await pollBriaStatus(maskResult.data.request_id);
     
-    console.log(`💾 Stored processed upload data for URLs:`);
-    console.log(`   - Final: ${finalImageUrl}`);
-    console.log(`   - Local: ${localUrl}`);
-    console.log(`   - Method: ${generationData.processing_method}`);
+    // Use the generated mask to perform selective cleanup
+    console.log(`🧹 Performing mask-based cleanup...`);
+    const cleanupResult = await briaRequest('erase', {
+      image: processedImageUrl,
+      mask: maskPollResult.imageUrl,
+      sync: false
+    }, { stage: 'mask_cleanup' });
 
-    res.json({
-      success: true,
-      message: `Advanced processing completed: background removal${maskCleanupSuccess ? ' + mask cleanup' : ''}${enhanceSuccess ? ' + enhancement' : ''}${additionalUpscaleSuccess ? ' + max resolution' : ''} + refinement enabled`,
-      imageUrl: localUrl,
-      originalUrl: finalImageUrl,
-      requestId: requestId,
-      hasTransparentBg: true,
-      isProcessedUpload: true,
-      processingMethod: 'advanced_multi_step',
-      backgroundRemoved: true,
-      maskCleanup: maskCleanupSuccess,
-      enhanced: enhanceSuccess,
-      maxResolution: additionalUpscaleSuccess,
-      preservesOriginalDesign: true,
-      refinementEnabled: true, // CRITICAL: Indicate refinement is now supported
-      structured_prompt: "generated", // Indicate structured prompt is available
-      processingSteps: [
-        'background_removal_with_advanced_params',
-        maskCleanupSuccess ? 'mask_based_cleanup' : null,
-        'enhancement_with_upscaling',
-        additionalUpscaleSuccess ? 'additional_resolution_boost' : null,
-        'refinement_compatibility_added'
-      ].filter(Boolean)
-    });
+    if (cleanupResult.success) {
+      console.log(`📝 Cleanup request ID: ${cleanupResult.data.request_id}`);
+      const cleanupPollResult = await pollBriaStatus(cleanupResult.data.request_id);
+      cleanedImageUrl = cleanupPollResult.imageUrl;
+      maskCleanupSuccess = true;
+      console.log(`✅ Advanced mask-based cleanup completed`);
+    }
+  } else {
+    console.warn(`⚠️  Mask generation failed, skipping advanced cleanup: ${maskResult.error?.message}`);
+  }
+  
+  // Step 2: Advanced upscaling with resolution verification
+  console.log(`🔍 Upscaling image resolution with quality enhancement...`);
+  
+  // Use enhance first (which includes upscaling + quality improvement)
+  const enhanceUpscaleResult = await briaRequest('enhance', {
+    image: cleanedImageUrl,
+    sync: false
+  });
 
-  } catch (error) {
-    console.error("Upload processing error:", error.message);
-    res.status(500).json({
-      success: false,
-      error: { message: error.message }
-    });
+  let enhancedImageUrl;
+  let enhanceSuccess = false;
+
+  if (!enhanceUpscaleResult.success) {
+    console.warn(`⚠️  Enhancement+upscaling failed, using background-removed image: ${enhanceUpscaleResult.error?.message}`);
+    enhancedImageUrl = processedImageUrl;
+  } else {
+    console.log(`📝 Enhancement+upscaling request ID: ${enhanceUpscaleResult.data.request_id}`);
+    const enhancePollResult = await pollBriaStatus(enhanceUpscaleResult.data.request_id);
+    enhancedImageUrl = enhancePollResult.imageUrl;
+    enhanceSuccess = true;
+    console.log(`✅ Enhancement+upscaling completed`);
   }
-});
+  
+  // Step 3: Additional dedicated upscaling for maximum resolution (if enhance wasn't enough)
+  console.log(`🔍 Applying additional resolution increase...`);
+  
+  const additionalUpscaleResult = await briaRequest('increase_resolution', {
+    image: enhancedImageUrl,
+    sync: false
+  });
+
+  let finalImageUrl;
+  let additionalUpscaleSuccess = false;
+
+  if (!additionalUpscaleResult.success) {
+    console.warn(`⚠️  Additional upscaling failed, using enhanced image: ${additionalUpscaleResult.error?.message}`);
+    finalImageUrl = enhancedImageUrl;
+  } else {
+    console.log(`📝 Additional upscaling request ID: ${additionalUpscaleResult.data.request_id}`);
+    const additionalUpscalePollResult = await pollBriaStatus(additionalUpscaleResult.data.request_id);
+    finalImageUrl = additionalUpscalePollResult.imageUrl;
+    additionalUpscaleSuccess = true;
+    console.log(`✅ Additional upscaling completed - maximum resolution achieved`);
+  }
+  
+  // Download and save the final processed image locally
+  const filename = `processed_${requestId}_${Date.now()}.png`;
+  const localUrl = await downloadAndSaveImage(finalImageUrl, filename);
+
+  // CRITICAL FIX: Create pseudo-structured prompt for uploaded designs to enable refinement
+  // This allows uploaded designs to be refined just like generated ones
+  const pseudoStructuredPrompt = JSON.stringify({
+    "prompt": "Uploaded design with transparent background",
+    "style": "clean design suitable for printing",
+    "background": "transparent background",
+    "quality": "high resolution",
+    "type": "uploaded_design",
+    "refinement_compatible": true,
+    "original_source": "user_upload",
+    "processing_applied": [
+      "background_removal",
+      maskCleanupSuccess ? "mask_cleanup" : null,
+      enhanceSuccess ? "enhancement" : null,
+      additionalUpscaleSuccess ? "resolution_boost" : null
+    ].filter(Boolean)
+  });
+
+  // Store generation data for potential refinements - now refinement-compatible
+  const generationData = {
+    request_id: requestId,
+    upload_request_id: requestId,
+    original_prompt: 'Uploaded design with background removed and enhanced',
+    enhanced_prompt: 'Processed uploaded design with transparent background, ready for refinement',
+    structured_prompt: pseudoStructuredPrompt, // CRITICAL: Now has structured prompt for refinement
+    seed: `upload_${Date.now()}`, // Pseudo-seed for consistency
+    image_url: finalImageUrl,
+    local_url: localUrl,
+    has_transparent_bg: true,
+    background_context: backgroundContext,
+    is_upload_processed: true,
+    processing_method: 'advanced_background_removal_with_enhancement',
+    refinement_enabled: true, // Flag to indicate refinement is supported
+    created_at: new Date().toISOString()
+  };
+  
+  // Store for refinement use
+  saveDesignRecord(generationData);
+  
+  console.log(`💾 Stored processed upload data for URLs:`);
+  console.log(`   - Final: ${finalImageUrl}`);
+  console.log(`   - Local: ${localUrl}`);
+  console.log(`   - Method: ${generationData.processing_method}`);
+
+  return {
+    success: true,
+    message: `Advanced processing completed: background removal${maskCleanupSuccess ? ' + mask cleanup' : ''}${enhanceSuccess ? ' + enhancement' : ''}${additionalUpscaleSuccess ? ' + max resolution' : ''} + refinement enabled`,
+    imageUrl: localUrl,
+    originalUrl: finalImageUrl,
+    requestId: requestId,
+    designId: generationData.design_id,
+    hasTransparentBg: true,
+    isProcessedUpload: true,
+    processingMethod: 'advanced_multi_step',
+    backgroundRemoved: true,
+    maskCleanup: maskCleanupSuccess,
+    enhanced: enhanceSuccess,
+    maxResolution: additionalUpscaleSuccess,
+    preservesOriginalDesign: true,
+    refinementEnabled: true, // CRITICAL: Indicate refinement is now supported
+    structured_prompt: "generated", // Indicate structured prompt is available
+    processingSteps: [
+      'background_removal_with_advanced_params',
+      maskCleanupSuccess ? 'mask_based_cleanup' : null,
+      'enhancement_with_upscaling',
+      additionalUpscaleSuccess ? 'additional_resolution_boost' : null,
+      'refinement_compatibility_added'
+    ].filter(Boolean)
+  };
+}
+
+app.post("/api/process-upload", jobRoute('process-upload', runProcessUpload, validateProcessUploadRequest));
 
 // ====== DEBUG ENDPOINT FOR ENVIRONMENT VARIABLES ======
 app.get("/api/debug/env", (req, res) => {
@@ -8287,6 +6601,7 @@ app.get("/api/debug/env", (req, res) => {
     environment: {
       NODE_ENV: process.env.NODE_ENV,
       PORT: process.env.PORT,
+      IMAGE_PROVIDER: imageProvider.name,
       BRIA_API_TOKEN_SET: !!process.env.BRIA_API_TOKEN,
       BRIA_API_TOKEN_LENGTH: process.env.BRIA_API_TOKEN ? process.env.BRIA_API_TOKEN.length : 0,
       BRIA_API_TOKEN_FIRST_4: process.env.BRIA_API_TOKEN ? process.env.BRIA_API_TOKEN.substring(0, 4) : 'NOT_SET',
@@ -8297,6 +6612,15 @@ app.get("/api/debug/env", (req, res) => {
 });
 
 // ====== START SERVER ======
+// Flush the generation store before the process exits (Render sends SIGTERM on restart)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    console.log(`💾 ${signal} received - flushing generation store`);
+    generationStore.flushSync();
+    process.exit(0);
+  });
+}
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Bria T-shirt Design API running on port ${PORT}`);
   console.log(`📋 Health check: /api/health`);
@@ -8431,11 +6755,13 @@ app.post("/api/generate-snapshot", async (req, res) => {
     console.log('📸 Generating T-shirt snapshots...');
 
     const snapshots = {};
+    const frontImageUrl = resolveDesignImageUrl(frontDesign);
+    const backImageUrl = resolveDesignImageUrl(backDesign);
 
     // Generate front snapshot if design exists
-    if (frontDesign?.imageUrl && frontAlignment) {
+    if (frontImageUrl && frontAlignment) {
       const frontSnapshot = await generateTshirtSnapshot(
-        frontDesign.imageUrl,
+        frontImageUrl,
         tshirtColor,
         frontAlignment,
         'front'
@@ -8444,9 +6770,9 @@ app.post("/api/generate-snapshot", async (req, res) => {
     }
 
     // Generate back snapshot if design exists
-    if (backDesign?.imageUrl && backAlignment) {
+    if (backImageUrl && backAlignment) {
       const backSnapshot = await generateTshirtSnapshot(
-        backDesign.imageUrl,
+        backImageUrl,
         tshirtColor,
         backAlignment,
         'back'
@@ -8462,7 +6788,7 @@ app.post("/api/generate-snapshot", async (req, res) => {
 
   } catch (error) {
     console.error("Snapshot generation error:", error.message);
-    res.status(500).json({
+    res.status(error.status || 500).json(error.body || {
       success: false,
       error: { message: error.message }
     });
@@ -0,0 +1,506 @@
+/**
+ * Refinement Instruction Grammar
+ *
+ * Tokenizer plus a small clause grammar that turns a refinement instruction into a typed
+ * operation AST:
+ *
+ *   instruction := clause (conjunction clause)*
+ *   clause      := filler* verb phrase        ("add a hat on his head")
+ *                | phrase                     (verb inherited: "add a hat, a cigar")
+ *
+ * Each operation node is { type, target, value, location, text, inherited } where type is
+ * add | remove | move | recolor | modify | texture | background. Verbs come from
+ * SYNONYM_DICTIONARY. This is the only refinement instruction parser: clauses it can't
+ * parse are returned as `unparsed` for the clarification flow to ask about.
+ *
+ * A location is { relation, target, region }: "on top of the skull's head" is
+ * { relation: 'on_top_of', target: 'skull head', region: null }, "in the top-left corner" is
+ * { relation: 'in', target: null, region: 'top-left' }.
+ */
+
+/**
+ * Verb synonyms for each kind of edit; they make up the grammar lexicon
+ */
+const SYNONYM_DICTIONARY = {
+  addition: {
+    verbs: ['add', 'put', 'place', 'attach', 'give', 'equip', 'include', 'insert']
+  },
+  colorChange: {
+    verbs: ['color', 'colour', 'recolor', 'recolour', 'paint', 'dye', 'tint']
+  },
+  modification: {
+    verbs: ['make', 'turn', 'change', 'modify', 'alter', 'adjust', 'set', 'transform', 'convert', 'replace', 'swap', 'enhance', 'improve', 'upgrade']
+  },
+  removal: {
+    verbs: ['remove', 'delete', 'erase', 'eliminate', 'clear', 'take away', 'take off', 'get rid of']
+  },
+  movement: {
+    verbs: ['move', 'shift', 'reposition', 'relocate', 'drag']
+  }
+};
+
+// Dictionary category -> verb class used by the grammar
+const CATEGORY_VERB_CLASS = {
+  addition: 'add',
+  colorChange: 'recolor',
+  modification: 'modify',
+  removal: 'remove',
+  movement: 'move'
+};
+
+// Lexicon of verb phrases (as token arrays), longest first so "get rid of" wins over "get"
+const VERB_LEXICON = Object.entries(CATEGORY_VERB_CLASS)
+  .flatMap(([category, verbClass]) => SYNONYM_DICTIONARY[category].verbs.map(verb => ({ words: verb.split(' '), verbClass })))
+  .sort((a, b) => b.words.length - a.words.length);
+
+const CONJUNCTIONS = new Set(['and', 'then', 'also', 'plus', ',', ';', '&']);
+const ARTICLES = new Set(['a', 'an', 'the', 'some']);
+const POSSESSIVES = new Set(['his', 'her', 'its', 'their', 'my', 'your']);
+const RECIPIENT_PRONOUNS = new Set(['him', 'her', 'it', 'them']);
+const FILLERS = [['please'], ['can', 'you'], ['could', 'you'], ['would', 'you'], ['i', 'want', 'to'], ['i', 'would', 'like', 'to'], ['i', 'd', 'like', 'to'], ['let', 'us'], ['lets']];
+
+// Spatial relations that start a location, longest first; "with" and "of" stay inside the noun phrase
+const RELATION_PHRASES = [
+  [['to', 'the', 'left', 'of'], 'left_of'],
+  [['to', 'the', 'right', 'of'], 'right_of'],
+  [['on', 'top', 'of'], 'on_top_of'],
+  [['in', 'front', 'of'], 'in_front_of'],
+  [['left', 'of'], 'left_of'],
+  [['right', 'of'], 'right_of'],
+  [['next', 'to'], 'next_to'],
+  [['beside'], 'next_to'],
+  [['near'], 'next_to'],
+  [['behind'], 'behind'],
+  [['above'], 'above'],
+  [['over'], 'above'],
+  [['below'], 'below'],
+  [['under'], 'below'],
+  [['underneath'], 'below'],
+  [['beneath'], 'below'],
+  [['around'], 'around'],
+  [['across'], 'across'],
+  [['between'], 'between'],
+  [['on'], 'on'],
+  [['onto'], 'on'],
+  [['in'], 'in'],
+  [['into'], 'in'],
+  [['inside'], 'in'],
+  [['at'], 'at'],
+  [['to'], 'to'],
+  [['from'], 'from']
+].map(([words, relation]) => ({ words, relation }));
+
+// Words naming part of the canvas or of an object: "top-left corner", "left side of the skull"
+const VERTICAL_REGIONS = { top: 'top', upper: 'top', bottom: 'bottom', lower: 'bottom' };
+const HORIZONTAL_REGIONS = { left: 'left', right: 'right' };
+const CENTER_REGIONS = new Set(['center', 'centre', 'middle']);
+const REGION_NOUNS = new Set(['corner', 'side', 'edge', 'area', 'part', 'half', 'region', 'section']);
+const CANVAS_NOUNS = new Set(['design', 'image', 'picture', 'canvas', 'shirt', 't-shirt', 'print', 'artwork']);
+
+export const COLOR_WORDS = new Set([
+  'red', 'blue', 'green', 'yellow', 'black', 'white', 'brown', 'gray', 'grey', 'purple', 'pink', 'orange',
+  'gold', 'golden', 'silver', 'navy', 'teal', 'cyan', 'magenta', 'beige', 'maroon', 'crimson', 'turquoise',
+  'violet', 'indigo', 'lime', 'olive', 'bronze', 'copper', 'tan', 'ivory', 'scarlet', 'emerald', 'lavender'
+]);
+
+// Words that qualify a color without changing the operation ("dark red", "neon green")
+const COLOR_MODIFIERS = new Set(['light', 'dark', 'bright', 'pale', 'deep', 'neon', 'pastel', 'vivid', 'more', 'less']);
+
+export const TEXTURE_WORDS = new Set([
+  'metallic', 'metal', 'chrome', 'wooden', 'wood', 'glossy', 'shiny', 'matte', 'rusty', 'furry', 'fluffy',
+  'velvet', 'leather', 'stone', 'marble', 'glass', 'cracked', 'sparkly', 'glittery', 'holographic', 'textured',
+  'rough', 'smooth', 'fabric', 'denim', 'knitted', 'scaly'
+]);
+
+// Value introducers after the target: "turn the hat into a crown", "make it look like marble"
+const VALUE_MARKERS = [
+  { words: ['look', 'like'], texture: false },
+  { words: ['made', 'of'], texture: true },
+  { words: ['out', 'of'], texture: true },
+  { words: ['into'], texture: false },
+  { words: ['to'], texture: false }
+];
+
+const isColorToken = (word) => COLOR_WORDS.has(word) || /^#[0-9a-f]{3,8}$/.test(word);
+
+/**
+ * Split an instruction into lowercase word and separator tokens
+ */
+export function tokenize(instruction) {
+  return String(instruction || '')
+    .toLowerCase()
+    .replace(/[’']s\b/g, '')        // possessive "skull's eyes" -> "skull eyes"
+    .replace(/[’']/g, ' ')
+    .match(/#[0-9a-f]{3,8}\b|[a-z0-9]+(?:-[a-z0-9]+)*|[,;&]/g) || [];
+}
+
+const startsWith = (tokens, words, from = 0) => words.every((word, i) => tokens[from + i] === word);
+
+const indexOfSequence = (tokens, words, from = 0) => {
+  for (let i = from; i <= tokens.length - words.length; i++) {
+    if (startsWith(tokens, words, i)) return i;
+  }
+  return -1;
+};
+
+// Noun phrase text without leading articles/possessives
+const phrase = (tokens) => {
+  let start = 0;
+  while (start < tokens.length && (ARTICLES.has(tokens[start]) || POSSESSIVES.has(tokens[start]))) start++;
+  return tokens.slice(start).join(' ');
+};
+
+/**
+ * Split tokens into clauses on conjunctions. "and" between two colors ("red and black")
+ * stays inside the clause.
+ */
+function splitClauses(tokens) {
+  const clauses = [[]];
+  tokens.forEach((token, i) => {
+    const joinsColors = token === 'and' && isColorToken(tokens[i - 1]) && isColorToken(tokens[i + 1]);
+    if (CONJUNCTIONS.has(token) && !joinsColors) {
+      if (clauses[clauses.length - 1].length > 0) clauses.push([]);
+    } else {
+      clauses[clauses.length - 1].push(token);
+    }
+  });
+  return clauses.filter(clause => clause.length > 0);
+}
+
+const stripFillers = (tokens) => {
+  let rest = tokens.filter(token => token !== 'please');
+  let filler = FILLERS.find(words => startsWith(rest, words));
+  while (filler) {
+    rest = rest.slice(filler.length);
+    filler = FILLERS.find(words => startsWith(rest, words));
+  }
+  return rest;
+};
+
+const matchVerb = (tokens) => {
+  const entry = VERB_LEXICON.find(({ words }) => startsWith(tokens, words));
+  return entry ? { verb: entry.words.join(' '), verbClass: entry.verbClass, length: entry.words.length } : null;
+};
+
+/**
+ * Location phrase after a relation: an anchor object, a canvas region, or a region of an
+ * object ("the top of the skull")
+ */
+export function parseLocationPhrase(relation, tokens) {
+  const words = tokens.flatMap(token => token.split('-')).filter(word => !ARTICLES.has(word) && !POSSESSIVES.has(word));
+  let vertical = null;
+  let horizontal = null;
+  let center = false;
+  let index = 0;
+
+  // Leading region words, e.g. "top left corner of"
+  while (index < words.length) {
+    const word = words[index];
+    if (VERTICAL_REGIONS[word]) vertical = VERTICAL_REGIONS[word];
+    else if (HORIZONTAL_REGIONS[word]) horizontal = HORIZONTAL_REGIONS[word];
+    else if (CENTER_REGIONS.has(word)) center = true;
+    else if (!REGION_NOUNS.has(word)) break;
+    index++;
+  }
+
+  const hasRegion = vertical || horizontal || center;
+  if (!hasRegion) {
+    return { relation, target: phrase(tokens) || null, region: null };
+  }
+
+  const region = vertical && horizontal ? `${vertical}-${horizontal}` : vertical || horizontal || 'center';
+  let rest = words.slice(index);
+  if (rest[0] === 'of') rest = rest.slice(1);
+  const target = rest.filter(word => !CANVAS_NOUNS.has(word)).join(' ') || null;
+
+  return { relation, target, region };
+}
+
+// Split at the first spatial relation: "a rose behind his ear" -> ["a rose", {behind, ear}]
+function splitLocation(tokens) {
+  for (let i = 1; i < tokens.length; i++) {
+    const match = RELATION_PHRASES.find(({ words }) => startsWith(tokens, words, i));
+    if (match) {
+      return {
+        head: tokens.slice(0, i),
+        location: parseLocationPhrase(match.relation, tokens.slice(i + match.words.length))
+      };
+    }
+  }
+  return { head: tokens, location: null };
+}
+
+const RELATION_TEXT = {
+  on_top_of: 'on top of', in_front_of: 'in front of', next_to: 'next to', left_of: 'to the left of', right_of: 'to the right of'
+};
+
+/**
+ * Readable form of a location: "on top of the skull head", "in the top-left corner of the design"
+ */
+export function describeLocation(location) {
+  if (!location) return '';
+  const relation = RELATION_TEXT[location.relation] || location.relation;
+  if (!location.region) {
+    return `${relation} the ${location.target}`;
+  }
+  const region = location.region === 'center' ? 'center' : location.region.includes('-') ? `${location.region} corner` : `${location.region} side`;
+  return `${relation} the ${region} of the ${location.target || 'design'}`;
+}
+
+// Trailing value of "make the X <value>": a color/texture group, "more/less X", or the last word
+function splitTrailingValue(tokens) {
+  // Color/texture group, including its qualifiers: "dark red", "red and black", "shiny leather"
+  let start = tokens.length;
+  while (start > 1) {
+    const token = tokens[start - 1];
+    const inGroup = start < tokens.length && (COLOR_MODIFIERS.has(token) || token === 'and');
+    if (!isColorToken(token) && !TEXTURE_WORDS.has(token) && !inGroup) break;
+    start--;
+  }
+
+  if (start === tokens.length) {
+    start = tokens.length - 1;
+    if (start > 1 && (tokens[start - 1] === 'more' || tokens[start - 1] === 'less')) start--;
+  }
+
+  return { target: tokens.slice(0, start), value: tokens.slice(start) };
+}
+
+// "hat color" / "color of the hat" -> "hat"
+const cleanModificationTarget = (tokens) => {
+  let rest = tokens;
+  if (startsWith(rest, ['the', 'color', 'of']) || startsWith(rest, ['color', 'of']) || startsWith(rest, ['the', 'colour', 'of']) || startsWith(rest, ['colour', 'of'])) {
+    rest = rest.slice(rest.indexOf('of') + 1);
+  }
+  if (rest.length > 1 && (rest[rest.length - 1] === 'color' || rest[rest.length - 1] === 'colour')) {
+    rest = rest.slice(0, -1);
+  }
+  return phrase(rest);
+};
+
+const classifyValue = (valueTokens, textureMarker) => {
+  const words = valueTokens.filter(word => !ARTICLES.has(word) && !COLOR_MODIFIERS.has(word) && word !== 'and');
+  if (textureMarker || words.some(word => TEXTURE_WORDS.has(word))) return 'texture';
+  if (words.length > 0 && words.every(isColorToken)) return 'recolor';
+  return 'modify';
+};
+
+const isBackgroundTarget = (target) => target === 'background' || /\bbackground$/.test(target);
+
+const backgroundNode = (action, value) => ({ type: 'background', action, target: 'background', value, location: null });
+
+function parseAddition(tokens, verb) {
+  let rest = tokens;
+  let recipient = null;
+
+  // "give him a hat" / "give the skull a crown" / "give the skull glowing eyes"
+  if (verb === 'give') {
+    if (RECIPIENT_PRONOUNS.has(rest[0])) {
+      rest = rest.slice(1);
+    } else {
+      const objectStart = rest.findIndex((token, i) => i > 0 && ARTICLES.has(token));
+      const recipientEnd = objectStart > 0 ? objectStart : rest[0] === 'the' && rest.length > 2 ? 2 : -1;
+      if (recipientEnd > 0) {
+        recipient = phrase(rest.slice(0, recipientEnd));
+        rest = rest.slice(recipientEnd);
+      }
+    }
+  }
+
+  const { head, location } = splitLocation(rest);
+  const object = phrase(head);
+
+  if (isBackgroundTarget(object)) {
+    const value = object.replace(/\s*background$/, '').trim();
+    return backgroundNode('replace', value || (location ? location.target : null));
+  }
+
+  // Leading colors become the value: "add gold teeth" -> teeth, gold
+  const words = object.split(' ');
+  let colorEnd = 0;
+  while (colorEnd < words.length - 1 && (isColorToken(words[colorEnd]) || COLOR_MODIFIERS.has(words[colorEnd]))) colorEnd++;
+  const hasColor = words.slice(0, colorEnd).some(isColorToken);
+
+  return {
+    type: 'add',
+    target: hasColor ? words.slice(colorEnd).join(' ') : object,
+    value: hasColor ? words.slice(0, colorEnd).join(' ') : null,
+    location: location || (recipient ? { relation: 'on', target: recipient, region: null } : null)
+  };
+}
+
+function parseRemoval(tokens) {
+  const index = tokens.indexOf('from');
+  const target = phrase(index > 0 ? tokens.slice(0, index) : tokens);
+
+  if (isBackgroundTarget(target)) {
+    return backgroundNode('remove', 'transparent background');
+  }
+
+  return {
+    type: 'remove',
+    target,
+    value: null,
+    location: index > 0 ? parseLocationPhrase('from', tokens.slice(index + 1)) : null
+  };
+}
+
+function parseModification(tokens, verb, verbClass) {
+  let targetTokens = tokens;
+  let valueTokens = [];
+  let textureMarker = false;
+
+  // "replace the hat with a crown", "swap the roses for tulips"
+  const swapMarker = (verb === 'replace' || verb === 'swap') ? tokens.findIndex(token => token === 'with' || token === 'for') : -1;
+  if (swapMarker > 0) {
+    targetTokens = tokens.slice(0, swapMarker);
+    valueTokens = tokens.slice(swapMarker + 1);
+  } else {
+    const marker = VALUE_MARKERS
+      .map(entry => ({ ...entry, index: indexOfSequence(tokens, entry.words, 1) }))
+      .filter(entry => entry.index > 0)
+      .sort((a, b) => a.index - b.index)[0];
+
+    if (marker) {
+      targetTokens = tokens.slice(0, marker.index);
+      valueTokens = tokens.slice(marker.index + marker.words.length);
+      textureMarker = marker.texture;
+    } else if (tokens.length > 1) {
+      ({ target: targetTokens, value: valueTokens } = splitTrailingValue(tokens));
+    }
+  }
+
+  const target = cleanModificationTarget(targetTokens);
+  const value = phrase(valueTokens) || null;
+
+  if (isBackgroundTarget(target)) {
+    const removes = value && /^(?:transparent|none|nothing|empty|removed)$/.test(value);
+    return removes ? backgroundNode('remove', 'transparent background') : backgroundNode('replace', value);
+  }
+
+  return {
+    type: verbClass === 'recolor' ? 'recolor' : classifyValue(valueTokens, textureMarker),
+    target,
+    value,
+    location: null
+  };
+}
+
+// "move the rose behind the sword"
+function parseMove(tokens) {
+  const { head, location } = splitLocation(tokens);
+  return { type: 'move', target: phrase(head), value: null, location };
+}
+
+function parseClause(tokens, verbInfo) {
+  const { verb, verbClass } = verbInfo;
+  if (verbClass === 'add') return parseAddition(tokens, verb);
+  if (verbClass === 'remove') return parseRemoval(tokens);
+  if (verbClass === 'move') return parseMove(tokens);
+  return parseModification(tokens, verb, verbClass);
+}
+
+/**
+ * Parse an instruction into { operations, unparsed }.
+ * Clauses without a verb reuse the previous clause's verb ("add a hat, a cigar and a snake",
+ * "make the hat orange and the shirt green"); after a background clause they extend its
+ * description ("a forest with trees and birds").
+ */
+export function parseInstruction(instruction) {
+  const operations = [];
+  const unparsed = [];
+  let previousVerb = null;
+
+  for (const rawClause of splitClauses(tokenize(instruction))) {
+    const clause = stripFillers(rawClause);
+    if (clause.length === 0) continue;
+
+    const matched = matchVerb(clause);
+    const previous = operations[operations.length - 1];
+
+    if (!matched && previous?.type === 'background' && previous.value) {
+      previous.value = `${previous.value} and ${phrase(clause)}`;
+      previous.text = `${previous.text} and ${clause.join(' ')}`;
+      continue;
+    }
+
+    const verbInfo = matched || previousVerb;
+    if (!verbInfo) {
+      unparsed.push(clause.join(' '));
+      continue;
+    }
+
+    const body = matched ? clause.slice(matched.length) : clause;
+    if (body.length === 0) {
+      unparsed.push(clause.join(' '));
+      continue;
+    }
+
+    const node = parseClause(body, verbInfo);
+    if (!node.target && node.type !== 'background') {
+      unparsed.push(clause.join(' '));
+      continue;
+    }
+
+    operations.push({
+      ...node,
+      text: matched ? clause.join(' ') : `${verbInfo.verb} ${clause.join(' ')}`,
+      inherited: !matched
+    });
+    previousVerb = verbInfo;
+  }
+
+  return { operations, unparsed };
+}
+
+// Refinement operation `type` for each AST node type
+const OPERATION_TYPES = {
+  add: 'object_addition',
+  remove: 'object_removal',
+  move: 'object_move',
+  recolor: 'object_modification',
+  modify: 'object_modification',
+  texture: 'object_modification',
+  background: 'background_edit'
+};
+
+const PRIORITIES = { background_edit: 1, object_addition: 2, object_move: 2, object_modification: 3, object_removal: 1 };
+
+// Head noun of a noun phrase: "hat with a feather" -> "hat", "gold teeth" -> "teeth"
+const headNoun = (nounPhrase) => nounPhrase.split(/\s+(?:with|of)\s+/)[0].split(/\s+/).pop();
+
+/**
+ * Convert an AST node to the operation shape the refinement pipeline consumes
+ * (applyCombinedOperationsWithBackground, the preview and the clarification check)
+ */
+export function toRefinementOperation(node) {
+  const type = OPERATION_TYPES[node.type];
+  const operation = {
+    type,
+    instruction: node.text,
+    target: node.type === 'add' ? headNoun(node.target) : node.target,
+    action: node.type === 'add' || node.type === 'remove' || node.type === 'move' ? node.type : 'modify',
+    priority: PRIORITIES[type],
+    isValid: true,
+    confidence: node.inherited ? 0.85 : 0.9,
+    grammar: node.type
+  };
+
+  if (node.type === 'add') {
+    operation.object = node.value ? `${node.value} ${node.target}` : node.target;
+  }
+  if (node.value) {
+    operation.value = node.value;
+  }
+  if (node.location) {
+    operation.location = describeLocation(node.location);
+    // Placement the mask-based path turns into a gen_fill mask
+    operation.spatial = node.location;
+  }
+  if (node.type === 'background') {
+    // Background description helpers read the instruction text
+    operation.instruction = node.value === 'transparent background' ? 'transparent background' : `change the background to ${node.value}`;
+  }
+
+  return operation;
+}
@@ -0,0 +1,281 @@
+/**
+ * Job Manager
+ *
+ * Runs long generation/refinement pipelines in the background so routes can return a
+ * job id immediately. Each job records the stage it is in ("generation",
+ * "background_removal", "mask_cleanup", ...) and emits an event on every transition,
+ * which the /api/jobs/:id/events route streams to clients as Server-Sent Events.
+ *
+ * Stages are reported with reportJobStage() from anywhere inside a job's async call
+ * tree (AsyncLocalStorage tracks the current job), so shared helpers like briaRequest
+ * do not need a job handle threaded through them.
+ *
+ * Batch jobs (see batch-executor.js) also report each item as it settles, so partial
+ * results reach the client before the whole batch is done.
+ *
+ * Cancellation: cancel() aborts the job's AbortSignal. Synchronous requests get a signal
+ * too (runWithSignal, aborted when the client disconnects). Provider calls, status polls
+ * and image saves check currentJobSignal() and stop with a cancellation error; a job that
+ * throws after its signal aborted ends as "cancelled" rather than "failed".
+ */
+
+import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
+
+const jobContext = new AsyncLocalStorage();
+
+export const JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const TERMINAL_STATUSES = new Set([JOB_STATUSES.COMPLETED, JOB_STATUSES.FAILED, JOB_STATUSES.CANCELLED]);
+
+/**
+ * Error that work stopped by a cancelled job or a disconnected client ends with
+ */
+export function createCancellationError(message = 'Cancelled') {
+  const error = new Error(message);
+  error.status = 499;
+  error.code = 'cancelled';
+  return error;
+}
+
+export class JobManager extends EventEmitter {
+  constructor({ ttlMs = 60 * 60 * 1000, cleanupIntervalMs = 5 * 60 * 1000 } = {}) {
+    super();
+    this.jobs = new Map();
+    this.ttlMs = ttlMs;
+    this.counter = 0;
+
+    // Listeners are per-request SSE streams; don't warn when many clients watch jobs
+    this.setMaxListeners(0);
+
+    this.cleanupTimer = setInterval(() => this.cleanupExpiredJobs(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Create a job and start running it on the next tick.
+   * The runner's resolved value becomes the job result; a thrown error fails the job.
+   */
+  create(type, runner) {
+    this.counter++;
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${Date.now()}_${this.counter}_${Math.random().toString(36).substr(2, 6)}`,
+      type,
+      status: JOB_STATUSES.QUEUED,
+      stage: 'queued',
+      stages: [{ stage: 'queued', at: now }],
+      result: null,
+      error: null,
+      items: [],
+      cancel_requested: false,
+      controller: new AbortController(),
+      created_at: now,
+      updated_at: now,
+      completed_at: null
+    };
+
+    this.jobs.set(job.id, job);
+    console.log(`🧾 Job created: ${job.id} (${type})`);
+
+    setImmediate(() => this.execute(job, runner));
+    return job;
+  }
+
+  async execute(job, runner) {
+    job.status = JOB_STATUSES.RUNNING;
+    this.touch(job);
+
+    try {
+      const result = await jobContext.run({ jobId: job.id, signal: job.controller.signal }, runner);
+      job.status = JOB_STATUSES.COMPLETED;
+      job.stage = 'completed';
+      job.result = result;
+      job.completed_at = this.touch(job);
+      console.log(`✅ Job completed: ${job.id}`);
+      this.emit('job', { type: 'completed', job: this.toJSON(job) });
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        job.status = JOB_STATUSES.CANCELLED;
+        job.stage = 'cancelled';
+        job.error = { message: job.controller.signal.reason.message, code: 'cancelled' };
+        job.completed_at = this.touch(job);
+        console.log(`🛑 Job cancelled: ${job.id}`);
+        this.emit('job', { type: 'cancelled', job: this.toJSON(job) });
+        return;
+      }
+
+      job.status = JOB_STATUSES.FAILED;
+      job.stage = 'failed';
+      job.error = error.body?.error || { message: error.message };
+      job.completed_at = this.touch(job);
+      console.error(`❌ Job failed: ${job.id} - ${job.error.message}`);
+      this.emit('job', { type: 'failed', job: this.toJSON(job) });
+    }
+  }
+
+  /**
+   * Move a job to a new stage; repeated reports of the current stage and detail are ignored
+   */
+  setStage(jobId, stage, detail = null) {
+    const job = this.jobs.get(jobId);
+    if (!job || TERMINAL_STATUSES.has(job.status)) {
+      return;
+    }
+
+    const lastEntry = job.stages[job.stages.length - 1];
+    if (job.stage === stage && JSON.stringify(lastEntry.detail || null) === JSON.stringify(detail)) {
+      return;
+    }
+
+    const at = this.touch(job);
+    job.stage = stage;
+    job.stages.push(detail ? { stage, at, detail } : { stage, at });
+    console.log(`🧾 Job ${jobId} stage: ${stage}`);
+    this.emit('job', { type: 'stage', job: this.toJSON(job) });
+  }
+
+  /**
+   * Record a settled batch item ({ index, status, ... }) and stream it to subscribers
+   */
+  addItem(jobId, item) {
+    const job = this.jobs.get(jobId);
+    if (!job || TERMINAL_STATUSES.has(job.status)) {
+      return;
+    }
+
+    job.items.push(item);
+    this.touch(job);
+    this.emit('job', { type: 'item', job: this.toJSON(job) });
+  }
+
+  /**
+   * Ask a running job to stop; returns false when the job already finished
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || TERMINAL_STATUSES.has(job.status)) {
+      return false;
+    }
+
+    if (!job.cancel_requested) {
+      job.cancel_requested = true;
+      job.controller.abort(createCancellationError(`Job was cancelled: ${jobId}`));
+      this.touch(job);
+      console.log(`🛑 Job cancellation requested: ${jobId}`);
+      this.emit('job', { type: 'cancelling', job: this.toJSON(job) });
+    }
+    return true;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  isTerminal(job) {
+    return TERMINAL_STATUSES.has(job.status);
+  }
+
+  /**
+   * Subscribe to events for one job; returns an unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    const handler = (event) => {
+      if (event.job.id === jobId) {
+        listener(event);
+      }
+    };
+    this.on('job', handler);
+    return () => this.off('job', handler);
+  }
+
+  toJSON(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      stage: job.stage,
+      stages: job.stages,
+      result: job.result,
+      error: job.error,
+      items: job.items,
+      cancel_requested: job.cancel_requested,
+      created_at: job.created_at,
+      updated_at: job.updated_at,
+      completed_at: job.completed_at
+    };
+  }
+
+  touch(job) {
+    job.updated_at = new Date().toISOString();
+    return job.updated_at;
+  }
+
+  cleanupExpiredJobs() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (this.isTerminal(job) && new Date(job.completed_at).getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const jobManager = new JobManager();
+
+/**
+ * Id of the job whose call tree is currently executing, or null outside a job
+ */
+export function currentJobId() {
+  return jobContext.getStore()?.jobId || null;
+}
+
+/**
+ * Run `fn` outside a job with `signal` as its cancellation signal (synchronous requests)
+ */
+export function runWithSignal(signal, fn) {
+  return jobContext.run({ jobId: null, signal }, fn);
+}
+
+/**
+ * Report a stage transition for the current job; no-op for synchronous requests
+ */
+export function reportJobStage(stage, detail = null) {
+  const jobId = currentJobId();
+  if (jobId) {
+    jobManager.setStage(jobId, stage, detail);
+  }
+}
+
+/**
+ * Report a settled batch item for the current job; no-op for synchronous requests
+ */
+export function reportJobItem(item) {
+  const jobId = currentJobId();
+  if (jobId) {
+    jobManager.addItem(jobId, item);
+  }
+}
+
+/**
+ * AbortSignal of the current job or request, or null when there is none
+ */
+export function currentJobSignal() {
+  return jobContext.getStore()?.signal || null;
+}
+
+/**
+ * Throw the cancellation error if the current job or request was cancelled
+ */
+export function throwIfCancelled() {
+  currentJobSignal()?.throwIfAborted();
+}
+
+export default JobManager;
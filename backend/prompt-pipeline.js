@@ -0,0 +1,168 @@
+/**
+ * Prompt Pipeline
+ *
+ * Generation routes build the prompt they send to the provider from a JSON config
+ * (prompt-pipeline.json, or PROMPT_PIPELINE_PATH) instead of hard-coded suffixes, so the
+ * wording can be tuned without code changes. Each generation mode and each garment can add:
+ *
+ * - prefix / suffix: terms placed before / after the user's prompt (the "optimized prompt")
+ * - style: style tokens appended to the optimized prompt in the request that is sent
+ * - negative: terms sent as the provider's negative_prompt
+ *
+ * "{garment}" in any term is replaced with the garment's label. Modes without an entry send
+ * the prompt as typed. The file is watched and reloaded on change; an invalid edit is
+ * reported and the last valid config stays active.
+ */
+
+import fs from 'fs';
+import { validateStructuredPrompt } from './structured-prompt.js';
+
+const terms = { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 500 } };
+
+const STAGE_SCHEMA = {
+  type: 'object',
+  properties: { label: { type: 'string', maxLength: 100 }, prefix: terms, suffix: terms, style: terms, negative: terms }
+};
+
+const PIPELINE_SCHEMA = {
+  type: 'object',
+  required: ['modes'],
+  properties: {
+    defaultGarment: { type: 'string', maxLength: 100 },
+    garments: { type: 'object' },
+    modes: { type: 'object' }
+  }
+};
+
+/**
+ * Check a pipeline config; returns [{ path, message }] (empty when valid)
+ */
+export function validatePromptPipeline(config) {
+  const errors = validateStructuredPrompt(config, PIPELINE_SCHEMA);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  for (const section of ['modes', 'garments']) {
+    for (const [name, stage] of Object.entries(config[section] || {})) {
+      const base = `${section}.${name}`;
+      errors.push(...validateStructuredPrompt(stage, STAGE_SCHEMA)
+        .map(error => ({ ...error, path: error.path === '(root)' ? base : `${base}.${error.path}` })));
+    }
+  }
+
+  if (config.defaultGarment && !config.garments?.[config.defaultGarment]) {
+    errors.push({ path: 'defaultGarment', message: `must be one of the configured garments` });
+  }
+
+  return errors;
+}
+
+const joinTerms = (parts) => parts.map(part => part.trim()).filter(Boolean).join(', ');
+
+/**
+ * Build the prompts for one generation: { prompt, optimizedPrompt, negativePrompt, mode, garment }.
+ * `prompt` is what is sent to the provider; `optimizedPrompt` (without style tokens) is what
+ * generation records store. Throws on a garment the config does not define.
+ */
+export function buildPipelinePrompt(config, { prompt, mode, garment = null }) {
+  const garmentName = garment || config.defaultGarment || null;
+  const garmentStage = garmentName ? config.garments?.[garmentName] : {};
+  if (!garmentStage) {
+    throw new Error(`Unknown garment "${garmentName}"`);
+  }
+
+  const modeStage = config.modes[mode] || {};
+  const label = garmentStage.label || garmentName || 'garment';
+  const collect = (field) => [...(modeStage[field] || []), ...(garmentStage[field] || [])]
+    .map(term => term.replaceAll('{garment}', label));
+
+  const optimizedPrompt = joinTerms([...collect('prefix'), prompt, ...collect('suffix')]);
+  const negative = [...new Set(collect('negative'))];
+
+  return {
+    mode,
+    garment: garmentName,
+    prompt: joinTerms([optimizedPrompt, ...collect('style')]),
+    optimizedPrompt,
+    negativePrompt: negative.length > 0 ? joinTerms(negative) : null
+  };
+}
+
+/**
+ * Config file holder with hot reload
+ */
+export class PromptPipeline {
+  constructor({ filePath, watchIntervalMs = 1000 }) {
+    this.filePath = filePath;
+    this.watchIntervalMs = watchIntervalMs;
+    this.config = { modes: {} };
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watching = false;
+  }
+
+  /**
+   * (Re)load the config file; on failure the previous config stays active
+   */
+  load() {
+    try {
+      const config = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const errors = validatePromptPipeline(config);
+      if (errors.length > 0) {
+        throw new Error(errors.slice(0, 3).map(({ path, message }) => `${path} ${message}`).join('; '));
+      }
+
+      this.config = config;
+      this.loadedAt = new Date().toISOString();
+      this.lastError = null;
+      console.log(`📝 Prompt pipeline loaded from ${this.filePath} (${Object.keys(config.modes).length} modes, ${Object.keys(config.garments || {}).length} garments)`);
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      console.error(`❌ Prompt pipeline could not be loaded (${error.message}); keeping the ${this.loadedAt ? 'previous' : 'empty'} config`);
+      return false;
+    }
+  }
+
+  /**
+   * Reload whenever the file changes on disk
+   */
+  watch() {
+    if (this.watching) {
+      return;
+    }
+
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval: this.watchIntervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.load();
+      }
+    });
+  }
+
+  unwatch() {
+    fs.unwatchFile(this.filePath);
+    this.watching = false;
+  }
+
+  hasGarment(garment) {
+    return !!this.config.garments?.[garment];
+  }
+
+  build(options) {
+    return buildPipelinePrompt(this.config, options);
+  }
+
+  describe() {
+    return {
+      filePath: this.filePath,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      modes: Object.keys(this.config.modes),
+      garments: Object.keys(this.config.garments || {}),
+      defaultGarment: this.config.defaultGarment || null,
+      config: this.config
+    };
+  }
+}
@@ -0,0 +1,351 @@
+/**
+ * Provider Client
+ *
+ * Shared outbound layer for image provider calls (briaRequest and the status polls of
+ * pollBriaStatus go through it):
+ *
+ * - a semaphore caps the calls in flight across all routes and jobs
+ * - 429 and 5xx responses are retried with exponential backoff and full jitter (a
+ *   Retry-After header is honoured, up to the maximum delay); a request that got no
+ *   response at all is only retried when it is idempotent, since a generation the
+ *   provider accepted before the connection dropped would be started (and billed) again
+ * - a circuit breaker opens after consecutive provider failures and fails fast with a
+ *   503 until the reset timeout passes; then one trial call decides whether it closes
+ *
+ * Other 4xx responses are the caller's problem: they are neither retried nor counted
+ * against the provider. An aborted `signal` stops a call that is queued for a slot, in
+ * flight (`call` receives the signal to hand to its HTTP request) or waiting to retry; it
+ * throws the signal's reason.
+ */
+
+export const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Wait `ms`, rejecting with the signal's reason as soon as it aborts
+ */
+export function abortableDelay(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * HTTP status of a provider error, or null for network errors without a response
+ */
+const errorStatus = (error) => error.response?.status || error.status || null;
+
+/**
+ * Rate limits and server errors are worth another attempt; dropped connections and timeouts
+ * only for idempotent calls (the provider may have acted on the first one)
+ */
+export function isRetryableError(error, { idempotent = false } = {}) {
+  const status = errorStatus(error);
+  return status === null ? idempotent : status === 429 || status >= 500;
+}
+
+/**
+ * Failures that say the provider itself is unhealthy (rate limits don't trip the breaker)
+ */
+const isProviderFailure = (error) => {
+  const status = errorStatus(error);
+  return status === null || status >= 500;
+};
+
+/**
+ * Delay before retry `attempt` (0-based): a random point in [0, base * 2^attempt],
+ * capped at maxDelayMs
+ */
+export function backoffDelay(attempt, { baseDelayMs, maxDelayMs, random = Math.random }) {
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+/**
+ * Retry-After header of a 429/503 response in milliseconds, or null
+ */
+function retryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (header === undefined) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * FIFO counting semaphore
+ */
+export class Semaphore {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Wait for a slot. An aborted `signal` takes the caller out of the queue and rejects
+   * with the signal's reason.
+   */
+  async acquire(signal = null) {
+    signal?.throwIfAborted();
+    if (this.active < this.limit) {
+      this.active++;
+      return;
+    }
+
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+      const waiter = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      this.waiting.push(waiter);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      // The slot passes straight to the next waiter
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+/**
+ * Consecutive-failure circuit breaker
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may go out now; in half-open state only one trial call is let through
+   */
+  allowRequest() {
+    if (this.state === BREAKER_STATES.OPEN && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = BREAKER_STATES.HALF_OPEN;
+      console.log('🔌 Provider circuit half-open - sending a trial request');
+    }
+
+    if (this.state === BREAKER_STATES.CLOSED) return true;
+    if (this.state === BREAKER_STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== BREAKER_STATES.CLOSED) {
+      console.log('🔌 Provider circuit closed - provider is responding again');
+    }
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(message) {
+    this.consecutiveFailures++;
+    this.lastError = message;
+    this.trialInFlight = false;
+
+    if (this.state === BREAKER_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== BREAKER_STATES.OPEN) {
+        console.error(`🔌 Provider circuit open after ${this.consecutiveFailures} consecutive failures: ${message}`);
+      }
+      this.state = BREAKER_STATES.OPEN;
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * A call that settled without saying anything about provider health (e.g. a 400)
+   */
+  recordNeutral() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Milliseconds until an open circuit lets a trial request through
+   */
+  retryInMs() {
+    return this.state === BREAKER_STATES.OPEN
+      ? Math.max(0, this.resetTimeoutMs - (this.now() - this.openedAt))
+      : 0;
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      reset_timeout_ms: this.resetTimeoutMs,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_in_ms: this.retryInMs(),
+      last_error: this.lastError
+    };
+  }
+}
+
+/**
+ * Semaphore + retries + circuit breaker around provider calls
+ */
+export class ProviderClient {
+  constructor({
+    concurrency = 4,
+    maxRetries = 3,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    failureThreshold = 5,
+    resetTimeoutMs = 30000,
+    sleep = abortableDelay,
+    random = Math.random,
+    now = Date.now
+  } = {}) {
+    this.semaphore = new Semaphore(concurrency);
+    this.breaker = new CircuitBreaker({ failureThreshold, resetTimeoutMs, now });
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.sleep = sleep;
+    this.random = random;
+    this.retries = 0;
+  }
+
+  /**
+   * Error thrown while the circuit is open
+   */
+  unavailableError(label) {
+    const seconds = Math.ceil(this.breaker.retryInMs() / 1000);
+    const error = new Error(
+      `Image provider is unavailable (${this.breaker.consecutiveFailures} consecutive failures, last: ${this.breaker.lastError}); ` +
+      `not sending ${label}, retry in ${seconds}s`
+    );
+    error.status = 503;
+    error.code = 'provider_unavailable';
+    return error;
+  }
+
+  /**
+   * Run `call(signal)` under the concurrency cap, retrying transient failures.
+   * `label` names the operation in logs and errors; pass `idempotent` for calls that are
+   * safe to resend after a network error (see isRetryableError).
+   */
+  async execute(label, call, { signal = null, idempotent = false } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+      if (!this.breaker.allowRequest()) {
+        throw this.unavailableError(label);
+      }
+
+      try {
+        await this.semaphore.acquire(signal);
+      } catch (abortError) {
+        // Cancelled while queued for a slot; a half-open trial goes to the next call
+        this.breaker.recordNeutral();
+        throw abortError;
+      }
+
+      let error;
+      try {
+        // Cancelled just as the slot came free
+        signal?.throwIfAborted();
+        const result = await call(signal);
+        this.breaker.recordSuccess();
+        return result;
+      } catch (callError) {
+        error = callError;
+      } finally {
+        this.semaphore.release();
+      }
+
+      // Cancelled in flight: whatever the aborted request threw, it says nothing about the provider
+      if (signal?.aborted) {
+        this.breaker.recordNeutral();
+        throw signal.reason;
+      }
+
+      if (isProviderFailure(error)) {
+        this.breaker.recordFailure(error.response?.data?.message || error.message);
+      } else {
+        this.breaker.recordNeutral();
+      }
+
+      if (!isRetryableError(error, { idempotent }) || attempt >= this.maxRetries) {
+        throw error;
+      }
+
+      const delay = Math.min(
+        this.maxDelayMs,
+        retryAfterMs(error) ?? backoffDelay(attempt, { baseDelayMs: this.baseDelayMs, maxDelayMs: this.maxDelayMs, random: this.random })
+      );
+      this.retries++;
+      console.warn(`🔁 ${label} failed (${errorStatus(error) || error.code || 'network error'}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+      await this.sleep(delay, signal);
+    }
+  }
+
+  describe() {
+    return {
+      concurrency: this.semaphore.limit,
+      in_flight: this.semaphore.active,
+      queued: this.semaphore.waiting.length,
+      max_retries: this.maxRetries,
+      retries: this.retries,
+      circuit_breaker: this.breaker.describe()
+    };
+  }
+}
+
+/**
+ * Client configured from PROVIDER_* environment variables
+ */
+export function createProviderClient(env = process.env) {
+  const number = (name, fallback) => {
+    const value = Number(env[name]);
+    return env[name] !== undefined && env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+
+  return new ProviderClient({
+    concurrency: Math.max(1, number('PROVIDER_CONCURRENCY', 4)),
+    maxRetries: number('PROVIDER_MAX_RETRIES', 3),
+    baseDelayMs: number('PROVIDER_RETRY_BASE_MS', 500),
+    maxDelayMs: number('PROVIDER_RETRY_MAX_MS', 8000),
+    failureThreshold: Math.max(1, number('PROVIDER_BREAKER_THRESHOLD', 5)),
+    resetTimeoutMs: number('PROVIDER_BREAKER_RESET_MS', 30000)
+  });
+}
@@ -0,0 +1,143 @@
+/**
+ * Refinement Clarification
+ *
+ * Decides whether a parsed refinement plan is too uncertain to spend a generation on and,
+ * if so, builds a "needs clarification" payload: a question plus quick-reply options,
+ * each of which is a complete instruction the client can send back to /api/refine.
+ *
+ * Triggers:
+ * - an operation parsed with confidence below CLARIFICATION_CONFIDENCE_THRESHOLD
+ *   (an instruction the grammar can't parse at all becomes a 0.3 general edit)
+ * - an edit whose target is a pronoun while the design's structured prompt has several
+ *   objects ("make it gold" on a skull with roses)
+ * - clauses the instruction grammar couldn't parse next to ones it could
+ */
+
+export const CLARIFICATION_CONFIDENCE_THRESHOLD = 0.5;
+
+// Targets that name no specific object
+const VAGUE_TARGETS = new Set(['it', 'its', 'this', 'that', 'them', 'these', 'those', 'one', 'thing', 'stuff', 'something']);
+
+// Operation types that act on an object already in the design
+const TARGETED_OPERATION_TYPES = new Set(['object_modification', 'object_removal', 'object_move', 'general_edit']);
+
+const MAX_OPTIONS = 5;
+
+/**
+ * Short name for a structured-prompt object ("a skull with red roses, ..." -> "skull")
+ */
+export function shortObjectName(description) {
+  const name = String(description || '')
+    .toLowerCase()
+    .split(/,|\.|\s+(?:with|that|which|who|holding|wearing|in|on|of)\s+/)[0]
+    .replace(/^(?:a|an|the)\s+/, '')
+    .trim();
+
+  // Keep the leading noun phrase: stop at a later participle or preposition ("roses wrapped around ...")
+  const words = name.split(/\s+/);
+  const end = words.findIndex((word, index) => index > 0 && /(?:ing|ed)$|^(?:around|over|under|behind|beside|near|at|from|to|and)$/.test(word));
+  return words.slice(0, end === -1 ? 4 : Math.min(end, 4)).join(' ');
+}
+
+/**
+ * Distinct short names of the objects in a parsed structured prompt
+ */
+export function getCandidateTargets(structuredPrompt) {
+  const names = (structuredPrompt?.objects || [])
+    .map(object => shortObjectName(object.description))
+    .filter(Boolean);
+
+  return Array.from(new Set(names));
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isVagueTarget = (target) => !target || VAGUE_TARGETS.has(target.toLowerCase().split(/\s+/)[0]);
+
+/**
+ * Rewrite an instruction so the operation's target names `objectName` explicitly
+ */
+function retargetInstruction(instruction, operation, objectName) {
+  // Only swap the pronoun itself so "make it more vibrant" keeps "more"
+  const target = isVagueTarget(operation.target?.trim()) ? operation.target?.trim().split(/\s+/)[0] : operation.target?.trim();
+  if (target) {
+    const pattern = new RegExp(`\\b(?:the\\s+)?${escapeRegExp(target)}\\b`, 'i');
+    if (pattern.test(instruction)) {
+      return instruction.replace(pattern, `the ${objectName}`);
+    }
+  }
+
+  if (operation.type === 'object_removal') return `remove the ${objectName}`;
+  if (operation.value) return `make the ${objectName} ${operation.value}`;
+  return `${instruction} on the ${objectName}`;
+}
+
+function askForTarget(instruction, operation, candidates, reason) {
+  const question = operation.type === 'object_removal' ? 'Which object should be removed?'
+    : operation.type === 'object_move' ? 'Which object should be moved?'
+    : operation.value ? `Which object should be ${operation.value}?`
+    : `Which part of the design should "${operation.instruction || instruction}" apply to?`;
+
+  const options = candidates.slice(0, MAX_OPTIONS).map(name => ({
+    label: name,
+    instruction: retargetInstruction(instruction, operation, name)
+  }));
+
+  if (operation.type !== 'object_removal' && operation.type !== 'object_move') {
+    options.push({ label: 'the whole design', instruction: retargetInstruction(instruction, operation, 'whole design') });
+  }
+
+  return { reason, question, options };
+}
+
+/**
+ * Clarification payload for a refinement plan, or null when the plan is clear enough.
+ * `unparsed` are the clauses the instruction grammar couldn't parse.
+ */
+export function buildRefinementClarification({ instruction, operations = [], structuredPrompt = null, unparsed = [] }) {
+  const candidates = getCandidateTargets(structuredPrompt);
+
+  for (const operation of operations) {
+    if (!TARGETED_OPERATION_TYPES.has(operation.type)) continue;
+
+    const target = operation.target?.trim() || '';
+    const lowConfidence = typeof operation.confidence === 'number' && operation.confidence < CLARIFICATION_CONFIDENCE_THRESHOLD;
+
+    if (isVagueTarget(target) && candidates.length > 1) {
+      return finalize(instruction, operations, askForTarget(instruction, operation, candidates, 'ambiguous_target'));
+    }
+
+    if (lowConfidence) {
+      return finalize(instruction, operations, candidates.length > 0
+        ? askForTarget(instruction, operation, candidates, 'low_confidence')
+        : { reason: 'low_confidence', question: `I'm not sure what "${operation.instruction || instruction}" should change. Could you rephrase it?`, options: [] });
+    }
+  }
+
+  if (unparsed.length > 0) {
+    const understood = operations.map(operation => operation.instruction).filter(Boolean);
+    return finalize(instruction, operations, {
+      reason: 'dropped_operations',
+      question: `I couldn't understand ${unparsed.map(clause => `"${clause}"`).join(', ')}. Apply just ${understood.map(text => `"${text}"`).join(', ')}?`,
+      options: [{ label: `Apply ${understood.length} change${understood.length === 1 ? '' : 's'}`, instruction, skipClarification: true }],
+      missed: unparsed
+    });
+  }
+
+  return null;
+}
+
+function finalize(instruction, operations, clarification) {
+  return {
+    ...clarification,
+    instruction,
+    understoodOperations: operations.map(operation => ({
+      type: operation.type,
+      instruction: operation.instruction || instruction,
+      target: operation.target || null,
+      confidence: operation.confidence ?? null
+    })),
+    // The client may resend the original instruction with skipClarification: true
+    canProceed: true
+  };
+}
@@ -0,0 +1,371 @@
+/**
+ * Spatial Masks
+ *
+ * Turns the location of a parsed refinement operation ({ relation, target, region } from
+ * instruction-grammar.js) into a gen_fill mask. Boxes are fractions of the image
+ * ({ x, y, width, height } in 0-1) so they don't depend on the output resolution:
+ *
+ * - canvas regions: "in the top-left corner"
+ * - object-relative regions: "on the left side of the skull"
+ * - relations to an anchor object: "on top of the skull", "behind the sword"
+ *
+ * Anchor boxes come from a mask_generator mask, or from the object's `location` text in
+ * the structured prompt when no mask is available.
+ *
+ * Also holds the mask arithmetic used around gen_fill: excluding locked objects and
+ * re-compositing the original pixels outside the edited area.
+ */
+
+import sharp from 'sharp';
+import { loadImageBuffer } from './image-providers.js';
+
+export const REGION_BOXES = {
+  'top-left': { x: 0, y: 0, width: 0.45, height: 0.45 },
+  top: { x: 0.2, y: 0, width: 0.6, height: 0.4 },
+  'top-right': { x: 0.55, y: 0, width: 0.45, height: 0.45 },
+  left: { x: 0, y: 0.2, width: 0.4, height: 0.6 },
+  center: { x: 0.25, y: 0.25, width: 0.5, height: 0.5 },
+  right: { x: 0.6, y: 0.2, width: 0.4, height: 0.6 },
+  'bottom-left': { x: 0, y: 0.55, width: 0.45, height: 0.45 },
+  bottom: { x: 0.2, y: 0.6, width: 0.6, height: 0.4 },
+  'bottom-right': { x: 0.55, y: 0.55, width: 0.45, height: 0.45 }
+};
+
+// Relations where the new content sits beside the anchor, so the anchor's own pixels stay untouched
+const ANCHOR_PRESERVING_RELATIONS = new Set(['behind', 'around', 'next_to', 'left_of', 'right_of', 'above', 'below']);
+
+const MIN_SIZE = 0.05;
+
+/**
+ * Keep a box inside the image, shifting it back in rather than shrinking it where possible
+ */
+export function clampBox({ x, y, width, height }) {
+  const w = Math.min(Math.max(width, MIN_SIZE), 1);
+  const h = Math.min(Math.max(height, MIN_SIZE), 1);
+  return {
+    x: Math.min(Math.max(x, 0), 1 - w),
+    y: Math.min(Math.max(y, 0), 1 - h),
+    width: w,
+    height: h
+  };
+}
+
+/**
+ * Canvas region, or the same region within an anchor box
+ */
+export function regionBox(region, anchor = null) {
+  const box = REGION_BOXES[region] || REGION_BOXES.center;
+  if (!anchor) return { ...box };
+
+  return clampBox({
+    x: anchor.x + box.x * anchor.width,
+    y: anchor.y + box.y * anchor.height,
+    width: box.width * anchor.width,
+    height: box.height * anchor.height
+  });
+}
+
+/**
+ * Box for new content placed in `relation` to an anchor box
+ */
+export function relationBox(relation, anchor) {
+  const { x, y, width, height } = anchor;
+
+  switch (relation) {
+    case 'on_top_of':
+      return clampBox({ x: x + width * 0.15, y: y - height * 0.3, width: width * 0.7, height: height * 0.45 });
+    case 'above':
+      return clampBox({ x, y: y - height * 0.5, width, height: height * 0.5 });
+    case 'below':
+      return clampBox({ x, y: y + height, width, height: height * 0.5 });
+    case 'left_of':
+      return clampBox({ x: x - width * 0.5, y, width: width * 0.5, height });
+    case 'right_of':
+    case 'next_to':
+      return clampBox({ x: x + width, y, width: width * 0.5, height });
+    case 'behind':
+    case 'around':
+      return clampBox({ x: x - width * 0.25, y: y - height * 0.25, width: width * 1.5, height: height * 1.5 });
+    default:
+      // on, in, at, in front of: over the anchor itself
+      return clampBox(anchor);
+  }
+}
+
+/**
+ * Box for a parsed location, or null when it names an anchor that couldn't be found
+ */
+export function spatialBox(location, anchorBox) {
+  if (location.region) {
+    return regionBox(location.region, location.target ? anchorBox : null);
+  }
+  return anchorBox ? relationBox(location.relation, anchorBox) : null;
+}
+
+export const preservesAnchor = (relation) => ANCHOR_PRESERVING_RELATIONS.has(relation);
+
+/**
+ * Bounding box of the white pixels of a mask, or null if the mask is empty
+ */
+export async function maskBoundingBox(mask) {
+  const { data, info } = await sharp(await loadImageBuffer(mask))
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let minX = info.width, minY = info.height, maxX = -1, maxY = -1;
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[(y * info.width + x) * info.channels] > 127) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (maxX === -1) return null;
+  return {
+    x: minX / info.width,
+    y: minY / info.height,
+    width: (maxX - minX + 1) / info.width,
+    height: (maxY - minY + 1) / info.height
+  };
+}
+
+/**
+ * Whether the mask is white at a fractional { x, y } point, and the fraction of the image it
+ * covers (to prefer the smallest of several objects under the same point)
+ */
+export async function maskHitTest(mask, point) {
+  const { data, info } = await sharp(await loadImageBuffer(mask))
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const x = Math.min(info.width - 1, Math.floor(point.x * info.width));
+  const y = Math.min(info.height - 1, Math.floor(point.y * info.height));
+  let covered = 0;
+  for (let p = 0; p < info.width * info.height; p++) {
+    if (data[p * info.channels] > 127) covered++;
+  }
+
+  return {
+    hit: data[(y * info.width + x) * info.channels] > 127,
+    area: covered / (info.width * info.height)
+  };
+}
+
+/**
+ * Approximate box from a structured-prompt location such as "top-center, on head"
+ */
+export function locationTextBox(text) {
+  const words = String(text || '').toLowerCase().split(/[^a-z]+/);
+  const vertical = words.includes('top') || words.includes('upper') ? 'top' : words.includes('bottom') || words.includes('lower') ? 'bottom' : null;
+  const horizontal = words.includes('left') ? 'left' : words.includes('right') ? 'right' : null;
+  const center = words.includes('center') || words.includes('centre') || words.includes('middle');
+
+  if (!vertical && !horizontal && !center) return null;
+  return regionBox(vertical && horizontal ? `${vertical}-${horizontal}` : vertical || horizontal || 'center');
+}
+
+/**
+ * Anchor box for a target from the structured prompt object whose description mentions it
+ */
+export function anchorBoxFromStructuredPrompt(structuredPrompt, target) {
+  const words = String(target || '').toLowerCase().split(/\s+/).filter(word => word.length > 2);
+  const object = (structuredPrompt?.objects || []).find(candidate => {
+    const description = String(candidate.description || '').toLowerCase();
+    return words.some(word => description.includes(word));
+  });
+  return object ? locationTextBox(object.location) : null;
+}
+
+/**
+ * Render a box as a white-on-black PNG mask data URL. Pixels that are white in `exclude`
+ * (an anchor object's mask) stay black so the anchor is not repainted.
+ */
+export async function renderMask({ width, height, box, exclude = null }) {
+  const excluded = exclude
+    ? await sharp(await loadImageBuffer(exclude)).greyscale().resize(width, height, { fit: 'fill' }).raw().toBuffer()
+    : null;
+
+  const left = Math.round(box.x * width);
+  const top = Math.round(box.y * height);
+  const right = Math.min(width, Math.round((box.x + box.width) * width));
+  const bottom = Math.min(height, Math.round((box.y + box.height) * height));
+
+  const mask = Buffer.alloc(width * height);
+  for (let y = top; y < bottom; y++) {
+    for (let x = left; x < right; x++) {
+      const p = y * width + x;
+      mask[p] = excluded && excluded[p] > 127 ? 0 : 255;
+    }
+  }
+
+  const png = await sharp(mask, { raw: { width, height, channels: 1 } }).png().toBuffer();
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+/**
+ * Black out the pixels of `mask` that are white in any of `excludes` (the masks of locked
+ * objects) and return the result as a PNG mask data URL
+ */
+export async function subtractMasks(mask, excludes) {
+  const { data, info } = await sharp(await loadImageBuffer(mask))
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const result = Buffer.alloc(info.width * info.height);
+  for (let p = 0; p < result.length; p++) {
+    result[p] = data[p * info.channels];
+  }
+
+  for (const exclude of excludes) {
+    const excluded = await sharp(await loadImageBuffer(exclude))
+      .greyscale()
+      .resize(info.width, info.height, { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    for (let p = 0; p < result.length; p++) {
+      if (excluded.data[p * excluded.info.channels] > 127) result[p] = 0;
+    }
+  }
+
+  const png = await sharp(result, { raw: { width: info.width, height: info.height, channels: 1 } }).png().toBuffer();
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+/**
+ * Union of masks at the given size as one-channel greyscale pixels
+ */
+async function unionMask(masks, width, height) {
+  const union = Buffer.alloc(width * height);
+  for (const mask of masks) {
+    const data = await sharp(await loadImageBuffer(mask))
+      .greyscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+    for (let p = 0; p < union.length; p++) {
+      if (data[p] > union[p]) union[p] = data[p];
+    }
+  }
+  return union;
+}
+
+/**
+ * Combine several masks (a move's source and destination) into one PNG mask data URL
+ */
+export async function combineMasks(masks) {
+  const { width, height } = await sharp(await loadImageBuffer(masks[0])).metadata();
+  const png = await sharp(await unionMask(masks, width, height), { raw: { width, height, channels: 1 } }).png().toBuffer();
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+/**
+ * Keep an edit's new pixels only inside its masks: outside a feathered version of the masks
+ * the original pixels are pasted back, so a localized edit (and any background removal after
+ * it) leaves the rest of the design pixel-identical. Blends in premultiplied alpha so
+ * transparent edges don't pick up colour. `feather` is the blur sigma in pixels (default
+ * scales with the image). Returns a PNG buffer at the original's size.
+ */
+export async function compositeMaskedEdit(original, edited, masks, { feather = null } = {}) {
+  const originalImage = sharp(await loadImageBuffer(original)).toColourspace('srgb').ensureAlpha();
+  const { width, height } = await originalImage.metadata();
+  const sigma = feather ?? Math.max(1, Math.round(Math.min(width, height) / 256));
+
+  const mask = sharp(await unionMask(masks, width, height), { raw: { width, height, channels: 1 } });
+  const [before, after, weights] = await Promise.all([
+    originalImage.raw().toBuffer(),
+    sharp(await loadImageBuffer(edited)).toColourspace('srgb').ensureAlpha().resize(width, height, { fit: 'fill' }).raw().toBuffer(),
+    (sigma > 0 ? mask.blur(Math.max(0.3, sigma)) : mask).extractChannel(0).raw().toBuffer()
+  ]);
+
+  const result = Buffer.alloc(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    const i = p * 4;
+    const m = weights[p] / 255;
+    if (m === 0) {
+      before.copy(result, i, i, i + 4);
+      continue;
+    }
+
+    const alphaBefore = before[i + 3] / 255;
+    const alphaAfter = after[i + 3] / 255;
+    const alpha = alphaBefore * (1 - m) + alphaAfter * m;
+    for (let c = 0; c < 3; c++) {
+      const premultiplied = before[i + c] * alphaBefore * (1 - m) + after[i + c] * alphaAfter * m;
+      result[i + c] = alpha > 0 ? Math.round(premultiplied / alpha) : 0;
+    }
+    result[i + 3] = Math.round(alpha * 255);
+  }
+
+  return sharp(result, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+/**
+ * Mask the user painted or outlined in the editor, as a white-on-black PNG data URL at the
+ * image's size. `mask` is a PNG (white = edit; transparent pixels count as black) and
+ * `polygons` are lasso outlines as [[x, y], ...] fractions of the image. Both may be given;
+ * they are combined. Returns null when nothing was selected.
+ */
+export async function buildUserMask({ image, mask = null, polygons = [] }) {
+  const { width, height } = await sharp(await loadImageBuffer(image)).metadata();
+  const selected = Buffer.alloc(width * height);
+
+  if (mask) {
+    const { data, info } = await sharp(await loadImageBuffer(mask))
+      .toColourspace('srgb')
+      .ensureAlpha()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    for (let p = 0; p < selected.length; p++) {
+      const i = p * info.channels;
+      const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      if (luma * data[i + 3] / 255 > 127) selected[p] = 255;
+    }
+  }
+
+  if (polygons.length > 0) {
+    const shapes = polygons
+      .map(points => `<polygon points="${points.map(([x, y]) => `${x * width},${y * height}`).join(' ')}" fill="#fff"/>`)
+      .join('');
+    const outline = await sharp(Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="100%" height="100%" fill="#000"/>${shapes}</svg>`
+    ))
+      .greyscale()
+      .raw()
+      .toBuffer();
+    for (let p = 0; p < selected.length; p++) {
+      if (outline[p] > 127) selected[p] = 255;
+    }
+  }
+
+  if (!selected.includes(255)) return null;
+
+  const png = await sharp(selected, { raw: { width, height, channels: 1 } }).png().toBuffer();
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+/**
+ * Mask for a parsed location. `anchorMask` is the mask_generator result for
+ * location.target, if one was produced. Returns { box, mask } or null when the anchor
+ * can't be placed.
+ */
+export async function buildSpatialMask({ image, location, anchorMask = null, structuredPrompt = null }) {
+  const anchorBox = location.target
+    ? (anchorMask ? await maskBoundingBox(anchorMask) : null) || anchorBoxFromStructuredPrompt(structuredPrompt, location.target)
+    : null;
+
+  const box = spatialBox(location, anchorBox);
+  if (!box) return null;
+
+  const { width, height } = await sharp(await loadImageBuffer(image)).metadata();
+  const exclude = anchorMask && !location.region && preservesAnchor(location.relation) ? anchorMask : null;
+
+  return { box, mask: await renderMask({ width, height, box, exclude }) };
+}
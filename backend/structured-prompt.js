@@ -0,0 +1,169 @@
+/**
+ * Structured Prompt Helpers
+ *
+ * FIBO structured prompts travel through the backend as JSON strings (generation records,
+ * Bria responses) and as objects (refinement code). These helpers normalize between the
+ * two, describe how one prompt differs from another, and validate prompts edited by users.
+ */
+
+/**
+ * Parse a structured prompt given as a JSON string or object; returns null if unusable
+ */
+export function parseStructuredPrompt(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'object') {
+    return value;
+  }
+
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Field-level diff between two structured prompts.
+ * Returns entries like { path: 'objects[1].colors', change: 'changed', before, after }.
+ * Keys starting with "_" are bookkeeping added by the refinement code and are skipped.
+ */
+export function diffStructuredPrompts(before, after) {
+  const changes = [];
+
+  const walk = (a, b, path) => {
+    if (JSON.stringify(a) === JSON.stringify(b)) {
+      return;
+    }
+
+    if (a === undefined) {
+      changes.push({ path, change: 'added', before: null, after: b });
+      return;
+    }
+
+    if (b === undefined) {
+      changes.push({ path, change: 'removed', before: a, after: null });
+      return;
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        walk(a[i], b[i], `${path}[${i}]`);
+      }
+      return;
+    }
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      for (const key of keys) {
+        if (!key.startsWith('_')) {
+          walk(a[key], b[key], path ? `${path}.${key}` : key);
+        }
+      }
+      return;
+    }
+
+    changes.push({ path, change: 'changed', before: a, after: b });
+  };
+
+  walk(parseStructuredPrompt(before) || {}, parseStructuredPrompt(after) || {}, '');
+  return changes;
+}
+
+const text = (maxLength = 2000) => ({ type: 'string', maxLength });
+const textFields = (...names) => Object.fromEntries(names.map(name => [name, text()]));
+
+/**
+ * Schema for user-edited FIBO structured prompts (a JSON Schema subset: type, properties,
+ * required, items, maxLength, minimum, maxItems). Unknown keys are allowed so fields FIBO
+ * adds later survive an edit.
+ */
+export const STRUCTURED_PROMPT_SCHEMA = {
+  type: 'object',
+  required: ['short_description', 'objects'],
+  properties: {
+    short_description: text(),
+    objects: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+          ...textFields('description', 'location', 'relationship', 'relative_size', 'shape_and_color',
+            'texture', 'appearance_details', 'orientation', 'pose', 'expression', 'clothing', 'action'),
+          number_of_objects: { type: 'integer', minimum: 1 }
+        }
+      }
+    },
+    background_setting: text(),
+    lighting: { type: 'object', properties: textFields('conditions', 'direction', 'shadows') },
+    aesthetics: { type: 'object', properties: textFields('composition', 'color_scheme', 'mood_atmosphere') },
+    photographic_characteristics: {
+      type: 'object',
+      properties: textFields('depth_of_field', 'focus', 'camera_angle', 'lens_focal_length')
+    },
+    style_medium: text(),
+    artistic_style: text(),
+    context: text(),
+    text_render: { type: 'array', maxItems: 10, items: { type: 'object' } }
+  }
+};
+
+const typeOf = (value) => (Array.isArray(value) ? 'array'
+  : value === null ? 'null'
+  : Number.isInteger(value) ? 'integer'
+  : typeof value);
+
+/**
+ * Check a structured prompt against a schema; returns [{ path, message }] (empty when valid)
+ */
+export function validateStructuredPrompt(value, schema = STRUCTURED_PROMPT_SCHEMA) {
+  const errors = [];
+
+  const check = (node, rule, path) => {
+    const actual = typeOf(node);
+    const typeMatches = actual === rule.type || (rule.type === 'number' && actual === 'integer');
+    if (!typeMatches) {
+      errors.push({ path, message: `must be ${rule.type === 'integer' || rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}` });
+      return;
+    }
+
+    if (rule.maxLength !== undefined && node.length > rule.maxLength) {
+      errors.push({ path, message: `must be at most ${rule.maxLength} characters` });
+    }
+    if (rule.minimum !== undefined && node < rule.minimum) {
+      errors.push({ path, message: `must be at least ${rule.minimum}` });
+    }
+
+    if (rule.type === 'array') {
+      if (rule.maxItems !== undefined && node.length > rule.maxItems) {
+        errors.push({ path, message: `must have at most ${rule.maxItems} entries` });
+      }
+      if (rule.items) {
+        node.forEach((item, index) => check(item, rule.items, `${path}[${index}]`));
+      }
+    }
+
+    if (rule.type === 'object') {
+      for (const key of rule.required || []) {
+        if (node[key] === undefined) {
+          errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+        }
+      }
+      for (const [key, childRule] of Object.entries(rule.properties || {})) {
+        if (node[key] !== undefined) {
+          check(node[key], childRule, path ? `${path}.${key}` : key);
+        }
+      }
+    }
+  };
+
+  check(value, schema, '');
+  return errors.map(error => ({ ...error, path: error.path || '(root)' }));
+}
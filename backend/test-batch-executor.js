@@ -0,0 +1,75 @@
+/**
+ * Test Batch Executor
+ * Checks bounded concurrency, per-item failures, cancellation of items that haven't
+ * started and that results come back in input order
+ */
+
+import { formatBatchSummary, runBatch, summarizeBatch } from './batch-executor.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testBatchExecutor() {
+  console.log("🧪 Testing Batch Executor");
+  console.log("========================");
+
+  let running = 0;
+  let peak = 0;
+  const settledOrder = [];
+  const entries = await runBatch([40, 10, 30, 20, 10], async (delay, index) => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(delay);
+    running--;
+    if (index === 2) throw new Error('provider timeout');
+    return delay * 2;
+  }, { concurrency: 2, onSettled: entry => settledOrder.push(entry.index) });
+
+  console.log(peak === 2 ? "✅ at most 2 items in flight" : `❌ peak concurrency was ${peak}`);
+  console.log(entries.map(entry => entry.index).join() === '0,1,2,3,4'
+    ? "✅ entries come back in input order" : `❌ order ${entries.map(entry => entry.index)}`);
+  console.log(settledOrder.length === 5 && settledOrder[0] === 1
+    ? "✅ items are reported as they settle" : `❌ settled order ${settledOrder}`);
+  console.log(entries[2].status === 'failed' && entries[2].error.message === 'provider timeout'
+    ? "✅ a failed item keeps its reason" : `❌ failed entry ${JSON.stringify(entries[2])}`);
+  console.log(entries.filter(entry => entry.status === 'ok').map(entry => entry.result).join() === '80,20,40,20'
+    ? "✅ other items still succeed" : "❌ a failure affected other items");
+
+  const routeError = Object.assign(new Error('Route error'), { body: { error: { message: 'Prompt rejected' } } });
+  const [rejected] = await runBatch([1], async () => { throw routeError; }, { onSettled: null });
+  console.log(rejected.error.message === 'Prompt rejected'
+    ? "✅ route error messages are kept" : `❌ got ${rejected.error.message}`);
+
+  const controller = new AbortController();
+  const started = [];
+  const cancelled = await runBatch([1, 2, 3, 4], async (item, index, signal) => {
+    started.push(item);
+    if (index === 0) controller.abort();
+    await sleep(5);
+    return signal === controller.signal;
+  }, { concurrency: 1, signal: controller.signal, onSettled: null });
+  console.log(started.join() === '1' && cancelled[0].status === 'ok' && cancelled[0].result === true
+    ? "✅ the running item finishes and sees the signal" : `❌ started ${started}`);
+  console.log(cancelled.slice(1).every(entry => entry.status === 'cancelled')
+    ? "✅ items not yet started are cancelled" : `❌ ${JSON.stringify(cancelled)}`);
+
+  const interrupted = new AbortController();
+  const [stopped] = await runBatch([1], async (item, index, signal) => {
+    interrupted.abort(new Error('Job was cancelled'));
+    signal.throwIfAborted();
+  }, { signal: interrupted.signal, onSettled: null });
+  console.log(stopped.status === 'cancelled'
+    ? "✅ an item stopped by the signal counts as cancelled" : `❌ ${JSON.stringify(stopped)}`);
+
+  const summary = summarizeBatch(cancelled);
+  console.log(summary.ok === 1 && summary.failed === 0 && summary.cancelled === 3
+    ? "✅ summary counts statuses" : `❌ summary ${JSON.stringify(summary)}`);
+  console.log(formatBatchSummary({ failed: 1, cancelled: 2 }) === ', 1 failed, 2 cancelled' && formatBatchSummary({ failed: 0, cancelled: 0 }) === ''
+    ? "✅ summary text only mentions problems" : "❌ unexpected summary text");
+
+  console.log((await runBatch([], async () => 1, { onSettled: null })).length === 0
+    ? "✅ an empty batch resolves" : "❌ empty batch");
+
+  console.log("\n🎉 Batch executor checks complete");
+}
+
+testBatchExecutor();
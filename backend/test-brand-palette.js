@@ -0,0 +1,58 @@
+/**
+ * Test Brand Palette
+ * Checks palette extraction from a brand image, hex parsing, the prompt constraint and
+ * snapping of near colors onto the palette
+ */
+
+import sharp from 'sharp';
+import { describePalette, extractPalette, normalizeHexColor, paletteFromHexColors, snapToPalette } from './brand-palette.js';
+
+// 40x40 image: left half navy, right half gold on top and transparent below
+async function brandImage() {
+  const pixels = Buffer.alloc(40 * 40 * 4);
+  for (let y = 0; y < 40; y++) {
+    for (let x = 0; x < 40; x++) {
+      const i = (y * 40 + x) * 4;
+      const color = x < 20 ? [30, 58, 138, 255] : y < 20 ? [202, 138, 4, 255] : [255, 0, 0, 0];
+      pixels.set(color, i);
+    }
+  }
+  return sharp(pixels, { raw: { width: 40, height: 40, channels: 4 } }).png().toBuffer();
+}
+
+async function testBrandPalette() {
+  console.log("🧪 Testing Brand Palette");
+  console.log("=======================");
+
+  const palette = await extractPalette(await brandImage());
+  console.log(palette.map(swatch => swatch.hex).join(',') === '#1e3a8a,#ca8a04'
+    ? "✅ dominant colors extracted, transparent pixels ignored" : `❌ unexpected palette ${JSON.stringify(palette)}`);
+  console.log(palette[0].share > 0.6 && palette[0].name === 'navy' && palette[1].name === 'gold'
+    ? "✅ swatches carry share and name" : `❌ unexpected swatch details ${JSON.stringify(palette)}`);
+
+  console.log(normalizeHexColor('#1E3A8A') === '#1e3a8a' && normalizeHexColor('fa0') === '#ffaa00' && normalizeHexColor('navy') === null
+    ? "✅ hex colors are normalized" : "❌ hex normalization wrong");
+  console.log(paletteFromHexColors(['#1e3a8a', 'not a color']) === null && paletteFromHexColors(['#fff', '#ffffff']).length === 1
+    ? "✅ edited palettes reject bad colors and drop duplicates" : "❌ edited palette parsing wrong");
+
+  console.log(describePalette(palette) === 'color palette strictly limited to navy (#1e3a8a) and gold (#ca8a04), no other colors'
+    ? "✅ palette becomes an explicit prompt constraint" : `❌ unexpected description: ${describePalette(palette)}`);
+
+  // Near-navy and near-gold pixels snap, pure green stays, transparency is kept
+  const design = await sharp(Buffer.from([
+    40, 60, 130, 255,
+    210, 140, 10, 200,
+    0, 255, 0, 255,
+    0, 0, 0, 0
+  ]), { raw: { width: 4, height: 1, channels: 4 } }).png().toBuffer();
+  const { buffer, snappedShare } = await snapToPalette(design, palette);
+  const snapped = await sharp(buffer).raw().toBuffer();
+  console.log([...snapped.subarray(0, 4)].join(',') === '30,58,138,255' && [...snapped.subarray(4, 8)].join(',') === '202,138,4,200'
+    ? "✅ near colors snap onto the palette with alpha kept" : `❌ unexpected snapped pixels ${[...snapped]}`);
+  console.log([...snapped.subarray(8, 12)].join(',') === '0,255,0,255' && Math.abs(snappedShare - 0.667) < 0.001
+    ? "✅ far colors are left alone" : `❌ far color changed or wrong share ${snappedShare}`);
+
+  console.log("\n🎉 Brand palette checks complete");
+}
+
+testBrandPalette();
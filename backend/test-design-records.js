@@ -0,0 +1,83 @@
+/**
+ * Test Design Records
+ * Checks that records get design ids and lineage fields, resolve from any URL they were
+ * served from, move the lineage head, and that URL-keyed legacy records are re-keyed
+ */
+
+import { DesignRecords, normalizeDesignUrl } from './design-records.js';
+
+const createRecords = () => new DesignRecords({ records: new Map(), urlIndex: new Map(), heads: new Map() });
+
+async function testDesignRecords() {
+  console.log("🧪 Testing Design Records");
+  console.log("========================");
+
+  // saveDesignRecord
+  const designs = createRecords();
+  const root = designs.save({
+    image_url: 'https://cdn.example.com/results/abc123.png?sig=1',
+    local_url: 'http://localhost:5001/designs/generated_1.png'
+  }, ['https://cdn.example.com/results/abc123-bg.png']);
+
+  console.log(/^dsn_/.test(root.design_id) && root.root_design_id === root.design_id && root.parent_design_id === null
+    ? "✅ a new record is its own root" : `❌ ${JSON.stringify(root)}`);
+  console.log(designs.heads.get(root.design_id) === root.design_id
+    ? "✅ the new record is the head of its lineage" : "❌ head not set");
+
+  const kept = designs.save({ design_id: 'dsn_fixed', image_url: 'https://cdn.example.com/results/fixed.png' });
+  console.log(kept.design_id === 'dsn_fixed' && designs.records.get('dsn_fixed') === kept
+    ? "✅ an existing design id is kept" : `❌ stored as ${kept.design_id}`);
+
+  const child = designs.save({
+    ...root,
+    design_id: 'dsn_child',
+    parent_design_id: root.design_id,
+    image_url: 'https://cdn.example.com/results/def456.png',
+    local_url: 'http://localhost:5001/designs/refined_2.png'
+  });
+  console.log(child.root_design_id === root.design_id && designs.heads.get(root.design_id) === 'dsn_child'
+    ? "✅ saving a refinement moves the lineage head" : `❌ head ${designs.heads.get(root.design_id)}`);
+
+  // findDesignRecord
+  console.log(designs.find({ designId: root.design_id }) === root && designs.find({ designId: 'dsn_missing' }) === null
+    ? "✅ records resolve by design id" : "❌ lookup by id failed");
+  console.log(designs.find({ imageUrl: 'https://cdn.example.com/results/abc123.png?sig=2' }) === root
+    ? "✅ provider URLs resolve regardless of the query string" : "❌ provider URL not found");
+  console.log(designs.find({ imageUrl: 'https://shirts.example.com/designs/generated_1.png' }) === root
+    ? "✅ /designs/ files resolve from any host" : "❌ production URL not found");
+  console.log(designs.find({ imageUrl: 'https://cdn.example.com/results/abc123-bg.png' }) === root
+    ? "✅ extra URLs are indexed" : "❌ extra URL not indexed");
+  console.log(designs.find({ designId: 'dsn_child', imageUrl: 'https://cdn.example.com/results/abc123.png' }) === child
+    ? "✅ a design id wins over the URL" : "❌ URL used over the design id");
+  console.log(designs.find({ imageUrl: 'data:image/png;base64,AAAA' }) === null && designs.find() === null
+    ? "✅ data URLs and empty references don't resolve" : "❌ unexpected match");
+  console.log(normalizeDesignUrl('not a url?x=1') === 'not a url'
+    ? "✅ unparseable URLs are keyed without their query string" : `❌ ${normalizeDesignUrl('not a url?x=1')}`);
+
+  // reindexLegacyDesignRecords
+  const legacy = createRecords();
+  const legacyRecord = {
+    design_id: 'dsn_legacy_1',
+    root_design_id: 'dsn_legacy_1',
+    image_url: 'https://cdn.example.com/results/old.png',
+    local_url: 'http://localhost:5001/designs/generated_old.png'
+  };
+  legacy.records.set('https://cdn.example.com/results/old.png', legacyRecord);
+  legacy.records.set('http://localhost:5001/designs/generated_old.png', legacyRecord);
+  legacy.records.set('dsn_current', { design_id: 'dsn_current', root_design_id: 'dsn_current' });
+
+  const reindexed = legacy.reindexLegacy();
+  console.log(reindexed === 2 && Array.from(legacy.records.keys()).sort().join() === 'dsn_current,dsn_legacy_1'
+    ? "✅ copies stored under several URLs collapse into one record" : `❌ keys ${Array.from(legacy.records.keys())}`);
+  console.log(legacy.find({ imageUrl: 'http://localhost:5001/designs/generated_old.png' }) === legacyRecord &&
+    legacy.find({ imageUrl: 'https://cdn.example.com/results/old.png' }) === legacyRecord
+    ? "✅ re-keyed records still resolve from their URLs" : "❌ legacy URL lookup failed");
+  console.log(legacy.heads.get('dsn_legacy_1') === 'dsn_legacy_1' && !legacy.heads.has('dsn_current')
+    ? "✅ re-keyed records become the head of their lineage" : "❌ heads not updated");
+  console.log(legacy.reindexLegacy() === 0
+    ? "✅ re-indexing again changes nothing" : "❌ second pass re-keyed records");
+
+  console.log("\n🎉 Design records checks complete");
+}
+
+testDesignRecords();
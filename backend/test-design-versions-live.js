@@ -0,0 +1,67 @@
+/**
+ * Live test for version thumbnails
+ * Lists a design's versions (which creates its thumbnail), refines it and checks that the
+ * refinement gets a thumbnail of its own instead of the parent's, then refines a reverted
+ * version and checks the refinement doesn't carry the revert
+ */
+
+import axios from 'axios';
+
+const BASE_URL = 'http://localhost:5001';
+
+async function testVersionThumbnailsLive() {
+  console.log('🧪 Testing version thumbnails against a running server...\n');
+
+  try {
+    const generated = await axios.post(`${BASE_URL}/api/generate`, { prompt: 'a skull with roses' });
+    const parentId = generated.data.designId;
+
+    const before = await axios.get(`${BASE_URL}/api/designs/${parentId}/versions`);
+    const parentThumbnail = before.data.tree.thumbnailUrl;
+    console.log(parentThumbnail?.includes(parentId)
+      ? '✅ listing versions creates the design\'s thumbnail' : `❌ parent thumbnail ${parentThumbnail}`);
+
+    const refined = await axios.post(`${BASE_URL}/api/refine`, {
+      designId: parentId,
+      instruction: 'make the roses blue',
+      skipClarification: true
+    });
+    const childId = refined.data.designId;
+
+    const after = await axios.get(`${BASE_URL}/api/designs/${childId}/versions`);
+    const child = after.data.tree.children.find(node => node.designId === childId);
+    console.log(child?.thumbnailUrl?.includes(childId)
+      ? '✅ the refinement gets its own thumbnail' : `❌ refinement thumbnail ${child?.thumbnailUrl}`);
+    console.log(after.data.tree.thumbnailUrl === parentThumbnail
+      ? '✅ the parent keeps its thumbnail' : `❌ parent thumbnail changed to ${after.data.tree.thumbnailUrl}`);
+
+    // Refining a reverted version
+    const reverted = await axios.post(`${BASE_URL}/api/designs/${parentId}/revert`);
+    const refinedRevert = await axios.post(`${BASE_URL}/api/refine`, {
+      designId: reverted.data.designId,
+      instruction: 'make the roses yellow',
+      skipClarification: true
+    });
+    const { data: versions } = await axios.get(`${BASE_URL}/api/designs/${refinedRevert.data.designId}/versions`);
+    const findNode = (node, designId) => node.designId === designId ? node : node.children.map(child => findNode(child, designId)).find(Boolean);
+    const refinedNode = findNode(versions.tree, refinedRevert.data.designId);
+    console.log(refinedNode?.source === 'refinement' && refinedNode.revertedTo === null && refinedNode.historyCommand === null
+      ? '✅ refining a reverted version gives a plain refinement node' : `❌ refinement node ${JSON.stringify(refinedNode)}`);
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+// Run the test
+testVersionThumbnailsLive()
+  .then(() => {
+    console.log('\n✅ Version thumbnail test completed');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('\n💥 Unexpected error:', error);
+    process.exit(1);
+  });
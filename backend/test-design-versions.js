@@ -0,0 +1,90 @@
+/**
+ * Test Design Version Tree
+ * Builds a lineage with refinements, a revert and a branch and checks the resulting tree
+ */
+
+import { buildVersionTree, createVersionFromRecord, getVersionPath, hasOwnThumbnail, inheritableFields, thumbnailFilename } from './design-versions.js';
+
+const record = (designId, parentDesignId, extra = {}) => ({
+  design_id: designId,
+  parent_design_id: parentDesignId,
+  root_design_id: 'dsn_root',
+  local_url: `http://localhost:5000/designs/${designId}.png`,
+  structured_prompt: JSON.stringify({ short_description: designId }),
+  ...extra
+});
+
+function testDesignVersions() {
+  console.log("🧪 Testing Design Version Tree");
+  console.log("==============================");
+
+  const root = record('dsn_root', null, { source: 'generation', original_prompt: 'red fox', created_at: '2026-01-01T00:00:00.000Z' });
+  const hat = record('dsn_hat', 'dsn_root', { source: 'refinement', refinement_instruction: 'add a hat', refinement_strategy: 'mask_based', refined_at: '2026-01-01T00:01:00.000Z' });
+  const sky = record('dsn_sky', 'dsn_hat', { source: 'refinement', refinement_instruction: 'blue sky background', refined_at: '2026-01-01T00:02:00.000Z' });
+  const reverted = { ...createVersionFromRecord(hat, { designId: 'dsn_revert', parent: sky, source: 'revert' }), created_at: '2026-01-01T00:03:00.000Z' };
+  const branch = { ...createVersionFromRecord(root, { designId: 'dsn_branch', parent: root, source: 'branch', branchName: 'no hat' }), created_at: '2026-01-01T00:04:00.000Z' };
+  const unrelated = { ...record('dsn_other', null), root_design_id: 'dsn_other' };
+
+  console.log(reverted.parent_design_id === 'dsn_sky' && reverted.reverted_to === 'dsn_hat'
+    ? "✅ revert is a new version on top of the head" : "❌ revert parent/target wrong");
+  console.log(reverted.local_url === hat.local_url && !reverted.refinement_instruction
+    ? "✅ revert restores the target image without its instruction" : "❌ revert copied the wrong fields");
+  console.log(branch.parent_design_id === 'dsn_root' && branch.branch_name === 'no hat'
+    ? "✅ branch hangs off the version it was created from" : "❌ branch parent wrong");
+
+  const versions = buildVersionTree([branch, sky, unrelated, root, reverted, hat], { rootDesignId: 'dsn_root', headDesignId: 'dsn_branch' });
+  console.log(versions.count === 5 ? "✅ tree only contains the lineage" : `❌ unexpected version count ${versions.count}`);
+  console.log(versions.tree.children.map(child => child.designId).join(',') === 'dsn_hat,dsn_branch'
+    ? "✅ root children are ordered by creation time" : "❌ root children out of order");
+  console.log(versions.tree.children[0].instruction === 'add a hat' && versions.tree.children[0].strategy === 'mask_based'
+    ? "✅ nodes carry instruction and strategy" : "❌ node fields missing");
+  console.log(versions.headDesignId === 'dsn_branch' ? "✅ head is reported" : "❌ head missing");
+
+  const path = getVersionPath(versions, 'dsn_revert');
+  console.log(path.join('>') === 'dsn_root>dsn_hat>dsn_sky>dsn_revert' ? "✅ path from root resolves" : `❌ unexpected path ${path.join('>')}`);
+
+  const orphan = record('dsn_orphan', 'dsn_expired', { created_at: '2026-01-01T00:05:00.000Z' });
+  const withOrphan = buildVersionTree([root, orphan], { rootDesignId: 'dsn_root' });
+  console.log(withOrphan.tree.children[0]?.designId === 'dsn_orphan' && withOrphan.headDesignId === 'dsn_root'
+    ? "✅ versions with an expired parent attach to the root" : "❌ orphaned version dropped");
+
+  const candidate = record('dsn_candidate', 'dsn_root', { source: 'candidate', candidate_index: 2, created_at: '2026-01-01T00:06:00.000Z' });
+  const candidateNode = buildVersionTree([root, candidate], { rootDesignId: 'dsn_root' }).tree.children[0];
+  console.log(candidateNode?.source === 'candidate' && candidateNode.candidateIndex === 2
+    ? "✅ candidates keep their index" : "❌ candidate index missing");
+
+  console.log(buildVersionTree([hat], { rootDesignId: 'dsn_root' }) === null
+    ? "✅ missing root returns null" : "❌ tree built without a root");
+
+  // A version built from a listed record doesn't reuse its thumbnail
+  const listed = record('dsn_listed', null, { thumbnail_url: `http://localhost:5000/designs/${thumbnailFilename('dsn_listed')}` });
+  const refined = { ...inheritableFields(listed), design_id: 'dsn_refined', parent_design_id: 'dsn_listed' };
+  console.log(hasOwnThumbnail(listed) && refined.thumbnail_url === undefined
+    ? "✅ refinements don't inherit the parent's thumbnail" : `❌ refined thumbnail ${refined.thumbnail_url}`);
+  console.log(!hasOwnThumbnail({ ...listed, design_id: 'dsn_copy' }) && inheritableFields(null) !== null
+    ? "✅ a thumbnail only counts for the design it was made for" : "❌ copied thumbnail accepted");
+  console.log(createVersionFromRecord(listed, { designId: 'dsn_restored', parent: listed, source: 'branch' }).thumbnail_url === undefined
+    ? "✅ restored versions get their own thumbnail" : "❌ restored version kept the thumbnail");
+
+  // Refining a reverted or undone version starts a plain refinement
+  const undone = createVersionFromRecord(hat, { designId: 'dsn_undone', parent: reverted, source: 'revert', historyCommand: 'undo', redoStack: ['dsn_sky'] });
+  const refinedUndo = {
+    ...inheritableFields({ ...undone, request_id: 'req_1', candidate_index: 1 }),
+    source: 'refinement',
+    design_id: 'dsn_refined_undo',
+    parent_design_id: 'dsn_undone',
+    refinement_instruction: 'add a scarf'
+  };
+  const refinedNode = buildVersionTree([root, hat, sky, reverted, undone, refinedUndo], { rootDesignId: 'dsn_root' })
+    .tree.children[0].children[0].children[0].children[0].children[0];
+  console.log(refinedNode?.designId === 'dsn_refined_undo' && refinedNode.revertedTo === null && refinedNode.historyCommand === null
+    ? "✅ refinements of a reverted version don't carry its revert or history command" : `❌ refined node ${JSON.stringify(refinedNode)}`);
+  const stale = ['reverted_to', 'branched_from', 'branch_name', 'history_command', 'redo_stack', 'candidate_index', 'request_id']
+    .filter(field => field in inheritableFields({ ...undone, ...branch, request_id: 'req_1', candidate_index: 1 }));
+  console.log(stale.length === 0
+    ? "✅ history, branch and request bookkeeping isn't inherited" : `❌ inherited ${stale.join(', ')}`);
+
+  console.log("\n🎉 Design version checks complete");
+}
+
+testDesignVersions();
@@ -0,0 +1,80 @@
+/**
+ * Test Element Locks
+ * Checks lock clause parsing, lock matching and how locks exclude regions from edit masks
+ */
+
+import sharp from 'sharp';
+import {
+  describeLockableElements,
+  findLockConflicts,
+  isObjectLocked,
+  parseLockInstruction,
+  updateLocks
+} from './element-locks.js';
+import { renderMask, subtractMasks } from './spatial-masks.js';
+
+const cases = [
+  { instruction: 'keep the skull unchanged', expected: { lock: ['skull'], unlock: [], remainder: '' } },
+  { instruction: 'make the flowers blue but keep the skull unchanged', expected: { lock: ['skull'], unlock: [], remainder: 'make the flowers blue' } },
+  { instruction: "don't touch the roses, add a hat", expected: { lock: ['roses'], unlock: [], remainder: 'add a hat' } },
+  { instruction: 'unlock the skull and make it red', expected: { lock: [], unlock: ['skull'], remainder: 'make it red' } },
+  { instruction: 'lock the background', expected: { lock: ['background'], unlock: [], remainder: '' } },
+  // Not lock instructions
+  { instruction: 'keep the background transparent', expected: null },
+  { instruction: 'add a padlock to the chest', expected: null },
+  { instruction: 'make the skull red', expected: null }
+];
+
+const skull = { description: 'A grinning skull with red roses', location: 'center' };
+const roses = { description: 'Red roses around the base', location: 'bottom-center' };
+
+async function testElementLocks() {
+  console.log("🧪 Testing Element Locks");
+  console.log("========================");
+
+  for (const { instruction, expected } of cases) {
+    const actual = parseLockInstruction(instruction);
+    console.log(JSON.stringify(actual) === JSON.stringify(expected)
+      ? `✅ "${instruction}"` : `❌ "${instruction}" parsed as ${JSON.stringify(actual)}`);
+  }
+
+  let locks = updateLocks([], { lock: ['skull', 'the skull'] });
+  locks = updateLocks(locks, { lock: ['roses'] });
+  locks = updateLocks(locks, { unlock: ['rose'] });
+  console.log(locks.length === 1 && locks[0].target === 'skull'
+    ? "✅ locks are deduplicated and unlocked by head noun" : `❌ unexpected locks ${JSON.stringify(locks)}`);
+
+  console.log(isObjectLocked(skull, locks) && !isObjectLocked(roses, locks)
+    ? "✅ objects are matched on their name, not on what they're described with" : "❌ lock matched the wrong objects");
+
+  const conflicts = findLockConflicts([
+    { type: 'object_modification', target: 'skull', value: 'red' },
+    { type: 'object_modification', target: 'flowers', value: 'blue' },
+    { type: 'object_addition', target: 'hat on the skull', object: 'hat' }
+  ], locks);
+  console.log(conflicts.length === 1 && conflicts[0].operation.target === 'skull'
+    ? "✅ only edits of the locked element conflict" : `❌ conflicts: ${JSON.stringify(conflicts.map(c => c.operation.target))}`);
+
+  const background = findLockConflicts([{ type: 'background_edit', target: 'background' }], updateLocks([], { lock: ['background'] }));
+  console.log(background.length === 1
+    ? "✅ background locks block background edits" : "❌ background edit got past a background lock");
+
+  const elements = describeLockableElements({ objects: [skull, roses] }, updateLocks(locks, { lock: ['background'] }));
+  console.log(JSON.stringify(elements.map(({ name, locked }) => [name, locked])) === JSON.stringify([['grinning skull', true], ['red roses', false], ['background', true]])
+    ? "✅ lockable elements list objects, then locks that match no object" : `❌ elements: ${JSON.stringify(elements)}`);
+
+  // Edit the left half of a 20x10 image with a locked object in its top-left corner
+  const editMask = await renderMask({ width: 20, height: 10, box: { x: 0, y: 0, width: 0.5, height: 1 } });
+  const lockMask = await renderMask({ width: 20, height: 10, box: { x: 0, y: 0, width: 0.25, height: 0.5 } });
+  const { data } = await sharp(Buffer.from((await subtractMasks(editMask, [lockMask])).split(',')[1], 'base64'))
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const at = (x, y) => data[y * 20 + x];
+  console.log(at(1, 1) === 0 && at(8, 1) === 255 && at(1, 8) === 255 && at(15, 5) === 0
+    ? "✅ locked regions are cut out of the edit mask" : `❌ mask values ${at(1, 1)}, ${at(8, 1)}, ${at(1, 8)}, ${at(15, 5)}`);
+
+  console.log("\n🎉 Element lock checks complete");
+}
+
+testElementLocks();
@@ -0,0 +1,68 @@
+/**
+ * Test Generation Options
+ * Checks the bounds on seed, num_results and variation strength, that a seed sent back
+ * resolves to itself (and consecutive seeds for several results), and the image prompt
+ * weight each variation strength maps to
+ */
+
+import {
+  DEFAULT_VARIATION_STRENGTH,
+  describeSeedOptionsError,
+  describeVariationStrengthError,
+  imagePromptScale,
+  MAX_NUM_RESULTS,
+  MAX_SEED,
+  resolveSeeds
+} from './generation-options.js';
+
+async function testGenerationOptions() {
+  console.log("🧪 Testing Generation Options");
+  console.log("=============================");
+
+  // Seed bounds
+  const validSeeds = [0, 42, MAX_SEED, null, undefined];
+  console.log(validSeeds.every(seed => describeSeedOptionsError({ seed }) === null)
+    ? "✅ seeds from 0 to MAX_SEED (or none) are accepted" : "❌ valid seed rejected");
+  const invalidSeeds = [-1, MAX_SEED + 1, 1.5, '42', NaN];
+  console.log(invalidSeeds.every(seed => /^seed must be/.test(describeSeedOptionsError({ seed })))
+    ? "✅ negative, too large, fractional and string seeds are rejected" : "❌ invalid seed accepted");
+
+  // num_results bounds
+  const counts = Array.from({ length: MAX_NUM_RESULTS }, (_, index) => index + 1);
+  console.log(counts.every(num_results => describeSeedOptionsError({ num_results }) === null)
+    ? `✅ num_results 1-${MAX_NUM_RESULTS} is accepted` : "❌ valid num_results rejected");
+  const invalidCounts = [0, MAX_NUM_RESULTS + 1, 2.5, '2', null];
+  console.log(invalidCounts.every(num_results => /^num_results must be/.test(describeSeedOptionsError({ num_results })))
+    ? `✅ num_results outside 1-${MAX_NUM_RESULTS} or not an integer is rejected` : "❌ invalid num_results accepted");
+
+  // Seed round trip
+  console.log(resolveSeeds(1234, 1).join() === '1234'
+    ? "✅ a seed sent back resolves to itself" : `❌ ${resolveSeeds(1234, 1)}`);
+  console.log(resolveSeeds(1234, 4).join() === '1234,1235,1236,1237'
+    ? "✅ several results get consecutive seeds" : `❌ ${resolveSeeds(1234, 4)}`);
+  console.log(resolveSeeds(MAX_SEED - 1, 3).join() === `${MAX_SEED - 1},${MAX_SEED},0`
+    ? "✅ consecutive seeds wrap around at MAX_SEED" : `❌ ${resolveSeeds(MAX_SEED - 1, 3)}`);
+  console.log(resolveSeeds(null, 1)[0] === null && resolveSeeds(undefined, 1)[0] === null
+    ? "✅ a single result without a seed leaves it to the provider" : "❌ seed chosen for a single result");
+
+  const highest = resolveSeeds(null, MAX_NUM_RESULTS, () => 0.999999999);
+  const lowest = resolveSeeds(null, 2, () => 0);
+  console.log(highest.every(seed => seed <= MAX_SEED) && new Set(highest).size === MAX_NUM_RESULTS && lowest.join() === '0,1'
+    ? "✅ several results without a seed get distinct in-range seeds" : `❌ ${highest} / ${lowest}`);
+
+  // Variation strength
+  const validStrengths = [0, DEFAULT_VARIATION_STRENGTH, 1, undefined];
+  console.log(validStrengths.every(strength => describeVariationStrengthError(strength) === null)
+    ? "✅ variation strengths from 0 to 1 are accepted" : "❌ valid strength rejected");
+  const invalidStrengths = [-0.1, 1.1, '0.5', null, NaN];
+  console.log(invalidStrengths.every(strength => describeVariationStrengthError(strength) !== null)
+    ? "✅ variation strengths outside 0-1 or not a number are rejected" : "❌ invalid strength accepted");
+  console.log(imagePromptScale(0) === 1 && imagePromptScale(1) === 0 && imagePromptScale(DEFAULT_VARIATION_STRENGTH) === 0.7
+    ? "✅ strength 0 keeps the design, 1 drops it as an image prompt" : `❌ scale ${imagePromptScale(DEFAULT_VARIATION_STRENGTH)}`);
+  console.log(imagePromptScale(1 / 3) === 0.67
+    ? "✅ image prompt scale is rounded to two decimals" : `❌ ${imagePromptScale(1 / 3)}`);
+
+  console.log("\n🎉 Generation options checks complete");
+}
+
+testGenerationOptions();
@@ -0,0 +1,82 @@
+/**
+ * Live test for seeds, candidates and variation strength
+ * Regenerates a design with the seed its generation returned (what "regenerate with the
+ * same seed" sends) and checks it comes back identical, then checks the candidate counts
+ * and variation strengths the routes accept and reject
+ */
+
+import axios from 'axios';
+
+const BASE_URL = 'http://localhost:5001';
+
+const imageBytes = async (url) => Buffer.from((await axios.get(url, { responseType: 'arraybuffer' })).data);
+
+const rejects = async (path, body) => {
+  try {
+    await axios.post(`${BASE_URL}${path}`, body);
+    return false;
+  } catch (error) {
+    return error.response?.status === 400;
+  }
+};
+
+async function testGenerationSeedsLive() {
+  console.log('🧪 Testing seeds, candidates and variation strength against a running server...\n');
+
+  try {
+    const prompt = 'a skull with roses';
+
+    // Seed round trip
+    const { data: first } = await axios.post(`${BASE_URL}/api/generate`, { prompt });
+    const { data: again } = await axios.post(`${BASE_URL}/api/generate`, { prompt, seed: first.seed });
+    console.log(Number.isInteger(first.seed) && again.seed === first.seed
+      ? '✅ regenerating with the returned seed keeps the seed' : `❌ seeds ${first.seed} / ${again.seed}`);
+    console.log((await imageBytes(first.imageUrl)).equals(await imageBytes(again.imageUrl)) && again.designId !== first.designId
+      ? '✅ the same prompt and seed reproduce the design as a new design' : '❌ regenerated image differs');
+
+    // Candidate counts
+    for (const count of [2, 4]) {
+      const { data } = await axios.post(`${BASE_URL}/api/generate`, { prompt, seed: 100, num_results: count });
+      const seeds = data.candidates?.map(candidate => candidate.seed).join();
+      console.log(data.candidates?.length === count && seeds === Array.from({ length: count }, (_, index) => 100 + index).join()
+        ? `✅ num_results ${count} returns ${count} candidates with consecutive seeds` : `❌ candidates ${seeds}`);
+    }
+    const badCounts = await Promise.all([0, 5, 2.5].map(num_results => rejects('/api/generate', { prompt, num_results })));
+    console.log(badCounts.every(Boolean)
+      ? '✅ num_results outside 1-4 is rejected with 400' : `❌ accepted ${badCounts}`);
+    console.log(await rejects('/api/generate', { prompt, seed: -1 })
+      ? '✅ a negative seed is rejected with 400' : '❌ negative seed accepted');
+
+    // Variation strength
+    const { data: variants } = await axios.post(`${BASE_URL}/api/generate-variations`, {
+      designId: first.designId,
+      num_results: 2,
+      variationStrength: 1
+    });
+    console.log(variants.variationStrength === 1 && variants.variations.length === 2
+      ? '✅ variationStrength 1 is accepted and reported' : `❌ strength ${variants.variationStrength}`);
+    const { data: defaults } = await axios.post(`${BASE_URL}/api/generate-variations`, { designId: first.designId, num_results: 2 });
+    console.log(defaults.variationStrength === 0.3
+      ? '✅ variation strength defaults to 0.3' : `❌ default strength ${defaults.variationStrength}`);
+    const badStrengths = await Promise.all([-0.1, 1.5, '0.5'].map(variationStrength =>
+      rejects('/api/generate-variations', { designId: first.designId, variationStrength })));
+    console.log(badStrengths.every(Boolean)
+      ? '✅ variation strength outside 0-1 is rejected with 400' : `❌ accepted ${badStrengths}`);
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+// Run the test
+testGenerationSeedsLive()
+  .then(() => {
+    console.log('\n✅ Generation seed test completed');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('\n💥 Unexpected error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,110 @@
+/**
+ * Test Generation Store
+ * Checks expiry on get and on sweep, that records survive a new store instance, that
+ * clean stores aren't rewritten, the v0 -> v2 record migration and that an unreadable
+ * store file is set aside
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GENERATION_RECORD_VERSION, GenerationStore, migrateGenerationRecord } from './generation-store.js';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-store-'));
+
+const createStore = (filePath, options = {}) => {
+  const store = new GenerationStore({ filePath, ...options });
+  // Timers keep running otherwise; the tests flush explicitly
+  clearInterval(store.sweepTimer);
+  store.collection('generations', { migrate: migrateGenerationRecord });
+  store.collection('designHeads');
+  return store;
+};
+
+const legacyRecord = () => ({
+  request_id: 'req_123',
+  image_url: 'http://localhost:5001/designs/generated_1.png',
+  structured_prompt: { objects: [{ description: 'skull' }] },
+  created_at: '2025-01-01T00:00:00.000Z'
+});
+
+async function testGenerationStore() {
+  console.log("🧪 Testing Generation Store");
+  console.log("==========================");
+
+  // Expiry
+  const expiring = createStore(path.join(tempDir, 'expiring.json'), { ttlMs: 1000 });
+  const generations = expiring.collection('generations');
+  generations.set('dsn_old', { design_id: 'dsn_old' });
+  generations.set('dsn_new', { design_id: 'dsn_new' });
+  generations.items.get('dsn_old').updatedAt -= 5000;
+
+  console.log(generations.size === 1 && expiring.stats().collections.generations === 1
+    ? "✅ size and stats() leave out expired entries" : `❌ size ${generations.size}`);
+  console.log(generations.get('dsn_old') === undefined && !generations.items.has('dsn_old')
+    ? "✅ get() evicts an expired entry" : "❌ expired entry returned");
+  console.log(Array.from(generations.keys()).join() === 'dsn_new'
+    ? "✅ iteration skips expired entries" : `❌ keys ${Array.from(generations.keys())}`);
+
+  const evicted = expiring.sweep();
+  const laterSweep = generations.sweep(Date.now() + 5000);
+  console.log(evicted === 0 && laterSweep === 1 && generations.items.size === 0
+    ? "✅ sweep() evicts entries once they expire" : `❌ swept ${evicted}, then ${laterSweep}`);
+
+  // Load/flush round trip
+  const storePath = path.join(tempDir, 'store.json');
+  const writer = createStore(storePath);
+  writer.collection('generations').set('dsn_a', { design_id: 'dsn_a', root_design_id: 'dsn_a', seed: 42, record_version: GENERATION_RECORD_VERSION });
+  writer.collection('designHeads').set('dsn_a', 'dsn_a');
+  await writer.flush();
+  clearTimeout(writer.flushTimer);
+
+  const reader = createStore(storePath);
+  const loaded = reader.load();
+  console.log(loaded.loaded && loaded.counts.generations === 1 && reader.collection('generations').get('dsn_a')?.seed === 42
+    ? "✅ records survive a new store instance" : `❌ load returned ${JSON.stringify(loaded)}`);
+  console.log(reader.collection('designHeads').get('dsn_a') === 'dsn_a'
+    ? "✅ every registered collection is restored" : "❌ designHeads not restored");
+
+  // Clean stores aren't rewritten
+  const writtenAt = fs.statSync(storePath).mtimeMs;
+  fs.utimesSync(storePath, new Date(0), new Date(0));
+  await reader.flush();
+  console.log(!reader.dirty && fs.statSync(storePath).mtimeMs === 0
+    ? "✅ a freshly loaded store is not written back" : "❌ clean store was rewritten");
+
+  reader.collection('generations').set('dsn_b', { design_id: 'dsn_b' });
+  clearTimeout(reader.flushTimer);
+  reader.flushSync();
+  console.log(!reader.dirty && fs.statSync(storePath).mtimeMs >= writtenAt
+    ? "✅ a change marks the store dirty until it is flushed" : "❌ change not flushed");
+
+  // v0 -> v2 migration
+  const migrated = migrateGenerationRecord(legacyRecord());
+  const again = migrateGenerationRecord(legacyRecord());
+  console.log(migrated.record_version === GENERATION_RECORD_VERSION && migrated.source === 'generation'
+    ? "✅ legacy records are upgraded to the current version" : `❌ ${JSON.stringify(migrated)}`);
+  console.log(typeof migrated.structured_prompt === 'string' && migrated.seed === null
+    ? "✅ structured_prompt is stored as a string and seed is always present" : "❌ v1 fields missing");
+  console.log(/^dsn_legacy_[0-9a-f]{16}$/.test(migrated.design_id) && migrated.design_id === again.design_id
+    ? "✅ legacy design ids are deterministic" : `❌ ids ${migrated.design_id} / ${again.design_id}`);
+  console.log(migrated.root_design_id === migrated.design_id && migrated.parent_design_id === null
+    ? "✅ legacy records become their own root" : "❌ lineage fields missing");
+  console.log(migrateGenerationRecord({ ...legacyRecord(), refined_at: '2025-01-02T00:00:00.000Z' }).design_id !== migrated.design_id
+    ? "✅ different records get different ids" : "❌ id collision");
+
+  // Corrupt files are set aside
+  const corruptPath = path.join(tempDir, 'corrupt.json');
+  fs.writeFileSync(corruptPath, '{ not json');
+  const corrupt = createStore(corruptPath);
+  const result = corrupt.load();
+  const backups = fs.readdirSync(tempDir).filter(name => /^corrupt\.json\.corrupt-\d+$/.test(name));
+  console.log(!result.loaded && result.error && backups.length === 1 && !fs.existsSync(corruptPath)
+    ? "✅ an unreadable store is renamed to .corrupt-<timestamp>" : `❌ backups ${backups}`);
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  console.log("\n🎉 Generation store checks complete");
+}
+
+testGenerationStore();
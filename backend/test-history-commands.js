@@ -0,0 +1,91 @@
+/**
+ * Test History Commands
+ * Checks that undo/redo instructions are recognized and resolved against a design lineage
+ */
+
+import { createVersionFromRecord } from './design-versions.js';
+import { parseHistoryCommand, resolveHistoryCommand } from './history-commands.js';
+
+const records = new Map();
+const findRecord = (designId) => records.get(designId) || null;
+const save = (record) => {
+  records.set(record.design_id, record);
+  return record;
+};
+
+// Lineage: original -> hat -> beach background -> red hat
+const original = save({ design_id: 'dsn_original', root_design_id: 'dsn_original', source: 'generation' });
+const hat = save({ design_id: 'dsn_hat', parent_design_id: 'dsn_original', root_design_id: 'dsn_original', source: 'refinement', refinement_instruction: 'add a hat' });
+const beach = save({
+  design_id: 'dsn_beach', parent_design_id: 'dsn_hat', root_design_id: 'dsn_original', source: 'refinement',
+  refinement_instruction: 'change the background to a beach', refinement_chain: { isBackgroundOperation: true }
+});
+const redHat = save({ design_id: 'dsn_red_hat', parent_design_id: 'dsn_beach', root_design_id: 'dsn_original', source: 'refinement', refinement_instruction: 'make the hat red' });
+
+let restoredCount = 0;
+const apply = (instruction, record) => {
+  const command = parseHistoryCommand(instruction);
+  const resolution = resolveHistoryCommand(command, record, findRecord);
+  if (!resolution.success) return resolution;
+  const restored = save(createVersionFromRecord(resolution.target, {
+    designId: `dsn_restored_${++restoredCount}`,
+    parent: record,
+    source: 'revert',
+    historyCommand: command.action,
+    redoStack: resolution.redoStack
+  }));
+  return { ...resolution, restored };
+};
+
+function testHistoryCommands() {
+  console.log("🧪 Testing History Commands");
+  console.log("===========================");
+
+  const recognized = ['undo that', 'go back two steps', 'redo', 'revert the background change', 'start over', 'Please undo the last change.'];
+  const edits = ['add a hat', 'remove the hat', 'change the background to red', 'make it go back in time'];
+  console.log(recognized.every(parseHistoryCommand) && !edits.some(parseHistoryCommand)
+    ? "✅ history commands are told apart from edits" : "❌ history command recognition is off");
+
+  const twoSteps = parseHistoryCommand('go back two steps');
+  console.log(twoSteps.action === 'undo' && twoSteps.steps === 2
+    ? "✅ step counts are parsed from words" : `❌ unexpected command ${JSON.stringify(twoSteps)}`);
+
+  const undo = apply('undo that', redHat);
+  console.log(undo.target === beach
+    ? "✅ undo restores the parent version" : `❌ undo restored ${undo.target?.design_id}`);
+
+  const undoAgain = apply('undo', undo.restored);
+  console.log(undoAgain.target === hat
+    ? "✅ repeated undo keeps walking back" : `❌ second undo restored ${undoAgain.target?.design_id}`);
+
+  const redo = apply('redo', undoAgain.restored);
+  const redoAgain = apply('redo', redo.restored);
+  console.log(redo.target === beach && redoAgain.target === redHat
+    ? "✅ redo replays undone steps in order" : `❌ redo restored ${redo.target?.design_id}, ${redoAgain.target?.design_id}`);
+
+  console.log(apply('redo', redoAgain.restored).success === false
+    ? "✅ redo with nothing undone is rejected" : "❌ redo past the newest version succeeded");
+
+  const background = apply('revert the background change', redHat);
+  console.log(background.target === hat && background.undone.length === 2
+    ? "✅ filtered undo goes back to before the matching change" : `❌ background revert restored ${background.target?.design_id}`);
+
+  const goBack = apply('go back two steps', redHat);
+  const startOver = apply('start over', redHat);
+  console.log(goBack.target === hat && startOver.target === original
+    ? "✅ multi-step and start-over undo" : `❌ restored ${goBack.target?.design_id}, ${startOver.target?.design_id}`);
+
+  const stepForward = apply('redo', goBack.restored);
+  const stepForwardAgain = apply('redo', stepForward.restored);
+  console.log(stepForward.target === beach && stepForwardAgain.target === redHat
+    ? "✅ redo after a multi-step undo moves forward one version at a time"
+    : `❌ redo restored ${stepForward.target?.design_id}, ${stepForwardAgain.target?.design_id}`);
+
+  const atRoot = resolveHistoryCommand(parseHistoryCommand('undo'), original, findRecord);
+  console.log(atRoot.success === false
+    ? "✅ undo on the original design is rejected" : "❌ undo past the original succeeded");
+
+  console.log("\n🎉 History command checks complete");
+}
+
+testHistoryCommands();
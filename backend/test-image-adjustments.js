@@ -0,0 +1,59 @@
+/**
+ * Test Image Adjustments
+ * Checks which instructions are treated as local adjustments and what sharp does with them
+ */
+
+import sharp from 'sharp';
+import { applyImageAdjustments, parseAdjustmentInstruction } from './image-adjustments.js';
+
+const cases = [
+  { instruction: 'make it 20% brighter', expected: [{ kind: 'brightness', factor: 1.2 }] },
+  { instruction: 'slightly more saturated', expected: [{ kind: 'saturation', factor: 1.1 }] },
+  { instruction: 'rotate the design 15 degrees', expected: [{ kind: 'rotate', degrees: 15 }] },
+  { instruction: 'rotate it 90 degrees counterclockwise', expected: [{ kind: 'rotate', degrees: -90 }] },
+  { instruction: 'shrink it a bit', expected: [{ kind: 'scale', factor: 0.9 }] },
+  { instruction: 'scale it to 80%', expected: [{ kind: 'scale', factor: 0.8 }] },
+  { instruction: 'shift the hue by 45 degrees', expected: [{ kind: 'hue', degrees: 45 }] },
+  { instruction: 'flip it upside down', expected: [{ kind: 'flip', axis: 'vertical' }] },
+  { instruction: 'make it darker and increase the contrast', expected: [{ kind: 'brightness', factor: 0.8 }, { kind: 'contrast', factor: 1.2 }] },
+  { instruction: 'turn it black and white', expected: [{ kind: 'saturation', factor: 0 }] },
+  // Object edits and new content go through the refinement planner
+  { instruction: 'make the skull brighter', expected: null },
+  { instruction: 'make it brighter and add a hat', expected: null },
+  { instruction: 'turn the roses red', expected: null },
+  { instruction: 'make it lighter blue', expected: null }
+];
+
+const withoutText = (adjustments) => adjustments && adjustments.map(({ text, ...adjustment }) => adjustment);
+
+async function testImageAdjustments() {
+  console.log("🧪 Testing Image Adjustments");
+  console.log("============================");
+
+  for (const { instruction, expected } of cases) {
+    const actual = withoutText(parseAdjustmentInstruction(instruction));
+    console.log(JSON.stringify(actual) === JSON.stringify(expected)
+      ? `✅ "${instruction}"` : `❌ "${instruction}" parsed as ${JSON.stringify(actual)}`);
+  }
+
+  const image = await sharp({ create: { width: 40, height: 20, channels: 4, background: { r: 100, g: 50, b: 50, alpha: 1 } } }).png().toBuffer();
+
+  const brighter = await sharp(await applyImageAdjustments(image, [{ kind: 'brightness', factor: 1.2 }])).raw().toBuffer();
+  console.log(brighter[0] > 100
+    ? "✅ brightness raises pixel values" : `❌ brightness left red at ${brighter[0]}`);
+
+  const rotated = await sharp(await applyImageAdjustments(image, [{ kind: 'rotate', degrees: 15 }])).metadata();
+  console.log(rotated.width === 40 && rotated.height === 20 && rotated.hasAlpha
+    ? "✅ rotation keeps the canvas size with a transparent fill" : `❌ rotation changed canvas to ${rotated.width}x${rotated.height}`);
+
+  const shrunk = await applyImageAdjustments(image, [{ kind: 'scale', factor: 0.5 }]);
+  const { data, info } = await sharp(shrunk).raw().toBuffer({ resolveWithObject: true });
+  const cornerAlpha = data[3];
+  const centreAlpha = data[(10 * info.width + 20) * 4 + 3];
+  console.log(info.width === 40 && cornerAlpha === 0 && centreAlpha === 255
+    ? "✅ shrinking centres the design on a transparent canvas" : `❌ unexpected shrink result (corner ${cornerAlpha}, centre ${centreAlpha})`);
+
+  console.log("\n🎉 Image adjustment checks complete");
+}
+
+testImageAdjustments();
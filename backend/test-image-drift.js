@@ -0,0 +1,51 @@
+/**
+ * Test Image Drift
+ * Checks that edits confined to their area pass and rewritten compositions are flagged
+ */
+
+import sharp from 'sharp';
+import { measureDrift } from './image-drift.js';
+
+const svg = (body) => sharp(Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200">${body}</svg>`
+)).png().toBuffer();
+
+// A skull with a hat on a transparent canvas; the hat sits in the top band
+const SKULL = '<circle cx="100" cy="120" r="60" fill="#ddd"/><circle cx="80" cy="110" r="10" fill="#222"/><circle cx="120" cy="110" r="10" fill="#222"/>';
+const HAT_BOX = { x: 0.3, y: 0.1, width: 0.4, height: 0.15 };
+
+async function testImageDrift() {
+  console.log("🧪 Testing Image Drift");
+  console.log("=====================");
+
+  const before = await svg(`${SKULL}<rect x="70" y="25" width="60" height="25" fill="#a33"/>`);
+  const recoloured = await svg(`${SKULL}<rect x="70" y="25" width="60" height="25" fill="#33a"/>`);
+  const rewritten = await svg('<circle cx="60" cy="60" r="45" fill="#bbb"/><rect x="110" y="140" width="70" height="30" fill="#33a"/>');
+  const faded = await svg(`<g opacity="0.3">${SKULL}</g><rect x="70" y="25" width="60" height="25" fill="#a33"/>`);
+
+  const same = await measureDrift(before, before);
+  console.log(same.similarity === 1 && same.hashDistance === 0 && !same.overChanged
+    ? "✅ identical images are fully similar" : `❌ identical images scored ${JSON.stringify(same)}`);
+
+  const local = await measureDrift(before, recoloured, { boxes: [HAT_BOX] });
+  console.log(local.similarity === 1 && !local.overChanged
+    ? "✅ changes inside the edit area are ignored" : `❌ local edit scored ${JSON.stringify(local)}`);
+
+  const rewrite = await measureDrift(before, rewritten, { boxes: [HAT_BOX] });
+  console.log(rewrite.overChanged
+    ? `✅ rewritten composition is flagged (similarity ${rewrite.similarity})` : `❌ rewrite passed with ${JSON.stringify(rewrite)}`);
+
+  const fade = await measureDrift(before, faded, { boxes: [HAT_BOX] });
+  console.log(fade.similarity < local.similarity
+    ? "✅ transparency changes lower the similarity" : `❌ fading the skull scored ${fade.similarity}`);
+
+  // Everything the rewrite changed is inside a full-canvas edit mask
+  const fullMask = await sharp({ create: { width: 50, height: 50, channels: 3, background: '#fff' } }).png().toBuffer();
+  const masked = await measureDrift(before, rewritten, { mask: fullMask });
+  console.log(masked.similarity === null && !masked.overChanged && masked.comparedFraction === 0
+    ? "✅ nothing is compared when the edit covers the whole image" : `❌ full mask scored ${JSON.stringify(masked)}`);
+
+  console.log("\n🎉 Image drift checks complete");
+}
+
+testImageDrift();
@@ -0,0 +1,51 @@
+/**
+ * Test Instruction Grammar
+ * Runs every instruction in instruction-corpus.json through the grammar parser and compares
+ * the operation AST with the checked-in expectation
+ */
+
+import fs from 'fs';
+import { parseInstruction, toRefinementOperation } from './instruction-grammar.js';
+
+const corpus = JSON.parse(fs.readFileSync(new URL('./instruction-corpus.json', import.meta.url), 'utf8'));
+
+// Compare only the AST fields; `text` and `inherited` are bookkeeping
+const toComparable = ({ operations, unparsed }) => JSON.stringify({
+  operations: operations.map(({ text, inherited, ...node }) => node),
+  unparsed
+});
+
+function testInstructionGrammar() {
+  console.log("🧪 Testing Instruction Grammar");
+  console.log("=============================");
+
+  let failures = 0;
+  for (const entry of corpus) {
+    const actual = toComparable(parseInstruction(entry.instruction));
+    const expected = toComparable({ operations: entry.operations, unparsed: entry.unparsed || [] });
+
+    if (actual === expected) {
+      console.log(`✅ "${entry.instruction}"`);
+    } else {
+      failures++;
+      console.log(`❌ "${entry.instruction}"`);
+      console.log(`   expected: ${expected}`);
+      console.log(`   actual:   ${actual}`);
+    }
+  }
+
+  const [hat, roses, background] = parseInstruction('add a red hat, make the roses blue and change the background to a beach').operations.map(toRefinementOperation);
+  console.log(hat.type === 'object_addition' && hat.target === 'hat' && hat.object === 'red hat' && hat.value === 'red'
+    ? "✅ additions convert to object_addition" : `❌ unexpected addition ${JSON.stringify(hat)}`);
+  console.log(roses.type === 'object_modification' && roses.value === 'blue' && roses.confidence > 0.5
+    ? "✅ recolors convert to object_modification" : `❌ unexpected modification ${JSON.stringify(roses)}`);
+  console.log(background.type === 'background_edit' && background.instruction === 'change the background to beach'
+    ? "✅ background clauses convert to background_edit" : `❌ unexpected background ${JSON.stringify(background)}`);
+
+  console.log(`\n${failures === 0 ? '🎉' : '⚠️ '} ${corpus.length - failures}/${corpus.length} corpus instructions parsed as expected`);
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+testInstructionGrammar();
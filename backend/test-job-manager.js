@@ -0,0 +1,115 @@
+/**
+ * Test Job Manager
+ * Checks job status and stage transitions, failure capture, cancellation of finished jobs,
+ * per-job subscriptions and expiry of finished jobs
+ */
+
+import { jobManager, JobManager, reportJobStage } from './job-manager.js';
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+// Resolve once the job reaches a finished status
+const waitForJob = (manager, jobId) => new Promise(resolve => {
+  const unsubscribe = manager.subscribe(jobId, (event) => {
+    if (['completed', 'failed', 'cancelled'].includes(event.type)) {
+      unsubscribe();
+      resolve(event.job);
+    }
+  });
+});
+
+async function testJobManager() {
+  console.log("🧪 Testing Job Manager");
+  console.log("=====================");
+
+  // reportJobStage() reports to the shared instance
+  const manager = jobManager;
+
+  // queued -> running -> stages -> completed
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const events = [];
+  const job = manager.create('generate', async () => {
+    reportJobStage('generation', { operation: 'generate' });
+    await gate;
+    reportJobStage('saving');
+    reportJobStage('saving');
+    return { success: true, imageUrl: 'http://localhost/designs/a.png' };
+  });
+  const unsubscribe = manager.subscribe(job.id, event => events.push(`${event.type}:${event.job.stage}`));
+  const done = waitForJob(manager, job.id);
+
+  console.log(job.status === 'queued' && job.stage === 'queued'
+    ? "✅ new jobs start queued" : `❌ new job is ${job.status}/${job.stage}`);
+  await nextTick();
+  console.log(job.status === 'running' && job.stage === 'generation'
+    ? "✅ jobs run on the next tick and report stages" : `❌ job is ${job.status}/${job.stage}`);
+
+  release();
+  const finished = await done;
+  unsubscribe();
+  console.log(finished.status === 'completed' && finished.result.imageUrl.endsWith('a.png')
+    ? "✅ runner result becomes the job result" : `❌ finished as ${finished.status}`);
+  console.log(finished.stages.map(entry => entry.stage).join() === 'queued,generation,saving'
+    ? "✅ repeated stage reports are ignored" : `❌ stages ${finished.stages.map(entry => entry.stage)}`);
+  console.log(events.join() === 'stage:generation,stage:saving,completed:completed'
+    ? "✅ subscribers see every transition" : `❌ events ${events}`);
+  console.log(finished.stages[1].detail?.operation === 'generate'
+    ? "✅ stage details are kept" : "❌ stage detail missing");
+
+  // Failures keep the route error body, or fall back to the message
+  const routeError = Object.assign(new Error('Route error'), {
+    status: 409,
+    body: { success: false, error: { message: '"skull" is locked', code: 'locked' } }
+  });
+  const failed = manager.create('refine', async () => { throw routeError; });
+  const failedJob = await waitForJob(manager, failed.id);
+  console.log(failedJob.status === 'failed' && failedJob.error.message === '"skull" is locked' && failedJob.error.code === 'locked'
+    ? "✅ route error bodies are captured" : `❌ error ${JSON.stringify(failedJob.error)}`);
+
+  const plain = manager.create('erase', async () => { throw new Error('Provider timeout'); });
+  const plainJob = await waitForJob(manager, plain.id);
+  console.log(plainJob.error.message === 'Provider timeout'
+    ? "✅ plain errors keep their message" : `❌ error ${JSON.stringify(plainJob.error)}`);
+
+  // Cancellation
+  console.log(manager.cancel(job.id) === false && manager.cancel(failed.id) === false && manager.cancel('job_missing') === false
+    ? "✅ finished or unknown jobs can't be cancelled" : "❌ cancel() accepted a finished job");
+
+  const stoppable = manager.create('generate', async () => {
+    await new Promise((resolve, reject) => manager.get(stoppable.id).controller.signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  });
+  const stoppedDone = waitForJob(manager, stoppable.id);
+  await nextTick();
+  console.log(manager.cancel(stoppable.id) === true && manager.cancel(stoppable.id) === true
+    ? "✅ running jobs accept cancel() (repeat calls are harmless)" : "❌ cancel() refused a running job");
+  const stopped = await stoppedDone;
+  console.log(stopped.status === 'cancelled' && stopped.error.code === 'cancelled' && stopped.cancel_requested
+    ? "✅ a job that stops on its signal ends cancelled" : `❌ ended ${stopped.status}`);
+
+  // Subscriptions only see their own job
+  const seen = [];
+  const first = manager.create('generate', async () => 'first');
+  const second = manager.create('generate', async () => 'second');
+  const stop = manager.subscribe(first.id, event => seen.push(event.job.id));
+  await Promise.all([waitForJob(manager, first.id), waitForJob(manager, second.id)]);
+  stop();
+  console.log(seen.length > 0 && seen.every(id => id === first.id)
+    ? "✅ subscribe filters events by job id" : `❌ saw ${seen}`);
+
+  // Finished jobs expire after the TTL; running ones are kept
+  const expiring = new JobManager({ ttlMs: 0 });
+  let finishLong;
+  const shortJob = expiring.create('generate', async () => 'done');
+  const longJob = expiring.create('generate', () => new Promise(resolve => { finishLong = resolve; }));
+  await waitForJob(expiring, shortJob.id);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  expiring.cleanupExpiredJobs();
+  console.log(!expiring.get(shortJob.id) && expiring.get(longJob.id)
+    ? "✅ expired finished jobs are removed, running jobs stay" : "❌ cleanup removed the wrong jobs");
+  finishLong();
+
+  console.log("\n🎉 Job manager checks complete");
+}
+
+testJobManager();
@@ -0,0 +1,57 @@
+/**
+ * Test Local Image Provider
+ * Exercises every provider operation offline and checks that renders are deterministic
+ */
+
+import sharp from 'sharp';
+import { LocalImageProvider, loadImageBuffer } from './image-providers.js';
+
+const provider = new LocalImageProvider({ width: 256, height: 256 });
+
+async function run(operation, data) {
+  const submission = await provider[operation](data);
+  const { status, result, error } = await provider.status(submission.request_id);
+  if (status !== 'COMPLETED') {
+    throw new Error(`${operation} failed: ${error?.message}`);
+  }
+  return result;
+}
+
+async function testLocalProvider() {
+  console.log("🧪 Testing Local Image Provider");
+  console.log("================================");
+
+  const first = await run('generate', { prompt: 'red dragon logo', seed: 42 });
+  const second = await run('generate', { prompt: 'red dragon logo', seed: 42 });
+  console.log(first.image_url === second.image_url ? "✅ generate is deterministic" : "❌ generate output differs for same seed");
+  console.log(JSON.parse(first.structured_prompt).objects?.length ? "✅ generate returns structured_prompt" : "❌ structured_prompt missing objects");
+
+  const cutout = await run('removeBackground', { image: first.image_url });
+  const { channels, hasAlpha } = await sharp(await loadImageBuffer(cutout.image_url)).metadata();
+  console.log(hasAlpha && channels === 4 ? "✅ remove_background returns RGBA" : "❌ remove_background lost alpha");
+
+  const { visual_id } = await provider.register({ image_url: cutout.image_url });
+  const mask = await run('maskGenerator', { visual_id, object_name: 'dragon' });
+  console.log(mask.mask_url ? "✅ mask_generator returns mask_url" : "❌ mask_url missing");
+
+  const filled = await run('genFill', { image: cutout.image_url, mask: mask.mask_url, prompt: 'blue flames' });
+  console.log(filled.image_url !== cutout.image_url ? "✅ gen_fill changes masked pixels" : "❌ gen_fill left image unchanged");
+
+  await run('erase', { image: cutout.image_url, mask: mask.mask_url });
+  await run('replaceBackground', { image: cutout.image_url, prompt: 'sunset beach' });
+  await run('enhance', { image: cutout.image_url });
+
+  const upscaled = await run('increaseResolution', { image: cutout.image_url });
+  const { width } = await sharp(await loadImageBuffer(upscaled.image_url)).metadata();
+  console.log(width === 512 ? "✅ increase_resolution doubles width" : `❌ unexpected width ${width}`);
+
+  const vector = await run('textToVector', { prompt: 'vectorize', image_prompt_file: cutout.image_url });
+  console.log(vector.image_url.startsWith('data:image/svg+xml') ? "✅ text_to_vector returns SVG" : "❌ text_to_vector did not return SVG");
+
+  console.log("\n🎉 Local provider checks complete");
+}
+
+testLocalProvider().catch(error => {
+  console.error("❌ Local provider test failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+/**
+ * Test Prompt Pipeline
+ * Checks that the shipped config reproduces the generation prompts, garment terms,
+ * config validation and hot reload
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildPipelinePrompt, PromptPipeline, validatePromptPipeline } from './prompt-pipeline.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testPromptPipeline() {
+  console.log("🧪 Testing Prompt Pipeline");
+  console.log("=========================");
+
+  const shipped = new PromptPipeline({ filePath: path.join(__dirname, 'prompt-pipeline.json') });
+  console.log(shipped.load() ? "✅ shipped config is valid" : `❌ shipped config rejected: ${shipped.lastError}`);
+
+  const generate = shipped.build({ prompt: 'red fox', mode: 'generate' });
+  console.log(generate.prompt === 'red fox, transparent background, clean design suitable for printing' && generate.negativePrompt === null
+    ? "✅ generate prompt matches the original suffix" : `❌ unexpected generate prompt: ${generate.prompt}`);
+
+  const vector = shipped.build({ prompt: 'red fox', mode: 'vector' });
+  console.log(vector.optimizedPrompt === 'red fox, clean minimalist design, simple illustration, suitable for t-shirt printing, professional graphics'
+    && vector.prompt === `${vector.optimizedPrompt}, minimalist vector illustration style, clean simple design, flat colors, no text or labels`
+    ? "✅ style tokens are sent but not stored as the optimized prompt" : `❌ unexpected vector prompt: ${vector.prompt}`);
+
+  const hoodie = shipped.build({ prompt: 'red fox', mode: 'brand_colors', garment: 'hoodie' });
+  console.log(hoodie.optimizedPrompt.startsWith('professional hoodie design, red fox') && hoodie.negativePrompt === 'fine hairlines, tiny text'
+    ? "✅ garments fill {garment} and add their own terms" : `❌ unexpected hoodie prompt: ${JSON.stringify(hoodie)}`);
+
+  console.log(buildPipelinePrompt({ modes: {} }, { prompt: 'red fox', mode: 'sketch' }).prompt === 'red fox'
+    ? "✅ modes without an entry send the prompt as typed" : "❌ unconfigured mode changed the prompt");
+
+  let unknownGarment = null;
+  try {
+    shipped.build({ prompt: 'red fox', mode: 'generate', garment: 'scarf' });
+  } catch (error) {
+    unknownGarment = error.message;
+  }
+  console.log(unknownGarment?.includes('scarf') ? "✅ unknown garments are rejected" : "❌ unknown garment accepted");
+
+  const errors = validatePromptPipeline({ defaultGarment: 'cap', garments: {}, modes: { generate: { suffix: 'printable' } } });
+  console.log(errors.some(error => error.path === 'modes.generate.suffix') && errors.some(error => error.path === 'defaultGarment')
+    ? "✅ invalid configs report paths" : `❌ unexpected validation errors: ${JSON.stringify(errors)}`);
+
+  // Hot reload: valid edits apply, invalid edits keep the last good config
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-pipeline-'));
+  const filePath = path.join(dir, 'pipeline.json');
+  fs.writeFileSync(filePath, JSON.stringify({ modes: { generate: { suffix: ['flat colors'] } } }));
+  const pipeline = new PromptPipeline({ filePath, watchIntervalMs: 50 });
+  pipeline.load();
+  pipeline.watch();
+
+  await wait(100);
+  fs.writeFileSync(filePath, JSON.stringify({ modes: { generate: { suffix: ['watercolor'] } } }));
+  await wait(300);
+  console.log(pipeline.build({ prompt: 'red fox', mode: 'generate' }).prompt === 'red fox, watercolor'
+    ? "✅ edits are picked up without a restart" : "❌ config was not reloaded");
+
+  fs.writeFileSync(filePath, '{ "modes": ');
+  await wait(300);
+  console.log(pipeline.build({ prompt: 'red fox', mode: 'generate' }).prompt === 'red fox, watercolor' && pipeline.lastError
+    ? "✅ a broken edit keeps the last valid config" : "❌ broken config replaced the active one");
+
+  pipeline.unwatch();
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  console.log("\n🎉 Prompt pipeline checks complete");
+}
+
+testPromptPipeline();
@@ -0,0 +1,197 @@
+/**
+ * Test Provider Client
+ * Checks the concurrency cap, retries with backoff on 429/5xx (network errors only for
+ * idempotent calls), that the circuit breaker fails fast while the provider is down and
+ * recovers after the reset timeout, and that an aborted signal stops queued, in-flight and
+ * retrying calls (down to the HTTP request)
+ */
+
+import http from 'http';
+import { BriaImageProvider } from './image-providers.js';
+import { backoffDelay, isRetryableError, ProviderClient, Semaphore } from './provider-client.js';
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers, data: { message: `HTTP ${status}` } }
+});
+
+async function testProviderClient() {
+  console.log("🧪 Testing Provider Client");
+  console.log("=========================");
+
+  // Concurrency cap
+  const capped = new ProviderClient({ concurrency: 2, sleep: async () => {} });
+  let running = 0;
+  let peak = 0;
+  await Promise.all(Array.from({ length: 6 }, () => capped.execute('generate', async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    running--;
+  })));
+  console.log(peak === 2 && capped.describe().in_flight === 0
+    ? "✅ at most 2 provider calls in flight" : `❌ peak ${peak}, in flight ${capped.describe().in_flight}`);
+
+  // Retries with backoff
+  const delays = [];
+  const retrying = new ProviderClient({ maxRetries: 3, baseDelayMs: 100, maxDelayMs: 1000, random: () => 1, sleep: async (ms) => { delays.push(ms); } });
+  let calls = 0;
+  const result = await retrying.execute('generate', async () => {
+    calls++;
+    if (calls === 1) throw httpError(503);
+    if (calls === 2) throw httpError(429);
+    return { request_id: 'abc' };
+  });
+  console.log(result.request_id === 'abc' && calls === 3
+    ? "✅ 503 and 429 are retried until the call succeeds" : `❌ ${calls} calls`);
+  console.log(delays.join() === '100,200' ? "✅ delays grow exponentially" : `❌ delays ${delays}`);
+
+  delays.length = 0;
+  await retrying.execute('status', async () => {
+    if (delays.length === 0) throw httpError(429, { 'retry-after': '0.25' });
+    return {};
+  });
+  console.log(delays[0] === 250 ? "✅ Retry-After is honoured" : `❌ waited ${delays[0]}ms`);
+
+  calls = 0;
+  const badRequest = await retrying.execute('generate', async () => { calls++; throw httpError(400); }).catch(error => error);
+  console.log(badRequest.response?.status === 400 && calls === 1
+    ? "✅ 4xx errors are not retried" : `❌ ${calls} calls for a 400`);
+
+  calls = 0;
+  const exhausted = await retrying.execute('generate', async () => { calls++; throw httpError(502); }).catch(error => error);
+  console.log(exhausted.response?.status === 502 && calls === 4
+    ? "✅ gives up after maxRetries" : `❌ ${calls} calls`);
+
+  const jitter = Array.from({ length: 20 }, (_, i) => backoffDelay(3, { baseDelayMs: 100, maxDelayMs: 500, random: () => i / 20 }));
+  console.log(Math.max(...jitter) <= 500 && new Set(jitter).size > 10
+    ? "✅ jitter spreads delays under the cap" : `❌ jitter ${jitter}`);
+  console.log(isRetryableError(new Error('socket hang up'), { idempotent: true }) && !isRetryableError(httpError(404))
+    ? "✅ network errors retry, 404s don't" : "❌ wrong retry classification");
+
+  // A dropped connection after the provider accepted a generation must not start another one
+  const dropped = () => Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' });
+  const resending = new ProviderClient({ maxRetries: 3, sleep: async () => {} });
+  calls = 0;
+  const droppedGenerate = await resending.execute('generate', async () => { calls++; throw dropped(); }).catch(error => error);
+  console.log(droppedGenerate.code === 'ECONNABORTED' && calls === 1
+    ? "✅ non-idempotent calls aren't resent after a network error" : `❌ ${calls} generate calls`);
+  calls = 0;
+  const droppedStatus = await resending.execute('status', async () => {
+    if (++calls < 3) throw dropped();
+    return 'ok';
+  }, { idempotent: true });
+  console.log(droppedStatus === 'ok' && calls === 3
+    ? "✅ idempotent calls are retried after a network error" : `❌ ${calls} status calls`);
+  console.log(isRetryableError(httpError(503)) && isRetryableError(httpError(429))
+    ? "✅ 429 and 5xx are retried for every call" : "❌ 429/5xx not retried");
+
+  // Circuit breaker
+  let clock = 0;
+  const breaking = new ProviderClient({ maxRetries: 0, failureThreshold: 3, resetTimeoutMs: 1000, now: () => clock, sleep: async () => {} });
+  calls = 0;
+  const down = async () => { calls++; throw httpError(500); };
+  for (let i = 0; i < 3; i++) await breaking.execute('generate', down).catch(() => {});
+  console.log(breaking.describe().circuit_breaker.state === 'open'
+    ? "✅ circuit opens after 3 consecutive failures" : `❌ state ${breaking.describe().circuit_breaker.state}`);
+
+  const fastFail = await breaking.execute('generate', down).catch(error => error);
+  console.log(fastFail.status === 503 && fastFail.code === 'provider_unavailable' && calls === 3
+    ? "✅ open circuit fails fast without calling the provider" : `❌ ${fastFail.message} after ${calls} calls`);
+  console.log(/unavailable/.test(fastFail.message) && /retry in 1s/.test(fastFail.message)
+    ? "✅ fast failure explains when to retry" : `❌ message: ${fastFail.message}`);
+
+  clock = 1000;
+  await breaking.execute('generate', down).catch(() => {});
+  console.log(calls === 4 && breaking.describe().circuit_breaker.state === 'open'
+    ? "✅ failed trial request reopens the circuit" : `❌ state ${breaking.describe().circuit_breaker.state}`);
+
+  clock = 2000;
+  await breaking.execute('generate', async () => ({ ok: true }));
+  const state = breaking.describe().circuit_breaker;
+  console.log(state.state === 'closed' && state.consecutive_failures === 0
+    ? "✅ successful trial request closes the circuit" : `❌ ${JSON.stringify(state)}`);
+
+  // Cancellation
+  const controller = new AbortController();
+  const cancelError = Object.assign(new Error('Job was cancelled'), { code: 'cancelled' });
+  const patient = new ProviderClient({ baseDelayMs: 60000, maxDelayMs: 60000, random: () => 1 });
+  calls = 0;
+  const started = Date.now();
+  setTimeout(() => controller.abort(cancelError), 20);
+  const stopped = await patient.execute('status', async () => { calls++; throw httpError(503); }, { signal: controller.signal }).catch(error => error);
+  console.log(stopped === cancelError && calls === 1 && Date.now() - started < 1000
+    ? "✅ cancelling stops the backoff wait" : `❌ ${stopped.message} after ${Date.now() - started}ms`);
+  const skipped = await patient.execute('generate', async () => { calls++; }, { signal: controller.signal }).catch(error => error);
+  console.log(skipped === cancelError && calls === 1
+    ? "✅ a cancelled call is never sent" : "❌ call sent after cancellation");
+  console.log(patient.describe().circuit_breaker.consecutive_failures === 1
+    ? "✅ cancellations don't count against the provider" : "❌ cancellation counted as a failure");
+
+  const rateLimited = new ProviderClient({ maxRetries: 0, failureThreshold: 1, sleep: async () => {} });
+  await rateLimited.execute('generate', async () => { throw httpError(429); }).catch(() => {});
+  console.log(rateLimited.describe().circuit_breaker.state === 'closed'
+    ? "✅ rate limits don't trip the breaker" : "❌ a 429 opened the circuit");
+
+  // Aborting while queued for a slot
+  const semaphore = new Semaphore(1);
+  await semaphore.acquire();
+  const queuedController = new AbortController();
+  const queued = semaphore.acquire(queuedController.signal).then(() => 'acquired', error => error);
+  const next = semaphore.acquire().then(() => 'acquired');
+  queuedController.abort(cancelError);
+  console.log(await queued === cancelError && semaphore.waiting.length === 1
+    ? "✅ an aborted waiter rejects and leaves the queue" : "❌ aborted waiter still queued");
+  semaphore.release();
+  console.log(await next === 'acquired' && semaphore.active === 1 && semaphore.waiting.length === 0
+    ? "✅ the slot goes to the next waiter instead" : `❌ active ${semaphore.active}`);
+
+  const busy = new ProviderClient({ concurrency: 1, maxRetries: 0 });
+  let releaseSlot;
+  const holding = busy.execute('generate', () => new Promise(resolve => { releaseSlot = resolve; }));
+  const waitingController = new AbortController();
+  calls = 0;
+  const waitingCall = busy.execute('generate', async () => { calls++; }, { signal: waitingController.signal }).catch(error => error);
+  waitingController.abort(cancelError);
+  console.log(await waitingCall === cancelError && calls === 0 && busy.describe().queued === 0
+    ? "✅ a call cancelled while queued gives up its place" : `❌ ${busy.describe().queued} queued`);
+  releaseSlot();
+  await holding;
+  console.log(busy.describe().in_flight === 0 ? "✅ the slot is released afterwards" : "❌ slot leaked");
+
+  // Aborting in flight
+  const inFlightController = new AbortController();
+  let receivedSignal = null;
+  let markStarted;
+  const callStarted = new Promise(resolve => { markStarted = resolve; });
+  calls = 0;
+  const inFlight = new ProviderClient({ maxRetries: 3, failureThreshold: 1, sleep: async () => {} });
+  const aborted = inFlight.execute('generate', (signal) => {
+    calls++;
+    receivedSignal = signal;
+    markStarted();
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('canceled')), { once: true }));
+  }, { signal: inFlightController.signal }).catch(error => error);
+  await callStarted;
+  inFlightController.abort(cancelError);
+  console.log(await aborted === cancelError && receivedSignal === inFlightController.signal && calls === 1
+    ? "✅ the call receives the signal and an in-flight abort isn't retried" : `❌ ${calls} calls`);
+  console.log(inFlight.describe().circuit_breaker.state === 'closed' && inFlight.describe().in_flight === 0
+    ? "✅ an aborted request doesn't count against the provider" : "❌ abort counted as a failure");
+
+  // The Bria provider hands the signal to its HTTP request
+  const hanging = http.createServer(() => { /* never answers */ });
+  await new Promise(resolve => hanging.listen(0, '127.0.0.1', resolve));
+  const bria = new BriaImageProvider({ apiToken: 'test', baseUrl: `http://127.0.0.1:${hanging.address().port}` });
+  const requestController = new AbortController();
+  const requestStarted = Date.now();
+  setTimeout(() => requestController.abort(cancelError), 20);
+  const requestError = await bria.generate({ prompt: 'skull' }, { signal: requestController.signal }).catch(error => error);
+  hanging.closeAllConnections();
+  hanging.close();
+  console.log(requestError?.code === 'ERR_CANCELED' && Date.now() - requestStarted < 1000
+    ? "✅ aborting cancels the provider's HTTP request" : `❌ ${requestError?.message} after ${Date.now() - requestStarted}ms`);
+
+  console.log("\n🎉 Provider client checks complete");
+}
+
+testProviderClient();
@@ -0,0 +1,75 @@
+/**
+ * Live test for refinement previews
+ * Previews an instruction with /api/refine/preview, runs it with /api/refine and checks
+ * that the preview reported the strategy and operations the refinement actually used -
+ * for an instruction with a lock clause, one that only locks, and an edit inside a drawn
+ * mask
+ */
+
+import axios from 'axios';
+
+const BASE_URL = 'http://localhost:5001';
+
+const describeOperations = (operations) => operations.map(op => `${op.type}:${op.target || ''}`).join(', ');
+
+async function comparePreviewWithRefine(label, request) {
+  const { data: generated } = await axios.post(`${BASE_URL}/api/generate`, { prompt: 'a skull with roses' });
+  const body = { designId: generated.designId, skipClarification: true, ...request };
+
+  const { data: preview } = await axios.post(`${BASE_URL}/api/refine/preview`, body);
+  const { data: refined } = await axios.post(`${BASE_URL}/api/refine`, body);
+
+  console.log(`📝 ${label}: preview ${preview.strategy} [${describeOperations(preview.operations)}], ` +
+    `refine ${refined.debug.planned_strategy} [${describeOperations(refined.debug.operations)}]`);
+  console.log(preview.strategy === refined.debug.planned_strategy
+    ? `✅ ${label}: preview reports the strategy the refinement used` : `❌ ${label}: strategies differ`);
+  console.log(describeOperations(preview.operations) === describeOperations(refined.debug.operations)
+    ? `✅ ${label}: preview reports the refinement's operations` : `❌ ${label}: operations differ`);
+
+  return { preview, refined };
+}
+
+async function testRefinePreviewLive() {
+  console.log('🧪 Testing refinement previews against a running server...\n');
+
+  try {
+    const locked = await comparePreviewWithRefine('lock', {
+      instruction: 'keep the skull unchanged and make the roses blue'
+    });
+    console.log(locked.preview.locks.locked.some(lock => lock.target === 'skull') && locked.refined.locks.some(lock => lock.target === 'skull')
+      ? '✅ lock: both lock the skull' : '❌ lock: the skull lock is missing');
+
+    // An instruction that only locks doesn't generate anything
+    const { data: generated } = await axios.post(`${BASE_URL}/api/generate`, { prompt: 'a skull with roses' });
+    const lockOnly = { designId: generated.designId, instruction: 'lock the roses' };
+    const { data: lockPreview } = await axios.post(`${BASE_URL}/api/refine/preview`, lockOnly);
+    const { data: lockResult } = await axios.post(`${BASE_URL}/api/refine`, lockOnly);
+    console.log(lockPreview.strategy === 'lock' && lockResult.editType === 'lock' && lockPreview.operations.length === 0
+      ? '✅ lock only: preview and refinement both just lock' : `❌ lock only: preview ${lockPreview.strategy}, refine ${lockResult.editType}`);
+    console.log(lockPreview.locks.locked.map(lock => lock.target).join() === lockResult.locks.map(lock => lock.target).join()
+      ? '✅ lock only: preview reports the locks the refinement set' : '❌ lock only: locks differ');
+
+    const masked = await comparePreviewWithRefine('mask', {
+      instruction: 'make it gold',
+      polygons: [[[0.3, 0.3], [0.7, 0.3], [0.7, 0.7], [0.3, 0.7]]]
+    });
+    console.log(masked.preview.strategy === 'mask_based'
+      ? '✅ mask: a drawn mask plans a mask-based edit' : `❌ mask: planned ${masked.preview.strategy}`);
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+// Run the test
+testRefinePreviewLive()
+  .then(() => {
+    console.log('\n✅ Refinement preview test completed');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('\n💥 Unexpected error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,83 @@
+/**
+ * Test Refinement Clarification
+ * Checks which refinement plans are answered with a question instead of a generation
+ */
+
+import { buildRefinementClarification, shortObjectName } from './refinement-clarification.js';
+
+const structuredPrompt = {
+  objects: [
+    { description: 'A grinning skull with cracked bone texture, centered' },
+    { description: 'Red roses wrapped around the skull' }
+  ]
+};
+
+function testRefinementClarification() {
+  console.log("🧪 Testing Refinement Clarification");
+  console.log("===================================");
+
+  console.log(shortObjectName('A grinning skull with cracked bone texture, centered') === 'grinning skull'
+    ? "✅ object names are shortened" : `❌ unexpected name ${shortObjectName('A grinning skull with cracked bone texture')}`);
+
+  const pronoun = buildRefinementClarification({
+    instruction: 'make it gold',
+    operations: [{ type: 'object_modification', instruction: 'make it gold', target: 'it', value: 'gold', confidence: 0.8 }],
+    structuredPrompt
+  });
+  console.log(pronoun?.reason === 'ambiguous_target' && pronoun.question === 'Which object should be gold?'
+    ? "✅ pronoun target asks which object" : "❌ pronoun target not questioned");
+  console.log(pronoun?.options.map(option => option.instruction).join('|') === 'make the grinning skull gold|make the red roses gold|make the whole design gold'
+    ? "✅ options are full instructions naming each object" : `❌ unexpected options ${JSON.stringify(pronoun?.options)}`);
+
+  const comparative = buildRefinementClarification({
+    instruction: 'make it more vibrant',
+    operations: [{ type: 'object_modification', instruction: 'make it more vibrant', target: 'it more', value: 'vibrant', confidence: 0.8 }],
+    structuredPrompt
+  });
+  console.log(comparative?.options[0].instruction === 'make the grinning skull more vibrant'
+    ? "✅ only the pronoun is replaced" : `❌ unexpected option ${comparative?.options[0].instruction}`);
+
+  const clear = buildRefinementClarification({
+    instruction: 'make the roses gold',
+    operations: [{ type: 'object_modification', instruction: 'make the roses gold', target: 'roses', value: 'gold', confidence: 0.8 }],
+    structuredPrompt
+  });
+  console.log(clear === null ? "✅ named target proceeds" : "❌ clear instruction questioned");
+
+  const single = buildRefinementClarification({
+    instruction: 'make it gold',
+    operations: [{ type: 'object_modification', instruction: 'make it gold', target: 'it', value: 'gold', confidence: 0.8 }],
+    structuredPrompt: { objects: [structuredPrompt.objects[0]] }
+  });
+  console.log(single === null ? "✅ pronoun with a single object proceeds" : "❌ single-object design questioned");
+
+  const recovered = buildRefinementClarification({
+    instruction: 'sparkly vibes',
+    operations: [{ type: 'general_edit', instruction: 'sparkly vibes', target: 'sparkly vibes', confidence: 0.2, recovered: true }]
+  });
+  console.log(recovered?.reason === 'low_confidence' && recovered.options.length === 0 && recovered.canProceed
+    ? "✅ low-confidence edit without objects asks to rephrase" : "❌ low-confidence edit not questioned");
+
+  const dropped = buildRefinementClarification({
+    instruction: 'add a hat, make the roses blue and sparkly vibes',
+    operations: [
+      { type: 'object_addition', instruction: 'add a hat', target: 'hat', confidence: 0.9 },
+      { type: 'object_modification', instruction: 'make the roses blue', target: 'roses', value: 'blue', confidence: 0.8 }
+    ],
+    structuredPrompt,
+    unparsed: ['sparkly vibes']
+  });
+  console.log(dropped?.reason === 'dropped_operations' && dropped.options[0].skipClarification === true && dropped.missed[0] === 'sparkly vibes'
+    ? "✅ dropped operations offer to apply what was understood" : "❌ dropped operations not reported");
+
+  const background = buildRefinementClarification({
+    instruction: 'change the background to a beach',
+    operations: [{ type: 'background_replacement', instruction: 'change the background to a beach' }],
+    structuredPrompt
+  });
+  console.log(background === null ? "✅ background operations proceed" : "❌ background operation questioned");
+
+  console.log("\n🎉 Refinement clarification checks complete");
+}
+
+testRefinementClarification();
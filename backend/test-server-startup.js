@@ -29,8 +29,8 @@ try {
   // Check for critical functions
   const criticalFunctions = [
     'analyzeRefinementInstructionEnhanced',
-    'parseMultipleOperationsEnhanced', 
-    'parseIndividualOperationWithValidation',
+    'parseRefinementOperations',
+    'chooseRefinementStrategy',
     'BackgroundContextManager'
   ];
   
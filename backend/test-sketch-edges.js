@@ -0,0 +1,45 @@
+/**
+ * Test Sketch Edges
+ * Checks that a drawn sketch becomes a clean white-on-black edge map and that blank or
+ * speckled paper produces no lines
+ */
+
+import sharp from 'sharp';
+import { extractSketchEdges } from './sketch-edges.js';
+
+const svgSketch = (body) => sharp(Buffer.from(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200"><rect width="200" height="200" fill="#f4f1e8"/>${body}</svg>`
+)).png().toBuffer();
+
+async function testSketchEdges() {
+  console.log("🧪 Testing Sketch Edges");
+  console.log("======================");
+
+  const circle = await svgSketch('<circle cx="100" cy="100" r="60" fill="none" stroke="#222" stroke-width="4"/>');
+  const edges = await extractSketchEdges(circle);
+  console.log(edges.width === 200 && edges.height === 200 && edges.edgeShare > 0.01 && edges.edgeShare < 0.2
+    ? "✅ pencil lines become edges" : `❌ unexpected edge map ${JSON.stringify({ ...edges, buffer: undefined })}`);
+
+  const data = await sharp(edges.buffer).extractChannel(0).raw().toBuffer();
+  const at = (x, y) => data[y * 200 + x];
+  // Edges trace both sides of the 4px stroke around x = 40
+  const nearOutline = Array.from({ length: 13 }, (_, i) => at(34 + i, 100));
+  console.log(nearOutline.includes(255)
+    ? "✅ edges follow the drawn circle" : "❌ no edge on the circle outline");
+  console.log(at(100, 100) === 0 && at(5, 5) === 0
+    ? "✅ paper and the inside of shapes stay black" : "❌ edges outside the lines");
+
+  const dataUrl = `data:image/png;base64,${circle.toString('base64')}`;
+  console.log((await extractSketchEdges(dataUrl)).edgeShare === edges.edgeShare
+    ? "✅ data URLs are accepted" : "❌ data URL gave a different edge map");
+
+  const blank = await extractSketchEdges(await svgSketch(''));
+  console.log(blank.edgeShare === 0 ? "✅ a blank page has no lines" : `❌ blank page produced ${blank.edgeShare} lines`);
+
+  const specks = await extractSketchEdges(await svgSketch('<rect x="50" y="50" width="1" height="1" fill="#222"/><rect x="150" y="120" width="1" height="1" fill="#222"/>'));
+  console.log(specks.edgeShare === 0 ? "✅ isolated specks are cleaned up" : `❌ specks kept (${specks.edgeShare})`);
+
+  console.log("\n🎉 Sketch edge checks complete");
+}
+
+testSketchEdges();
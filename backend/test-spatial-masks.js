@@ -0,0 +1,117 @@
+/**
+ * Test Spatial Masks
+ * Checks region/relation boxes, the rendered gen_fill masks for parsed locations and the
+ * re-compositing of localized edits over the original
+ */
+
+import sharp from 'sharp';
+import { parseInstruction } from './instruction-grammar.js';
+import { buildSpatialMask, buildUserMask, compositeMaskedEdit, maskBoundingBox, maskHitTest, relationBox, spatialBox } from './spatial-masks.js';
+
+const SIZE = 100;
+const approx = (a, b) => Math.abs(a - b) < 0.011;
+
+// Square white object on black, as mask_generator would return it
+async function objectMask({ x, y, width, height }) {
+  const mask = Buffer.alloc(SIZE * SIZE);
+  for (let row = y; row < y + height; row++) {
+    for (let col = x; col < x + width; col++) mask[row * SIZE + col] = 255;
+  }
+  const png = await sharp(mask, { raw: { width: SIZE, height: SIZE, channels: 1 } }).png().toBuffer();
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+const maskPixels = async (dataUrl) => sharp(Buffer.from(dataUrl.split(',')[1], 'base64')).greyscale().raw().toBuffer();
+
+const locationOf = (instruction) => parseInstruction(instruction).operations[0].location;
+
+async function testSpatialMasks() {
+  console.log("🧪 Testing Spatial Masks");
+  console.log("========================");
+
+  const image = await sharp({ create: { width: SIZE, height: SIZE, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  const skull = { x: 0.3, y: 0.4, width: 0.4, height: 0.4 };
+
+  const corner = spatialBox(locationOf('put stars in the top-left corner'), null);
+  console.log(corner.x === 0 && corner.y === 0 && corner.width < 0.5
+    ? "✅ canvas region maps to a corner box" : `❌ unexpected corner box ${JSON.stringify(corner)}`);
+
+  const onTop = relationBox('on_top_of', skull);
+  console.log(onTop.y < skull.y && onTop.y + onTop.height > skull.y
+    ? "✅ on top of overlaps the anchor's top edge" : `❌ unexpected on-top box ${JSON.stringify(onTop)}`);
+
+  const edge = relationBox('above', { x: 0.3, y: 0, width: 0.4, height: 0.4 });
+  console.log(edge.y === 0 && edge.height > 0
+    ? "✅ boxes are shifted back inside the image" : `❌ box left the image ${JSON.stringify(edge)}`);
+
+  const side = spatialBox(locationOf('add a flame on the left side of the skull'), skull);
+  console.log(side.x >= skull.x && side.x + side.width <= skull.x + skull.width / 2 + 0.01
+    ? "✅ object regions stay inside the anchor" : `❌ unexpected side box ${JSON.stringify(side)}`);
+
+  console.log(spatialBox(locationOf('move the rose behind the sword'), null) === null
+    ? "✅ missing anchor returns no box" : "❌ box produced without an anchor");
+
+  const anchorMask = await objectMask({ x: 30, y: 40, width: 40, height: 40 });
+  const behind = await buildSpatialMask({ image, location: locationOf('add a snake behind the skull'), anchorMask });
+  const behindPixels = await maskPixels(behind.mask);
+  console.log(approx(behind.box.x, 0.2) && behindPixels[50 * SIZE + 50] === 0 && behindPixels[35 * SIZE + 25] === 255
+    ? "✅ behind masks around the anchor and keeps the anchor itself" : `❌ unexpected behind mask ${JSON.stringify(behind.box)}`);
+
+  const onSkull = await buildSpatialMask({ image, location: locationOf('put a crown on the skull'), anchorMask });
+  const onPixels = await maskPixels(onSkull.mask);
+  console.log(onPixels[50 * SIZE + 50] === 255
+    ? "✅ on paints over the anchor" : "❌ on mask excluded the anchor");
+
+  const fromPrompt = await buildSpatialMask({
+    image,
+    location: locationOf('add a hat on top of the skull'),
+    structuredPrompt: { objects: [{ description: 'A grinning skull', location: 'bottom-right' }] }
+  });
+  console.log(fromPrompt && fromPrompt.box.x > 0.5
+    ? "✅ structured prompt location is used when no mask is available" : "❌ structured prompt anchor ignored");
+
+  // gen_fill repainted everything (and background removal nibbled a corner); only the
+  // masked square may keep the new pixels
+  const original = await sharp({ create: { width: SIZE, height: SIZE, channels: 4, background: { r: 200, g: 40, b: 40, alpha: 1 } } }).png().toBuffer();
+  const editedPixels = Buffer.alloc(SIZE * SIZE * 4);
+  for (let p = 0; p < SIZE * SIZE; p++) editedPixels.set(p < 5 * SIZE ? [0, 0, 0, 0] : [40, 40, 200, 255], p * 4);
+  const edited = await sharp(editedPixels, { raw: { width: SIZE, height: SIZE, channels: 4 } }).png().toBuffer();
+  const editMask = await objectMask({ x: 30, y: 40, width: 40, height: 40 });
+
+  const { data: composited } = await sharp(await compositeMaskedEdit(original, edited, [editMask], { feather: 2 }))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const pixel = (x, y) => Array.from(composited.slice((y * SIZE + x) * 4, (y * SIZE + x) * 4 + 4)).join(',');
+  console.log(pixel(50, 60) === '40,40,200,255' && pixel(10, 10) === '200,40,40,255' && pixel(2, 2) === '200,40,40,255' && pixel(90, 90) === '200,40,40,255'
+    ? "✅ original pixels are restored outside the edit mask" : `❌ composited pixels ${pixel(50, 60)} / ${pixel(10, 10)} / ${pixel(2, 2)}`);
+
+  const feathered = pixel(29, 60).split(',').map(Number);
+  console.log(feathered[0] > 40 && feathered[0] < 200 && feathered[2] > 40 && feathered[2] < 200
+    ? "✅ the mask edge is feathered" : `❌ hard mask edge ${pixel(29, 60)}`);
+
+  // User-drawn masks: a lasso outline, a painted PNG (transparent = not selected), and nothing at all
+  const lasso = await buildUserMask({ image, polygons: [[[0.1, 0.1], [0.4, 0.1], [0.4, 0.3], [0.1, 0.3]]] });
+  const lassoBox = lasso && await maskBoundingBox(lasso);
+  console.log(lassoBox && Math.abs(lassoBox.x - 0.1) < 0.02 && Math.abs(lassoBox.width - 0.3) < 0.02 && Math.abs(lassoBox.height - 0.2) < 0.02
+    ? "✅ polygon outlines are rasterized at their position" : `❌ polygon mask box ${JSON.stringify(lassoBox)}`);
+
+  const painted = await sharp(Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="50" height="50"><circle cx="40" cy="40" r="8" fill="#fff"/></svg>`
+  )).png().toBuffer();
+  const paintedBox = await maskBoundingBox(await buildUserMask({ image, mask: `data:image/png;base64,${painted.toString('base64')}` }));
+  console.log(paintedBox && paintedBox.x > 0.6 && paintedBox.y > 0.6 && paintedBox.width < 0.4
+    ? "✅ painted PNG masks keep only the painted area" : `❌ painted mask box ${JSON.stringify(paintedBox)}`);
+
+  console.log(await buildUserMask({ image, mask: `data:image/png;base64,${(await sharp({ create: { width: 20, height: 20, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer()).toString('base64')}` }) === null
+    ? "✅ an empty mask yields no selection" : "❌ empty mask produced a selection");
+
+  // Click-to-select: the clicked point is tested against each object's mask
+  const inside = await maskHitTest(editMask, { x: 0.5, y: 0.6 });
+  const outside = await maskHitTest(editMask, { x: 0.1, y: 0.1 });
+  console.log(inside.hit && !outside.hit && Math.abs(inside.area - 0.16) < 0.01
+    ? "✅ mask hit test finds the object under a point" : `❌ hit test ${JSON.stringify({ inside, outside })}`);
+
+  console.log("\n🎉 Spatial mask checks complete");
+}
+
+testSpatialMasks();
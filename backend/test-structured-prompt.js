@@ -0,0 +1,57 @@
+/**
+ * Test Structured Prompt
+ * Checks schema validation of edited structured prompts and field-level diffs
+ */
+
+import { diffStructuredPrompts, validateStructuredPrompt } from './structured-prompt.js';
+
+const PROMPT = {
+  short_description: 'A grinning skull with red roses',
+  objects: [
+    { description: 'A grinning skull', location: 'center', shape_and_color: 'bone white', number_of_objects: 1 },
+    { description: 'Red roses', location: 'bottom-center', shape_and_color: 'deep red' }
+  ],
+  background_setting: 'transparent background',
+  lighting: { conditions: 'soft studio lighting', direction: 'front', shadows: 'minimal' },
+  style_medium: 'digital illustration',
+  future_field: { anything: true }
+};
+
+function testStructuredPrompt() {
+  console.log("🧪 Testing Structured Prompt");
+  console.log("===========================");
+
+  const valid = validateStructuredPrompt(PROMPT);
+  console.log(valid.length === 0 ? "✅ a complete prompt is valid (unknown fields allowed)" : `❌ valid prompt rejected: ${JSON.stringify(valid)}`);
+
+  const broken = validateStructuredPrompt({
+    objects: [{ location: 'center' }, { description: 'roses', number_of_objects: 0 }],
+    lighting: 'bright'
+  });
+  const paths = broken.map(error => error.path).sort();
+  const expected = ['lighting', 'objects[0].description', 'objects[1].number_of_objects', 'short_description'];
+  console.log(JSON.stringify(paths) === JSON.stringify(expected)
+    ? "✅ missing fields, wrong types and bad values are reported by path" : `❌ got errors at ${JSON.stringify(paths)}`);
+
+  const notObject = validateStructuredPrompt('a skull');
+  console.log(notObject.length === 1 && notObject[0].path === '(root)'
+    ? "✅ a non-object prompt is rejected" : `❌ string prompt gave ${JSON.stringify(notObject)}`);
+
+  const tooLong = validateStructuredPrompt({ ...PROMPT, short_description: 'x'.repeat(2001) });
+  console.log(tooLong.length === 1 && tooLong[0].path === 'short_description'
+    ? "✅ overlong text is rejected" : `❌ overlong text gave ${JSON.stringify(tooLong)}`);
+
+  const edited = {
+    ...PROMPT,
+    objects: [{ ...PROMPT.objects[0], shape_and_color: 'gold' }],
+    lighting: { ...PROMPT.lighting, conditions: 'neon glow' }
+  };
+  const diff = diffStructuredPrompts(JSON.stringify(PROMPT), edited);
+  const changes = diff.map(({ path, change }) => `${change} ${path}`).sort();
+  console.log(JSON.stringify(changes) === JSON.stringify(['changed lighting.conditions', 'changed objects[0].shape_and_color', 'removed objects[1]'])
+    ? "✅ diff lists changed and removed fields" : `❌ diff was ${JSON.stringify(changes)}`);
+
+  console.log("\n🎉 Structured prompt checks complete");
+}
+
+testStructuredPrompt();
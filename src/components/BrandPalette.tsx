@@ -0,0 +1,173 @@
+import React, { useRef, useState } from 'react';
+import { ImagePlus, Loader2, Palette, Plus, X } from 'lucide-react';
+import { useDesignState } from '../store/AppContext';
+import { extractBrandPalette, generateWithBrandColors, BrandSwatch } from '../lib/api';
+
+interface BrandPaletteProps {
+  // Design description from the main prompt field
+  prompt: string;
+}
+
+const MAX_COLORS = 8;
+
+// Brand colors: extract swatches from a logo or brand image, adjust them, then generate with them
+const BrandPalette: React.FC<BrandPaletteProps> = ({ prompt }) => {
+  const {
+    isGenerating,
+    isRefining,
+    setGenerating,
+    setGeneratedImage,
+    setLastPrompt,
+    setError,
+    setSuccess,
+    setGenerationProgress,
+  } = useDesignState();
+  const [swatches, setSwatches] = useState<BrandSwatch[]>([]);
+  const [brandImage, setBrandImage] = useState<string | null>(null);
+  const [isExtracting, setIsExtracting] = useState(false);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const handleBrandImage = (file: File) => {
+    if (!file.type.startsWith('image/')) {
+      setError('Please upload an image file');
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      const imageDataUrl = e.target?.result as string;
+      setBrandImage(imageDataUrl);
+      setIsExtracting(true);
+      setError(null);
+      try {
+        setSwatches((await extractBrandPalette(imageDataUrl)).palette);
+      } catch (err: unknown) {
+        setError(err instanceof Error ? err.message : 'Failed to extract brand colors');
+      } finally {
+        setIsExtracting(false);
+      }
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const updateSwatch = (index: number, hex: string) => {
+    setSwatches(current => current.map((swatch, i) => (i === index ? { ...swatch, hex, share: 1 } : swatch)));
+  };
+
+  const addSwatch = () => {
+    setSwatches(current => [...current, { hex: '#000000', rgb: { r: 0, g: 0, b: 0 }, name: 'black', share: 1 }]);
+  };
+
+  const handleGenerate = async () => {
+    if (!prompt.trim()) {
+      setError('Please enter a design description first');
+      return;
+    }
+
+    setGenerating(true);
+    setError(null);
+    setSuccess(null);
+    setGenerationProgress('Generating with brand colors...');
+    try {
+      const data = await generateWithBrandColors(prompt, swatches.map(swatch => swatch.hex));
+      setGenerationProgress('');
+      setSwatches(data.palette);
+      setGeneratedImage(data.imageUrl, data.designId);
+      setLastPrompt(`Brand colors: ${prompt}`);
+      setSuccess(`✅ Design generated with ${data.palette.length} brand colors (${Math.round(data.snappedShare * 100)}% of pixels matched exactly)`);
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err: unknown) {
+      setGenerationProgress('');
+      setError(err instanceof Error ? err.message : 'Failed to generate with brand colors');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const isBusy = isGenerating || isRefining || isExtracting;
+
+  return (
+    <div className="space-y-3 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between">
+        <span className="flex items-center text-sm font-medium text-gray-700">
+          <Palette className="w-4 h-4 mr-2" />
+          Brand colors
+        </span>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isBusy}
+          title="Extract colors from a logo or brand image"
+          className="flex items-center px-2 py-1 text-xs text-purple-700 bg-white border border-purple-300 rounded hover:bg-purple-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isExtracting ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <ImagePlus className="w-3 h-3 mr-1" />}
+          From image
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) handleBrandImage(file);
+            e.target.value = '';
+          }}
+          className="hidden"
+        />
+      </div>
+
+      {swatches.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-center gap-2">
+            {brandImage && <img src={brandImage} alt="Brand image" className="w-8 h-8 object-contain bg-white rounded border border-gray-200" />}
+            {swatches.map((swatch, index) => (
+              <div key={index} className="flex items-center space-x-1 px-1.5 py-1 bg-white rounded border border-gray-200">
+                <input
+                  type="color"
+                  value={swatch.hex}
+                  onChange={(e) => updateSwatch(index, e.target.value)}
+                  disabled={isBusy}
+                  title={`${swatch.name} ${swatch.hex}`}
+                  className="w-6 h-6 p-0 border-0 bg-transparent cursor-pointer"
+                />
+                <span className="text-xs text-gray-600">
+                  {swatch.hex}
+                  {swatch.share < 1 && <span className="text-gray-400"> {Math.round(swatch.share * 100)}%</span>}
+                </span>
+                <button
+                  onClick={() => setSwatches(current => current.filter((_, i) => i !== index))}
+                  disabled={isBusy}
+                  title="Remove color"
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={addSwatch}
+              disabled={isBusy || swatches.length >= MAX_COLORS}
+              title="Add color"
+              className="p-1.5 text-gray-600 bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50"
+            >
+              <Plus className="w-3 h-3" />
+            </button>
+          </div>
+
+          <button
+            onClick={handleGenerate}
+            disabled={isBusy || !prompt.trim()}
+            className="w-full px-3 py-1.5 text-xs font-medium text-white bg-purple-600 rounded hover:bg-purple-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {isGenerating ? 'Generating...' : 'Generate with brand colors'}
+          </button>
+        </>
+      )}
+
+      {swatches.length === 0 && (
+        <div className="text-xs text-gray-500">Upload a logo or brand image to generate with its colors.</div>
+      )}
+    </div>
+  );
+};
+
+export default BrandPalette;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+export interface DesignCandidate {
+  imageUrl: string;
+  designId: string;
+  seed: number | null;
+}
+
+interface CandidateStripProps {
+  label: string;
+  candidates: DesignCandidate[];
+  // The side's current design; its thumbnail is highlighted
+  selectedDesignId: string | null;
+  onPick: (candidate: DesignCandidate) => void;
+  onDismiss: () => void;
+  disabled?: boolean;
+}
+
+// Thumbnails of alternative designs (generation candidates, "more like this" variants)
+const CandidateStrip: React.FC<CandidateStripProps> = ({ label, candidates, selectedDesignId, onPick, onDismiss, disabled }) => (
+  <div className="space-y-1">
+    <div className="flex items-center justify-between text-xs text-gray-500">
+      <span>{label}</span>
+      <button onClick={onDismiss} title="Dismiss" className="hover:text-gray-700">
+        <X className="w-3 h-3" />
+      </button>
+    </div>
+    <div className="grid grid-cols-4 gap-2">
+      {candidates.map(candidate => (
+        <button
+          key={candidate.designId}
+          onClick={() => onPick(candidate)}
+          disabled={disabled}
+          title={candidate.seed !== null ? `Seed ${candidate.seed}` : undefined}
+          className={`aspect-square bg-white rounded border-2 overflow-hidden transition-colors ${
+            candidate.designId === selectedDesignId ? 'border-purple-500' : 'border-gray-200 hover:border-purple-300'
+          }`}
+        >
+          <img src={candidate.imageUrl} alt="Design candidate" className="w-full h-full object-contain" />
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+export default CandidateStrip;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { HelpCircle, X } from 'lucide-react';
+import { RefinementClarification } from '../lib/api';
+
+interface ClarificationPromptProps {
+  clarification: RefinementClarification;
+  onSelect: (instruction: string, skipClarification?: boolean) => void;
+  onDismiss: () => void;
+  disabled?: boolean;
+}
+
+const ClarificationPrompt: React.FC<ClarificationPromptProps> = ({ clarification, onSelect, onDismiss, disabled }) => (
+  <div className="space-y-3 p-4 text-xs bg-amber-50 rounded-lg border border-amber-200">
+    <div className="flex items-start justify-between">
+      <span className="flex items-start text-sm font-medium text-amber-800">
+        <HelpCircle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+        {clarification.question}
+      </span>
+      <button onClick={onDismiss} className="text-amber-500 hover:text-amber-700" title="Dismiss">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+
+    {/* Quick replies */}
+    {clarification.options.length > 0 && (
+      <div className="flex flex-wrap gap-2">
+        {clarification.options.map(option => (
+          <button
+            key={option.instruction}
+            onClick={() => onSelect(option.instruction, option.skipClarification)}
+            disabled={disabled}
+            title={option.instruction}
+            className="px-3 py-1.5 font-medium text-amber-900 bg-white border border-amber-300 rounded-full hover:bg-amber-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    )}
+
+    {clarification.canProceed && (
+      <button
+        onClick={() => onSelect(clarification.instruction, true)}
+        disabled={disabled}
+        className="text-amber-700 hover:text-amber-900 underline disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        Refine "{clarification.instruction}" anyway
+      </button>
+    )}
+  </div>
+);
+
+export default ClarificationPrompt;
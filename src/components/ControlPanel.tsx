@@ -1,22 +1,23 @@
-import React, { useState, useRef } from 'react';
-import { ShoppingCart, Loader2, Plus } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
+import { ShoppingCart, Loader2, Plus, Eye, Undo2, Redo2, Brush, Repeat, X } from 'lucide-react';
 import ColorWheel from './ColorWheel';
+import DesignHistory from './DesignHistory';
+import DesignVariants from './DesignVariants';
+import BrandPalette from './BrandPalette';
+import CandidateStrip, { DesignCandidate } from './CandidateStrip';
+import ObjectList from './ObjectList';
+import StructuredPromptEditor from './StructuredPromptEditor';
+import MaskEditor from './MaskEditor';
+import RefinementPreviewPanel from './RefinementPreviewPanel';
+import ClarificationPrompt from './ClarificationPrompt';
 import { useDesignState, useCartState, CartItem } from '../store/AppContext';
+import { API_BASE, handleApiResponse, isAbortError, runJob, previewRefinement, revertDesign, RefinementClarification, RefinementPreview } from '../lib/api';
 
 interface ControlPanelProps {
   tshirtColor: string;
   onTshirtColorChange: (color: string) => void;
 }
 
-const API_BASE = `${import.meta.env.VITE_API_URL || (window.location.hostname === 'localhost' ? 'http://localhost:5000' : 'https://fibo-t5mv.onrender.com')}/api`;
-
-// Debug: Log the API configuration
-console.log('🔧 API Configuration:', {
-  VITE_API_URL: import.meta.env.VITE_API_URL,
-  hostname: window.location.hostname,
-  finalApiBase: API_BASE
-});
-
 const PRESET_COLORS = [
   '#000000', '#FFFFFF', '#8B4B3B', '#6B8E5A', '#4A6B8A',
   '#D4B86A', '#A67B8B', '#5A8B8B', '#D2A574', '#7A5A8B'
@@ -29,10 +30,23 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
   // Local state for input fields
   const [prompt, setPrompt] = useState('');
   const [modifyPrompt, setModifyPrompt] = useState('');
+  const [refinementPreview, setRefinementPreview] = useState<RefinementPreview | null>(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [clarification, setClarification] = useState<RefinementClarification | null>(null);
+  const [lockRefreshToken, setLockRefreshToken] = useState(0);
+  const [maskMode, setMaskMode] = useState(false);
+  const [lastSeed, setLastSeed] = useState<number | null>(null);
+  const [candidateCount, setCandidateCount] = useState(1);
+  const [candidates, setCandidates] = useState<DesignCandidate[]>([]);
+  const [userMask, setUserMask] = useState<string | null>(null);
   const [vectorMode] = useState(false);
+  // Controller of the running generation/refinement; aborting it cancels the backend job
+  const [activeRequest, setActiveRequest] = useState<AbortController | null>(null);
   
   // Upload state
   const [uploadedDesign, setUploadedDesign] = useState<string | null>(null);
+  const [sketchGuidance, setSketchGuidance] = useState(70);
+  const [sketchEdgeMap, setSketchEdgeMap] = useState<string | null>(null);
   const [isProcessingUpload, setIsProcessingUpload] = useState(false);
   const [showClipboardLoading, setShowClipboardLoading] = useState(false);
   const fileInputRef = useRef<HTMLInputElement>(null);
@@ -40,6 +54,8 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
   // Global state from context
   const {
     currentImage,
+    designId,
+    lastPrompt,
     isGenerating,
     isRefining,
     canRefine,
@@ -50,6 +66,9 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
     backDesign,
     frontAlignment,
     backAlignment,
+    undoStack,
+    redoStack,
+    stepDesignEdit,
     setGenerating,
     setRefining,
     setGeneratedImage,
@@ -63,6 +82,29 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
   
   const { addToCart } = useCartState();
 
+  // Leaving the page cancels work that is still running
+  useEffect(() => () => activeRequest?.abort(), [activeRequest]);
+
+  const startCancellableRequest = () => {
+    const controller = new AbortController();
+    setActiveRequest(controller);
+    return controller.signal;
+  };
+
+  const handleCancel = () => {
+    activeRequest?.abort();
+    setGenerationProgress('Stopping...');
+  };
+
+  // A cancelled request isn't an error; returns true when err was a cancellation
+  const handleCancelled = (err: unknown, what: string) => {
+    if (!isAbortError(err)) return false;
+    setGenerationProgress('');
+    setSuccess(`⏹️ ${what} cancelled`);
+    setTimeout(() => setSuccess(null), 3000);
+    return true;
+  };
+
   // Handle sketch upload for ControlNet Canny processing
   const handleSketchUpload = async (file: File) => {
     if (!file.type.startsWith('image/')) {
@@ -93,7 +135,8 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({ 
               prompt: prompt,
-              sketchImageData: base64Data
+              sketchImageData: base64Data,
+              guidanceStrength: sketchGuidance / 100
             }),
           });
           
@@ -104,7 +147,8 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
           setTimeout(() => setSuccess(null), 3000);
           
           // Update global state with generated design
-          setGeneratedImage(data.imageUrl);
+          setGeneratedImage(data.imageUrl, data.designId);
+          setSketchEdgeMap(data.edgeMapUrl);
           setLastPrompt(`Enhanced professional design: ${prompt}`);
           
           // Clear the prompt since it was used
@@ -149,16 +193,8 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
         setGenerationProgress('Processing design...');
         
         try {
-          // Call backend to enhance and remove background
-          const response = await fetch(`${API_BASE}/process-upload`, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ 
-              imageData: imageDataUrl
-            }),
-          });
-          
-          const data = await handleApiResponse(response);
+          // Call backend to enhance and remove background, streaming each processing stage
+          const data = await runJob('/process-upload', { imageData: imageDataUrl }, setGenerationProgress);
           
           setGenerationProgress('');
           const steps = data.processingSteps ? data.processingSteps.length : 0;
@@ -167,7 +203,7 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
           setTimeout(() => setSuccess(null), 3000);
           
           // Update global state with processed image
-          setGeneratedImage(data.imageUrl);
+          setGeneratedImage(data.imageUrl, data.designId);
           setLastPrompt('Uploaded and processed design');
           
         } catch (err: any) {
@@ -232,23 +268,11 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
     }
   };
 
-  // Handle API responses with proper error handling
-  const handleApiResponse = async (response: Response) => {
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({ error: { message: `HTTP ${response.status}` } }));
-      throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    if (!data.success) {
-      throw new Error(data.error?.message || "API request failed");
-    }
-    
-    return data;
-  };
-
-  const handleGenerate = async () => {
-    if (!prompt.trim()) {
+  // With reuseSeed the last generation's seed is sent again: same prompt reproduces the
+  // design, an edited prompt changes it while keeping the composition close
+  const handleGenerate = async (reuseSeed = false) => {
+    const text = prompt.trim() || (reuseSeed ? lastPrompt : '');
+    if (!text) {
       setError("Please enter a design description");
       return;
     }
@@ -258,40 +282,46 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
     setError(null);
     setSuccess(null);
     setGenerationProgress('Starting generation...');
+    const signal = startCancellableRequest();
     
     try {
       // Call appropriate API based on vector mode
       const endpoint = vectorMode ? '/generate-vector' : '/generate';
-      const response = await fetch(`${API_BASE}${endpoint}`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ prompt }),
-      });
-      
-      const data = await handleApiResponse(response);
+      const data = await runJob(endpoint, {
+        prompt: text,
+        ...(reuseSeed && lastSeed !== null && { seed: lastSeed }),
+        ...(!vectorMode && candidateCount > 1 && { num_results: candidateCount })
+      }, setGenerationProgress, { signal });
       
       setGenerationProgress('');
-      setSuccess('✅ Design generated successfully!');
+      setSuccess(data.candidates ? `✅ ${data.candidates.length} candidates generated - pick one below` : '✅ Design generated successfully!');
       setTimeout(() => setSuccess(null), 3000);
       
       // Update global state with generated image
-      setGeneratedImage(data.imageUrl);
-      setLastPrompt(prompt);
+      setGeneratedImage(data.imageUrl, data.designId);
+      setLastPrompt(text);
+      setLastSeed(data.seed ?? null);
+      // The first candidate is shown; the others stay available as alternates
+      setCandidates(data.candidates || []);
       
       // Clear the input field
       setPrompt('');
       
     } catch (err: any) {
+      if (handleCancelled(err, 'Generation')) return;
       console.error('Generation error:', err);
       setGenerationProgress('');
       setError(err.message || "Failed to generate design - please try again");
     } finally {
+      setActiveRequest(null);
       setGenerating(false);
     }
   };
 
-  const handleModify = async () => {
-    if (!modifyPrompt.trim()) {
+  // Quick replies from a clarification pass their own instruction
+  const handleModify = async (instructionOverride?: string, skipClarification = false) => {
+    const instruction = instructionOverride ?? modifyPrompt;
+    if (!instruction.trim()) {
       setError("Please enter modification instructions");
       return;
     }
@@ -305,47 +335,129 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
     setRefining(true);
     setError(null);
     setSuccess(null);
+    setClarification(null);
     setGenerationProgress('Starting refinement...');
+    const signal = startCancellableRequest();
     
     try {
-      // Call new Bria refinement API
-      const response = await fetch(`${API_BASE}/refine`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ 
-          instruction: modifyPrompt,
-          imageUrl: currentImage
-        }),
-      });
-      
-      const data = await handleApiResponse(response);
+      // Call Bria refinement API as a job so real stages show in the progress line
+      const data = await runJob('/refine', {
+        instruction,
+        designId,
+        imageUrl: currentImage,
+        skipClarification,
+        mask: maskMode ? userMask : null
+      }, setGenerationProgress, { signal });
       
       setGenerationProgress('');
-      setSuccess('✅ Design refined successfully!');
+
+      // Ambiguous instruction: nothing was generated, ask which edit was meant
+      if (data.needsClarification) {
+        setModifyPrompt(instruction);
+        setClarification(data.clarification);
+        setRefinementPreview(null);
+        return;
+      }
+
+      setSuccess(['history', 'lock'].includes(data.editType) ? `✅ ${data.message}`
+        : data.recomposited === false ? '⚠️ Design refined, but the area outside the edit could not be restored - undo if anything else changed'
+        : data.drift?.overChanged ? '⚠️ Design refined, but the edit changed more of the design than expected - undo if it went too far'
+        : data.drift?.retry?.used ? '✅ Design refined (retried as a localized edit to keep the rest unchanged)'
+        : '✅ Design refined successfully!');
       setTimeout(() => setSuccess(null), 3000);
+      if (data.locks) {
+        setLockRefreshToken(token => token + 1);
+      }
+
+      // Lock-only instructions leave the image as it is
+      if (data.editType === 'lock') {
+        setModifyPrompt('');
+        setRefinementPreview(null);
+        return;
+      }
       
       // Update global state with refined image
-      setRefinedImage(data.refinedImageUrl);
-      setLastRefinementPrompt(modifyPrompt);
+      setRefinedImage(data.refinedImageUrl, data.designId);
+      setLastRefinementPrompt(instruction);
       
-      // Clear the input field
+      // Clear the input field and the painted mask, which belonged to the previous image
       setModifyPrompt('');
+      setRefinementPreview(null);
+      setUserMask(null);
+      setMaskMode(false);
       
       // Update localStorage for AR try-on page
       localStorage.setItem('selectedDesign', data.refinedImageUrl);
       localStorage.setItem('tshirtColor', tshirtColor);
       
     } catch (err: any) {
+      if (handleCancelled(err, 'Refinement')) return;
       console.error('Refinement error:', err);
       setGenerationProgress('');
       setError(err.message || "Failed to refine design - please try again");
     } finally {
+      setActiveRequest(null);
       setRefining(false);
     }
   };
 
 
 
+  // Remove an object from the object list; erased on the server without regenerating
+  const handleErase = async (name: string) => {
+    if (!designId) return;
+
+    setRefining(true);
+    setError(null);
+    setSuccess(null);
+    setGenerationProgress('Starting erase...');
+    const signal = startCancellableRequest();
+    try {
+      const data = await runJob('/erase', { designId, object: name }, setGenerationProgress, { signal });
+      setGenerationProgress('');
+      setSuccess(`${data.recomposited === false ? '⚠️' : '✅'} ${data.message}`);
+      setTimeout(() => setSuccess(null), 3000);
+
+      setRefinedImage(data.refinedImageUrl, data.designId);
+      setLastRefinementPrompt(`remove the ${name}`);
+      setRefinementPreview(null);
+      localStorage.setItem('selectedDesign', data.refinedImageUrl);
+    } catch (err: unknown) {
+      if (handleCancelled(err, 'Erase')) return;
+      setGenerationProgress('');
+      setError(err instanceof Error ? err.message : 'Failed to erase object');
+    } finally {
+      setActiveRequest(null);
+      setRefining(false);
+    }
+  };
+
+  // Undo/redo covers image versions and placement changes. Image steps are restored on the
+  // server so the next refinement continues from the restored version and its background.
+  const handleHistoryStep = async (direction: 'undo' | 'redo') => {
+    const stack = direction === 'undo' ? undoStack : redoStack;
+    const edit = stack[stack.length - 1];
+    if (!edit) return;
+
+    if (edit.kind === 'alignment' || !edit.designId) {
+      stepDesignEdit(direction);
+      return;
+    }
+
+    setRefining(true);
+    setError(null);
+    try {
+      const data = await revertDesign(edit.designId);
+      stepDesignEdit(direction, { url: data.imageUrl, designId: data.designId });
+      setRefinementPreview(null);
+      setClarification(null);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : `Failed to ${direction}`);
+    } finally {
+      setRefining(false);
+    }
+  };
+
   // Canvas-based snapshot generation for accurate cart previews
   const generateCanvasSnapshot = async (side: 'front' | 'back'): Promise<string | null> => {
     const design = side === 'front' ? frontDesign : backDesign;
@@ -421,6 +533,26 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
     });
   };
 
+  // Dry run: show the planned edit before spending a generation on it
+  const handlePreview = async () => {
+    if (!modifyPrompt.trim() || !currentImage) return;
+
+    setIsPreviewing(true);
+    setError(null);
+    try {
+      setRefinementPreview(await previewRefinement({
+        instruction: modifyPrompt,
+        designId,
+        imageUrl: currentImage,
+        mask: maskMode ? userMask : null
+      }));
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Failed to preview refinement');
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
   const handleAddToCart = async () => {
     if (!frontDesign.currentImage && !backDesign.currentImage) {
       setError("Please generate at least one design (front or back)");
@@ -439,12 +571,14 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
         id: Date.now().toString(),
         frontDesign: {
           imageUrl: frontDesign.currentImage,
+          designId: frontDesign.designId,
           design: frontDesign.lastPrompt || 'No front design',
           alignment: frontAlignment,
           snapshotUrl: frontSnapshot || undefined // Canvas-generated accurate preview
         },
         backDesign: {
           imageUrl: backDesign.currentImage,
+          designId: backDesign.designId,
           design: backDesign.lastPrompt || 'No back design',
           alignment: backAlignment,
           snapshotUrl: backSnapshot || undefined // Canvas-generated accurate preview
@@ -473,10 +607,12 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
         body: JSON.stringify({
           frontDesign: {
             imageUrl: frontDesign.currentImage,
+            designId: frontDesign.designId,
             design: frontDesign.lastPrompt || 'No front design'
           },
           backDesign: {
             imageUrl: backDesign.currentImage,
+            designId: backDesign.designId,
             design: backDesign.lastPrompt || 'No back design'
           },
           tshirtColor
@@ -536,6 +672,18 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
           >
             <Plus className="w-3 h-3 text-purple-600 group-hover:text-purple-800" />
           </button>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            step={5}
+            value={sketchGuidance}
+            onChange={(e) => setSketchGuidance(Number(e.target.value))}
+            disabled={isProcessingUpload || isGenerating || isRefining}
+            className="w-16 accent-purple-600"
+            title={`How closely the design follows the sketch lines (${sketchGuidance}%)`}
+            aria-label="Sketch guidance strength"
+          />
         </div>
         
         {/* Inline Processing Status */}
@@ -585,6 +733,26 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
         </div>
       )}
 
+      {/* Edge map the last sketch generation followed */}
+      {sketchEdgeMap && (
+        <div className="flex items-center justify-center p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <div className="flex items-center space-x-3">
+            <img
+              src={sketchEdgeMap}
+              alt="Sketch lines used as the guide"
+              className="w-12 h-12 object-contain bg-black rounded border border-gray-300"
+            />
+            <span className="text-sm text-gray-600">Sketch lines used as the guide</span>
+            <button
+              onClick={() => setSketchEdgeMap(null)}
+              className="text-xs text-gray-500 hover:text-gray-700 underline"
+            >
+              Hide
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Primary Prompt with inline button */}
       <div className="flex space-x-3">
         <input
@@ -595,8 +763,25 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
           className="flex-1 px-4 py-2.5 text-sm bg-white border border-gray-200 rounded-lg focus:outline-none focus:border-gray-300 transition-colors"
           disabled={isGenerating || isRefining}
         />
+        <select
+          value={candidateCount}
+          onChange={(e) => setCandidateCount(Number(e.target.value))}
+          disabled={isGenerating || isRefining || vectorMode}
+          className="px-2 py-2.5 text-sm text-gray-700 bg-white border border-gray-200 rounded-lg focus:outline-none disabled:text-gray-400"
+          title="Number of candidates to generate"
+        >
+          {[1, 2, 3, 4].map(count => <option key={count} value={count}>×{count}</option>)}
+        </select>
+        <button
+          onClick={() => handleGenerate(true)}
+          disabled={isGenerating || isRefining || vectorMode || lastSeed === null || (!prompt.trim() && !lastPrompt)}
+          className="px-3 py-2.5 text-sm text-blue-700 bg-white border border-blue-300 rounded-lg hover:bg-blue-50 disabled:text-gray-400 disabled:border-gray-200 disabled:cursor-not-allowed transition-colors"
+          title={lastSeed !== null ? `Regenerate with the same seed (${lastSeed})` : 'Regenerate with the same seed'}
+        >
+          <Repeat className="w-4 h-4" />
+        </button>
         <button 
-          onClick={handleGenerate}
+          onClick={() => handleGenerate()}
           disabled={isGenerating || isRefining || !prompt.trim()}
           className={`px-6 py-2.5 text-sm font-medium text-white border rounded-lg hover:opacity-90 disabled:bg-gray-400 disabled:border-gray-400 disabled:cursor-not-allowed transition-colors ${vectorMode ? 'bg-purple-600 border-purple-600' : 'bg-blue-600 border-blue-600'}`}
         >
@@ -609,6 +794,23 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
         </button>
       </div>
 
+      {candidates.length > 1 && (
+        <CandidateStrip
+          label="Candidates - the others stay available as alternates"
+          candidates={candidates}
+          selectedDesignId={designId}
+          onPick={(candidate) => {
+            setGeneratedImage(candidate.imageUrl, candidate.designId);
+            setLastSeed(candidate.seed);
+            localStorage.setItem('selectedDesign', candidate.imageUrl);
+          }}
+          onDismiss={() => setCandidates([])}
+          disabled={isGenerating || isRefining}
+        />
+      )}
+
+      <BrandPalette prompt={prompt} />
+
       {/* Progress and Status Messages */}
       {(isGenerating || isRefining) && generationProgress && (
         <div className="text-xs text-blue-600 text-center bg-blue-50 p-3 rounded-lg border border-blue-200">
@@ -619,6 +821,16 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
           <div className="mt-1 text-gray-500">
             🎨 This may take 30-60 seconds
           </div>
+          {activeRequest && (
+            <button
+              onClick={handleCancel}
+              disabled={activeRequest.signal.aborted}
+              className="mt-2 inline-flex items-center px-3 py-1 text-xs font-medium text-red-600 bg-white border border-red-200 rounded hover:bg-red-50 disabled:text-gray-400 disabled:border-gray-200 disabled:cursor-not-allowed"
+            >
+              <X className="w-3 h-3 mr-1" />
+              Cancel
+            </button>
+          )}
         </div>
       )}
 
@@ -632,14 +844,56 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
       <div className="flex space-x-3">
         <input
           value={modifyPrompt}
-          onChange={(e) => setModifyPrompt(e.target.value)}
+          onChange={(e) => {
+            setModifyPrompt(e.target.value);
+            setRefinementPreview(null);
+            setClarification(null);
+          }}
           onKeyDown={(e) => e.key === 'Enter' && handleModify()}
           placeholder="Modify design..."
           className="flex-1 px-4 py-2.5 text-sm bg-white border border-gray-200 rounded-lg focus:outline-none focus:border-gray-300 transition-colors"
           disabled={isGenerating || isRefining || !currentImage || !canRefine}
         />
+        <button
+          onClick={() => handleHistoryStep('undo')}
+          disabled={isGenerating || isRefining || undoStack.length === 0}
+          className="px-3 py-2.5 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:text-gray-400 disabled:border-gray-200 disabled:cursor-not-allowed transition-colors"
+          title="Undo the last image or placement change"
+        >
+          <Undo2 className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => handleHistoryStep('redo')}
+          disabled={isGenerating || isRefining || redoStack.length === 0}
+          className="px-3 py-2.5 text-sm text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:text-gray-400 disabled:border-gray-200 disabled:cursor-not-allowed transition-colors"
+          title="Redo"
+        >
+          <Redo2 className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => {
+            setMaskMode(mode => !mode);
+            setUserMask(null);
+            setRefinementPreview(null);
+          }}
+          disabled={isGenerating || isRefining || !currentImage || !canRefine}
+          className={`px-3 py-2.5 text-sm border rounded-lg disabled:text-gray-400 disabled:border-gray-200 disabled:cursor-not-allowed transition-colors ${
+            maskMode ? 'text-white bg-purple-600 border-purple-600 hover:bg-purple-700' : 'text-purple-700 bg-white border-purple-300 hover:bg-purple-50'
+          }`}
+          title="Paint the area to edit"
+        >
+          <Brush className="w-4 h-4" />
+        </button>
+        <button
+          onClick={handlePreview}
+          disabled={isGenerating || isRefining || isPreviewing || !modifyPrompt.trim() || !currentImage || !canRefine}
+          className="px-3 py-2.5 text-sm text-purple-700 bg-white border border-purple-300 rounded-lg hover:bg-purple-50 disabled:text-gray-400 disabled:border-gray-200 disabled:cursor-not-allowed transition-colors"
+          title="Preview the planned edit without generating"
+        >
+          {isPreviewing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />}
+        </button>
         <button 
-          onClick={handleModify}
+          onClick={() => handleModify()}
           disabled={isGenerating || isRefining || !modifyPrompt.trim() || !currentImage || !canRefine}
           className="px-6 py-2.5 text-sm font-medium text-white bg-purple-600 border border-purple-600 rounded-lg hover:bg-purple-700 disabled:bg-gray-400 disabled:border-gray-400 disabled:cursor-not-allowed transition-colors"
         >
@@ -652,6 +906,36 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
         </button>
       </div>
 
+      {maskMode && currentImage && (
+        <MaskEditor
+          key={currentImage}
+          imageUrl={currentImage}
+          onChange={(mask) => {
+            setUserMask(mask);
+            setRefinementPreview(null);
+          }}
+          disabled={isGenerating || isRefining}
+        />
+      )}
+
+      {refinementPreview && (
+        <RefinementPreviewPanel
+          preview={refinementPreview}
+          onApply={() => handleModify()}
+          onDismiss={() => setRefinementPreview(null)}
+          disabled={isGenerating || isRefining}
+        />
+      )}
+
+      {clarification && (
+        <ClarificationPrompt
+          clarification={clarification}
+          onSelect={handleModify}
+          onDismiss={() => setClarification(null)}
+          disabled={isGenerating || isRefining}
+        />
+      )}
+
       {error && (
         <div className="text-xs text-red-600 text-center bg-red-50 p-3 rounded-lg border border-red-200">
           <div className="font-medium">❌ Error</div>
@@ -665,6 +949,22 @@ const ControlPanel: React.FC<ControlPanelProps> = ({
         </div>
       )}
 
+      {/* "More like this": close variants of the current design */}
+      <DesignVariants />
+
+      {/* Version history with before/after compare */}
+      <DesignHistory />
+
+      {/* Objects in the design: click-to-select, per-object edits and locks */}
+      <ObjectList
+        refreshToken={lockRefreshToken}
+        onRefine={(instruction) => handleModify(instruction, true)}
+        onErase={handleErase}
+      />
+
+      {/* Form editor for the FIBO structured prompt, with version diffs */}
+      <StructuredPromptEditor />
+
       {/* Color Selection */}
       <div className="flex items-center justify-center space-x-8">
         <ColorWheel 
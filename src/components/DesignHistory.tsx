@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from 'react';
+import { GitBranch, History, Loader2, RotateCcw } from 'lucide-react';
+import { useAppContext, useDesignState, DesignHistoryEntry } from '../store/AppContext';
+import { branchDesign, fetchDesignVersions, revertDesign, DesignVersion } from '../lib/api';
+
+// Readable label for a version in the timeline
+const getVersionLabel = (version: DesignVersion) => {
+  if (version.instruction) return version.instruction;
+  if (version.historyCommand) return version.historyCommand === 'redo' ? 'Redo' : 'Undo';
+  if (version.source === 'revert') return 'Reverted';
+  if (version.source === 'candidate') return `Candidate ${(version.candidateIndex ?? 0) + 1}`;
+  if (version.source === 'branch') return version.branchName ? `Branch: ${version.branchName}` : 'New branch';
+  return version.prompt || (version.source === 'upload' ? 'Uploaded design' : 'Original design');
+};
+
+// Depth-first walk so each branch stays together; later siblings start a deeper branch
+const flattenVersions = (version: DesignVersion, depth = 0, entries: DesignHistoryEntry[] = []) => {
+  entries.push({
+    designId: version.designId,
+    parentDesignId: version.parentDesignId,
+    imageUrl: version.imageUrl || '',
+    thumbnailUrl: version.thumbnailUrl || version.imageUrl || '',
+    label: getVersionLabel(version),
+    source: version.source,
+    depth,
+    createdAt: version.createdAt,
+  });
+  version.children.forEach((child, index) => flattenVersions(child, index === 0 ? depth : depth + 1, entries));
+  return entries;
+};
+
+const DesignHistory: React.FC = () => {
+  const { state, dispatch } = useAppContext();
+  const {
+    designId,
+    currentImage,
+    history,
+    isGenerating,
+    isRefining,
+    setRefinedImage,
+    setError,
+    setSuccess,
+  } = useDesignState();
+  const currentSide = state.currentSide;
+
+  const [compareId, setCompareId] = useState<string | null>(null);
+  const [comparePosition, setComparePosition] = useState(50);
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  // Reload the lineage whenever the side's current design changes
+  useEffect(() => {
+    if (!designId) {
+      dispatch({ type: 'SET_DESIGN_HISTORY', payload: { side: currentSide, history: [] } });
+      return;
+    }
+
+    let cancelled = false;
+    fetchDesignVersions(designId)
+      .then(versions => {
+        if (!cancelled) {
+          dispatch({ type: 'SET_DESIGN_HISTORY', payload: { side: currentSide, history: flattenVersions(versions.tree) } });
+        }
+      })
+      .catch(err => console.warn('Could not load design history:', err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [designId, currentSide, dispatch]);
+
+  // Compare against the chosen version, or the current design's parent by default
+  const currentEntry = history.find(entry => entry.designId === designId);
+  const compareEntry = history.find(entry => entry.designId === (compareId || currentEntry?.parentDesignId));
+
+  useEffect(() => {
+    setCompareId(null);
+    setComparePosition(50);
+  }, [designId]);
+
+  if (history.length < 2) {
+    return null;
+  }
+
+  const handleVersionAction = async (action: 'revert' | 'branch') => {
+    if (!compareEntry) return;
+
+    setIsUpdating(true);
+    setError(null);
+    try {
+      const data = action === 'revert'
+        ? await revertDesign(compareEntry.designId)
+        : await branchDesign(compareEntry.designId);
+
+      setRefinedImage(data.imageUrl, data.designId);
+      setSuccess(action === 'revert' ? '✅ Reverted to earlier version' : '✅ Branch created - refinements now continue from it');
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : `Failed to ${action} design`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const isBusy = isUpdating || isGenerating || isRefining;
+
+  return (
+    <div className="space-y-3 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between">
+        <span className="flex items-center text-sm font-medium text-gray-700">
+          <History className="w-4 h-4 mr-2" />
+          Version history
+        </span>
+        <span className="text-xs text-gray-500">{history.length} versions</span>
+      </div>
+
+      {/* Timeline */}
+      <div className="flex space-x-2 overflow-x-auto pb-1">
+        {history.map(entry => {
+          const isCurrent = entry.designId === designId;
+          const isCompared = entry.designId === compareEntry?.designId;
+          return (
+            <button
+              key={entry.designId}
+              onClick={() => setCompareId(isCurrent ? null : entry.designId)}
+              disabled={isBusy}
+              title={entry.label}
+              className={`relative flex-shrink-0 w-14 h-14 rounded border bg-white overflow-hidden transition-colors disabled:cursor-not-allowed ${
+                isCurrent ? 'border-purple-600 ring-2 ring-purple-200' : isCompared ? 'border-blue-500' : 'border-gray-200 hover:border-gray-400'
+              }`}
+              style={{ marginTop: `${entry.depth * 6}px` }}
+            >
+              <img src={entry.thumbnailUrl} alt={entry.label} className="w-full h-full object-contain" />
+              {entry.source === 'branch' && (
+                <GitBranch className="absolute top-0.5 right-0.5 w-3 h-3 text-purple-600" />
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Before/after compare */}
+      {compareEntry && currentImage && (
+        <div className="space-y-2">
+          <div className="relative w-full aspect-square max-h-64 mx-auto bg-white rounded border border-gray-200 overflow-hidden">
+            <img src={currentImage} alt="Current version" className="absolute inset-0 w-full h-full object-contain" />
+            <img
+              src={compareEntry.imageUrl}
+              alt="Earlier version"
+              className="absolute inset-0 w-full h-full object-contain bg-white"
+              style={{ clipPath: `inset(0 ${100 - comparePosition}% 0 0)` }}
+            />
+            <div className="absolute inset-y-0 w-px bg-purple-600" style={{ left: `${comparePosition}%` }} />
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={comparePosition}
+            onChange={(e) => setComparePosition(Number(e.target.value))}
+            className="w-full accent-purple-600"
+            aria-label="Compare earlier and current version"
+          />
+          <div className="flex justify-between text-xs text-gray-500">
+            <span className="truncate max-w-[45%]" title={compareEntry.label}>Before: {compareEntry.label}</span>
+            <span className="truncate max-w-[45%]" title={currentEntry?.label}>After: {currentEntry?.label || 'Current'}</span>
+          </div>
+
+          <div className="flex space-x-2">
+            <button
+              onClick={() => handleVersionAction('revert')}
+              disabled={isBusy}
+              className="flex-1 flex items-center justify-center px-3 py-2 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {isUpdating ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <RotateCcw className="w-3 h-3 mr-1" />}
+              Revert to this
+            </button>
+            <button
+              onClick={() => handleVersionAction('branch')}
+              disabled={isBusy}
+              className="flex-1 flex items-center justify-center px-3 py-2 text-xs font-medium text-purple-700 bg-white border border-purple-300 rounded-lg hover:bg-purple-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <GitBranch className="w-3 h-3 mr-1" />
+              Branch from this
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DesignHistory;
@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import { Dices, Loader2, Square } from 'lucide-react';
+import CandidateStrip, { DesignCandidate } from './CandidateStrip';
+import { useDesignState } from '../store/AppContext';
+import { BatchItem, cancelJob, runJob } from '../lib/api';
+
+const VARIANT_COUNT = 4;
+
+// "More like this": close variants of the current design, shown as candidates to pick from
+const DesignVariants: React.FC = () => {
+  const {
+    designId,
+    isGenerating,
+    isRefining,
+    setGenerating,
+    setGeneratedImage,
+    setError,
+    setSuccess,
+    setGenerationProgress,
+  } = useDesignState();
+  const [strength, setStrength] = useState(30);
+  const [variants, setVariants] = useState<DesignCandidate[]>([]);
+  const [sourceDesignId, setSourceDesignId] = useState<string | null>(null);
+  const [jobId, setJobId] = useState<string | null>(null);
+
+  // Candidates belong to the design they were made from
+  useEffect(() => {
+    if (designId !== sourceDesignId && !variants.some(variant => variant.designId === designId)) {
+      setVariants([]);
+    }
+  }, [designId, sourceDesignId, variants]);
+
+  if (!designId) {
+    return null;
+  }
+
+  // Variants show up as they finish rather than all at once
+  const showFinishedVariants = (items: BatchItem[]) => {
+    setVariants(items
+      .filter(item => item.status === 'ok')
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.result as DesignCandidate));
+  };
+
+  const handleMoreLikeThis = async () => {
+    setGenerating(true);
+    setError(null);
+    setSuccess(null);
+    setVariants([]);
+    setSourceDesignId(designId);
+    setGenerationProgress('Starting variants...');
+    try {
+      const data = await runJob('/generate-variations', {
+        designId,
+        num_results: VARIANT_COUNT,
+        variationStrength: strength / 100
+      }, setGenerationProgress, { onStart: setJobId, onItems: showFinishedVariants });
+      setGenerationProgress('');
+      setVariants(data.variations);
+      if (data.summary?.failed || data.summary?.cancelled) {
+        setSuccess(data.message);
+      }
+    } catch (err: unknown) {
+      setGenerationProgress('');
+      setError(err instanceof Error ? err.message : 'Failed to generate variants');
+    } finally {
+      setJobId(null);
+      setGenerating(false);
+    }
+  };
+
+  const handleStop = async () => {
+    if (!jobId) return;
+    try {
+      await cancelJob(jobId);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Failed to stop variants');
+    }
+  };
+
+  const handlePick = (variant: DesignCandidate) => {
+    setGeneratedImage(variant.imageUrl, variant.designId);
+    localStorage.setItem('selectedDesign', variant.imageUrl);
+  };
+
+  const isBusy = isGenerating || isRefining;
+
+  return (
+    <div className="space-y-2 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex items-center space-x-3">
+        <button
+          onClick={handleMoreLikeThis}
+          disabled={isBusy}
+          className="flex items-center px-3 py-1.5 text-xs font-medium text-purple-700 bg-white border border-purple-300 rounded hover:bg-purple-50 disabled:text-gray-400 disabled:border-gray-200 disabled:cursor-not-allowed"
+        >
+          {isGenerating ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <Dices className="w-3 h-3 mr-1" />}
+          More like this
+        </button>
+        {jobId && (
+          <button
+            onClick={handleStop}
+            className="flex items-center px-2 py-1.5 text-xs font-medium text-gray-600 bg-white border border-gray-300 rounded hover:bg-gray-100"
+            title="Stop after the variants already in progress"
+          >
+            <Square className="w-3 h-3 mr-1" />
+            Stop
+          </button>
+        )}
+        <label className="flex flex-1 items-center space-x-2 text-xs text-gray-500">
+          <span>Close</span>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            step={5}
+            value={strength}
+            onChange={(e) => setStrength(Number(e.target.value))}
+            disabled={isBusy}
+            className="flex-1 accent-purple-600"
+            aria-label="Variation strength"
+          />
+          <span>Loose</span>
+        </label>
+      </div>
+
+      {variants.length > 0 && (
+        <CandidateStrip
+          label="Pick a variant"
+          candidates={variants}
+          selectedDesignId={designId}
+          onPick={handlePick}
+          onDismiss={() => setVariants([])}
+          disabled={isBusy}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DesignVariants;
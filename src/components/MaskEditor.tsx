@@ -0,0 +1,187 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Brush, Eraser, Lasso, Trash2 } from 'lucide-react';
+
+interface MaskEditorProps {
+  imageUrl: string;
+  // White-on-transparent PNG data URL of the painted area, or null when nothing is painted
+  onChange: (mask: string | null) => void;
+  disabled?: boolean;
+}
+
+type Tool = 'brush' | 'lasso' | 'eraser';
+
+const TOOLS: { tool: Tool; label: string; Icon: typeof Brush }[] = [
+  { tool: 'brush', label: 'Brush', Icon: Brush },
+  { tool: 'lasso', label: 'Lasso', Icon: Lasso },
+  { tool: 'eraser', label: 'Eraser', Icon: Eraser },
+];
+
+const STROKE_COLOR = '#9333ea';
+
+const MaskEditor: React.FC<MaskEditorProps> = ({ imageUrl, onChange, disabled }) => {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const lassoPoints = useRef<{ x: number; y: number }[]>([]);
+  const lastPoint = useRef<{ x: number; y: number } | null>(null);
+  const [size, setSize] = useState<{ width: number; height: number } | null>(null);
+  const [tool, setTool] = useState<Tool>('brush');
+  const [brushSize, setBrushSize] = useState(4);
+
+  // The canvas matches the design's natural size so the mask lines up pixel for pixel
+  useEffect(() => {
+    setSize(null);
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => setSize({ width: image.naturalWidth, height: image.naturalHeight });
+    image.src = imageUrl;
+  }, [imageUrl]);
+
+  const toCanvasPoint = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * canvas.width,
+      y: ((event.clientY - rect.top) / rect.height) * canvas.height,
+    };
+  };
+
+  // Brush size is a percentage of the image width so it feels the same at any resolution
+  const lineWidth = () => ((canvasRef.current?.width || 0) * brushSize) / 100;
+
+  const drawSegment = (from: { x: number; y: number }, to: { x: number; y: number }, width: number) => {
+    const ctx = canvasRef.current?.getContext('2d');
+    if (!ctx) return;
+    ctx.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : 'source-over';
+    ctx.strokeStyle = STROKE_COLOR;
+    ctx.lineWidth = width;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  };
+
+  // Export the painted area as white on transparent (the backend treats transparent as unselected)
+  const emitMask = () => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const pixels = canvas.getContext('2d')?.getImageData(0, 0, canvas.width, canvas.height).data;
+    const hasPaint = !!pixels && pixels.some((value, index) => index % 4 === 3 && value > 0);
+    if (!hasPaint) {
+      onChange(null);
+      return;
+    }
+
+    const output = document.createElement('canvas');
+    output.width = canvas.width;
+    output.height = canvas.height;
+    const ctx = output.getContext('2d');
+    if (!ctx) return;
+    ctx.drawImage(canvas, 0, 0);
+    ctx.globalCompositeOperation = 'source-in';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, output.width, output.height);
+    onChange(output.toDataURL('image/png'));
+  };
+
+  const handlePointerDown = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    if (disabled) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = toCanvasPoint(event);
+    lastPoint.current = point;
+    lassoPoints.current = [point];
+    if (tool !== 'lasso') {
+      drawSegment(point, point, lineWidth());
+    }
+  };
+
+  const handlePointerMove = (event: React.PointerEvent<HTMLCanvasElement>) => {
+    if (!lastPoint.current) return;
+    const point = toCanvasPoint(event);
+    // The lasso shows a thin outline while drawing and is filled on release
+    drawSegment(lastPoint.current, point, tool === 'lasso' ? Math.max(1, lineWidth() / 8) : lineWidth());
+    lastPoint.current = point;
+    if (tool === 'lasso') {
+      lassoPoints.current.push(point);
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!lastPoint.current) return;
+    lastPoint.current = null;
+
+    const ctx = canvasRef.current?.getContext('2d');
+    const points = lassoPoints.current;
+    if (tool === 'lasso' && ctx && points.length > 2) {
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.fillStyle = STROKE_COLOR;
+      ctx.beginPath();
+      ctx.moveTo(points[0].x, points[0].y);
+      points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+      ctx.closePath();
+      ctx.fill();
+    }
+    lassoPoints.current = [];
+    emitMask();
+  };
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    canvas?.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+    onChange(null);
+  };
+
+  return (
+    <div className="space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-1">
+          {TOOLS.map(({ tool: option, label, Icon }) => (
+            <button
+              key={option}
+              onClick={() => setTool(option)}
+              title={label}
+              className={`p-1.5 rounded border transition-colors ${
+                tool === option ? 'text-purple-700 bg-purple-50 border-purple-300' : 'text-gray-600 bg-white border-gray-300 hover:bg-gray-100'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+            </button>
+          ))}
+        </div>
+        <input
+          type="range"
+          min={1}
+          max={15}
+          value={brushSize}
+          onChange={(e) => setBrushSize(Number(e.target.value))}
+          className="w-24 accent-purple-600"
+          aria-label="Brush size"
+        />
+        <button onClick={handleClear} title="Clear mask" className="p-1.5 text-gray-600 bg-white border border-gray-300 rounded hover:bg-gray-100">
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {size && (
+        <div className="relative mx-auto max-h-72 bg-white rounded border border-gray-200 overflow-hidden" style={{ aspectRatio: `${size.width} / ${size.height}` }}>
+          <img src={imageUrl} alt="Design to edit" className="absolute inset-0 w-full h-full" />
+          <canvas
+            ref={canvasRef}
+            width={size.width}
+            height={size.height}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            className={`absolute inset-0 w-full h-full opacity-50 touch-none ${disabled ? 'cursor-not-allowed' : 'cursor-crosshair'}`}
+          />
+        </div>
+      )}
+
+      <div className="text-xs text-gray-500">Paint or outline the part to change, then describe the edit ("make this part red").</div>
+    </div>
+  );
+};
+
+export default MaskEditor;
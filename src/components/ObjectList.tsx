@@ -0,0 +1,253 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Eraser, Loader2, Lock, MousePointerClick, Palette, Replace, Shapes, Unlock } from 'lucide-react';
+import { useDesignState } from '../store/AppContext';
+import { fetchDesignLocks, isAbortError, selectDesignObject, updateDesignLocks, DesignLocks, ObjectSelection } from '../lib/api';
+
+interface ObjectListProps {
+  // Bumped when a refine instruction changed the locks ("keep the skull unchanged")
+  refreshToken?: number;
+  // Run a refinement aimed at one object ("make the skull red")
+  onRefine: (instruction: string) => void;
+  // Erase an object without regenerating the design
+  onErase: (name: string) => void;
+}
+
+type TextAction = 'recolor' | 'replace';
+
+const ObjectList: React.FC<ObjectListProps> = ({ refreshToken = 0, onRefine, onErase }) => {
+  const { designId, currentImage, isGenerating, isRefining, setError } = useDesignState();
+  const [locks, setLocks] = useState<DesignLocks | null>(null);
+  const [updating, setUpdating] = useState<string | null>(null);
+  const [selected, setSelected] = useState<string | null>(null);
+  const [selectMode, setSelectMode] = useState(false);
+  const [selection, setSelection] = useState<ObjectSelection | null>(null);
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [textAction, setTextAction] = useState<TextAction | null>(null);
+  const [actionValue, setActionValue] = useState('');
+  const selectRequest = useRef<AbortController | null>(null);
+
+  // A pending click-to-select is for the design it was made on
+  const cancelSelection = () => {
+    selectRequest.current?.abort();
+    selectRequest.current = null;
+  };
+
+  // Objects and locks belong to the design, so reload whenever the side's design changes
+  useEffect(() => {
+    cancelSelection();
+    setSelected(null);
+    setSelection(null);
+    setTextAction(null);
+    if (!designId) {
+      setLocks(null);
+      return;
+    }
+
+    let cancelled = false;
+    fetchDesignLocks(designId)
+      .then(data => {
+        if (!cancelled) setLocks(data);
+      })
+      .catch(err => console.warn('Could not load design objects:', err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [designId, refreshToken]);
+
+  useEffect(() => cancelSelection, []);
+
+  if (!designId || !locks || locks.elements.length === 0) {
+    return null;
+  }
+
+  const handleToggleLock = async (name: string, locked: boolean) => {
+    setUpdating(name);
+    setError(null);
+    try {
+      setLocks(await updateDesignLocks(designId, locked ? { unlock: [name] } : { lock: [name] }));
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Failed to update locks');
+    } finally {
+      setUpdating(null);
+    }
+  };
+
+  // Click-to-select: the backend segments the object under the cursor
+  const handleImageClick = async (event: React.MouseEvent<HTMLImageElement>) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const point = {
+      x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height)),
+    };
+
+    const controller = new AbortController();
+    selectRequest.current = controller;
+    setIsSelecting(true);
+    setError(null);
+    try {
+      const data = await selectDesignObject(designId, point, { signal: controller.signal });
+      setSelection(data);
+      setSelected(data.object.name);
+      setTextAction(null);
+    } catch (err: unknown) {
+      if (isAbortError(err)) return;
+      setError(err instanceof Error ? err.message : 'Failed to select object');
+    } finally {
+      if (selectRequest.current === controller) selectRequest.current = null;
+      setIsSelecting(false);
+    }
+  };
+
+  const handleSelect = (name: string) => {
+    setSelected(current => (current === name ? null : name));
+    setSelection(current => (current?.object.name === name ? current : null));
+    setTextAction(null);
+  };
+
+  const handleTextAction = (name: string) => {
+    const value = actionValue.trim();
+    if (!value) return;
+    onRefine(textAction === 'recolor' ? `make the ${name} ${value}` : `replace the ${name} with ${value}`);
+    setTextAction(null);
+    setActionValue('');
+  };
+
+  const isBusy = updating !== null || isSelecting || isGenerating || isRefining;
+  const selectedElement = locks.elements.find(element => element.name === selected) || null;
+  const box = selection?.object.name === selected ? selection.box : null;
+
+  return (
+    <div className="space-y-2 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between">
+        <span className="flex items-center text-sm font-medium text-gray-700">
+          <Shapes className="w-4 h-4 mr-2" />
+          Objects
+        </span>
+        <button
+          onClick={() => {
+            if (selectMode) cancelSelection();
+            setSelectMode(!selectMode);
+          }}
+          disabled={!currentImage}
+          title="Click the design to select an object"
+          className={`flex items-center px-2 py-1 text-xs rounded border transition-colors disabled:opacity-50 ${
+            selectMode ? 'text-white bg-purple-600 border-purple-600' : 'text-purple-700 bg-white border-purple-300 hover:bg-purple-50'
+          }`}
+        >
+          {isSelecting ? <Loader2 className="w-3 h-3 mr-1 animate-spin" /> : <MousePointerClick className="w-3 h-3 mr-1" />}
+          Select
+        </button>
+      </div>
+
+      {selectMode && currentImage && (
+        <div className="relative w-fit mx-auto">
+          <img
+            src={currentImage}
+            alt="Click an object to select it"
+            onClick={isBusy ? undefined : handleImageClick}
+            className={`block max-h-56 bg-white rounded border border-gray-200 ${isBusy ? 'cursor-wait' : 'cursor-crosshair'}`}
+          />
+          {box && (
+            <div
+              className="absolute border-2 border-purple-500 rounded pointer-events-none"
+              style={{ left: `${box.x * 100}%`, top: `${box.y * 100}%`, width: `${box.width * 100}%`, height: `${box.height * 100}%` }}
+            />
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {locks.elements.map(element => (
+          <button
+            key={element.name}
+            onClick={() => handleSelect(element.name)}
+            title={element.description}
+            className={`flex items-center px-2.5 py-1 text-xs rounded-full border transition-colors ${
+              element.name === selected
+                ? 'text-white bg-purple-600 border-purple-600'
+                : element.locked
+                  ? 'text-purple-700 bg-purple-50 border-purple-300 hover:bg-purple-100'
+                  : 'text-gray-600 bg-white border-gray-300 hover:bg-gray-100'
+            }`}
+          >
+            {element.locked && <Lock className="w-3 h-3 mr-1" />}
+            {element.name}
+          </button>
+        ))}
+      </div>
+
+      {selectedElement && (
+        <div className="space-y-2">
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setTextAction(textAction === 'recolor' ? null : 'recolor')}
+              disabled={isBusy || selectedElement.locked}
+              className="flex items-center px-2 py-1 text-xs text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Palette className="w-3 h-3 mr-1" />
+              Recolor
+            </button>
+            <button
+              onClick={() => setTextAction(textAction === 'replace' ? null : 'replace')}
+              disabled={isBusy || selectedElement.locked}
+              className="flex items-center px-2 py-1 text-xs text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Replace className="w-3 h-3 mr-1" />
+              Replace
+            </button>
+            <button
+              onClick={() => onErase(selectedElement.name)}
+              disabled={isBusy || selectedElement.locked}
+              className="flex items-center px-2 py-1 text-xs text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Eraser className="w-3 h-3 mr-1" />
+              Remove
+            </button>
+            <button
+              onClick={() => handleToggleLock(selectedElement.name, selectedElement.locked)}
+              disabled={isBusy}
+              className="flex items-center px-2 py-1 text-xs text-purple-700 bg-white border border-purple-300 rounded hover:bg-purple-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {updating === selectedElement.name ? (
+                <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+              ) : selectedElement.locked ? (
+                <Unlock className="w-3 h-3 mr-1" />
+              ) : (
+                <Lock className="w-3 h-3 mr-1" />
+              )}
+              {selectedElement.locked ? 'Unlock' : 'Lock'}
+            </button>
+          </div>
+
+          {textAction && (
+            <div className="flex space-x-2">
+              <input
+                value={actionValue}
+                onChange={(e) => setActionValue(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleTextAction(selectedElement.name)}
+                placeholder={textAction === 'recolor' ? 'New color, e.g. bright red' : `Replace the ${selectedElement.name} with...`}
+                className="flex-1 px-3 py-1.5 text-xs bg-white border border-gray-200 rounded focus:outline-none focus:border-gray-300"
+                disabled={isBusy}
+                autoFocus
+              />
+              <button
+                onClick={() => handleTextAction(selectedElement.name)}
+                disabled={isBusy || !actionValue.trim()}
+                className="px-3 py-1.5 text-xs font-medium text-white bg-purple-600 rounded hover:bg-purple-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                Apply
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="text-xs text-gray-500">
+        {locks.locks.length > 0 ? `${locks.locks.length} locked · ` : ''}Locked objects are left unchanged by later refinements.
+      </div>
+    </div>
+  );
+};
+
+export default ObjectList;
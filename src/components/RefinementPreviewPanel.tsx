@@ -0,0 +1,131 @@
+import React from 'react';
+import { Eye, X } from 'lucide-react';
+import StructuredPromptDiff from './StructuredPromptDiff';
+import { RefinementPreview } from '../lib/api';
+
+interface RefinementPreviewPanelProps {
+  preview: RefinementPreview;
+  onApply: () => void;
+  onDismiss: () => void;
+  disabled?: boolean;
+}
+
+const STRATEGY_LABELS: Record<string, string> = {
+  multi_step: 'Regenerate from edited structured prompt',
+  structured_prompt: 'Regenerate from edited structured prompt',
+  mask_based: 'Localized edit inside an object mask',
+  background_replacement: 'Replace background only',
+  background_removal: 'Remove background only',
+  local_adjustment: 'Adjust the image locally (no regeneration)',
+  history: 'Restore an earlier version (no regeneration)',
+  lock: 'Update element locks (no regeneration)',
+};
+
+const BACKGROUND_LABELS = {
+  preserve: 'Keep',
+  replace: 'Replace with',
+  remove: 'Remove, leaving',
+  restore: 'Restore',
+};
+
+const RefinementPreviewPanel: React.FC<RefinementPreviewPanelProps> = ({ preview, onApply, onDismiss, disabled }) => {
+  const { strategy, operations, background, structuredPrompt, providerOperations } = preview;
+
+  return (
+    <div className="space-y-3 p-4 text-xs bg-purple-50 rounded-lg border border-purple-200">
+      <div className="flex items-center justify-between">
+        <span className="flex items-center text-sm font-medium text-purple-800">
+          <Eye className="w-4 h-4 mr-2" />
+          Refinement plan
+        </span>
+        <button onClick={onDismiss} className="text-purple-500 hover:text-purple-700" title="Dismiss preview">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="text-gray-700">
+        <span className="font-medium">Strategy:</span> {STRATEGY_LABELS[strategy] || strategy}
+      </div>
+
+      {preview.userMask && (
+        <div className="text-gray-700">
+          <span className="font-medium">Edit area:</span> painted mask
+        </div>
+      )}
+
+      <ul className="space-y-1">
+        {operations.map((operation, index) => (
+          <li key={index} className="flex justify-between text-gray-700">
+            <span>
+              {operation.type.replace(/_/g, ' ')}
+              {operation.target ? `: ${operation.target}` : ''}
+              {operation.location && (
+                <span className="text-gray-500">
+                  {' '}· {operation.location.relation.replace(/_/g, ' ')}{' '}
+                  {operation.location.region ? `${operation.location.region} of ` : ''}
+                  {operation.location.target || 'design'}
+                </span>
+              )}
+            </span>
+            {operation.confidence !== null && (
+              <span className="text-gray-500">{Math.round(operation.confidence * 100)}% confident</span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="text-gray-700">
+        <span className="font-medium">Background:</span> {BACKGROUND_LABELS[background.action]} "{background.next}"
+      </div>
+
+      {structuredPrompt.diff.length > 0 && (
+        <div className="space-y-1">
+          <div className="font-medium text-gray-700">Prompt changes</div>
+          <StructuredPromptDiff diff={structuredPrompt.diff} />
+        </div>
+      )}
+
+      {!structuredPrompt.available && (
+        <div className="text-gray-500">No structured prompt is stored for this design, so the edit is planned from the instruction alone.</div>
+      )}
+
+      <div className="text-gray-500">
+        Provider calls: {providerOperations.length > 0 ? providerOperations.join(', ') : 'none'}
+      </div>
+
+      {preview.history && (
+        <div className="text-purple-800">{preview.history.message}</div>
+      )}
+
+      {preview.locks.message && (
+        <div className="text-purple-800">{preview.locks.message}</div>
+      )}
+
+      {preview.locks.locked.length > 0 && (
+        <div className="text-gray-700">
+          <span className="font-medium">Locked:</span> {preview.locks.locked.map(lock => lock.target).join(', ')}
+        </div>
+      )}
+
+      {preview.locks.conflicts.length > 0 && (
+        <div className="text-red-600">
+          Refining will be refused: {preview.locks.conflicts.map(conflict => `${conflict.target} (locked "${conflict.lock}")`).join(', ')}
+        </div>
+      )}
+
+      {preview.clarification && (
+        <div className="text-amber-700">Refining will ask first: {preview.clarification.question}</div>
+      )}
+
+      <button
+        onClick={onApply}
+        disabled={disabled}
+        className="w-full px-4 py-2 text-xs font-medium text-white bg-purple-600 rounded-lg hover:bg-purple-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+      >
+        Apply refinement
+      </button>
+    </div>
+  );
+};
+
+export default RefinementPreviewPanel;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { StructuredPromptChange } from '../lib/api';
+
+// Short readable form of a structured prompt value for the diff list
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+const StructuredPromptDiff: React.FC<{ diff: StructuredPromptChange[] }> = ({ diff }) => (
+  <>
+    {diff.map(change => (
+      <div key={change.path} className="font-mono text-[11px] text-gray-600 break-words">
+        <span className="text-purple-700">{change.path}</span>{' '}
+        {change.change === 'added' ? '+ ' : change.change === 'removed' ? '− ' : ''}
+        {change.change === 'changed'
+          ? `${formatValue(change.before)} → ${formatValue(change.after)}`
+          : formatValue(change.change === 'added' ? change.after : change.before)}
+      </div>
+    ))}
+  </>
+);
+
+export default StructuredPromptDiff;
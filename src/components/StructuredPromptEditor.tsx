@@ -0,0 +1,263 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight, FileJson, GitCompare, Loader2, Plus, RotateCcw, Trash2 } from 'lucide-react';
+import StructuredPromptDiff from './StructuredPromptDiff';
+import { useDesignState } from '../store/AppContext';
+import {
+  fetchStructuredPrompt,
+  fetchStructuredPromptDiff,
+  updateStructuredPrompt,
+  StructuredPrompt,
+  StructuredPromptChange,
+  StructuredPromptObject,
+} from '../lib/api';
+
+const OBJECT_FIELDS: { field: keyof StructuredPromptObject & string; label: string }[] = [
+  { field: 'description', label: 'Description' },
+  { field: 'location', label: 'Location' },
+  { field: 'relative_size', label: 'Size' },
+  { field: 'shape_and_color', label: 'Shape & color' },
+  { field: 'texture', label: 'Texture' },
+];
+
+const LIGHTING_FIELDS = ['conditions', 'direction', 'shadows'] as const;
+
+const inputClass = 'w-full px-2 py-1 text-xs bg-white border border-gray-200 rounded focus:outline-none focus:border-gray-300';
+
+const StructuredPromptEditor: React.FC = () => {
+  const { designId, history, isGenerating, isRefining, setRefining, setRefinedImage, setError, setSuccess } = useDesignState();
+  const [open, setOpen] = useState(false);
+  const [original, setOriginal] = useState<StructuredPrompt | null>(null);
+  const [draft, setDraft] = useState<StructuredPrompt | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('');
+  const [comparison, setComparison] = useState<StructuredPromptChange[] | null>(null);
+  const [isComparing, setIsComparing] = useState(false);
+
+  // Load the prompt of the side's current design while the editor is open
+  useEffect(() => {
+    setComparison(null);
+    if (!open || !designId) {
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    fetchStructuredPrompt(designId)
+      .then(data => {
+        if (cancelled) return;
+        setOriginal(data.structuredPrompt);
+        setDraft(data.structuredPrompt);
+      })
+      .catch(err => console.warn('Could not load structured prompt:', err.message))
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, designId]);
+
+  // Compare the current design against its parent unless the user picked other versions
+  useEffect(() => {
+    const current = history.find(entry => entry.designId === designId);
+    setCompareTo(designId || '');
+    setCompareFrom(current?.parentDesignId || '');
+  }, [designId, history]);
+
+  if (!designId) {
+    return null;
+  }
+
+  const updateDraft = (changes: Partial<StructuredPrompt>) => setDraft(current => (current ? { ...current, ...changes } : current));
+
+  const updateObject = (index: number, field: string, value: string) => {
+    if (!draft) return;
+    updateDraft({ objects: draft.objects.map((object, i) => (i === index ? { ...object, [field]: value } : object)) });
+  };
+
+  const handleRegenerate = async () => {
+    if (!draft) return;
+
+    setRefining(true);
+    setError(null);
+    try {
+      const data = await updateStructuredPrompt(designId, draft);
+      setRefinedImage(data.refinedImageUrl, data.designId);
+      setSuccess(`✅ Design regenerated (${data.diff.length} prompt change${data.diff.length === 1 ? '' : 's'})`);
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Failed to regenerate from the structured prompt');
+    } finally {
+      setRefining(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    if (!compareFrom || !compareTo) return;
+
+    setIsComparing(true);
+    setError(null);
+    try {
+      setComparison((await fetchStructuredPromptDiff(compareTo, compareFrom)).diff);
+    } catch (err: unknown) {
+      setError(err instanceof Error ? err.message : 'Failed to compare versions');
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const isBusy = isGenerating || isRefining || isLoading;
+  const hasChanges = !!draft && JSON.stringify(draft) !== JSON.stringify(original);
+
+  return (
+    <div className="space-y-3 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <button onClick={() => setOpen(!open)} className="flex items-center justify-between w-full text-sm font-medium text-gray-700">
+        <span className="flex items-center">
+          <FileJson className="w-4 h-4 mr-2" />
+          Structured prompt
+        </span>
+        {open ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+      </button>
+
+      {open && isLoading && <Loader2 className="w-4 h-4 mx-auto text-gray-400 animate-spin" />}
+
+      {open && !isLoading && !draft && (
+        <div className="text-xs text-gray-500">No structured prompt is stored for this design.</div>
+      )}
+
+      {open && !isLoading && draft && (
+        <div className="space-y-3 text-xs">
+          <label className="block space-y-1">
+            <span className="font-medium text-gray-700">Summary</span>
+            <textarea
+              value={draft.short_description}
+              onChange={(e) => updateDraft({ short_description: e.target.value })}
+              rows={2}
+              className={inputClass}
+            />
+          </label>
+
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="font-medium text-gray-700">Objects</span>
+              <button
+                onClick={() => updateDraft({ objects: [...draft.objects, { description: '', location: 'center' }] })}
+                disabled={draft.objects.length >= 20}
+                className="flex items-center text-purple-700 hover:text-purple-900 disabled:text-gray-400"
+              >
+                <Plus className="w-3 h-3 mr-1" />
+                Add object
+              </button>
+            </div>
+            {draft.objects.map((object, index) => (
+              <div key={index} className="space-y-1 p-2 bg-white rounded border border-gray-200">
+                <div className="flex items-center justify-between text-gray-500">
+                  <span>Object {index + 1}</span>
+                  <button
+                    onClick={() => updateDraft({ objects: draft.objects.filter((_, i) => i !== index) })}
+                    title="Remove object"
+                    className="hover:text-red-600"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </div>
+                {OBJECT_FIELDS.map(({ field, label }) => (
+                  <input
+                    key={field}
+                    value={typeof object[field] === 'string' ? (object[field] as string) : ''}
+                    onChange={(e) => updateObject(index, field, e.target.value)}
+                    placeholder={label}
+                    title={label}
+                    className={inputClass}
+                  />
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <label className="block space-y-1">
+            <span className="font-medium text-gray-700">Background</span>
+            <input
+              value={draft.background_setting || ''}
+              onChange={(e) => updateDraft({ background_setting: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+
+          <div className="space-y-1">
+            <span className="font-medium text-gray-700">Lighting</span>
+            <div className="grid grid-cols-3 gap-1">
+              {LIGHTING_FIELDS.map(field => (
+                <input
+                  key={field}
+                  value={draft.lighting?.[field] || ''}
+                  onChange={(e) => updateDraft({ lighting: { ...draft.lighting, [field]: e.target.value } })}
+                  placeholder={field}
+                  title={field}
+                  className={inputClass}
+                />
+              ))}
+            </div>
+          </div>
+
+          <label className="block space-y-1">
+            <span className="font-medium text-gray-700">Style</span>
+            <input
+              value={draft.style_medium || ''}
+              onChange={(e) => updateDraft({ style_medium: e.target.value })}
+              className={inputClass}
+            />
+          </label>
+
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setDraft(original)}
+              disabled={isBusy || !hasChanges}
+              className="flex items-center px-3 py-1.5 text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <RotateCcw className="w-3 h-3 mr-1" />
+              Reset
+            </button>
+            <button
+              onClick={handleRegenerate}
+              disabled={isBusy || !hasChanges}
+              className="flex-1 px-3 py-1.5 font-medium text-white bg-purple-600 rounded hover:bg-purple-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              {isRefining ? 'Regenerating...' : 'Regenerate from prompt'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {open && history.length > 1 && (
+        <div className="space-y-2 pt-2 text-xs border-t border-gray-200">
+          <div className="flex items-center space-x-1">
+            <select value={compareFrom} onChange={(e) => setCompareFrom(e.target.value)} className={`${inputClass} flex-1`}>
+              <option value="">From version...</option>
+              {history.map(entry => <option key={entry.designId} value={entry.designId}>{entry.label}</option>)}
+            </select>
+            <span className="text-gray-400">→</span>
+            <select value={compareTo} onChange={(e) => setCompareTo(e.target.value)} className={`${inputClass} flex-1`}>
+              {history.map(entry => <option key={entry.designId} value={entry.designId}>{entry.label}</option>)}
+            </select>
+            <button
+              onClick={handleCompare}
+              disabled={isComparing || !compareFrom || !compareTo || compareFrom === compareTo}
+              title="Compare the structured prompts of two versions"
+              className="p-1.5 text-purple-700 bg-white border border-purple-300 rounded hover:bg-purple-50 disabled:text-gray-400 disabled:border-gray-200"
+            >
+              {isComparing ? <Loader2 className="w-3 h-3 animate-spin" /> : <GitCompare className="w-3 h-3" />}
+            </button>
+          </div>
+          {comparison && (comparison.length > 0
+            ? <div className="space-y-1"><StructuredPromptDiff diff={comparison} /></div>
+            : <div className="text-gray-500">The two versions have the same structured prompt.</div>)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StructuredPromptEditor;
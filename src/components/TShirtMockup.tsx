@@ -60,6 +60,7 @@ const TShirtMockup: React.FC<TShirtMockupProps> = ({
     const centerY = box.top + box.height / 2;
     const startAngle = Math.atan2(startY - centerY, startX - centerX);
     const startRotation = currentAlignment.rotation;
+    let recorded = false;
 
     const handleMouseMove = (moveEvent: MouseEvent) => {
       const currentAngle = Math.atan2(
@@ -71,7 +72,9 @@ const TShirtMockup: React.FC<TShirtMockupProps> = ({
         ...currentAlignment,
         rotation: startRotation + rotationDeg,
       };
-      updateAlignment(newAlignment);
+      // Only the first update of a rotation is an undo step
+      updateAlignment(newAlignment, !recorded);
+      recorded = true;
     };
 
     const handleMouseUp = () => {
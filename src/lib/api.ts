@@ -0,0 +1,430 @@
+export const API_BASE = `${import.meta.env.VITE_API_URL || (window.location.hostname === 'localhost' ? 'http://localhost:5000' : 'https://fibo-t5mv.onrender.com')}/api`;
+
+// Debug: Log the API configuration
+console.log('🔧 API Configuration:', {
+  VITE_API_URL: import.meta.env.VITE_API_URL,
+  hostname: window.location.hostname,
+  finalApiBase: API_BASE
+});
+
+// Human-readable labels for backend job stages
+const JOB_STAGE_LABELS: Record<string, string> = {
+  queued: 'Queued...',
+  planning: 'Analyzing instruction...',
+  generation: 'Generating design...',
+  background_removal: 'Removing background...',
+  background_replacement: 'Replacing background...',
+  mask_generation: 'Detecting objects...',
+  mask_cleanup: 'Cleaning up edges...',
+  generative_fill: 'Applying localized edit...',
+  erase: 'Erasing objects...',
+  local_adjustment: 'Adjusting image...',
+  drift_check: 'Checking the edit stayed local...',
+  enhance: 'Enhancing quality...',
+  increase_resolution: 'Increasing resolution...',
+  vectorization: 'Converting to vector...',
+  saving: 'Saving design...',
+  cancelling: 'Stopping...',
+};
+
+export const getJobStageLabel = (stage: string) =>
+  JOB_STAGE_LABELS[stage] || `${stage.replace(/_/g, ' ')}...`;
+
+// Handle API responses with proper error handling
+export const handleApiResponse = async (response: Response) => {
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: { message: `HTTP ${response.status}` } }));
+    throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error?.message || "API request failed");
+  }
+
+  return data;
+};
+
+// A finished job's result has the same shape as the endpoint's synchronous response
+type JobResult = Awaited<ReturnType<typeof handleApiResponse>>;
+
+// One settled item of a batch job (variants, style variations, candidates)
+export interface BatchItem {
+  index: number;
+  item: unknown;
+  status: 'ok' | 'failed' | 'cancelled';
+  result?: JobResult;
+  error?: { message: string };
+}
+
+export interface JobSnapshot {
+  id: string;
+  type: string;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  stage: string;
+  stages: { stage: string; at: string; detail?: Record<string, unknown> }[];
+  result: JobResult;
+  error: { message: string } | null;
+  items: BatchItem[];
+  cancel_requested: boolean;
+  updated_at: string;
+}
+
+const POLL_INTERVAL_MS = 2000;
+
+const isFinished = (job: JobSnapshot) => ['completed', 'failed', 'cancelled'].includes(job.status);
+
+// Aborted requests and cancelled jobs reject with an AbortError; callers treat it as a stop, not a failure
+export const isAbortError = (err: unknown) => err instanceof DOMException && err.name === 'AbortError';
+
+// Poll job status when the event stream is unavailable
+const pollJob = async (jobId: string, onUpdate: (job: JobSnapshot) => void, signal?: AbortSignal): Promise<JobSnapshot> => {
+  let lastUpdate = '';
+  for (;;) {
+    const { job } = await handleApiResponse(await fetch(`${API_BASE}/jobs/${jobId}`, { signal }));
+    if (job.updated_at !== lastUpdate) {
+      lastUpdate = job.updated_at;
+      onUpdate(job);
+    }
+    if (isFinished(job)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    signal?.throwIfAborted();
+  }
+};
+
+// Follow job updates over Server-Sent Events, falling back to polling on stream errors
+const watchJob = (jobId: string, onUpdate: (job: JobSnapshot) => void, signal?: AbortSignal): Promise<JobSnapshot> =>
+  new Promise((resolve, reject) => {
+    if (typeof EventSource === 'undefined') {
+      pollJob(jobId, onUpdate, signal).then(resolve, reject);
+      return;
+    }
+
+    const source = new EventSource(`${API_BASE}/jobs/${jobId}/events`);
+    const handleAbort = () => {
+      source.close();
+      reject(signal?.reason);
+    };
+    const handleUpdate = (event: MessageEvent) => onUpdate(JSON.parse(event.data));
+    const handleFinished = (event: MessageEvent) => {
+      source.close();
+      signal?.removeEventListener('abort', handleAbort);
+      resolve(JSON.parse(event.data));
+    };
+
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    source.addEventListener('snapshot', handleUpdate);
+    source.addEventListener('stage', handleUpdate);
+    source.addEventListener('item', handleUpdate);
+    source.addEventListener('cancelling', handleUpdate);
+    source.addEventListener('completed', handleFinished);
+    source.addEventListener('failed', handleFinished);
+    source.addEventListener('cancelled', handleFinished);
+    source.onerror = () => {
+      source.close();
+      signal?.removeEventListener('abort', handleAbort);
+      pollJob(jobId, onUpdate, signal).then(resolve, reject);
+    };
+  });
+
+export interface RunJobOptions {
+  // Called with the job id once the job is queued (needed to cancel it)
+  onStart?: (jobId: string) => void;
+  // Called with the settled items of a batch job as they stream in
+  onItems?: (items: BatchItem[]) => void;
+  // Aborting stops waiting and cancels the job on the server
+  signal?: AbortSignal;
+}
+
+/**
+ * POST to a job-capable endpoint in async mode and resolve with the final result.
+ * onProgress receives a readable label for each stage the backend reports.
+ * Rejects with an AbortError (see isAbortError) when the signal aborts or the job is cancelled.
+ */
+export const runJob = async (
+  endpoint: string,
+  body: Record<string, unknown>,
+  onProgress: (label: string) => void,
+  { onStart, onItems, signal }: RunJobOptions = {}
+): Promise<JobResult> => {
+  const response = await fetch(`${API_BASE}${endpoint}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...body, async: true }),
+    signal,
+  });
+
+  const data = await handleApiResponse(response);
+
+  // Endpoints without job support answer synchronously with the result itself
+  if (!data.jobId) {
+    return data;
+  }
+
+  onStart?.(data.jobId);
+  const cancelOnAbort = () => {
+    cancelJob(data.jobId).catch(() => { /* the job may have finished meanwhile */ });
+  };
+  signal?.addEventListener('abort', cancelOnAbort, { once: true });
+  // An abort that landed while the job was being queued fires no event, but the job exists
+  if (signal?.aborted) {
+    signal.removeEventListener('abort', cancelOnAbort);
+    cancelOnAbort();
+    signal.throwIfAborted();
+  }
+
+  let lastStage = '';
+  let itemCount = 0;
+  const job = await watchJob(data.jobId, update => {
+    const stage = update.cancel_requested ? 'cancelling' : update.stage;
+    if (stage !== lastStage) {
+      lastStage = stage;
+      onProgress(getJobStageLabel(stage));
+    }
+    if (onItems && update.items.length !== itemCount) {
+      itemCount = update.items.length;
+      onItems(update.items);
+    }
+  }, signal).finally(() => signal?.removeEventListener('abort', cancelOnAbort));
+  if (job.status === 'cancelled') {
+    throw new DOMException(job.error?.message || 'Job was cancelled', 'AbortError');
+  }
+  if (job.status === 'failed') {
+    throw new Error(job.error?.message || 'Job failed');
+  }
+
+  return job.result;
+};
+
+// Stop a running job; batch jobs finish with the items completed so far.
+// keepalive lets the request go out while the page is being closed.
+export const cancelJob = async (jobId: string) =>
+  handleApiResponse(await fetch(`${API_BASE}/jobs/${encodeURIComponent(jobId)}`, { method: "DELETE", keepalive: true }));
+
+// ====== Design versions ======
+
+export interface DesignVersion {
+  designId: string;
+  parentDesignId: string | null;
+  source: 'generation' | 'candidate' | 'upload' | 'variation' | 'refinement' | 'revert' | 'branch';
+  instruction: string | null;
+  strategy: string | null;
+  prompt: string | null;
+  structuredPrompt: string | null;
+  imageUrl: string | null;
+  thumbnailUrl: string | null;
+  revertedTo: string | null;
+  branchName: string | null;
+  historyCommand: 'undo' | 'redo' | null;
+  // Position among the candidates of a multi-candidate generation
+  candidateIndex: number | null;
+  createdAt: string | null;
+  children: DesignVersion[];
+}
+
+export interface DesignVersionTree {
+  rootDesignId: string;
+  headDesignId: string;
+  count: number;
+  tree: DesignVersion;
+  path: string[];
+}
+
+export const fetchDesignVersions = async (designId: string): Promise<DesignVersionTree> =>
+  handleApiResponse(await fetch(`${API_BASE}/designs/${encodeURIComponent(designId)}/versions`));
+
+// Revert or branch respond with the new version's id and image plus the updated tree
+const postDesignVersion = async (designId: string, action: 'revert' | 'branch', body: Record<string, unknown> = {}) =>
+  handleApiResponse(await fetch(`${API_BASE}/designs/${encodeURIComponent(designId)}/${action}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  }));
+
+export const revertDesign = (designId: string) => postDesignVersion(designId, 'revert');
+
+export const branchDesign = (designId: string, name?: string) => postDesignVersion(designId, 'branch', { name });
+
+// ====== Element locks ======
+
+export interface ElementLock {
+  target: string;
+  lockedAt: string;
+}
+
+export interface DesignLocks {
+  designId: string;
+  rootDesignId: string;
+  locks: ElementLock[];
+  // Structured-prompt objects that can be locked, then locks that match no object
+  elements: { name: string; description: string; locked: boolean }[];
+  message?: string;
+}
+
+export const fetchDesignLocks = async (designId: string): Promise<DesignLocks> =>
+  handleApiResponse(await fetch(`${API_BASE}/designs/${encodeURIComponent(designId)}/locks`));
+
+export const updateDesignLocks = async (designId: string, changes: { lock?: string[]; unlock?: string[] }): Promise<DesignLocks> =>
+  handleApiResponse(await fetch(`${API_BASE}/designs/${encodeURIComponent(designId)}/locks`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(changes),
+  }));
+
+// ====== Object selection ======
+
+export type DesignElement = DesignLocks['elements'][number];
+
+export interface ObjectSelection {
+  designId: string;
+  point: { x: number; y: number };
+  object: DesignElement;
+  // White-on-black PNG data URL of the selected object
+  mask: string;
+  box: { x: number; y: number; width: number; height: number } | null;
+  elements: DesignElement[];
+}
+
+// Find the object under a clicked point (x and y as fractions of the image). Runs as a job:
+// the first click on a design masks every object, later clicks reuse the masks.
+export const selectDesignObject = async (
+  designId: string,
+  point: { x: number; y: number },
+  { onProgress = () => {}, signal }: { onProgress?: (label: string) => void; signal?: AbortSignal } = {}
+): Promise<ObjectSelection> =>
+  runJob(`/designs/${encodeURIComponent(designId)}/select-object`, point, onProgress, { signal });
+
+// ====== Structured prompt ======
+
+export interface StructuredPromptObject {
+  description: string;
+  location?: string;
+  relative_size?: string;
+  shape_and_color?: string;
+  texture?: string;
+  [field: string]: unknown;
+}
+
+// FIBO structured prompt; fields the editor doesn't know are passed through unchanged
+export interface StructuredPrompt {
+  short_description: string;
+  objects: StructuredPromptObject[];
+  background_setting?: string;
+  lighting?: { conditions?: string; direction?: string; shadows?: string };
+  style_medium?: string;
+  [field: string]: unknown;
+}
+
+export interface StructuredPromptChange {
+  path: string;
+  change: 'added' | 'removed' | 'changed';
+  before: unknown;
+  after: unknown;
+}
+
+export const fetchStructuredPrompt = async (designId: string): Promise<{ designId: string; available: boolean; structuredPrompt: StructuredPrompt | null }> =>
+  handleApiResponse(await fetch(`${API_BASE}/designs/${encodeURIComponent(designId)}/structured-prompt`));
+
+// Regenerates the design from the edited prompt; the result is a new version in the lineage
+export const updateStructuredPrompt = async (designId: string, structuredPrompt: StructuredPrompt) =>
+  handleApiResponse(await fetch(`${API_BASE}/designs/${encodeURIComponent(designId)}/structured-prompt`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ structuredPrompt }),
+  }));
+
+// Changes from `againstId` (default: the parent version) to `designId`
+export const fetchStructuredPromptDiff = async (designId: string, againstId?: string): Promise<{ designId: string; againstDesignId: string; diff: StructuredPromptChange[] }> =>
+  handleApiResponse(await fetch(
+    `${API_BASE}/designs/${encodeURIComponent(designId)}/structured-prompt/diff${againstId ? `?against=${encodeURIComponent(againstId)}` : ''}`
+  ));
+
+// ====== Brand palette ======
+
+export interface BrandSwatch {
+  hex: string;
+  rgb: { r: number; g: number; b: number };
+  name: string;
+  // Fraction of the brand image the color covers (1 for colors typed in by the user)
+  share: number;
+}
+
+// Dominant colors of a brand image (data URL) without generating
+export const extractBrandPalette = async (brandImageData: string): Promise<{ palette: BrandSwatch[] }> =>
+  handleApiResponse(await fetch(`${API_BASE}/brand-palette`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ brandImageData }),
+  }));
+
+// Generates with the palette as color constraints; colors close to a swatch are snapped onto it
+export const generateWithBrandColors = async (prompt: string, palette: string[]) =>
+  handleApiResponse(await fetch(`${API_BASE}/generate-with-brand-colors`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ prompt, palette }),
+  }));
+
+// ====== Refinement preview ======
+
+// Returned instead of a refined image when the instruction is too ambiguous to act on
+export interface RefinementClarification {
+  reason: 'ambiguous_target' | 'low_confidence' | 'dropped_operations';
+  question: string;
+  instruction: string;
+  // Quick replies; each is a complete instruction to refine with
+  options: { label: string; instruction: string; skipClarification?: boolean }[];
+  understoodOperations: { type: string; instruction: string; target: string | null; confidence: number | null }[];
+  missed?: string[];
+  // Resend the original instruction with skipClarification to refine anyway
+  canProceed: boolean;
+}
+
+export interface RefinementPreview {
+  instruction: string;
+  designId: string | null;
+  originalDataFound: boolean;
+  strategy: string;
+  operations: {
+    type: string;
+    instruction: string;
+    target: string | null;
+    object: string | null;
+    action: string | null;
+    // Spatial placement parsed from the instruction ("on top of the skull", "in the top-left corner")
+    location: { relation: string; target: string | null; region: string | null } | null;
+    confidence: number | null;
+  }[];
+  background: {
+    isBackgroundOperation: boolean;
+    action: 'preserve' | 'replace' | 'remove' | 'restore';
+    current: { type: string; description: string };
+    next: string;
+  };
+  structuredPrompt: {
+    available: boolean;
+    diff: StructuredPromptChange[];
+  };
+  providerOperations: string[];
+  // Set for "undo that" / "go back two steps": the version the command would restore
+  history: { action: 'undo' | 'redo'; restoredDesignId: string; undone: string[]; message: string } | null;
+  // Locks in effect once the instruction's lock clauses are applied, and edits they would block
+  locks: {
+    locked: ElementLock[];
+    message: string | null;
+    conflicts: { operation: string; target: string; lock: string }[];
+  };
+  clarification: RefinementClarification | null;
+  // True when the edit area comes from a painted mask rather than a generated one
+  userMask: boolean;
+}
+
+// Plan a refinement without generating anything. `mask` is a white-on-transparent PNG data URL of the area to edit.
+export const previewRefinement = async (body: { instruction: string; designId?: string | null; imageUrl?: string | null; mask?: string | null }): Promise<RefinementPreview> =>
+  handleApiResponse(await fetch(`${API_BASE}/refine/preview`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  }));
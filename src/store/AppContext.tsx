@@ -1,20 +1,41 @@
 import React, { createContext, useContext, useReducer, useEffect, ReactNode } from 'react';
 
 // Types
+export interface DesignHistoryEntry {
+  designId: string;
+  parentDesignId: string | null;
+  imageUrl: string;
+  thumbnailUrl: string;
+  label: string;
+  source: string;
+  depth: number; // Branch depth in the version tree, 0 for the main line
+  createdAt: string | null;
+}
+
+// State before an undoable change: an image version or a placement on the shirt
+export type DesignEdit =
+  | { kind: 'image'; imageUrl: string | null; designId: string | null }
+  | { kind: 'alignment'; alignment: DesignAlignment };
+
 export interface DesignData {
   generatedImage: string | null;
   refinedImage: string | null;
   currentImage: string | null;
+  designId: string | null; // Backend design id of currentImage
   lastPrompt: string;
   lastRefinementPrompt: string;
   canRefine: boolean;
   hasGenerated: boolean;
+  history: DesignHistoryEntry[]; // Versions of the current design's lineage, oldest first
+  undoStack: DesignEdit[]; // Most recent last
+  redoStack: DesignEdit[];
 }
 
 export interface CartItem {
   id: string;
   frontDesign: {
     imageUrl: string | null;
+    designId?: string | null;
     design: string;
     alignment?: {
       x: number;
@@ -27,6 +48,7 @@ export interface CartItem {
   };
   backDesign: {
     imageUrl: string | null;
+    designId?: string | null;
     design: string;
     alignment?: {
       x: number;
@@ -99,14 +121,16 @@ export interface AppState {
 export type AppAction =
   | { type: 'SET_GENERATING'; payload: boolean }
   | { type: 'SET_REFINING'; payload: boolean }
-  | { type: 'SET_GENERATED_IMAGE'; payload: { side: 'front' | 'back'; url: string } }
-  | { type: 'SET_REFINED_IMAGE'; payload: { side: 'front' | 'back'; url: string } }
+  | { type: 'SET_GENERATED_IMAGE'; payload: { side: 'front' | 'back'; url: string; designId?: string | null } }
+  | { type: 'SET_REFINED_IMAGE'; payload: { side: 'front' | 'back'; url: string; designId?: string | null } }
+  | { type: 'UNDO_DESIGN_EDIT' | 'REDO_DESIGN_EDIT'; payload: { side: 'front' | 'back'; restoredImage?: { url: string; designId: string | null } } }
   | { type: 'SET_CURRENT_IMAGE'; payload: { side: 'front' | 'back'; url: string } }
+  | { type: 'SET_DESIGN_HISTORY'; payload: { side: 'front' | 'back'; history: DesignHistoryEntry[] } }
   | { type: 'SET_LAST_PROMPT'; payload: { side: 'front' | 'back'; prompt: string } }
   | { type: 'SET_LAST_REFINEMENT_PROMPT'; payload: { side: 'front' | 'back'; prompt: string } }
   | { type: 'SET_CAN_REFINE'; payload: { side: 'front' | 'back'; canRefine: boolean } }
   | { type: 'SET_HAS_GENERATED'; payload: { side: 'front' | 'back'; hasGenerated: boolean } }
-  | { type: 'UPDATE_DESIGN_ALIGNMENT'; payload: { side: 'front' | 'back'; alignment: DesignAlignment } }
+  | { type: 'UPDATE_DESIGN_ALIGNMENT'; payload: { side: 'front' | 'back'; alignment: DesignAlignment; recordHistory?: boolean } }
   | { type: 'SWITCH_SIDE'; payload: 'front' | 'back' }
   | { type: 'SET_TSHIRT_COLOR'; payload: string }
   | { type: 'SET_ERROR'; payload: string | null }
@@ -123,10 +147,14 @@ const initialDesignData: DesignData = {
   generatedImage: null,
   refinedImage: null,
   currentImage: null,
+  designId: null,
   lastPrompt: '',
   lastRefinementPrompt: '',
   canRefine: false,
   hasGenerated: false,
+  history: [],
+  undoStack: [],
+  redoStack: [],
 };
 
 // Initial alignment data
@@ -154,6 +182,21 @@ const initialState: AppState = {
   generationProgress: '',
 };
 
+const MAX_UNDO_STEPS = 50;
+
+// Push the state before a change onto the undo stack; a new change clears redo
+const recordEdit = (design: DesignData, edit: DesignEdit): DesignData => ({
+  ...design,
+  undoStack: [...(design.undoStack || []), edit].slice(-MAX_UNDO_STEPS),
+  redoStack: [],
+});
+
+// Record the image being replaced, unless there was none or it isn't changing
+const recordImageChange = (design: DesignData, url: string) =>
+  design.currentImage && design.currentImage !== url
+    ? recordEdit(design, { kind: 'image', imageUrl: design.currentImage, designId: design.designId })
+    : design;
+
 // Reducer
 function appReducer(state: AppState, action: AppAction): AppState {
   switch (action.type) {
@@ -168,9 +211,10 @@ function appReducer(state: AppState, action: AppAction): AppState {
       return { 
         ...state, 
         [sideForGenerated + 'Design']: {
-          ...state[sideForGenerated + 'Design' as keyof AppState] as DesignData,
+          ...recordImageChange(state[sideForGenerated + 'Design' as keyof AppState] as DesignData, action.payload.url),
           generatedImage: action.payload.url,
           currentImage: action.payload.url,
+          designId: action.payload.designId ?? null,
           hasGenerated: true,
           canRefine: true
         }
@@ -181,12 +225,48 @@ function appReducer(state: AppState, action: AppAction): AppState {
       return { 
         ...state, 
         [sideForRefined + 'Design']: {
-          ...state[sideForRefined + 'Design' as keyof AppState] as DesignData,
+          ...recordImageChange(state[sideForRefined + 'Design' as keyof AppState] as DesignData, action.payload.url),
           refinedImage: action.payload.url,
-          currentImage: action.payload.url
+          currentImage: action.payload.url,
+          designId: action.payload.designId ?? null
         }
       };
     
+    case 'UNDO_DESIGN_EDIT':
+    case 'REDO_DESIGN_EDIT': {
+      const { side, restoredImage } = action.payload;
+      const designKey = side === 'front' ? 'frontDesign' : 'backDesign';
+      const alignmentKey = side === 'front' ? 'frontDesignAlignment' : 'backDesignAlignment';
+      const design = state[designKey];
+      const isUndo = action.type === 'UNDO_DESIGN_EDIT';
+      const source = (isUndo ? design.undoStack : design.redoStack) || [];
+      const edit = source[source.length - 1];
+      if (!edit) return state;
+
+      // The current state of the same kind moves to the opposite stack
+      const current: DesignEdit = edit.kind === 'image'
+        ? { kind: 'image', imageUrl: design.currentImage, designId: design.designId }
+        : { kind: 'alignment', alignment: state[alignmentKey] };
+      const remaining = source.slice(0, -1);
+      const opposite = [...((isUndo ? design.redoStack : design.undoStack) || []), current];
+      const stacks = isUndo
+        ? { undoStack: remaining, redoStack: opposite }
+        : { undoStack: opposite, redoStack: remaining };
+
+      if (edit.kind === 'alignment') {
+        return { ...state, [alignmentKey]: edit.alignment, [designKey]: { ...design, ...stacks } };
+      }
+      return {
+        ...state,
+        [designKey]: {
+          ...design,
+          ...stacks,
+          currentImage: restoredImage ? restoredImage.url : edit.imageUrl,
+          designId: restoredImage ? restoredImage.designId : edit.designId,
+        }
+      };
+    }
+
     case 'SET_CURRENT_IMAGE':
       const sideForCurrent = action.payload.side;
       return { 
@@ -197,6 +277,17 @@ function appReducer(state: AppState, action: AppAction): AppState {
         }
       };
     
+    case 'SET_DESIGN_HISTORY': {
+      const sideForHistory = action.payload.side;
+      return { 
+        ...state, 
+        [sideForHistory + 'Design']: {
+          ...state[sideForHistory + 'Design' as keyof AppState] as DesignData,
+          history: action.payload.history
+        }
+      };
+    }
+    
     case 'SET_LAST_PROMPT':
       const sideForPrompt = action.payload.side;
       return { 
@@ -237,12 +328,18 @@ function appReducer(state: AppState, action: AppAction): AppState {
         }
       };
     
-    case 'UPDATE_DESIGN_ALIGNMENT':
+    case 'UPDATE_DESIGN_ALIGNMENT': {
       const alignmentSide = action.payload.side;
+      const designKey = alignmentSide === 'front' ? 'frontDesign' : 'backDesign';
+      const previousAlignment = state[alignmentSide === 'front' ? 'frontDesignAlignment' : 'backDesignAlignment'];
       return {
         ...state,
-        [alignmentSide + 'DesignAlignment']: action.payload.alignment
+        [alignmentSide + 'DesignAlignment']: action.payload.alignment,
+        ...(action.payload.recordHistory !== false && {
+          [designKey]: recordEdit(state[designKey], { kind: 'alignment', alignment: previousAlignment })
+        })
       };
+    }
     
     case 'SWITCH_SIDE':
       return { ...state, currentSide: action.payload };
@@ -413,10 +510,14 @@ export function useDesignState() {
     generatedImage: currentDesign.generatedImage,
     refinedImage: currentDesign.refinedImage,
     currentImage: currentDesign.currentImage,
+    designId: currentDesign.designId,
     lastPrompt: currentDesign.lastPrompt,
     lastRefinementPrompt: currentDesign.lastRefinementPrompt,
     canRefine: currentDesign.canRefine,
     hasGenerated: currentDesign.hasGenerated,
+    history: currentDesign.history || [],
+    undoStack: currentDesign.undoStack || [],
+    redoStack: currentDesign.redoStack || [],
     
     // Current side alignment data
     currentAlignment: currentAlignment,
@@ -440,12 +541,17 @@ export function useDesignState() {
     // Actions (automatically target current side)
     setGenerating: (value: boolean) => dispatch({ type: 'SET_GENERATING', payload: value }),
     setRefining: (value: boolean) => dispatch({ type: 'SET_REFINING', payload: value }),
-    setGeneratedImage: (url: string) => dispatch({ type: 'SET_GENERATED_IMAGE', payload: { side: state.currentSide, url } }),
-    setRefinedImage: (url: string) => dispatch({ type: 'SET_REFINED_IMAGE', payload: { side: state.currentSide, url } }),
+    setGeneratedImage: (url: string, designId?: string | null) => dispatch({ type: 'SET_GENERATED_IMAGE', payload: { side: state.currentSide, url, designId } }),
+    setRefinedImage: (url: string, designId?: string | null) => dispatch({ type: 'SET_REFINED_IMAGE', payload: { side: state.currentSide, url, designId } }),
     setCurrentImage: (url: string) => dispatch({ type: 'SET_CURRENT_IMAGE', payload: { side: state.currentSide, url } }),
+    setDesignHistory: (history: DesignHistoryEntry[]) => dispatch({ type: 'SET_DESIGN_HISTORY', payload: { side: state.currentSide, history } }),
     setLastPrompt: (prompt: string) => dispatch({ type: 'SET_LAST_PROMPT', payload: { side: state.currentSide, prompt } }),
     setLastRefinementPrompt: (prompt: string) => dispatch({ type: 'SET_LAST_REFINEMENT_PROMPT', payload: { side: state.currentSide, prompt } }),
-    updateAlignment: (alignment: DesignAlignment) => dispatch({ type: 'UPDATE_DESIGN_ALIGNMENT', payload: { side: state.currentSide, alignment } }),
+    // Continuous gestures pass recordHistory=false after their first update so one drag is one undo step
+    updateAlignment: (alignment: DesignAlignment, recordHistory = true) => dispatch({ type: 'UPDATE_DESIGN_ALIGNMENT', payload: { side: state.currentSide, alignment, recordHistory } }),
+    // Image steps pass the version the server restored; alignment steps are applied as stored
+    stepDesignEdit: (direction: 'undo' | 'redo', restoredImage?: { url: string; designId: string | null }) =>
+      dispatch({ type: direction === 'undo' ? 'UNDO_DESIGN_EDIT' : 'REDO_DESIGN_EDIT', payload: { side: state.currentSide, restoredImage } }),
     setError: (error: string | null) => dispatch({ type: 'SET_ERROR', payload: error }),
     setSuccess: (success: string | null) => dispatch({ type: 'SET_SUCCESS', payload: success }),
     setGenerationProgress: (progress: string) => dispatch({ type: 'SET_GENERATION_PROGRESS', payload: progress }),